@@ -0,0 +1,757 @@
+/*
+	@fileoverview Defines the {com.qwirx.data.AggregateDatasource} class,
+	which presents totals and other aggregate values of the rows of
+	another {com.qwirx.data.Datasource}, optionally grouped by some of
+	its columns.
+*/
+
+goog.provide('com.qwirx.data.AggregateDatasource');
+goog.provide('com.qwirx.data.ReadOnly');
+
+goog.require('com.qwirx.data.Cursor');
+goog.require('com.qwirx.data.Datasource');
+goog.require('com.qwirx.util.Enum');
+goog.require('com.qwirx.util.Exception');
+goog.require('goog.array');
+goog.require('goog.json');
+goog.require('goog.object');
+
+/**
+ * An exception thrown when trying to write to a datasource which can
+ * only be read, such as a {com.qwirx.data.AggregateDatasource}, whose
+ * rows are calculated from another datasource.
+ * @constructor
+ */
+com.qwirx.data.ReadOnly = function(message)
+{
+	goog.base(this, message);
+};
+goog.inherits(com.qwirx.data.ReadOnly, com.qwirx.util.Exception);
+
+/**
+ * A live view of aggregate values, such as totals, calculated from the
+ * rows of another {com.qwirx.data.Datasource}, like the results of an
+ * SQL query with aggregate functions and a GROUP BY clause.
+ *
+ * Without any groupBy columns, the view always has a single row, with
+ * the aggregate values of all the rows of the source, even if there are
+ * none. Otherwise it has one row for each distinct combination of
+ * values of the groupBy columns, which has those values as well as the
+ * aggregate values of the rows that have them. The rows are sorted by
+ * the groupBy columns, as returned by {#getSortOrder}, and since each
+ * combination appears only once, they are also the key columns.
+ *
+ * The view listens for {com.qwirx.data.Datasource.RowEvent}s from the
+ * source and updates only the groups of the rows that changed, using
+ * the running totals and value counts that it keeps for each group,
+ * instead of reading all the rows again. It sends its own RowEvents:
+ * a ROWS_DELETE for groups which no longer have any rows, a ROWS_INSERT
+ * for new groups, and a ROWS_UPDATE for groups whose values changed.
+ *
+ * The view can't be written to, so its write methods throw a
+ * {com.qwirx.data.ReadOnly} exception.
+ *
+ * @param {com.qwirx.data.Datasource} source The datasource to
+ * aggregate.
+ *
+ * @param {Array.<Object>} aggregates The aggregate values to calculate,
+ * which are the columns of this view after the groupBy columns. Each
+ * element has a <code>name</code> (the column name), an optional
+ * <code>caption</code>, a <code>func</code> from
+ * {com.qwirx.data.AggregateDatasource.Functions}, and the
+ * <code>column</code> of the source that it applies to, which is
+ * optional for COUNT.
+ *
+ * @param {Array.<string>=} opt_groupBy The names of the source columns
+ * to group the rows by.
+ *
+ * @constructor
+ */
+com.qwirx.data.AggregateDatasource = function(source, aggregates,
+	opt_groupBy)
+{
+	this.source_ = source;
+	this.aggregates_ = goog.array.map(aggregates, goog.object.clone);
+	this.groupBy_ = goog.array.clone(opt_groupBy || []);
+	this.columns_ = this.createColumns_();
+	
+	// The group key and a copy of each row of the source, in the same
+	// order, so that we know what to subtract when it changes.
+	this.rows_ = [];
+	
+	// The groups in sorted order, and the same groups by key.
+	this.groups_ = [];
+	this.groupsByKey_ = {};
+	
+	// Groups which have been created by changes to the source, but not
+	// added to the view yet.
+	this.newGroups_ = [];
+	
+	// Groups which have been changed, but not reported yet.
+	this.changedGroups_ = [];
+	
+	if (!this.groupBy_.length)
+	{
+		// There is always a single row, for all the rows of the source.
+		this.groups_.push(this.createGroup_('[]', []));
+		this.groupsByKey_['[]'] = this.groups_[0];
+	}
+	
+	for (var i = 0; i < source.getCount(); i++)
+	{
+		var row = this.createRow_(source.get(i));
+		this.rows_.push(row);
+		this.addRow_(row, 1);
+	}
+	
+	this.flushChanges_(false /* no events */);
+	
+	var Events = com.qwirx.data.Datasource.Events;
+	source.addEventListener(Events.ROWS_INSERT,
+		this.handleSourceRowInsert, false /* capture */, this /* scope */);
+	source.addEventListener(Events.ROWS_UPDATE,
+		this.handleSourceRowUpdate, false /* capture */, this /* scope */);
+	source.addEventListener(Events.ROWS_DELETE,
+		this.handleSourceRowDelete, false /* capture */, this /* scope */);
+	source.addEventListener(Events.ROWS_MOVE,
+		this.handleSourceRowMove, false /* capture */, this /* scope */);
+};
+
+goog.inherits(com.qwirx.data.AggregateDatasource,
+	com.qwirx.data.Datasource);
+
+/**
+ * The aggregate functions which can be calculated by a
+ * {com.qwirx.data.AggregateDatasource}. Like their SQL equivalents,
+ * they ignore null and undefined values, and SUM, AVG, MIN and MAX are
+ * null if there are no other values.
+ *
+ * <ul>
+ * <li>COUNT: the number of rows, or if a column is specified, the
+ * number of values in that column.
+ * <li>SUM: the sum of the values, which should be numbers.
+ * <li>AVG: the mean of the values, which should be numbers.
+ * <li>MIN: the smallest value.
+ * <li>MAX: the largest value.
+ * <li>COUNT_DISTINCT: the number of different values.
+ * </ul>
+ */
+com.qwirx.data.AggregateDatasource.Functions = new com.qwirx.util.Enum(
+	'COUNT', 'SUM', 'AVG', 'MIN', 'MAX', 'COUNT_DISTINCT'
+);
+
+/**
+ * Compare two values of a groupBy column, or two values for MIN and
+ * MAX, like {goog.array.defaultCompare}, except that null and
+ * undefined come before any other value, and are equal to each other.
+ */
+com.qwirx.data.AggregateDatasource.compareValues = function(a, b)
+{
+	if (a == null || b == null)
+	{
+		return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+	}
+	
+	return goog.array.defaultCompare(a, b);
+};
+
+/**
+ * @return a string which is the same for equal values and different
+ * for different ones, including values of different types, to use as
+ * a key in an object.
+ * @private
+ */
+com.qwirx.data.AggregateDatasource.valueKey_ = function(value)
+{
+	if (value == null)
+	{
+		return 'null';
+	}
+	else if (goog.isDateLike(value))
+	{
+		return 'date:' + value.getTime();
+	}
+	
+	return typeof(value) + ':' + value;
+};
+
+/**
+ * @return the datasource that this view aggregates.
+ */
+com.qwirx.data.AggregateDatasource.prototype.getSource = function()
+{
+	return this.source_;
+};
+
+/**
+ * @return the columns of this view: the groupBy columns, with the same
+ * definitions as in the source except that they are keys, followed by
+ * the aggregates.
+ * @private
+ */
+com.qwirx.data.AggregateDatasource.prototype.createColumns_ = function()
+{
+	var Functions = com.qwirx.data.AggregateDatasource.Functions;
+	var sourceColumns = this.source_.getColumns();
+	var columns = [];
+	
+	for (var i = 0; i < this.groupBy_.length; i++)
+	{
+		this.assertSourceField_(this.groupBy_[i]);
+		var column = goog.object.clone(goog.array.find(sourceColumns,
+			function(column)
+			{
+				return column.name == this.groupBy_[i];
+			}, this));
+		column.key = true;
+		columns.push(column);
+	}
+	
+	for (var i = 0; i < this.aggregates_.length; i++)
+	{
+		var aggregate = this.aggregates_[i];
+		
+		if (!goog.array.contains([Functions.COUNT, Functions.SUM,
+			Functions.AVG, Functions.MIN, Functions.MAX,
+			Functions.COUNT_DISTINCT], aggregate.func))
+		{
+			throw new com.qwirx.util.Exception("Unknown aggregate " +
+				"function for " + aggregate.name + ": " + aggregate.func);
+		}
+		else if (aggregate.column != null)
+		{
+			this.assertSourceField_(aggregate.column);
+		}
+		else if (aggregate.func != Functions.COUNT)
+		{
+			throw new com.qwirx.util.Exception("The aggregate " +
+				aggregate.name + " needs a column");
+		}
+		
+		columns.push({name: aggregate.name,
+			caption: aggregate.caption || aggregate.name});
+	}
+	
+	return columns;
+};
+
+/**
+ * @throws {com.qwirx.data.NoSuchField} if the source has no column
+ * with the specified name.
+ * @private
+ */
+com.qwirx.data.AggregateDatasource.prototype.assertSourceField_ =
+	function(fieldName)
+{
+	var fieldNames = goog.array.map(this.source_.getColumns(),
+		function(column)
+		{
+			return column.name;
+		});
+	
+	if (!goog.array.contains(fieldNames, fieldName))
+	{
+		throw new com.qwirx.data.NoSuchField("The field " + fieldName +
+			" does not exist in the source datasource. Valid fields " +
+			"are: " + fieldNames.join(" "));
+	}
+};
+
+/**
+ * @return the information that we keep about a row of the source: its
+ * group key and values, and the values of the aggregated columns.
+ * @private
+ */
+com.qwirx.data.AggregateDatasource.prototype.createRow_ = function(record)
+{
+	var groupValues = goog.array.map(this.groupBy_, function(name)
+		{
+			return record[name];
+		});
+	
+	return {
+		key: goog.json.serialize(goog.array.map(groupValues,
+			com.qwirx.data.AggregateDatasource.valueKey_)),
+		groupValues: groupValues,
+		values: goog.array.map(this.aggregates_, function(aggregate)
+			{
+				return (aggregate.column == null) ? true :
+					record[aggregate.column];
+			})
+	};
+};
+
+/**
+ * @return a new, empty group with the specified key and values of the
+ * groupBy columns.
+ * @private
+ */
+com.qwirx.data.AggregateDatasource.prototype.createGroup_ = function(key,
+	groupValues)
+{
+	var Functions = com.qwirx.data.AggregateDatasource.Functions;
+	return {
+		key: key,
+		groupValues: groupValues,
+		size: 0,
+		totals: goog.array.map(this.aggregates_, function(aggregate)
+			{
+				// The count and sum of the values which are not null,
+				// with the rounding error of the sum kept separately,
+				// and for MIN, MAX and COUNT_DISTINCT, the number of
+				// times that each of them appears, and the smallest
+				// and largest.
+				var tracksValues = goog.array.contains([Functions.MIN,
+					Functions.MAX, Functions.COUNT_DISTINCT], aggregate.func);
+				return {count: 0, sum: 0, error: 0,
+					values: tracksValues ? {} : null, distinct: 0, min: null,
+					max: null};
+			})
+	};
+};
+
+/**
+ * Add a row of the source to the totals of its group, creating the
+ * group if necessary, or subtract it if sign is -1.
+ * @private
+ */
+com.qwirx.data.AggregateDatasource.prototype.addRow_ = function(row, sign)
+{
+	var group = this.groupsByKey_[row.key];
+	
+	if (!group)
+	{
+		group = this.groupsByKey_[row.key] =
+			this.createGroup_(row.key, row.groupValues);
+		this.newGroups_.push(group);
+	}
+	
+	group.size += sign;
+	goog.array.insert(this.changedGroups_, group);
+	
+	var compare = com.qwirx.data.AggregateDatasource.compareValues;
+	
+	for (var i = 0; i < this.aggregates_.length; i++)
+	{
+		var value = row.values[i];
+		var totals = group.totals[i];
+		
+		if (value == null)
+		{
+			continue;
+		}
+		
+		totals.count += sign;
+		
+		if (totals.count == 0)
+		{
+			totals.sum = totals.error = 0;
+		}
+		else if (goog.isNumber(value))
+		{
+			com.qwirx.data.AggregateDatasource.addToSum_(totals,
+				sign * value);
+		}
+		
+		if (!totals.values)
+		{
+			continue;
+		}
+		
+		var valueKey = com.qwirx.data.AggregateDatasource.valueKey_(value);
+		var entry = totals.values[valueKey];
+		
+		if (!entry)
+		{
+			entry = totals.values[valueKey] = {value: value, count: 0};
+			totals.distinct++;
+		}
+		
+		entry.count += sign;
+		
+		if (sign > 0)
+		{
+			if (totals.min == null || compare(value, totals.min) < 0)
+			{
+				totals.min = value;
+			}
+			
+			if (totals.max == null || compare(value, totals.max) > 0)
+			{
+				totals.max = value;
+			}
+		}
+		else if (entry.count == 0)
+		{
+			delete totals.values[valueKey];
+			totals.distinct--;
+			
+			if (compare(value, totals.min) == 0 ||
+				compare(value, totals.max) == 0)
+			{
+				this.findMinMax_(totals);
+			}
+		}
+	}
+};
+
+/**
+ * Add a number to the sum of the totals, using Neumaier's compensated
+ * summation, which keeps the rounding error of each addition in
+ * totals.error. Otherwise, subtracting a value that was added before
+ * might not give the old sum back, and the errors would build up as
+ * rows changed.
+ * @private
+ */
+com.qwirx.data.AggregateDatasource.addToSum_ = function(totals, value)
+{
+	var sum = totals.sum + value;
+	
+	if (Math.abs(totals.sum) >= Math.abs(value))
+	{
+		totals.error += (totals.sum - sum) + value;
+	}
+	else
+	{
+		totals.error += (value - sum) + totals.sum;
+	}
+	
+	totals.sum = sum;
+};
+
+/**
+ * Find the smallest and largest values again, after one of them has
+ * been removed. Only the distinct values are checked, not every row.
+ * @private
+ */
+com.qwirx.data.AggregateDatasource.prototype.findMinMax_ = function(totals)
+{
+	var compare = com.qwirx.data.AggregateDatasource.compareValues;
+	totals.min = totals.max = null;
+	
+	goog.object.forEach(totals.values, function(entry)
+		{
+			if (totals.min == null || compare(entry.value, totals.min) < 0)
+			{
+				totals.min = entry.value;
+			}
+			
+			if (totals.max == null || compare(entry.value, totals.max) > 0)
+			{
+				totals.max = entry.value;
+			}
+		});
+};
+
+/**
+ * Compare two groups according to the values of their groupBy columns.
+ * @private
+ */
+com.qwirx.data.AggregateDatasource.prototype.compareGroups_ = function(a,
+	b)
+{
+	for (var i = 0; i < this.groupBy_.length; i++)
+	{
+		var result = com.qwirx.data.AggregateDatasource.compareValues(
+			a.groupValues[i], b.groupValues[i]);
+		
+		if (result != 0)
+		{
+			return result;
+		}
+	}
+	
+	return 0;
+};
+
+/**
+ * Apply the changes to the groups made by {#addRow_}: remove the groups
+ * which have no rows left, and add the new ones, sending a ROWS_DELETE
+ * and a ROWS_INSERT event if there were any, and then send a
+ * ROWS_UPDATE event for the other groups that changed.
+ * @param {boolean} sendEvents false when we're still being constructed.
+ * @private
+ */
+com.qwirx.data.AggregateDatasource.prototype.flushChanges_ =
+	function(sendEvents)
+{
+	var Events = com.qwirx.data.Datasource.Events;
+	var self = this;
+	var deleted = [];
+	var remaining = [];
+	
+	for (var i = 0; i < this.groups_.length; i++)
+	{
+		var group = this.groups_[i];
+		
+		if (group.size == 0 && this.groupBy_.length)
+		{
+			delete this.groupsByKey_[group.key];
+			deleted.push(i);
+		}
+		else
+		{
+			remaining.push(group);
+		}
+	}
+	
+	this.groups_ = remaining;
+	
+	if (deleted.length && sendEvents)
+	{
+		this.dispatchRowEvent(Events.ROWS_DELETE, deleted);
+	}
+	
+	// Insert the new groups in order, so that the positions of the ones
+	// already inserted are not changed by the later ones.
+	var newGroups = goog.array.filter(this.newGroups_, function(group)
+		{
+			if (group.size == 0)
+			{
+				delete self.groupsByKey_[group.key];
+				return false;
+			}
+			
+			return true;
+		});
+	goog.array.sort(newGroups, function(a, b)
+		{
+			return self.compareGroups_(a, b);
+		});
+	var inserted = [];
+	
+	for (var i = 0; i < newGroups.length; i++)
+	{
+		var position = -(goog.array.binarySearch(this.groups_,
+			newGroups[i], function(a, b)
+			{
+				return self.compareGroups_(a, b);
+			}) + 1);
+		goog.array.insertAt(this.groups_, newGroups[i], position);
+		inserted.push(position);
+	}
+	
+	if (inserted.length && sendEvents)
+	{
+		this.dispatchRowEvent(Events.ROWS_INSERT, inserted);
+	}
+	
+	var updated = [];
+	
+	for (var i = 0; i < this.changedGroups_.length; i++)
+	{
+		var group = this.changedGroups_[i];
+		
+		if (group.size > 0 || !this.groupBy_.length)
+		{
+			if (!goog.array.contains(newGroups, group))
+			{
+				updated.push(goog.array.indexOf(this.groups_, group));
+			}
+		}
+	}
+	
+	this.newGroups_ = [];
+	this.changedGroups_ = [];
+	
+	if (updated.length && sendEvents)
+	{
+		goog.array.sort(updated);
+		this.dispatchRowEvent(Events.ROWS_UPDATE, updated);
+	}
+};
+
+/**
+ * @return the order of the rows, which is by the groupBy columns, or
+ * null if there are none, because there is only one row.
+ * @override
+ */
+com.qwirx.data.AggregateDatasource.prototype.getSortOrder = function()
+{
+	if (!this.groupBy_.length)
+	{
+		return null;
+	}
+	
+	return goog.array.map(this.groupBy_, function(name)
+		{
+			return {name: name,
+				compare: com.qwirx.data.AggregateDatasource.compareValues};
+		});
+};
+
+com.qwirx.data.AggregateDatasource.prototype.getColumns = function()
+{
+	return goog.array.clone(this.columns_);
+};
+
+com.qwirx.data.AggregateDatasource.prototype.getCount = function()
+{
+	return this.groups_.length;
+};
+
+/**
+ * @return a record with the values of the groupBy columns and the
+ * aggregate values of the group at the specified position.
+ */
+com.qwirx.data.AggregateDatasource.prototype.get = function(rowIndex)
+{
+	this.assertValidRow(rowIndex);
+	
+	var Functions = com.qwirx.data.AggregateDatasource.Functions;
+	var group = this.groups_[rowIndex];
+	var record = {};
+	
+	for (var i = 0; i < this.groupBy_.length; i++)
+	{
+		record[this.groupBy_[i]] = group.groupValues[i];
+	}
+	
+	for (var i = 0; i < this.aggregates_.length; i++)
+	{
+		var totals = group.totals[i];
+		var value;
+		
+		switch (this.aggregates_[i].func)
+		{
+		case Functions.COUNT:
+			value = totals.count;
+			break;
+		case Functions.SUM:
+			value = totals.count ? totals.sum + totals.error : null;
+			break;
+		case Functions.AVG:
+			value = totals.count ? (totals.sum + totals.error) /
+				totals.count : null;
+			break;
+		case Functions.MIN:
+			value = totals.min;
+			break;
+		case Functions.MAX:
+			value = totals.max;
+			break;
+		case Functions.COUNT_DISTINCT:
+			value = totals.distinct;
+			break;
+		}
+		
+		record[this.aggregates_[i].name] = value;
+	}
+	
+	return record;
+};
+
+/**
+ * @throws {com.qwirx.data.ReadOnly} always, because the rows are
+ * calculated from the source.
+ */
+com.qwirx.data.AggregateDatasource.prototype.insert = function(rowIndex,
+	newRecord)
+{
+	throw new com.qwirx.data.ReadOnly("Aggregate values can't be " +
+		"inserted; change the source datasource instead");
+};
+
+/**
+ * @throws {com.qwirx.data.ReadOnly} always, because the rows are
+ * calculated from the source.
+ */
+com.qwirx.data.AggregateDatasource.prototype.add = function(newRecord)
+{
+	throw new com.qwirx.data.ReadOnly("Aggregate values can't be " +
+		"added; change the source datasource instead");
+};
+
+/**
+ * @throws {com.qwirx.data.ReadOnly} always, because the rows are
+ * calculated from the source.
+ */
+com.qwirx.data.AggregateDatasource.prototype.replace = function(rowIndex,
+	newRecord)
+{
+	throw new com.qwirx.data.ReadOnly("Aggregate values can't be " +
+		"replaced; change the source datasource instead");
+};
+
+/**
+ * @throws {com.qwirx.data.ReadOnly} always, because the rows are
+ * calculated from the source.
+ */
+com.qwirx.data.AggregateDatasource.prototype.remove = function(rowIndex)
+{
+	throw new com.qwirx.data.ReadOnly("Aggregate values can't be " +
+		"removed; change the source datasource instead");
+};
+
+/**
+ * Handle new rows in the source by adding them to the totals of their
+ * groups. The inserted indexes are the new positions, so they are
+ * inserted into our copy of the rows in ascending order.
+ */
+com.qwirx.data.AggregateDatasource.prototype.handleSourceRowInsert =
+	function(event)
+{
+	var inserted = goog.array.clone(event.getAffectedRows());
+	goog.array.sort(inserted);
+	
+	for (var i = 0; i < inserted.length; i++)
+	{
+		var row = this.createRow_(this.source_.get(inserted[i]));
+		goog.array.insertAt(this.rows_, row, inserted[i]);
+		this.addRow_(row, 1);
+	}
+	
+	this.flushChanges_(true);
+};
+
+/**
+ * Handle updated rows in the source by subtracting their old values
+ * from the totals of their old groups, and adding the new ones to
+ * their new groups, which may be different.
+ */
+com.qwirx.data.AggregateDatasource.prototype.handleSourceRowUpdate =
+	function(event)
+{
+	var updated = event.getAffectedRows();
+	
+	for (var i = 0; i < updated.length; i++)
+	{
+		var row = this.createRow_(this.source_.get(updated[i]));
+		this.addRow_(this.rows_[updated[i]], -1);
+		this.rows_[updated[i]] = row;
+		this.addRow_(row, 1);
+	}
+	
+	this.flushChanges_(true);
+};
+
+/**
+ * Handle deleted rows in the source by subtracting them from the
+ * totals of their groups. The deleted indexes are the old positions,
+ * so they are removed from our copy of the rows in descending order.
+ */
+com.qwirx.data.AggregateDatasource.prototype.handleSourceRowDelete =
+	function(event)
+{
+	var deleted = goog.array.clone(event.getAffectedRows());
+	goog.array.sort(deleted);
+	
+	for (var i = deleted.length - 1; i >= 0; i--)
+	{
+		this.addRow_(this.rows_[deleted[i]], -1);
+		goog.array.removeAt(this.rows_, deleted[i]);
+	}
+	
+	this.flushChanges_(true);
+};
+
+/**
+ * Handle a row moving in the source, for example a sorted view, which
+ * doesn't change any totals, but does change where we keep its copy.
+ */
+com.qwirx.data.AggregateDatasource.prototype.handleSourceRowMove =
+	function(event)
+{
+	goog.array.moveItem(this.rows_, event.getOldRowIndex(),
+		event.getNewRowIndex());
+};
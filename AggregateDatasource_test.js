@@ -0,0 +1,248 @@
+goog.provide('com.qwirx.data.AggregateDatasource_test');
+
+goog.require('com.qwirx.data.AggregateDatasource');
+goog.require('com.qwirx.data.Cursor');
+goog.require('com.qwirx.data.Datasource');
+goog.require('com.qwirx.data.SimpleDatasource');
+goog.require('com.qwirx.data.SortedDatasource');
+goog.require('com.qwirx.test.assertThrows');
+goog.require('goog.testing.jsunit');
+
+function getTestDataSource()
+{
+	var columns = [{name: 'id', caption: 'ID'},
+		{name: 'customer', caption: 'Customer'},
+		{name: 'amount', caption: 'Amount'}];
+	var data = [
+		{id: 1, customer: 'John', amount: 10},
+		{id: 2, customer: 'James', amount: 5},
+		{id: 3, customer: 'John', amount: 20},
+		{id: 4, customer: 'Peter', amount: null},
+		{id: 5, customer: 'John', amount: 10},
+	];
+	return new com.qwirx.data.SimpleDatasource(columns, data);
+}
+
+function getAggregates()
+{
+	var Functions = com.qwirx.data.AggregateDatasource.Functions;
+	return [
+		{name: 'orders', caption: 'Orders', func: Functions.COUNT},
+		{name: 'priced', func: Functions.COUNT, column: 'amount'},
+		{name: 'total', func: Functions.SUM, column: 'amount'},
+		{name: 'average', func: Functions.AVG, column: 'amount'},
+		{name: 'smallest', func: Functions.MIN, column: 'amount'},
+		{name: 'largest', func: Functions.MAX, column: 'amount'},
+		{name: 'amounts', func: Functions.COUNT_DISTINCT, column: 'amount'}
+	];
+}
+
+function getRows(ds)
+{
+	var rows = [];
+	for (var i = 0; i < ds.getCount(); i++)
+	{
+		rows.push(ds.get(i));
+	}
+	return rows;
+}
+
+function test_aggregate_datasource_without_grouping()
+{
+	var source = getTestDataSource();
+	var totals = new com.qwirx.data.AggregateDatasource(source,
+		getAggregates());
+	
+	assertEquals(source, totals.getSource());
+	assertObjectEquals(['orders', 'priced', 'total', 'average',
+		'smallest', 'largest', 'amounts'],
+		goog.array.map(totals.getColumns(), function(column)
+			{
+				return column.name;
+			}));
+	assertEquals('Orders', totals.getColumns()[0].caption);
+	assertEquals('total', totals.getColumns()[2].caption);
+	assertNull(totals.getSortOrder());
+	assertObjectEquals([{orders: 5, priced: 4, total: 45, average: 11.25,
+		smallest: 5, largest: 20, amounts: 3}], getRows(totals));
+	
+	var Events = com.qwirx.data.Datasource.Events;
+	var events = com.qwirx.test.assertEvents(totals, [Events.ROWS_UPDATE],
+		function() { source.remove(1); },
+		"Removing a row should update the totals");
+	assertObjectEquals([0], events[0].getAffectedRows());
+	assertObjectEquals({orders: 4, priced: 3, total: 40,
+		average: 40 / 3, smallest: 10, largest: 20, amounts: 2},
+		totals.get(0));
+	
+	// There is always a row, even if there is nothing to aggregate
+	source.removeRange(0, 4);
+	assertObjectEquals([{orders: 0, priced: 0, total: null,
+		average: null, smallest: null, largest: null, amounts: 0}],
+		getRows(totals));
+	source.add({id: 6, customer: 'Mary', amount: 7});
+	assertObjectEquals({orders: 1, priced: 1, total: 7, average: 7,
+		smallest: 7, largest: 7, amounts: 1}, totals.get(0));
+}
+
+function test_aggregate_datasource_groups_incrementally()
+{
+	var Functions = com.qwirx.data.AggregateDatasource.Functions;
+	var Events = com.qwirx.data.Datasource.Events;
+	var source = getTestDataSource();
+	var byCustomer = new com.qwirx.data.AggregateDatasource(source,
+		[{name: 'total', func: Functions.SUM, column: 'amount'},
+			{name: 'smallest', func: Functions.MIN, column: 'amount'}],
+		['customer']);
+	
+	assertEquals('customer', byCustomer.getColumns()[0].name);
+	assertEquals('Customer', byCustomer.getColumns()[0].caption);
+	assertTrue(byCustomer.getColumns()[0].key);
+	assertObjectEquals([
+		{customer: 'James', total: 5, smallest: 5},
+		{customer: 'John', total: 40, smallest: 10},
+		{customer: 'Peter', total: null, smallest: null}
+	], getRows(byCustomer));
+	
+	// Only the changed rows are read again
+	var reads = 0;
+	var get = source.get;
+	source.get = function(rowIndex)
+	{
+		reads++;
+		return get.call(this, rowIndex);
+	};
+	
+	var events = com.qwirx.test.assertEvents(byCustomer,
+		[Events.ROWS_INSERT, Events.ROWS_UPDATE],
+		function() { source.insert(0, {id: 6, customer: 'Adam',
+			amount: 3}); },
+		"A new customer should add a group", true /* continue */);
+	assertEquals(1, reads);
+	assertEquals(1, events.length);
+	assertEquals(Events.ROWS_INSERT, events[0].type);
+	assertObjectEquals([0], events[0].getAffectedRows());
+	assertObjectEquals({customer: 'Adam', total: 3, smallest: 3},
+		byCustomer.get(0));
+	
+	// Removing the smallest value finds the next smallest
+	events = com.qwirx.test.assertEvents(byCustomer, [Events.ROWS_UPDATE],
+		function() { source.remove(1); },
+		"Removing an order should update its customer's totals");
+	assertObjectEquals([2], events[0].getAffectedRows());
+	assertObjectEquals({customer: 'John', total: 30, smallest: 10},
+		byCustomer.get(2));
+	source.remove(4);
+	assertObjectEquals({customer: 'John', total: 20, smallest: 20},
+		byCustomer.get(2));
+	
+	// Moving an order to another customer updates both
+	events = com.qwirx.test.assertEvents(byCustomer,
+		[Events.ROWS_DELETE, Events.ROWS_UPDATE],
+		function() { source.replace(1, {id: 2, customer: 'Peter',
+			amount: 5}); },
+		"James has no orders left");
+	assertEquals(Events.ROWS_DELETE, events[0].type);
+	assertObjectEquals([1], events[0].getAffectedRows());
+	assertEquals(Events.ROWS_UPDATE, events[1].type);
+	assertObjectEquals([2], events[1].getAffectedRows());
+	assertObjectEquals([
+		{customer: 'Adam', total: 3, smallest: 3},
+		{customer: 'John', total: 20, smallest: 20},
+		{customer: 'Peter', total: 5, smallest: 5}
+	], getRows(byCustomer));
+	assertEquals(4, source.getCount());
+	assertTrue("The source rows should not all be read again", reads < 4);
+}
+
+function test_aggregate_datasource_sum_does_not_drift()
+{
+	var Functions = com.qwirx.data.AggregateDatasource.Functions;
+	var source = new com.qwirx.data.SimpleDatasource([{name: 'amount'}],
+		[{amount: 0.1}]);
+	var totals = new com.qwirx.data.AggregateDatasource(source,
+		[{name: 'total', func: Functions.SUM, column: 'amount'},
+			{name: 'average', func: Functions.AVG, column: 'amount'}]);
+	
+	source.add({amount: 0.2});
+	source.remove(1);
+	assertObjectEquals("Subtracting a value should give the old sum back",
+		{total: 0.1, average: 0.1}, totals.get(0));
+	
+	for (var i = 0; i < 10; i++)
+	{
+		source.add({amount: 0.7});
+		source.replace(1, {amount: 0.3});
+		source.remove(1);
+	}
+	assertObjectEquals({total: 0.1, average: 0.1}, totals.get(0));
+	
+	source.replace(0, {amount: null});
+	source.add({amount: 0.3});
+	assertObjectEquals({total: 0.3, average: 0.3}, totals.get(0));
+}
+
+function test_aggregate_datasource_with_several_groups_and_views()
+{
+	var Functions = com.qwirx.data.AggregateDatasource.Functions;
+	var source = getTestDataSource();
+	source.add({id: 6, customer: null, amount: 1});
+	var sorted = new com.qwirx.data.SortedDatasource(source,
+		[{name: 'amount'}]);
+	var counts = new com.qwirx.data.AggregateDatasource(sorted,
+		[{name: 'orders', func: Functions.COUNT}], ['customer', 'amount']);
+	
+	assertEquals(2, counts.getSortOrder().length);
+	assertObjectEquals([
+		{customer: null, amount: 1, orders: 1},
+		{customer: 'James', amount: 5, orders: 1},
+		{customer: 'John', amount: 10, orders: 2},
+		{customer: 'John', amount: 20, orders: 1},
+		{customer: 'Peter', amount: null, orders: 1}
+	], getRows(counts));
+	
+	// The view follows rows that move in its source
+	source.replace(0, {id: 1, customer: 'John', amount: 30});
+	source.remove(2);
+	assertObjectEquals([
+		{customer: null, amount: 1, orders: 1},
+		{customer: 'James', amount: 5, orders: 1},
+		{customer: 'John', amount: 10, orders: 1},
+		{customer: 'John', amount: 30, orders: 1},
+		{customer: 'Peter', amount: null, orders: 1}
+	], getRows(counts));
+	
+	// Cursors can read it, and find groups by key, but not write to it
+	var c = new com.qwirx.data.Cursor(counts);
+	assertTrue(c.moveToKey(['John', 30]));
+	assertEquals(3, c.getPosition());
+	c.setFieldValue('orders', 2);
+	com.qwirx.test.assertThrows(com.qwirx.data.ReadOnly,
+		function(){c.save();},
+		"Aggregate values can't be saved");
+	com.qwirx.test.assertThrows(com.qwirx.data.ReadOnly,
+		function(){counts.add({customer: 'Mary', amount: 1, orders: 1});},
+		"Aggregate values can't be added");
+	
+	com.qwirx.test.assertThrows(com.qwirx.data.NoSuchField,
+		function()
+		{
+			new com.qwirx.data.AggregateDatasource(source,
+				[{name: 'total', func: Functions.SUM, column: 'price'}]);
+		},
+		"The aggregated column must exist");
+	com.qwirx.test.assertThrows(com.qwirx.data.NoSuchField,
+		function()
+		{
+			new com.qwirx.data.AggregateDatasource(source,
+				[{name: 'orders', func: Functions.COUNT}], ['country']);
+		},
+		"The grouped column must exist");
+	com.qwirx.test.assertThrows(com.qwirx.util.Exception,
+		function()
+		{
+			new com.qwirx.data.AggregateDatasource(source,
+				[{name: 'total', func: Functions.SUM}]);
+		},
+		"SUM needs a column");
+}
@@ -0,0 +1,363 @@
+/*
+	@fileoverview Defines the {com.qwirx.data.AsyncDatasource} interface,
+	an asynchronous version of {com.qwirx.data.Datasource} for data which
+	is not available immediately, for example from a server; and the
+	{com.qwirx.data.AsyncDatasourceAdapter} class, which makes any
+	Datasource look asynchronous.
+*/
+
+goog.provide('com.qwirx.data.AsyncDatasource');
+goog.provide('com.qwirx.data.AsyncDatasourceAdapter');
+
+goog.require('com.qwirx.data.Datasource');
+goog.require('com.qwirx.data.Schema');
+goog.require('goog.Timer');
+goog.require('goog.array');
+goog.require('goog.async.Deferred');
+goog.require('goog.events.EventTarget');
+goog.require('goog.object');
+
+/**
+ * An asynchronous datasource has the same methods as a
+ * {com.qwirx.data.Datasource}, except that the ones which read or write
+ * records return a {goog.async.Deferred} instead of returning their
+ * result directly or throwing an exception. The Deferred fires with
+ * the result, or fails with the exception that the synchronous method
+ * would have thrown, such as {com.qwirx.data.NoSuchRecord} or
+ * {com.qwirx.data.ConcurrentModification}.
+ *
+ * The columns are metadata, which must be known when the datasource is
+ * created, so {#getColumns} and {#getSchema} are still synchronous.
+ *
+ * Asynchronous datasources send the same
+ * {com.qwirx.data.Datasource.RowEvent}s as synchronous ones, when the
+ * changes have actually happened, which may be before or after the
+ * Deferred returned by the method that made them fires.
+ *
+ * A {com.qwirx.data.Cursor} on an asynchronous datasource works in
+ * asynchronous mode, in which its movement methods and {#save} return
+ * Deferreds too.
+ *
+ * This needs its own constructor function, rather than
+ * {goog.nullFunction}, so that it can be distinguished from a
+ * synchronous Datasource with <code>instanceof</code>.
+ *
+ * @constructor
+ */
+com.qwirx.data.AsyncDatasource = function() {};
+
+goog.inherits(com.qwirx.data.AsyncDatasource, goog.events.EventTarget);
+
+/**
+ * @return the column definitions, as returned by
+ * {com.qwirx.data.SimpleDatasource#getColumns}.
+ */
+com.qwirx.data.AsyncDatasource.prototype.getColumns = goog.abstractMethod;
+
+/**
+ * @return a {com.qwirx.data.Schema} which can be used to validate
+ * records and field values against the columns of this datasource.
+ */
+com.qwirx.data.AsyncDatasource.prototype.getSchema = function()
+{
+	return new com.qwirx.data.Schema(this.getColumns());
+};
+
+/**
+ * @return {goog.async.Deferred} which fires with the number of rows,
+ * or null if it's not known.
+ */
+com.qwirx.data.AsyncDatasource.prototype.getCount = goog.abstractMethod;
+
+/**
+ * @return {goog.async.Deferred} which fires with the record at the
+ * specified row index.
+ */
+com.qwirx.data.AsyncDatasource.prototype.get = goog.abstractMethod;
+
+/**
+ * @return {goog.async.Deferred} which fires with an array of the
+ * records in the specified range of rows, like
+ * {com.qwirx.data.Datasource#getRange}.
+ */
+com.qwirx.data.AsyncDatasource.prototype.getRange = goog.abstractMethod;
+
+/**
+ * @return {goog.async.Deferred} which fires with the index of the row
+ * with the specified primary key, or -1 if there is none, like
+ * {com.qwirx.data.Datasource#indexOfKey}.
+ */
+com.qwirx.data.AsyncDatasource.prototype.indexOfKey = goog.abstractMethod;
+
+/**
+ * @return {goog.async.Deferred} which fires when the new record has
+ * been inserted at the specified row index.
+ */
+com.qwirx.data.AsyncDatasource.prototype.insert = goog.abstractMethod;
+
+/**
+ * @return {goog.async.Deferred} which fires with the row index of the
+ * new record when it has been added.
+ */
+com.qwirx.data.AsyncDatasource.prototype.add = goog.abstractMethod;
+
+/**
+ * @return {goog.async.Deferred} which fires when the record at the
+ * specified row index has been replaced.
+ */
+com.qwirx.data.AsyncDatasource.prototype.replace = goog.abstractMethod;
+
+/**
+ * @return {goog.async.Deferred} which fires when the record at the
+ * specified row index has been removed.
+ */
+com.qwirx.data.AsyncDatasource.prototype.remove = goog.abstractMethod;
+
+/**
+ * @return {goog.async.Deferred} which fires when the record has been
+ * replaced, or fails with a {com.qwirx.data.ConcurrentModification} if
+ * its current values don't match the expected ones, like
+ * {com.qwirx.data.Datasource#atomicReplace}.
+ */
+com.qwirx.data.AsyncDatasource.prototype.atomicReplace = goog.abstractMethod;
+
+/**
+ * @return {goog.async.Deferred} which fires with the values that were
+ * written when the record has been merged and replaced, or fails with a
+ * {com.qwirx.data.ConcurrentModification} listing the conflicting
+ * fields, like {com.qwirx.data.Datasource#atomicMerge}.
+ */
+com.qwirx.data.AsyncDatasource.prototype.atomicMerge = goog.abstractMethod;
+
+/**
+ * @return {goog.async.Deferred} which fires when the record has been
+ * removed, or fails with a {com.qwirx.data.ConcurrentModification} if
+ * its current values don't match the expected ones, like
+ * {com.qwirx.data.Datasource#atomicRemove}.
+ */
+com.qwirx.data.AsyncDatasource.prototype.atomicRemove = goog.abstractMethod;
+
+/**
+ * @return the version of the specified row, like
+ * {com.qwirx.data.Datasource#getVersion}, as far as it's known without
+ * asking again, which is usually when the row was last read or
+ * written. This returns it directly, so that a
+ * {com.qwirx.data.Cursor} can record it when it loads the row, and
+ * pass it to {#atomicReplace} and {#atomicRemove} instead of the
+ * loaded values. The default implementation returns undefined, because
+ * versions are not kept.
+ */
+com.qwirx.data.AsyncDatasource.prototype.getVersion = function(rowIndex)
+{
+	return undefined;
+};
+
+/**
+ * Register a {com.qwirx.data.Cursor} as editing its current record.
+ * The registry is kept locally, so these methods are synchronous, and
+ * the same as {com.qwirx.data.Datasource#addEditor},
+ * {com.qwirx.data.Datasource#removeEditor} and
+ * {com.qwirx.data.Datasource#getEditors}.
+ */
+com.qwirx.data.AsyncDatasource.prototype.addEditor =
+	com.qwirx.data.Datasource.prototype.addEditor;
+
+com.qwirx.data.AsyncDatasource.prototype.removeEditor =
+	com.qwirx.data.Datasource.prototype.removeEditor;
+
+com.qwirx.data.AsyncDatasource.prototype.getEditors =
+	com.qwirx.data.Datasource.prototype.getEditors;
+
+/**
+ * Makes a synchronous {com.qwirx.data.Datasource} look like a
+ * {com.qwirx.data.AsyncDatasource}. Each method calls the same method
+ * of the source, and returns a {goog.async.Deferred} which fires with
+ * its result, or fails with the exception that it threw. The call is
+ * made later, by {#schedule}, so that code which uses asynchronous
+ * datasources can be tested without a server. RowEvents sent by the
+ * source are sent on by the adapter.
+ *
+ * @param {com.qwirx.data.Datasource} source The datasource to wrap.
+ * @param {number=} opt_delay The time to wait before each call, in
+ * milliseconds, which defaults to zero.
+ * @constructor
+ */
+com.qwirx.data.AsyncDatasourceAdapter = function(source, opt_delay)
+{
+	this.source_ = source;
+	this.delay_ = opt_delay || 0;
+	
+	var Events = com.qwirx.data.Datasource.Events;
+	source.addEventListener(Events.ROWS_INSERT, this.handleSourceRowEvent,
+		false /* capture */, this /* scope */);
+	source.addEventListener(Events.ROWS_UPDATE, this.handleSourceRowEvent,
+		false /* capture */, this /* scope */);
+	source.addEventListener(Events.ROWS_DELETE, this.handleSourceRowEvent,
+		false /* capture */, this /* scope */);
+	source.addEventListener(Events.ROWS_MOVE, this.handleSourceRowEvent,
+		false /* capture */, this /* scope */);
+};
+
+goog.inherits(com.qwirx.data.AsyncDatasourceAdapter,
+	com.qwirx.data.AsyncDatasource);
+
+/**
+ * @return the synchronous datasource wrapped by this adapter.
+ */
+com.qwirx.data.AsyncDatasourceAdapter.prototype.getSource = function()
+{
+	return this.source_;
+};
+
+/**
+ * Send a copy of a RowEvent from the source to our own listeners.
+ */
+com.qwirx.data.AsyncDatasourceAdapter.prototype.handleSourceRowEvent =
+	function(event)
+{
+	if (event instanceof com.qwirx.data.Datasource.RowMoveEvent)
+	{
+		this.dispatchEvent(new com.qwirx.data.Datasource.RowMoveEvent(
+			event.getOldRowIndex(), event.getNewRowIndex()));
+	}
+	else
+	{
+		this.dispatchEvent(new com.qwirx.data.Datasource.RowEvent(
+			event.type, event.getAffectedRows()));
+	}
+};
+
+/**
+ * Arrange for the callback to be called later. This implementation
+ * uses a timer, with the delay passed to the constructor. Tests may
+ * override it to control the order in which calls complete.
+ *
+ * @param {function()} callback The function to call.
+ */
+com.qwirx.data.AsyncDatasourceAdapter.prototype.schedule =
+	function(callback)
+{
+	goog.Timer.callOnce(callback, this.delay_);
+};
+
+/**
+ * Call the named method of the source with the supplied arguments,
+ * when {#schedule} says so.
+ * @return {goog.async.Deferred} which fires with its result, or fails
+ * with the exception that it threw.
+ * @private
+ */
+com.qwirx.data.AsyncDatasourceAdapter.prototype.call_ = function(method,
+	args)
+{
+	var source = this.source_;
+	var deferred = new goog.async.Deferred();
+	
+	// Copy the records now, as a server would, in case the caller
+	// changes them before the call is made.
+	args = goog.array.map(args, function(arg)
+		{
+			return goog.isArray(arg) ? goog.array.clone(arg) :
+				goog.isObject(arg) ? goog.object.clone(arg) : arg;
+		});
+	
+	this.schedule(function()
+		{
+			var result;
+			
+			try
+			{
+				result = source[method].apply(source, args);
+			}
+			catch (exception)
+			{
+				deferred.errback(exception);
+				return;
+			}
+			
+			deferred.callback(result);
+		});
+	
+	return deferred;
+};
+
+com.qwirx.data.AsyncDatasourceAdapter.prototype.getColumns = function()
+{
+	return this.source_.getColumns();
+};
+
+com.qwirx.data.AsyncDatasourceAdapter.prototype.getSchema = function()
+{
+	return this.source_.getSchema();
+};
+
+/**
+ * Returns the source's current version of the row.
+ * @override
+ */
+com.qwirx.data.AsyncDatasourceAdapter.prototype.getVersion =
+	function(rowIndex)
+{
+	return this.source_.getVersion(rowIndex);
+};
+
+com.qwirx.data.AsyncDatasourceAdapter.prototype.getCount = function()
+{
+	return this.call_('getCount', arguments);
+};
+
+com.qwirx.data.AsyncDatasourceAdapter.prototype.get = function(rowIndex)
+{
+	return this.call_('get', arguments);
+};
+
+com.qwirx.data.AsyncDatasourceAdapter.prototype.getRange =
+	function(start, count)
+{
+	return this.call_('getRange', arguments);
+};
+
+com.qwirx.data.AsyncDatasourceAdapter.prototype.indexOfKey = function(key)
+{
+	return this.call_('indexOfKey', arguments);
+};
+
+com.qwirx.data.AsyncDatasourceAdapter.prototype.insert =
+	function(rowIndex, newRecord)
+{
+	return this.call_('insert', arguments);
+};
+
+com.qwirx.data.AsyncDatasourceAdapter.prototype.add = function(newRecord)
+{
+	return this.call_('add', arguments);
+};
+
+com.qwirx.data.AsyncDatasourceAdapter.prototype.replace =
+	function(rowIndex, newRecord)
+{
+	return this.call_('replace', arguments);
+};
+
+com.qwirx.data.AsyncDatasourceAdapter.prototype.remove = function(rowIndex)
+{
+	return this.call_('remove', arguments);
+};
+
+com.qwirx.data.AsyncDatasourceAdapter.prototype.atomicReplace =
+	function(rowIndex, expectedCurrentValues, newValues)
+{
+	return this.call_('atomicReplace', arguments);
+};
+
+com.qwirx.data.AsyncDatasourceAdapter.prototype.atomicMerge =
+	function(rowIndex, baseValues, newValues)
+{
+	return this.call_('atomicMerge', arguments);
+};
+
+com.qwirx.data.AsyncDatasourceAdapter.prototype.atomicRemove =
+	function(rowIndex, expectedCurrentValues)
+{
+	return this.call_('atomicRemove', arguments);
+};
@@ -0,0 +1,147 @@
+goog.provide('com.qwirx.data.AsyncDatasource_test');
+
+goog.require('com.qwirx.data.AsyncDatasource');
+goog.require('com.qwirx.data.AsyncDatasourceAdapter');
+goog.require('com.qwirx.data.Datasource');
+goog.require('com.qwirx.data.SimpleDatasource');
+goog.require('goog.testing.jsunit');
+
+function getTestDataSource()
+{
+	var columns = [{name: 'id', caption: 'ID'},
+		{name: 'name', caption: 'Name'}];
+	var data = [
+		{id: 1, name: 'John'},
+		{id: 2, name: 'James'},
+		{id: 5, name: 'Peter'},
+	];
+	return new com.qwirx.data.SimpleDatasource(columns, data);
+}
+
+/**
+ * An adapter whose calls are only made when the test calls
+ * {#flush}, so that it can check what happens in between.
+ */
+function ManualAdapter(source)
+{
+	com.qwirx.data.AsyncDatasourceAdapter.call(this, source);
+	this.pending = [];
+}
+
+goog.inherits(ManualAdapter, com.qwirx.data.AsyncDatasourceAdapter);
+
+ManualAdapter.prototype.schedule = function(callback)
+{
+	this.pending.push(callback);
+};
+
+ManualAdapter.prototype.flush = function()
+{
+	while (this.pending.length)
+	{
+		this.pending.shift()();
+	}
+};
+
+function test_adapter_returns_results_later()
+{
+	var ds = getTestDataSource();
+	var async = new ManualAdapter(ds);
+	assertTrue(async instanceof com.qwirx.data.AsyncDatasource);
+	assertFalse(ds instanceof com.qwirx.data.AsyncDatasource);
+	assertObjectEquals(ds.getColumns(), async.getColumns());
+	
+	var results = [];
+	async.getCount().addCallback(function(count) { results.push(count); });
+	async.get(1).addCallback(function(record) { results.push(record); });
+	assertObjectEquals("nothing should happen until the calls are made",
+		[], results);
+	
+	async.flush();
+	assertObjectEquals([3, {id: 2, name: 'James'}], results);
+	
+	// The new record is copied when the call is requested, not when
+	// it's made, like sending it to a server.
+	var record = {id: 7, name: 'Paul'};
+	async.add(record).addCallback(function(rowIndex)
+		{
+			results.push(rowIndex);
+		});
+	record.name = 'Mary';
+	async.flush();
+	assertEquals(3, results[2]);
+	assertObjectEquals({id: 7, name: 'Paul'}, ds.get(3));
+	
+	async.getRange(1, 2).addCallback(function(records)
+		{
+			results.push(records);
+		});
+	async.flush();
+	assertObjectEquals([{id: 2, name: 'James'}, {id: 5, name: 'Peter'}],
+		results[3]);
+}
+
+function test_adapter_fails_with_exceptions_from_source()
+{
+	var ds = getTestDataSource();
+	var async = new ManualAdapter(ds);
+	var errors = [];
+	
+	function fail(error)
+	{
+		errors.push(error);
+		return null;
+	}
+	
+	async.get(3).addErrback(fail);
+	async.atomicReplace(0, {id: 1, name: 'Bob'},
+		{id: 1, name: 'Fred'}).addErrback(fail);
+	async.atomicRemove(1, {id: 2, name: 'James'}).addErrback(fail);
+	async.flush();
+	
+	assertEquals(2, errors.length);
+	assertTrue(errors[0] instanceof com.qwirx.data.NoSuchRecord);
+	assertTrue(errors[1] instanceof com.qwirx.data.ConcurrentModification);
+	assertObjectEquals("the failed replace should not have changed " +
+		"anything", {id: 1, name: 'John'}, ds.get(0));
+	assertEquals("the successful remove should have happened", 2,
+		ds.getCount());
+}
+
+function test_adapter_sends_row_events_from_source()
+{
+	var ds = getTestDataSource();
+	var async = new ManualAdapter(ds);
+	var events = [];
+	var Events = com.qwirx.data.Datasource.Events;
+	
+	function record(event)
+	{
+		events.push(event);
+	}
+	
+	async.addEventListener(Events.ROWS_INSERT, record);
+	async.addEventListener(Events.ROWS_DELETE, record);
+	async.addEventListener(Events.ROWS_MOVE, record);
+	
+	async.insert(1, {id: 3, name: 'Mary'});
+	assertEquals("the event should be sent when the change is made", 0,
+		events.length);
+	async.flush();
+	assertEquals(1, events.length);
+	assertEquals(Events.ROWS_INSERT, events[0].type);
+	assertObjectEquals([1], events[0].getAffectedRows());
+	assertEquals(async, events[0].target);
+	
+	ds.remove(0);
+	assertEquals("changes made directly to the source are also sent", 2,
+		events.length);
+	assertEquals(Events.ROWS_DELETE, events[1].type);
+	assertObjectEquals([0], events[1].getAffectedRows());
+	
+	ds.dispatchEvent(new com.qwirx.data.Datasource.RowMoveEvent(0, 2));
+	assertEquals(3, events.length);
+	assertTrue(events[2] instanceof com.qwirx.data.Datasource.RowMoveEvent);
+	assertEquals(0, events[2].getOldRowIndex());
+	assertEquals(2, events[2].getNewRowIndex());
+}
@@ -0,0 +1,202 @@
+/*
+	@fileoverview Defines the {com.qwirx.data.Bookmark} class, which
+	keeps track of a record of a {com.qwirx.data.Datasource} as rows
+	are inserted, deleted and moved, like an Access Recordset bookmark.
+*/
+
+goog.provide('com.qwirx.data.Bookmark');
+goog.provide('com.qwirx.data.RecordDeleted');
+
+goog.require('com.qwirx.data.Datasource');
+goog.require('com.qwirx.util.Exception');
+goog.require('goog.array');
+
+/**
+ * An exception thrown by {@link com.qwirx.data.Bookmark#getPosition}
+ * and {@link com.qwirx.data.Cursor#setBookmark} if the bookmarked
+ * record has been deleted, or the bookmark has been released.
+ * @constructor
+ */
+com.qwirx.data.RecordDeleted = function(message)
+{
+	goog.base(this, message);
+};
+goog.inherits(com.qwirx.data.RecordDeleted, com.qwirx.util.Exception);
+
+/**
+ * A bookmark of a record in a datasource, which is usually created by
+ * {com.qwirx.data.Cursor#getBookmark} and passed back to
+ * {com.qwirx.data.Cursor#setBookmark} to return to the same record,
+ * for example to restore the selection after the data has changed.
+ *
+ * Unlike a row index, it keeps pointing to the same record when rows
+ * are inserted or deleted before it, or it moves to a different
+ * position, for example because the datasource is a
+ * {com.qwirx.data.SortedDatasource} and the record was updated. It
+ * does this by following the {com.qwirx.data.Datasource.RowEvent}s
+ * sent by the datasource, so it works with any datasource, including
+ * views and asynchronous datasources, but only for changes that the
+ * datasource sends events about.
+ *
+ * When the record is deleted, or disappears from a view such as a
+ * {com.qwirx.data.FilteredDatasource}, the bookmark stops following it
+ * for good, and {#getPosition} throws a
+ * {com.qwirx.data.RecordDeleted} exception.
+ *
+ * Bookmarks are opaque: only use their methods, and only with the
+ * datasource that they belong to. Call {#release} when you don't need
+ * one any more, so that the datasource doesn't keep sending it events.
+ *
+ * @param {com.qwirx.data.Datasource|com.qwirx.data.AsyncDatasource}
+ * dataSource The datasource that the record belongs to.
+ * @param {number} rowIndex The current position of the record.
+ * @constructor
+ */
+com.qwirx.data.Bookmark = function(dataSource, rowIndex)
+{
+	this.dataSource_ = dataSource;
+	this.position_ = rowIndex;
+	this.released_ = false;
+	
+	var Events = com.qwirx.data.Datasource.Events;
+	dataSource.addEventListener(Events.ROWS_INSERT, this.handleRowInsert_,
+		false /* capture */, this /* scope */);
+	dataSource.addEventListener(Events.ROWS_DELETE, this.handleRowDelete_,
+		false /* capture */, this /* scope */);
+	dataSource.addEventListener(Events.ROWS_MOVE, this.handleRowMove_,
+		false /* capture */, this /* scope */);
+};
+
+/**
+ * @return the datasource that the bookmarked record belongs to.
+ */
+com.qwirx.data.Bookmark.prototype.getDataSource = function()
+{
+	return this.dataSource_;
+};
+
+/**
+ * @return true if the bookmarked record still exists, and the bookmark
+ * has not been released.
+ */
+com.qwirx.data.Bookmark.prototype.isValid = function()
+{
+	return this.position_ != null;
+};
+
+/**
+ * @return the current position (row index) of the bookmarked record.
+ * @throws {com.qwirx.data.RecordDeleted} if the record no longer
+ * exists, or the bookmark has been released.
+ */
+com.qwirx.data.Bookmark.prototype.getPosition = function()
+{
+	if (this.released_)
+	{
+		throw new com.qwirx.data.RecordDeleted("This bookmark has been " +
+			"released, so it no longer points to a record");
+	}
+	else if (this.position_ == null)
+	{
+		throw new com.qwirx.data.RecordDeleted("The bookmarked record " +
+			"no longer exists");
+	}
+	
+	return this.position_;
+};
+
+/**
+ * Stop following the bookmarked record. The bookmark can't be used
+ * after this.
+ */
+com.qwirx.data.Bookmark.prototype.release = function()
+{
+	if (this.released_)
+	{
+		return;
+	}
+	
+	var Events = com.qwirx.data.Datasource.Events;
+	this.dataSource_.removeEventListener(Events.ROWS_INSERT,
+		this.handleRowInsert_, false /* capture */, this /* scope */);
+	this.dataSource_.removeEventListener(Events.ROWS_DELETE,
+		this.handleRowDelete_, false /* capture */, this /* scope */);
+	this.dataSource_.removeEventListener(Events.ROWS_MOVE,
+		this.handleRowMove_, false /* capture */, this /* scope */);
+	this.position_ = null;
+	this.released_ = true;
+};
+
+/**
+ * Follow the record down past rows inserted at or before it. The
+ * affected rows are the positions of the new rows, in ascending order.
+ * @private
+ */
+com.qwirx.data.Bookmark.prototype.handleRowInsert_ = function(event)
+{
+	var affected = event.getAffectedRows();
+	
+	for (var i = 0; this.position_ != null && i < affected.length; i++)
+	{
+		if (affected[i] <= this.position_)
+		{
+			this.position_++;
+		}
+	}
+};
+
+/**
+ * Follow the record up past rows deleted before it, or forget it if
+ * it was deleted itself. The affected rows are the positions that the
+ * rows had before they were deleted.
+ * @private
+ */
+com.qwirx.data.Bookmark.prototype.handleRowDelete_ = function(event)
+{
+	var position = this.position_;
+	var affected = event.getAffectedRows();
+	
+	if (position == null)
+	{
+		return;
+	}
+	else if (goog.array.contains(affected, position))
+	{
+		this.position_ = null;
+		return;
+	}
+	
+	this.position_ -= goog.array.count(affected, function(rowIndex)
+		{
+			return rowIndex < position;
+		});
+};
+
+/**
+ * Follow the record if it moved, or was shifted by another row moving
+ * past it.
+ * @private
+ */
+com.qwirx.data.Bookmark.prototype.handleRowMove_ = function(event)
+{
+	var oldRowIndex = event.getOldRowIndex();
+	var newRowIndex = event.getNewRowIndex();
+	var position = this.position_;
+	
+	if (position == null)
+	{
+		return;
+	}
+	else if (position == oldRowIndex)
+	{
+		this.position_ = newRowIndex;
+	}
+	else if (oldRowIndex < position && position <= newRowIndex)
+	{
+		this.position_--;
+	}
+	else if (newRowIndex <= position && position < oldRowIndex)
+	{
+		this.position_++;
+	}
+};
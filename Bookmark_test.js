@@ -0,0 +1,152 @@
+goog.provide('com.qwirx.data.Bookmark_test');
+
+goog.require('com.qwirx.data.AsyncDatasourceAdapter');
+goog.require('com.qwirx.data.Bookmark');
+goog.require('com.qwirx.data.Cursor');
+goog.require('com.qwirx.data.FilteredDatasource');
+goog.require('com.qwirx.data.SimpleDatasource');
+goog.require('com.qwirx.data.SortedDatasource');
+goog.require('com.qwirx.test.assertThrows');
+goog.require('goog.testing.jsunit');
+
+function getTestDataSource()
+{
+	var columns = [{name: 'id', caption: 'ID'},
+		{name: 'name', caption: 'Name'}];
+	var data = [
+		{id: 1, name: 'John'},
+		{id: 2, name: 'James'},
+		{id: 5, name: 'Peter'},
+	];
+	return new com.qwirx.data.SimpleDatasource(columns, data);
+}
+
+function test_bookmark_follows_inserts_and_deletes()
+{
+	var ds = getTestDataSource();
+	var bookmark = new com.qwirx.data.Bookmark(ds, 1); // James
+	assertEquals(ds, bookmark.getDataSource());
+	
+	ds.insertRange(0, [{id: 0, name: 'Adam'}, {id: 3, name: 'Andrew'}]);
+	assertEquals(3, bookmark.getPosition());
+	ds.insert(4, {id: 4, name: 'Philip'});
+	assertEquals("Inserting after the record should not move it",
+		3, bookmark.getPosition());
+	ds.removeRange(0, 2);
+	assertEquals(1, bookmark.getPosition());
+	ds.remove(2);
+	assertEquals(1, bookmark.getPosition());
+	assertEquals('James', ds.get(bookmark.getPosition()).name);
+	assertTrue(bookmark.isValid());
+	
+	ds.remove(1);
+	assertFalse(bookmark.isValid());
+	com.qwirx.test.assertThrows(com.qwirx.data.RecordDeleted,
+		function(){bookmark.getPosition();},
+		"The bookmarked record was deleted");
+	ds.insert(0, {id: 2, name: 'James'});
+	assertFalse("A deleted record can't come back", bookmark.isValid());
+	
+	var other = new com.qwirx.data.Bookmark(ds, 0);
+	other.release();
+	ds.insert(0, {id: 0, name: 'Adam'});
+	com.qwirx.test.assertThrows(com.qwirx.data.RecordDeleted,
+		function(){other.getPosition();},
+		"A released bookmark can't be used");
+}
+
+function test_bookmark_follows_views()
+{
+	var ds = getTestDataSource();
+	var sorted = new com.qwirx.data.SortedDatasource(ds,
+		[{name: 'name'}]);
+	var filtered = new com.qwirx.data.FilteredDatasource(ds,
+		function(record) { return record.id < 5; });
+	var john = new com.qwirx.data.Bookmark(sorted, 1);
+	var peter = new com.qwirx.data.Bookmark(sorted, 2);
+	var james = new com.qwirx.data.Bookmark(filtered, 1);
+	
+	// Re-sorting moves the records in the view
+	ds.replace(0, {id: 1, name: 'Zebedee'});
+	assertEquals(2, john.getPosition());
+	assertEquals(1, peter.getPosition());
+	assertEquals('Peter', sorted.get(peter.getPosition()).name);
+	ds.insert(0, {id: 0, name: 'Adam'});
+	assertEquals(3, john.getPosition());
+	assertEquals(2, james.getPosition());
+	
+	// A record which disappears from a view is gone from there
+	ds.replace(2, {id: 6, name: 'James'});
+	assertFalse(james.isValid());
+	assertEquals('Zebedee', sorted.get(john.getPosition()).name);
+}
+
+function test_cursor_get_and_set_bookmark()
+{
+	var ds = getTestDataSource();
+	var sorted = new com.qwirx.data.SortedDatasource(ds,
+		[{name: 'name'}]);
+	var c = new com.qwirx.data.Cursor(sorted);
+	
+	com.qwirx.test.assertThrows(com.qwirx.data.NoCurrentRecord,
+		function(){c.getBookmark();},
+		"There is no record to bookmark at BOF");
+	c.moveNew();
+	com.qwirx.test.assertThrows(com.qwirx.data.NoCurrentRecord,
+		function(){c.getBookmark();},
+		"A NEW record can't be bookmarked");
+	
+	c.setPosition(1); // John
+	var bookmark = c.getBookmark();
+	ds.insert(0, {id: 0, name: 'Adam'});
+	ds.replace(2, {id: 2, name: 'Zebedee'}); // James
+	c.moveFirst();
+	c.setBookmark(bookmark);
+	assertEquals(1, c.getPosition());
+	assertEquals('John', c.getCurrentValues().name);
+	
+	ds.remove(1); // John
+	c.moveFirst();
+	com.qwirx.test.assertThrows(com.qwirx.data.RecordDeleted,
+		function(){c.setBookmark(bookmark);},
+		"The bookmarked record was deleted");
+	assertEquals("The cursor should not have moved", 0, c.getPosition());
+	
+	var other = new com.qwirx.data.Cursor(ds);
+	other.moveFirst();
+	com.qwirx.test.assertThrows(com.qwirx.data.IllegalMove,
+		function(){c.setBookmark(other.getBookmark());},
+		"The bookmark belongs to a different datasource");
+}
+
+function test_cursor_async_set_bookmark()
+{
+	var ds = getTestDataSource();
+	var async = new com.qwirx.data.AsyncDatasourceAdapter(ds);
+	var pending = [];
+	async.schedule = function(callback)
+	{
+		pending.push(callback);
+	};
+	function flush()
+	{
+		while (pending.length)
+		{
+			pending.shift()();
+		}
+	}
+	
+	var c = new com.qwirx.data.Cursor(async);
+	c.setPosition(2); // Peter
+	flush();
+	var bookmark = c.getBookmark();
+	c.moveFirst();
+	flush();
+	
+	// The record moves after the call is queued, but before it's made
+	c.setBookmark(bookmark);
+	ds.insert(0, {id: 0, name: 'Adam'});
+	flush();
+	assertEquals(3, c.getPosition());
+	assertEquals('Peter', c.getCurrentValues().name);
+}
@@ -0,0 +1,468 @@
+/*
+	@fileoverview Defines {com.qwirx.data.Csv}, which reads
+	{com.qwirx.data.Datasource}s from, and writes them to, comma-separated
+	values (CSV) text, as described in RFC 4180.
+*/
+
+goog.provide('com.qwirx.data.Csv');
+goog.provide('com.qwirx.data.CsvError');
+
+goog.require('com.qwirx.data.Cursor');
+goog.require('com.qwirx.data.Datasource');
+goog.require('com.qwirx.data.PageCache');
+goog.require('com.qwirx.data.Schema');
+goog.require('com.qwirx.data.SimpleDatasource');
+goog.require('com.qwirx.data.ValidationFailed');
+goog.require('com.qwirx.util.Exception');
+goog.require('goog.array');
+
+/**
+ * An exception thrown by {com.qwirx.data.Csv.read} if the text is not
+ * valid CSV, or doesn't match the columns.
+ *
+ * @param {string} message What is wrong.
+ * @param {number} row The number of the record where the problem was
+ * found, starting from 1, which is the header.
+ * @param {number} column The number of the field in that record,
+ * starting from 1.
+ * @param {number} line The number of the line of text where the record
+ * starts, starting from 1, which is different from the row number if
+ * any earlier values contain line breaks.
+ * @constructor
+ */
+com.qwirx.data.CsvError = function(message, row, column, line)
+{
+	goog.base(this, message + " at row " + row + ", column " + column +
+		" (line " + line + ")");
+	this.row_ = row;
+	this.column_ = column;
+	this.line_ = line;
+};
+goog.inherits(com.qwirx.data.CsvError, com.qwirx.util.Exception);
+com.qwirx.data.CsvError.prototype.getRow = function()
+{
+	return this.row_;
+};
+com.qwirx.data.CsvError.prototype.getColumn = function()
+{
+	return this.column_;
+};
+com.qwirx.data.CsvError.prototype.getLine = function()
+{
+	return this.line_;
+};
+
+/**
+ * The line break written between records, as RFC 4180 requires. Any
+ * of CRLF, LF or CR are accepted when reading.
+ */
+com.qwirx.data.Csv.LINE_BREAK = '\r\n';
+
+/**
+ * Split CSV text into records and fields. Fields may be enclosed in
+ * double quotes, in which case they may contain commas, line breaks
+ * and double quotes, which are written twice.
+ *
+ * @param {string} text The CSV text.
+ * @param {Array.<number>=} opt_lines If supplied, the number of the line
+ * of text where each record starts is appended to it.
+ * @return {Array.<Array.<string>>} the records, each an array of field
+ * values. A line break at the end of the text does not start another
+ * record.
+ * @throws {com.qwirx.data.CsvError} if a quoted field is not closed, or
+ * is followed by anything except a comma or a line break, or if an
+ * unquoted field contains a double quote.
+ */
+com.qwirx.data.Csv.parse = function(text, opt_lines)
+{
+	var records = [];
+	var record = [];
+	var line = 1;
+	var recordLine = line;
+	var i = 0;
+	
+	function fail(message)
+	{
+		throw new com.qwirx.data.CsvError(message, records.length + 1,
+			record.length + 1, recordLine);
+	}
+	
+	while (i < text.length)
+	{
+		var value = '';
+		
+		if (text.charAt(i) == '"')
+		{
+			for (i++; ; i++)
+			{
+				if (i >= text.length)
+				{
+					fail("Unterminated quoted value");
+				}
+				
+				var c = text.charAt(i);
+				
+				if (c == '"' && text.charAt(i + 1) == '"')
+				{
+					value += c;
+					i++;
+				}
+				else if (c == '"')
+				{
+					i++;
+					break;
+				}
+				else
+				{
+					if (c == '\n' || (c == '\r' && text.charAt(i + 1) != '\n'))
+					{
+						line++;
+					}
+					
+					value += c;
+				}
+			}
+			
+			if (i < text.length && !/[,\r\n]/.test(text.charAt(i)))
+			{
+				fail("Unexpected text after a quoted value");
+			}
+		}
+		else
+		{
+			var end = text.slice(i).search(/[,\r\n]/);
+			end = (end < 0) ? text.length : i + end;
+			value = text.slice(i, end);
+			
+			if (value.indexOf('"') >= 0)
+			{
+				fail("Unexpected double quote in an unquoted value");
+			}
+			
+			i = end;
+		}
+		
+		record.push(value);
+		
+		if (text.charAt(i) == ',')
+		{
+			i++;
+			
+			if (i < text.length)
+			{
+				continue;
+			}
+			
+			// a comma at the end of the text is followed by an empty value
+			record.push('');
+		}
+		
+		// the end of a record
+		if (text.charAt(i) == '\r' && text.charAt(i + 1) == '\n')
+		{
+			i++;
+		}
+		
+		i++;
+		line++;
+		records.push(record);
+		record = [];
+		
+		if (opt_lines)
+		{
+			opt_lines.push(recordLine);
+		}
+		
+		recordLine = line;
+	}
+	
+	return records;
+};
+
+/**
+ * Read CSV text into a new {com.qwirx.data.SimpleDatasource}. The first
+ * record is the header, which contains the names of the columns.
+ *
+ * If columns are supplied, each header value must be the name or the
+ * caption of one of them, and each record becomes a record with those
+ * column names. If the schema is typed (see {com.qwirx.data.Schema}),
+ * values are converted to the types of their columns: numbers must be
+ * valid JavaScript numbers, booleans must be "true" or "false", and
+ * dates must be in a format that {Date} understands, such as the ISO
+ * 8601 format that {#write} uses. An empty value of a column which is
+ * not a STRING is converted to null. Then each record is validated
+ * against the schema.
+ *
+ * If no columns are supplied, the header values are used as the names
+ * and captions of the columns, and the values are all strings.
+ *
+ * @param {string} text The CSV text.
+ * @param {Array.<Object>=} opt_columns The column definitions of the
+ * datasource, as returned by
+ * {com.qwirx.data.SimpleDatasource#getColumns}.
+ * @return {com.qwirx.data.SimpleDatasource} a new datasource containing
+ * the records.
+ * @throws {com.qwirx.data.CsvError} if the text is not valid CSV, if a
+ * record has the wrong number of values, if a header value is not a
+ * column, or if a value can't be converted, or the record is not
+ * valid.
+ */
+com.qwirx.data.Csv.read = function(text, opt_columns)
+{
+	var lines = [];
+	var records = com.qwirx.data.Csv.parse(text, lines);
+	
+	if (!records.length)
+	{
+		throw new com.qwirx.data.CsvError("There is no header", 1, 1, 1);
+	}
+	
+	var header = records[0];
+	var columns = opt_columns || goog.array.map(header, function(name)
+		{
+			return {name: name, caption: name};
+		});
+	var schema = new com.qwirx.data.Schema(columns);
+	
+	// The column definition of each field in the header.
+	var fieldColumns = goog.array.map(header, function(name, index)
+		{
+			var column = goog.array.find(columns, function(column)
+				{
+					return column.name == name || column.caption == name;
+				});
+			
+			if (!column)
+			{
+				throw new com.qwirx.data.CsvError("Unknown column '" +
+					name + "'", 1, index + 1, lines[0]);
+			}
+			
+			return column;
+		});
+	
+	var data = [];
+	for (var row = 1; row < records.length; row++)
+	{
+		data.push(com.qwirx.data.Csv.readRecord_(records[row], row + 1,
+			lines[row], fieldColumns, schema));
+	}
+	
+	return new com.qwirx.data.SimpleDatasource(columns, data);
+};
+
+/**
+ * @return a record made from the values of one row of CSV, converted
+ * to the types of their columns and validated.
+ * @throws {com.qwirx.data.CsvError} if anything is wrong.
+ * @private
+ */
+com.qwirx.data.Csv.readRecord_ = function(fields, row, line,
+	fieldColumns, schema)
+{
+	var record = {};
+	
+	function fail(message, index)
+	{
+		throw new com.qwirx.data.CsvError(message, row, index + 1, line);
+	}
+	
+	if (fields.length != fieldColumns.length)
+	{
+		fail("Expected " + fieldColumns.length + " values but found " +
+			fields.length, Math.min(fields.length, fieldColumns.length));
+	}
+	
+	for (var i = 0; i < fields.length; i++)
+	{
+		var value = com.qwirx.data.Csv.convert_(fields[i],
+			fieldColumns[i].type);
+		
+		if (value === undefined)
+		{
+			fail("The value '" + fields[i] + "' is not of type " +
+				fieldColumns[i].type, i);
+		}
+		
+		record[fieldColumns[i].name] = value;
+	}
+	
+	try
+	{
+		schema.validateRecord(record);
+	}
+	catch (exception)
+	{
+		if (!(exception instanceof com.qwirx.data.ValidationFailed))
+		{
+			throw exception;
+		}
+		
+		var failure = exception.getFailures()[0];
+		var index = goog.array.findIndex(fieldColumns, function(column)
+			{
+				return column.name == failure.field;
+			});
+		fail(exception.message, (index < 0) ? 0 : index);
+	}
+	
+	return record;
+};
+
+/**
+ * @return the value converted from a string to the specified type,
+ * one of {com.qwirx.data.Schema.Types}, or the string itself if the type
+ * is not defined, or undefined if it can't be converted.
+ * @private
+ */
+com.qwirx.data.Csv.convert_ = function(value, type)
+{
+	var Types = com.qwirx.data.Schema.Types;
+	
+	if (type == undefined || type == Types.STRING)
+	{
+		return value;
+	}
+	else if (value == '')
+	{
+		return null;
+	}
+	
+	var converted;
+	
+	if (type == Types.NUMBER)
+	{
+		converted = Number(value);
+	}
+	else if (type == Types.BOOLEAN)
+	{
+		converted = (value == 'true') ? true :
+			(value == 'false') ? false : undefined;
+	}
+	else if (type == Types.DATE)
+	{
+		converted = new Date(value);
+	}
+	
+	return com.qwirx.data.Schema.isOfType(converted, type) ?
+		converted : undefined;
+};
+
+/**
+ * Write the records of a datasource as CSV text, with a header
+ * containing the column names, or their captions. Values are written
+ * as strings, except null and undefined, which are written as empty
+ * values, and Dates, which are written in ISO 8601 format. Values which
+ * contain commas, double quotes or line breaks are enclosed in double
+ * quotes.
+ *
+ * The rows are read a page at a time, and each line of text is passed
+ * to the sink as soon as it's ready, if there is one, so the output
+ * doesn't all have to fit in memory at once.
+ *
+ * @param {com.qwirx.data.Datasource|com.qwirx.data.Cursor} source The
+ * datasource to write, which must be synchronous, or a Cursor on it,
+ * in which case the current record is written with any unsaved
+ * changes, as the user sees it.
+ * @param {Object=} opt_options Any of the following properties:
+ * <ul>
+ * <li><code>start</code>: the index of the first row to write, which
+ * defaults to zero.
+ * <li><code>count</code>: the number of rows to write, which defaults
+ * to all the rest.
+ * <li><code>useCaptions</code>: if true, the header contains the
+ * captions of the columns instead of their names.
+ * <li><code>sink</code>: a function which is called with each line
+ * of text in turn, including its line break.
+ * </ul>
+ * @return the CSV text, or an empty string if there is a sink.
+ */
+com.qwirx.data.Csv.write = function(source, opt_options)
+{
+	var options = opt_options || {};
+	var cursor = null;
+	var output = [];
+	var sink = options.sink || function(line) { output.push(line); };
+	var Csv = com.qwirx.data.Csv;
+	
+	if (source instanceof com.qwirx.data.Cursor)
+	{
+		cursor = source;
+		source = cursor.getDataSource();
+	}
+	
+	var columns = source.getColumns();
+	sink(Csv.formatRecord_(goog.array.map(columns, function(column)
+		{
+			return options.useCaptions ? column.caption : column.name;
+		})));
+	
+	var pageSize = com.qwirx.data.PageCache.DEFAULT_PAGE_SIZE;
+	var end = (options.count == undefined) ? Infinity :
+		(options.start || 0) + options.count;
+	
+	for (var start = options.start || 0; start < end; start += pageSize)
+	{
+		var records = source.getRange(start, Math.min(pageSize,
+			end - start));
+		
+		for (var i = 0; i < records.length; i++)
+		{
+			var record = records[i];
+			
+			if (cursor && cursor.getPosition() == start + i)
+			{
+				record = cursor.getCurrentValues();
+			}
+			
+			sink(Csv.formatRecord_(goog.array.map(columns,
+				function(column)
+				{
+					return record[column.name];
+				})));
+		}
+		
+		if (records.length < pageSize)
+		{
+			break;
+		}
+	}
+	
+	return output.join('');
+};
+
+/**
+ * @return a line of CSV text containing the values, including the
+ * line break.
+ * @private
+ */
+com.qwirx.data.Csv.formatRecord_ = function(values)
+{
+	return goog.array.map(values, com.qwirx.data.Csv.formatValue_).join(
+		',') + com.qwirx.data.Csv.LINE_BREAK;
+};
+
+/**
+ * @return a value formatted for CSV, and quoted if necessary.
+ * @private
+ */
+com.qwirx.data.Csv.formatValue_ = function(value)
+{
+	if (value == null)
+	{
+		return '';
+	}
+	else if (value instanceof Date)
+	{
+		return value.toISOString();
+	}
+	
+	value = String(value);
+	
+	if (/[,"\r\n]/.test(value))
+	{
+		value = '"' + value.replace(/"/g, '""') + '"';
+	}
+	
+	return value;
+};
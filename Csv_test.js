@@ -0,0 +1,140 @@
+goog.provide('com.qwirx.data.Csv_test');
+
+goog.require('com.qwirx.data.Csv');
+goog.require('com.qwirx.data.Cursor');
+goog.require('com.qwirx.data.Schema');
+goog.require('com.qwirx.data.SimpleDatasource');
+goog.require('com.qwirx.test.assertThrows');
+goog.require('goog.testing.jsunit');
+
+function getTypedColumns()
+{
+	var Types = com.qwirx.data.Schema.Types;
+	return [
+		{name: 'id', caption: 'ID', type: Types.NUMBER, key: true},
+		{name: 'name', caption: 'Name', type: Types.STRING},
+		{name: 'active', caption: 'Active', type: Types.BOOLEAN},
+		{name: 'born', caption: 'Born', type: Types.DATE}
+	];
+}
+
+function assertCsvError(text, opt_columns, row, column, line)
+{
+	var e = com.qwirx.test.assertThrows(com.qwirx.data.CsvError,
+		function() { com.qwirx.data.Csv.read(text, opt_columns); },
+		"Reading invalid CSV should have thrown an exception: " + text);
+	assertEquals("Wrong row for: " + e.message, row, e.getRow());
+	assertEquals("Wrong column for: " + e.message, column, e.getColumn());
+	assertEquals("Wrong line for: " + e.message, line, e.getLine());
+}
+
+function test_csv_parse_quoting_and_line_breaks()
+{
+	assertObjectEquals([['a', 'b'], ['1', '2']],
+		com.qwirx.data.Csv.parse('a,b\r\n1,2\r\n'));
+	assertObjectEquals([['a', 'b'], ['1', '2']],
+		com.qwirx.data.Csv.parse('a,b\n1,2'));
+	assertObjectEquals([['a,b', 'say "hi"', ''], ['x\r\ny', '', '']],
+		com.qwirx.data.Csv.parse('"a,b","say ""hi""",\n"x\r\ny",,'));
+	assertObjectEquals([], com.qwirx.data.Csv.parse(''));
+	
+	var lines = [];
+	assertObjectEquals([['a'], ['b\nc'], ['d']],
+		com.qwirx.data.Csv.parse('a\n"b\nc"\nd\n', lines));
+	assertObjectEquals([1, 2, 4], lines);
+}
+
+function test_csv_read_untyped()
+{
+	var ds = com.qwirx.data.Csv.read('id,name\n1,John\n2,"Smith, Jane"\n');
+	assertObjectEquals([{name: 'id', caption: 'id'},
+		{name: 'name', caption: 'name'}], ds.getColumns());
+	assertEquals(2, ds.getCount());
+	assertObjectEquals({id: '1', name: 'John'}, ds.get(0));
+	assertObjectEquals({id: '2', name: 'Smith, Jane'}, ds.get(1));
+}
+
+function test_csv_read_typed_by_name_or_caption()
+{
+	var ds = com.qwirx.data.Csv.read('Born,ID,name,Active\n' +
+		'2000-01-02T00:00:00.000Z,1,John,true\n,2,,false\n',
+		getTypedColumns());
+	assertObjectEquals(getTypedColumns(), ds.getColumns());
+	assertEquals(2, ds.getCount());
+	assertObjectEquals({id: 1, name: 'John', active: true,
+		born: new Date(Date.UTC(2000, 0, 2))}, ds.get(0));
+	assertObjectEquals({id: 2, name: '', active: false, born: null},
+		ds.get(1));
+}
+
+function test_csv_read_errors_report_position()
+{
+	var columns = getTypedColumns();
+	assertCsvError('id,"name\n1,John', columns, 1, 2, 1);
+	assertCsvError('id,na"me\n1,John', columns, 1, 2, 1);
+	assertCsvError('id,"name"x\n1,John', columns, 1, 2, 1);
+	assertCsvError('id,nickname\n1,John', columns, 1, 2, 1);
+	assertCsvError('id,name\n1,"J\nohn"\n2,John,x\n', columns, 3, 3, 4);
+	assertCsvError('id,name\n1,John\n2\n', columns, 3, 2, 3);
+	assertCsvError('id,name,active\n1,John,yes\n', columns, 2, 3, 2);
+	assertCsvError('id,born\n1,yesterday\n', columns, 2, 2, 2);
+	assertCsvError('name,id\nJohn,one\n', columns, 2, 2, 2);
+	// key columns are required
+	assertCsvError('name\nJohn\n', columns, 2, 1, 2);
+	assertCsvError('', columns, 1, 1, 1);
+}
+
+function test_csv_write_round_trip()
+{
+	var ds = new com.qwirx.data.SimpleDatasource(getTypedColumns(), [
+		{id: 1, name: 'Smith, "Jo"', active: true,
+			born: new Date(Date.UTC(2000, 0, 2))},
+		{id: 2, name: 'two\nlines', active: false, born: null}
+	]);
+	var text = com.qwirx.data.Csv.write(ds);
+	assertEquals('id,name,active,born\r\n' +
+		'1,"Smith, ""Jo""",true,2000-01-02T00:00:00.000Z\r\n' +
+		'2,"two\nlines",false,\r\n', text);
+	
+	var copy = com.qwirx.data.Csv.read(text, getTypedColumns());
+	assertEquals(2, copy.getCount());
+	assertObjectEquals(ds.get(0), copy.get(0));
+	assertObjectEquals(ds.get(1), copy.get(1));
+	
+	assertEquals('ID,Name,Active,Born\r\n',
+		com.qwirx.data.Csv.write(ds, {useCaptions: true, count: 0}));
+}
+
+function test_csv_write_range_and_sink()
+{
+	var data = [];
+	for (var i = 0; i < 250; i++)
+	{
+		data.push({id: i, name: 'row ' + i});
+	}
+	
+	var ds = new com.qwirx.data.SimpleDatasource(getTypedColumns(), data);
+	var lines = [];
+	assertEquals('', com.qwirx.data.Csv.write(ds,
+		{sink: function(line) { lines.push(line); }}));
+	assertEquals(251, lines.length);
+	assertEquals('249,row 249,,\r\n', lines[250]);
+	
+	var text = com.qwirx.data.Csv.write(ds, {start: 98, count: 3});
+	assertEquals('id,name,active,born\r\n98,row 98,,\r\n' +
+		'99,row 99,,\r\n100,row 100,,\r\n', text);
+}
+
+function test_csv_write_cursor_includes_unsaved_changes()
+{
+	var ds = new com.qwirx.data.SimpleDatasource(getTypedColumns(), [
+		{id: 1, name: 'one'}, {id: 2, name: 'two'}
+	]);
+	var cursor = new com.qwirx.data.Cursor(ds);
+	assertEquals(ds, cursor.getDataSource());
+	cursor.moveFirst();
+	cursor.setFieldValue('name', 'uno');
+	assertEquals('id,name,active,born\r\n1,uno,,\r\n2,two,,\r\n',
+		com.qwirx.data.Csv.write(cursor));
+	assertEquals('one', ds.get(0).name);
+}
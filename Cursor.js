@@ -7,10 +7,18 @@
 goog.provide('com.qwirx.data.Cursor');
 goog.provide('com.qwirx.data.IllegalMove');
 goog.provide('com.qwirx.data.FailedMove');
+goog.provide('com.qwirx.data.PendingChanges');
 
+goog.require('com.qwirx.data.AsyncDatasource');
+goog.require('com.qwirx.data.Bookmark');
 goog.require('com.qwirx.data.Datasource');
+goog.require('com.qwirx.data.PageCache');
+goog.require('com.qwirx.data.ValidationFailed');
 goog.require('com.qwirx.util.Enum');
+goog.require('goog.async.Deferred');
 goog.require('goog.events.EventTarget');
+goog.require('goog.array');
+goog.require('goog.object');
 
 /**
 	@class
@@ -25,11 +33,12 @@ goog.require('goog.events.EventTarget');
 	index into the current (live) query results. The same record
 	number may refer to	a different record if the data set changes
 	under your feet (if you	want to return to the same record, use
-	its ID). The position is always between 0 and the current row
-	count ({#getRowCount}) minus one (unless the row count is unknown,
-	when {#getRowCount} returns null), or one of the constants {#BOF},
-	{#EOF} or {#NEW}. You can get the current position with
-	{#getPosition} and set it directly with {#setPosition}.
+	its ID, or a bookmark from {#getBookmark}). The position is always
+	between 0 and the current row count ({#getRowCount}) minus one
+	(unless the row count is unknown, when {#getRowCount} returns null),
+	or one of the constants {#BOF}, {#EOF} or {#NEW}. You can get the
+	current position with {#getPosition} and set it directly with
+	{#setPosition}.
 	
 	A Cursor provides access to the fields of the current record.
 	Any changes to these field values in the Cursor will be lost if
@@ -73,29 +82,124 @@ goog.require('goog.events.EventTarget');
 	{ ... }
 	</pre>
 
-	@param {com.qwirx.data.Datasource} dataSource The data source
-	which this Cursor should wrap.
+	<p>If the datasource is a {com.qwirx.data.AsyncDatasource}, the
+	Cursor works in asynchronous mode. Its movement methods, {#save}
+	and {#deleteCurrent} return a {goog.async.Deferred}, which fires
+	with the value that they would have returned when the operation has
+	finished and any new current record has been loaded, or fails with
+	the exception that they would have thrown. Operations are queued,
+	and each one starts when the previous one has finished, so a slow
+	response can never overwrite the result of a later movement. The
+	cursor stays on the old record until the new one has been loaded.
+	It sends a {#LOADING} event when it starts loading a record, and a
+	{#LOAD_FAILED} event if that fails, in which case it stays where it
+	was.
+	
+	<p>A Cursor listens for events from its datasource, which therefore
+	keeps it alive. Call {#dispose} when you don't need it any more, to
+	stop listening and throw away any unsaved or pending changes.
+
+	@param {com.qwirx.data.Datasource|com.qwirx.data.AsyncDatasource}
+	dataSource The data source which this Cursor should wrap.
 	
 	@param {com.qwirx.data.Datasource.AccessMode=} opt_accessMode
 	You may get better performance from the	Cursor if you specify
 	the type of access that you intend to perform on it, which it
 	can use as a hint to prefetch an appropriate number of records.
+	Records are read through a {com.qwirx.data.PageCache}, which
+	decides which ones to prefetch.
 */
 com.qwirx.data.Cursor = function(dataSource, opt_accessMode)
 {
 	this.dataSource_ = dataSource;
 	this.position_ = com.qwirx.data.Cursor.BOF;
+	this.accessMode_ = opt_accessMode ||
+		com.qwirx.data.Datasource.AccessMode.RANDOM;
+	this.async_ = dataSource instanceof com.qwirx.data.AsyncDatasource;
+	
+	// The field edits made to the current record, for undoEdit() and
+	// redoEdit(), and how many of them have not been undone.
+	this.edits_ = [];
+	this.editCount_ = 0;
+	
+	// In batch mode, the changes to rows other than the current one
+	// which have not been saved yet, and the one for the current NEW
+	// record if it has been added to them.
+	this.batchMode_ = false;
+	this.pending_ = [];
+	this.newEntry_ = null;
+	
+	this.mergeMode_ = false;
+	
+	// Whether the current record was dirty when we last registered
+	// with the datasource as editing it, or unregistered.
+	this.editing_ = false;
+	
+	// The version of the current record when it was loaded, if the
+	// datasource keeps versions.
+	this.loadedVersion_ = undefined;
+	
+	// Whether the current row was deleted while the datasource was
+	// sending several changes at once, so the record should be loaded
+	// when they have all been sent.
+	this.reloadWhenChangesComplete_ = false;
 	
+	if (this.async_)
+	{
+		// The row count is fetched before each queued operation.
+		this.rowCount_ = null;
+		this.queue_ = goog.async.Deferred.succeed();
+		this.loading_ = null;
+		this.loadSequence_ = 0;
+		this.inQueue_ = false;
+		this.queuedLoadError_ = null;
+	}
+	else
+	{
+		// Created before we listen for events, so that its listeners
+		// clear the cache before ours reload the current record.
+		this.cache_ = new com.qwirx.data.PageCache(dataSource,
+			opt_accessMode);
+	}
+	
+	// Registered first, so that pending changes have followed their rows
+	// before the current record is reloaded.
+	dataSource.addEventListener(
+		[
+			com.qwirx.data.Datasource.Events.ROWS_INSERT,
+			com.qwirx.data.Datasource.Events.ROWS_DELETE,
+			com.qwirx.data.Datasource.Events.ROWS_MOVE
+		],
+		this.handlePendingRowEvent_, false /* capture */,
+		this /* scope */);
 	dataSource.addEventListener(
 		com.qwirx.data.Datasource.Events.ROWS_INSERT,
 		this.handleDataSourceRowInsert, false /* capture */, 
 		this /* scope */);
+	dataSource.addEventListener(
+		com.qwirx.data.Datasource.Events.ROWS_UPDATE,
+		this.handleDataSourceRowUpdate, false /* capture */, 
+		this /* scope */);
+	dataSource.addEventListener(
+		com.qwirx.data.Datasource.Events.ROWS_DELETE,
+		this.handleDataSourceRowDelete, false /* capture */, 
+		this /* scope */);
+	dataSource.addEventListener(
+		com.qwirx.data.Datasource.Events.ROWS_MOVE,
+		this.handleDataSourceRowMove, false /* capture */, 
+		this /* scope */);
+	dataSource.addEventListener(
+		com.qwirx.data.Datasource.Events.CHANGES_COMPLETE,
+		this.handleDataSourceChangesComplete, false /* capture */, 
+		this /* scope */);
 };
 goog.inherits(com.qwirx.data.Cursor, goog.events.EventTarget);
 
-com.qwirx.data.Cursor.AccessMode = new com.qwirx.util.Enum(
-	'ALL_SEQUENTIAL', 'LINEAR_SEARCH', 'BINARY_SEARCH', 'RANDOM'
-);
+/**
+ * For compatibility: the access modes are now defined by the
+ * datasource, as {com.qwirx.data.Datasource.AccessMode}.
+ */
+com.qwirx.data.Cursor.AccessMode = com.qwirx.data.Datasource.AccessMode;
 
 /**
 	The initial recordset pointer, meaning "before the first record"
@@ -123,7 +227,17 @@ com.qwirx.data.Cursor.Events = new com.qwirx.util.Enum(
 	'MOVE_FIRST', 'MOVE_BACKWARD', 'MOVE_FORWARD', 'MOVE_LAST',
 	'MOVE_TO', 'CREATE_NEW', 'DELETE_CURRENT_ROW',
 	'BEFORE_DISCARD', 'DISCARD', 'BEFORE_SAVE', 'SAVE',
-	'BEFORE_OVERWRITE', 'OVERWRITE', 'MODIFIED'
+	'BEFORE_OVERWRITE', 'OVERWRITE', 'MODIFIED', 'CURRENT_ROW_DELETED',
+	'CURRENT_ROW_REFRESHED', 'CURRENT_ROW_CONFLICT', 'BEFORE_DELETE',
+	'LOADING', 'LOAD_FAILED', 'EDIT_CONFLICT'
+);
+
+/**
+ * The types of change returned by
+ * {com.qwirx.data.Cursor#getPendingChanges} in batch mode.
+ */
+com.qwirx.data.Cursor.ChangeTypes = new com.qwirx.util.Enum(
+	'INSERT', 'UPDATE', 'DELETE'
 );
 
 /**
@@ -178,15 +292,135 @@ com.qwirx.data.Cursor.MovementEvent.prototype.getNewPosition = function()
 	return this.newPosition;
 };
 
+/**
+ * The event sent in asynchronous mode when a record could not be
+ * loaded. The position is where the cursor still is, and the new
+ * position is where it was trying to move to.
+ * @constructor
+ */
+com.qwirx.data.Cursor.LoadFailedEvent = function(oldPosition,
+	newPosition, error)
+{
+	goog.base(this, com.qwirx.data.Cursor.Events.LOAD_FAILED, oldPosition,
+		newPosition);
+	this.error = error;
+};
+goog.inherits(com.qwirx.data.Cursor.LoadFailedEvent,
+	com.qwirx.data.Cursor.MovementEvent);
+
+/**
+ * @return the error which prevented the record from being loaded.
+ */
+com.qwirx.data.Cursor.LoadFailedEvent.prototype.getError = function()
+{
+	return this.error;
+};
+
+/**
+ * The event sent when the cursor starts editing a record, by making
+ * the first change to it, while other cursors on the same datasource
+ * are already editing it. Whichever saves last will get a
+ * {com.qwirx.data.ConcurrentModification}, so the user may want to
+ * avoid that.
+ *
+ * @param position The position of the cursor.
+ * @param {Array.<com.qwirx.data.Cursor>} otherCursors The other cursors
+ * which are editing the same record.
+ * @constructor
+ */
+com.qwirx.data.Cursor.EditConflictEvent = function(position,
+	otherCursors)
+{
+	goog.base(this, com.qwirx.data.Cursor.Events.EDIT_CONFLICT, position);
+	this.otherCursors = otherCursors;
+};
+goog.inherits(com.qwirx.data.Cursor.EditConflictEvent,
+	com.qwirx.data.Cursor.RowEvent);
+
+/**
+ * @return the other cursors which are editing the same record.
+ */
+com.qwirx.data.Cursor.EditConflictEvent.prototype.getOtherCursors =
+	function()
+{
+	return this.otherCursors;
+};
+
+/**
+ * The event sent when field values of the current record are changed,
+ * for example by {com.qwirx.data.Cursor#setFieldValue},
+ * {com.qwirx.data.Cursor#revertField} or
+ * {com.qwirx.data.Cursor#discard}.
+ *
+ * @param position The position of the cursor.
+ * @param {Array.<Object>} changes The fields that were changed, each
+ * with a <code>name</code>, the <code>oldValue</code> that it had
+ * before the change, the <code>newValue</code> that it has now, and the
+ * <code>loadedValue</code> that it had when the record was loaded.
+ * @constructor
+ */
+com.qwirx.data.Cursor.ModifiedEvent = function(position, changes)
+{
+	goog.base(this, com.qwirx.data.Cursor.Events.MODIFIED, position);
+	this.changes = changes;
+};
+goog.inherits(com.qwirx.data.Cursor.ModifiedEvent,
+	com.qwirx.data.Cursor.RowEvent);
+
+/**
+ * @return the fields that were changed, as described in the
+ * constructor.
+ */
+com.qwirx.data.Cursor.ModifiedEvent.prototype.getChanges = function()
+{
+	return this.changes;
+};
+
+/**
+ * @return the names of the fields that were changed.
+ */
+com.qwirx.data.Cursor.ModifiedEvent.prototype.getFieldNames = function()
+{
+	return goog.array.map(this.changes, function(change)
+		{
+			return change.name;
+		});
+};
+
 /**
  * @return the number of rows in the underlying data source, or null
  * if the number is currently unknown.
  */
 com.qwirx.data.Cursor.prototype.getRowCount = function()
 {
+	if (this.async_)
+	{
+		// as it was when the current operation started, adjusted for
+		// any rows inserted or deleted since then
+		return this.rowCount_;
+	}
+	
 	return this.dataSource_.getCount();
 };
 
+/**
+ * @return true if this Cursor is in asynchronous mode, because its
+ * datasource is a {com.qwirx.data.AsyncDatasource}.
+ */
+com.qwirx.data.Cursor.prototype.isAsync = function()
+{
+	return this.async_;
+};
+
+/**
+ * @return true if this Cursor is in asynchronous mode and waiting for a
+ * record to be loaded.
+ */
+com.qwirx.data.Cursor.prototype.isLoading = function()
+{
+	return !!this.loading_;
+};
+
 /**
  * @return the current position, which is an integer between 0 and
  * {com.qwirx.data.Cursor#getRowCount}() - 1, unless the row count is
@@ -206,12 +440,67 @@ com.qwirx.data.Cursor.prototype.getPosition = function()
  * can expect the Cursor to be positioned on the new record when they receive
  * a MOVE_TO event, and the new data loaded. com.qwirx.grid.NavigationBar
  * relies on this.
+ *
+ * If the number of rows is unknown, and it turns out that the new
+ * position is past the end, the cursor moves to
+ * {com.qwirx.data.Cursor.EOF} instead.
  */
 com.qwirx.data.Cursor.prototype.moveInternal = function(newPosition)
+{
+	if (this.async_)
+	{
+		if (newPosition != com.qwirx.data.Cursor.BOF &&
+			newPosition != com.qwirx.data.Cursor.EOF &&
+			newPosition != com.qwirx.data.Cursor.NEW)
+		{
+			// The position will be changed, and the MOVE_TO event sent,
+			// when the record arrives.
+			this.loadAsync_(newPosition, false /* not a refresh */);
+			return;
+		}
+		
+		// We're not staying on the current record, so any changes to it
+		// that we're loading don't matter any more.
+		this.cancelLoading_();
+	}
+	
+	var oldPosition = this.position_;
+	var rowCountWasUnknown = (this.getRowCount() == null);
+	this.position_ = newPosition;
+	
+	try
+	{
+		this.reloadRecord();
+	}
+	catch (exception)
+	{
+		if (!rowCountWasUnknown ||
+			!(exception instanceof com.qwirx.data.NoSuchRecord))
+		{
+			throw exception;
+		}
+		
+		// We've found the end of a datasource which didn't know how
+		// many rows it had (but probably does now).
+		newPosition = this.position_ = com.qwirx.data.Cursor.EOF;
+		this.reloadRecord();
+	}
+	
+	this.dispatchEvent(new com.qwirx.data.Cursor.MovementEvent(
+		com.qwirx.data.Cursor.Events.MOVE_TO, oldPosition, newPosition));
+};
+
+/**
+ * Changes the position to follow the current record, which has moved
+ * because of changes to the datasource, and sends a MOVE_TO event.
+ * Unlike {#moveInternal}, the record is not reloaded, because it's
+ * still the same record, so any unsaved changes are kept.
+ * @private
+ */
+com.qwirx.data.Cursor.prototype.followCurrentRecord_ = function(newPosition)
 {
 	var oldPosition = this.position_;
 	this.position_ = newPosition;
-	this.reloadRecord();
 	this.dispatchEvent(new com.qwirx.data.Cursor.MovementEvent(
 		com.qwirx.data.Cursor.Events.MOVE_TO, oldPosition, newPosition));
 };
@@ -249,19 +538,20 @@ com.qwirx.data.Cursor.prototype.assertValidPosition = function(position)
  * {@link com.qwirx.data.Cursor.Events.BEFORE_DISCARD} event. This cancels
  * the change in position.
  *
- * The new record may not be retrieved immediately, depending on who's
- * listening to this Cursor; so if the record count
- * is currently unknown, then it's possible to set the position to an
- * invalid value. Actually retrieving the record (e.g. lazily, by
- * accessing its field values) may throw an exception if the position
- * was set to an invalid value. In this case, you may wish to handle
- * the exception by resetting the position to {#EOF}.
+ * If the record count is currently unknown, then it's possible to set
+ * the position past the end, in which case the cursor finds out that
+ * there is no such record, and moves to {#EOF} instead.
  *
  * @throws {com.qwirx.data.DiscardBlocked} if
  * {com.qwirx.data.Cursor.prototype.maybeDiscard} does.
  */
 com.qwirx.data.Cursor.prototype.setPosition = function(newPosition)
 {
+	if (this.async_ && !this.inQueue_)
+	{
+		return this.enqueue_(this.setPosition, arguments);
+	}
+	
 	this.assertValidPosition(newPosition);
 	this.maybeDiscard(newPosition);
 
@@ -273,679 +563,2996 @@ com.qwirx.data.Cursor.prototype.setPosition = function(newPosition)
 
 /**
  * Discard changes to the current record and reload it from the database.
+ * In asynchronous mode, the values are only replaced when the record
+ * arrives, and then a CURRENT_ROW_REFRESHED event is sent.
  */
 com.qwirx.data.Cursor.prototype.reloadRecord = function()
 {
+	if (this.loading_ && this.loading_.isRefresh &&
+		(this.position_ == com.qwirx.data.Cursor.BOF ||
+		this.position_ == com.qwirx.data.Cursor.EOF ||
+		this.position_ == com.qwirx.data.Cursor.NEW))
+	{
+		// There's no need to refresh a record that we're not on any more
+		this.cancelLoading_();
+	}
+	
 	if (this.position_ == com.qwirx.data.Cursor.BOF ||
 		this.position_ == com.qwirx.data.Cursor.EOF)
 	{
 		this.currentRecordValues_ = null;
 		this.currentRecordAsLoaded_ = null;
+		this.loadedVersion_ = undefined;
+		this.clearEdits_();
 	}
 	else if (this.position_ == com.qwirx.data.Cursor.NEW)
 	{
-		this.currentRecordValues_ = {};
-		this.currentRecordAsLoaded_ = {};
+		// A new record starts with the default values of the columns,
+		// which don't make it dirty.
+		this.currentRecordValues_ =
+			this.dataSource_.getSchema().applyDefaults({});
+		this.currentRecordAsLoaded_ = goog.object.clone(
+			this.currentRecordValues_);
+		this.loadedVersion_ = undefined;
+		this.clearEdits_();
+		this.newEntry_ = null;
+	}
+	else if (this.async_)
+	{
+		this.loadAsync_(this.position_, true /* refresh */);
 	}
 	else
 	{
-		this.currentRecordValues_ = {};
-		this.currentRecordAsLoaded_ = {};
-		var columns = this.dataSource_.getColumns();
-		var record;
-		
-		if (this.position_ == com.qwirx.data.Cursor.NEW)
-		{
-			record = {};
-		}
-		else
-		{
-			record = this.dataSource_.get(this.position_);
-		}
-	
-		for (var i = 0; i < columns.length; i++)
-		{
-			this.currentRecordValues_[columns[i].name] =
-				this.currentRecordAsLoaded_[columns[i].name] =
-				record[columns[i].name];
-		}
+		this.setLoadedRecord_(this.cache_.get(this.position_));
 	}
 };
 
 /**
- * @return the column definitions from the underlying data source.
+ * Make the supplied record, which has just been read from the
+ * datasource, the current record, with no changes.
+ * @private
  */
-com.qwirx.data.Cursor.prototype.getColumns = function()
+com.qwirx.data.Cursor.prototype.setLoadedRecord_ = function(record)
 {
-	return this.dataSource_.getColumns().slice(0); // copy
+	this.currentRecordValues_ = {};
+	this.currentRecordAsLoaded_ = {};
+	var columns = this.dataSource_.getColumns();
+	
+	for (var i = 0; i < columns.length; i++)
+	{
+		this.currentRecordValues_[columns[i].name] =
+			this.currentRecordAsLoaded_[columns[i].name] =
+			record[columns[i].name];
+	}
+	
+	this.loadedVersion_ = this.dataSource_.getVersion(this.position_);
+	var entry = this.findPending_(this.position_);
+	
+	if (entry && entry.type == com.qwirx.data.Cursor.ChangeTypes.UPDATE)
+	{
+		// Show the pending changes, and compare them with the values
+		// that they were made to when they are saved.
+		this.currentRecordAsLoaded_ = goog.object.clone(entry.loadedValues);
+		this.currentRecordValues_ = goog.object.clone(entry.values);
+		this.loadedVersion_ = entry.loadedVersion;
+	}
+	
+	this.clearEdits_();
 };
 
 /**
- * @return true if the current position is at EOF, i.e. any attempt
- * to access data or move to the next record will throw an exception.
+ * Forget the field edits made to the current record, because it has
+ * been loaded again, or its changes saved or discarded, and tell the
+ * datasource whether we're still editing it.
+ * @private
  */
-com.qwirx.data.Cursor.prototype.isEOF = function()
+com.qwirx.data.Cursor.prototype.clearEdits_ = function()
 {
-	return this.position_ == com.qwirx.data.Cursor.EOF;
+	this.edits_ = [];
+	this.editCount_ = 0;
+	this.updateEditing_();
 };
 
 /**
- * @return true if the field values have been changed (the current
- * record is dirty).
+ * Register this cursor with the datasource as an editor while it is
+ * dirty or has pending changes in batch mode, or unregister it when it
+ * has neither. If it has just become dirty, and other cursors are
+ * already editing the current record, or have pending changes to it,
+ * send an EDIT_CONFLICT event.
+ * @private
  */
-com.qwirx.data.Cursor.prototype.isDirty = function()
+com.qwirx.data.Cursor.prototype.updateEditing_ = function()
 {
-	var newValues = this.currentRecordValues_;
-	var oldValues = this.currentRecordAsLoaded_;
+	var dirty = this.isDirty();
+	var others = [];
 	
-	if (newValues == null)
+	if (dirty && !this.editing_)
 	{
-		// no record has been loaded, so it can't be dirty
-		return false;
+		others = goog.array.filter(
+			this.dataSource_.getEditors(this.position_), function(cursor)
+			{
+				return cursor != this;
+			}, this);
 	}
 	
-	for (var prop in newValues)
+	this.editing_ = dirty;
+	
+	if (dirty || this.pending_.length)
 	{
-		if (!newValues.hasOwnProperty(prop)) continue;
-		if (!oldValues.hasOwnProperty(prop)) return true;
-		if (oldValues[prop] != newValues[prop]) return true;
+		this.dataSource_.addEditor(this);
 	}
-	
-	for (var prop in oldValues)
+	else
 	{
-		if (!oldValues.hasOwnProperty(prop)) continue;
-		if (!newValues.hasOwnProperty(prop)) return true;
-		// if the property is in both, then it's already been compared
+		this.dataSource_.removeEditor(this);
 	}
 	
-	return false;
+	if (others.length)
+	{
+		this.dispatchEvent(new com.qwirx.data.Cursor.EditConflictEvent(
+			this.position_, others));
+	}
 };
 
 /**
- * If the field values have not been changed (the current record is
- * not dirty) then this function does nothing.
- *
- * Otherwise it fires a {com.qwirx.data.Cursor.Events.BEFORE_DISCARD}
- * event. If that event is not cancelled, a
- * {com.qwirx.data.Cursor.Events.DISCARD} event is fired, which cannot
- * be cancelled. The current record values are reset to their original
- * values when the current record was loaded. The database is not
- * requeried in case the record has changed, unless you explicitly
- * call {#reload} (in which case you don't need to call this function,
- * because {#reload} can do it for you).
- * 
- * @return true if the record can be discarded, false otherwise (if it
- * should not be discarded, but no exception was thrown).
- *
- * @throws {com.qwirx.data.DiscardBlocked} if a BEFORE_DISCARD event
- * was sent and cancelled by an event listener, without calling
- * event.preventDefault().
- * 
- * @param {integer=} opt_newPosition Will be stored in the BEFORE_DISCARD
- * and DISCARD events sent by the Cursor. If set, this would mean that we're
- * discarding changes in the process of navigating somewhere. In the case of
- * BEFORE_DISCARD, this allows the signal handler to prompt the user for
- * action, and later resume the requested navigation.
+ * @param {number} rowIndex The row to check.
+ * @return true if this cursor has unsaved changes to the record at the
+ * specified position, because it is positioned on it and dirty, or has
+ * changes to it pending in batch mode (see {#getPendingChanges}).
+ * Used by {com.qwirx.data.Datasource#getEditors}.
  */
-com.qwirx.data.Cursor.prototype.maybeDiscard = function(opt_newPosition)
+com.qwirx.data.Cursor.prototype.isEditingRow = function(rowIndex)
 {
-	if (this.isDirty())
-	{
-		this.assertCurrentRecord();
-	}
-	else
+	return (this.position_ === rowIndex && this.isDirty()) ||
+		Boolean(this.findPending_(rowIndex));
+};
+
+/**
+ * In asynchronous mode, start loading the record at the specified
+ * position, after sending a {com.qwirx.data.Cursor.Events.LOADING}
+ * event. If it's a refresh of the current record, a
+ * CURRENT_ROW_REFRESHED event is sent when it arrives, otherwise the
+ * cursor moves to it and sends a MOVE_TO event. Only one record is
+ * loaded at a time, so this replaces any load in progress, except that
+ * a refresh is not needed if we're already moving somewhere else.
+ * @private
+ */
+com.qwirx.data.Cursor.prototype.loadAsync_ = function(newPosition,
+	isRefresh)
+{
+	if (this.loading_ && isRefresh && !this.loading_.isRefresh)
 	{
-		return true; // OK to move
+		this.fetchLoadingRecord_();
+		return;
 	}
 	
-	var event = new com.qwirx.data.Cursor.MovementEvent(
-		com.qwirx.data.Cursor.Events.BEFORE_DISCARD,
-		this.getPosition(), opt_newPosition);
-	var cancelled = !this.dispatchEvent(event);
-	
-	if (cancelled)
+	if (!this.loading_)
 	{
-		// com.qwirx.grid.Grid.prototype.handleDirtyMovement and other
-		// Cursor users may need to prevent this exception being thrown,
-		// if they plan to collect information (e.g. prompt the user)
-		// and retry the movement later. We check whether the event
-		// has preventDefault set and if so, don't throw an exception,
-		// but return false instead. So callers must check for that
-		// and not continue with the movement!
-		
-		// TODO this is a nonsense. It's not up to Grid to
-		// decide whether Cursor should throw an exception or
-		// not. We should be consistent and always throw an
-		// exception if the save is cancelled. Callers can
-		// catch it and ignore it if they want.
-		
-		throw new com.qwirx.data.DiscardBlocked("The cursor points " +
-			"to modified data, and the BEFORE_DISCARD event was " +
-			"cancelled, so the cursor cannot be moved.");
+		this.loading_ = {waiters: []};
 	}
 	
-	this.discard();
-	return true;
+	this.loading_.position = newPosition;
+	this.loading_.isRefresh = isRefresh;
+	this.dispatchEvent(new com.qwirx.data.Cursor.MovementEvent(
+		com.qwirx.data.Cursor.Events.LOADING, this.position_, newPosition));
+	this.fetchLoadingRecord_();
 };
 
 /**
- * If the field values have not been changed (the current record is
- * not dirty) then this function does nothing.
- *
- * Otherwise it forces the current (modified) values to be discarded,
- * and fires a {com.qwirx.data.Cursor.Events.DISCARD} event, which cannot
- * be cancelled. The current record values are reset to their original
- * values when the current record was loaded. The database is not
- * requeried in case the record has changed, unless you explicitly
- * call {#reload} (in which case you don't need to call this function,
- * because {#reload} can do it for you).
- * 
- * @param {integer=} opt_newPosition Will be stored in the DISCARD event
- * sent by the Cursor to itself. If set, this would mean that we're
- * discarding changes in the process of navigating somewhere.
+ * Ask the datasource for the record that we're loading. If we ask
+ * again before it responds, for example because the data has changed,
+ * then the earlier response is ignored when it arrives.
+ * @private
  */
-com.qwirx.data.Cursor.prototype.discard = function(opt_newPosition)
+com.qwirx.data.Cursor.prototype.fetchLoadingRecord_ = function()
 {
-	this.assertCurrentRecord();
+	var sequence = ++this.loadSequence_;
 	
-	if (!this.isDirty())
-	{
-		return;
-	}
-	
-	this.currentRecordValues_ = this.getLoadedValues(); // implicit clone
-	this.dispatchEvent(
-		new com.qwirx.data.Cursor.MovementEvent(
-			com.qwirx.data.Cursor.Events.DISCARD,
-			this.getPosition(), opt_newPosition));
-	
-	if (this.getPosition() == com.qwirx.data.Cursor.NEW)
-	{
-		this.setPosition(this.getRowCount() - 1);
-	}
-	
-	this.dispatchEvent(new com.qwirx.data.Cursor.RowEvent(
-		com.qwirx.data.Cursor.Events.MODIFIED, this.getPosition()));
+	this.dataSource_.get(this.loading_.position).addCallbacks(
+		function(record)
+		{
+			if (sequence == this.loadSequence_)
+			{
+				this.finishLoading_(record, null);
+			}
+		},
+		function(error)
+		{
+			if (sequence == this.loadSequence_)
+			{
+				this.finishLoading_(null, error);
+			}
+			
+			// reported by the LOAD_FAILED event, or not needed any more
+			return null;
+		}, this);
 };
 
 /**
- * Move forward (if numRowsToMove > 0) or backward (if 
- * numRowsToMove < 0) or not at all (if numRowsToMove == 0).
- *
- * Calls {#maybeDiscard} to check whether modified field values
- * should be discarded, and if that throws an exception, the move is
- * cancelled and moveRelative propagates the exception.
- *
- * Otherwise a {#MOVE_FORWARD} and a {#MOVE_TO} event are fired.
- * 
- * If the data source has an unknown number of rows, we may move to
- * a record position that doesn't exist. This may result in an
- * exception being thrown when you try to access the current row's data. 
- * You may wish to respond to that exception by setting the current
- * position to {#EOF} at the time.
- *
- * @throws {com.qwirx.data.IllegalMove} if we're already at {#EOF}.
- * @return true if the move succeeded, false otherwise.
+ * Called when the record that we were loading has arrived, or failed
+ * to arrive, to move to it or refresh it, send the appropriate events,
+ * and let the current queued operation continue.
+ * @private
  */
-com.qwirx.data.Cursor.prototype.moveRelative = function(numRowsToMove)
+com.qwirx.data.Cursor.prototype.finishLoading_ = function(record, error)
 {
-	var newPosition = this.position_;
-	var rowCount = this.getRowCount();
-
-	if (numRowsToMove == 0)
-	{
-		// no change
-	}
-	else if (this.position_ == com.qwirx.data.Cursor.BOF)
+	var loading = this.loading_;
+	this.loading_ = null;
+	
+	if (error instanceof com.qwirx.data.NoSuchRecord &&
+		!loading.isRefresh && this.rowCount_ == null)
 	{
-		if (numRowsToMove < 0)
-		{
-			throw new com.qwirx.data.IllegalMove("Currently at BOF; " +
-				"there is no previous record");
-		}
-		else // numRowsToMove > 0
-		{
-			newPosition = numRowsToMove - 1;
-		}
+		// We've found the end of a datasource which didn't know how
+		// many rows it had.
+		var oldPosition = this.position_;
+		this.position_ = com.qwirx.data.Cursor.EOF;
+		this.reloadRecord();
+		this.dispatchEvent(new com.qwirx.data.Cursor.MovementEvent(
+			com.qwirx.data.Cursor.Events.MOVE_TO, oldPosition,
+			this.position_));
+		error = null;
 	}
-	else if (this.position_ == com.qwirx.data.Cursor.EOF ||
-		this.position_ == com.qwirx.data.Cursor.NEW)
+	else if (error)
 	{
-		if (numRowsToMove > 0)
-		{
-			throw new com.qwirx.data.IllegalMove("Currently at EOF; " +
-				"there is no next record");
-		}
-		else if (rowCount == null)
-		{
-			throw new com.qwirx.data.IllegalMove("Currently at EOF " +
-				"and row count is unknown; cannot calculate the " +
-				"new position; use moveFirst() instead");
-		}
-		else
+		if (this.inQueue_)
 		{
-			newPosition = rowCount + numRowsToMove;
+			this.queuedLoadError_ = error;
 		}
+		
+		this.dispatchEvent(new com.qwirx.data.Cursor.LoadFailedEvent(
+			this.position_, loading.position, error));
 	}
-	else
+	else if (loading.isRefresh && this.isDirty())
 	{
-		newPosition += numRowsToMove;
+		// The user started editing while we were loading, so keep their
+		// changes, but warn them as if it had changed while they were.
+		this.dispatchEvent(new com.qwirx.data.Cursor.RowEvent(
+			com.qwirx.data.Cursor.Events.CURRENT_ROW_CONFLICT,
+			this.position_));
 	}
-	
-	if (newPosition == com.qwirx.data.Cursor.BOF ||
-		newPosition == com.qwirx.data.Cursor.EOF ||
-		newPosition == com.qwirx.data.Cursor.NEW)
+	else if (loading.isRefresh)
 	{
-		// no adjustment necessary or possible
+		this.setLoadedRecord_(record);
+		this.dispatchEvent(new com.qwirx.data.Cursor.RowEvent(
+			com.qwirx.data.Cursor.Events.CURRENT_ROW_REFRESHED,
+			this.position_));
 	}
-	else if (newPosition < 0)
+	else
 	{
-		newPosition = com.qwirx.data.Cursor.BOF;
+		var oldPosition = this.position_;
+		this.position_ = loading.position;
+		this.setLoadedRecord_(record);
+		this.dispatchEvent(new com.qwirx.data.Cursor.MovementEvent(
+			com.qwirx.data.Cursor.Events.MOVE_TO, oldPosition,
+			loading.position));
 	}
-	else if (rowCount != null && newPosition >= rowCount)
+	
+	for (var i = 0; i < loading.waiters.length; i++)
 	{
-		newPosition = com.qwirx.data.Cursor.EOF;
+		loading.waiters[i](error);
 	}
-
-	this.assertValidPosition(newPosition);
-	this.maybeDiscard(newPosition);
-
-	this.dispatchEvent({
-		type: com.qwirx.data.Cursor.Events.MOVE_FORWARD,
-		numRows: numRowsToMove,
-		newPosition: newPosition
-		});
-
-	this.setPosition(newPosition);
-	return true;
 };
 
 /**
- * Move to the first row. If the number of rows is known and zero,
- * this moves to EOF, otherwise to row 0.
+ * Stop loading a record, if we were, ignoring the response when it
+ * arrives.
+ * @private
  */
-com.qwirx.data.Cursor.prototype.moveFirst = function()
+com.qwirx.data.Cursor.prototype.cancelLoading_ = function()
 {
-	var rowCount = this.getRowCount();
-	var newPosition = 0;
+	var loading = this.loading_;
 	
-	if (rowCount != null && rowCount == 0)
+	if (loading)
 	{
-		newPosition = com.qwirx.data.Cursor.EOF;
+		this.loading_ = null;
+		this.loadSequence_++;
+		
+		for (var i = 0; i < loading.waiters.length; i++)
+		{
+			loading.waiters[i](null);
+		}
 	}
-
-	this.dispatchEvent({
-		type: com.qwirx.data.Cursor.Events.MOVE_FIRST,
-		newPosition: newPosition
-		});
-
-	this.setPosition(newPosition);
 };
 
 /**
- * Move to the last row. Illegal if the number of rows is unknown.
+ * Called when the datasource has changed while we were loading a
+ * record, in which case the response may be out of date, so we ask for
+ * it again. A refresh follows the current record, which may have moved.
+ * @private
  */
-com.qwirx.data.Cursor.prototype.moveLast = function()
+com.qwirx.data.Cursor.prototype.reloadIfLoading_ = function()
 {
-	var rowCount = this.getRowCount();
-	if (rowCount == null)
+	if (!this.loading_)
+	{
+		return;
+	}
+	
+	if (this.loading_.isRefresh)
 	{
-		throw new com.qwirx.data.IllegalMove("Cannot move to end " +
-			"with an unknown number of rows");
+		if (this.position_ == com.qwirx.data.Cursor.BOF ||
+			this.position_ == com.qwirx.data.Cursor.EOF ||
+			this.position_ == com.qwirx.data.Cursor.NEW)
+		{
+			this.cancelLoading_();
+			return;
+		}
+		
+		this.loading_.position = this.position_;
 	}
 	
-	var newPosition = rowCount - 1;
-
-	this.dispatchEvent({
-		type: com.qwirx.data.Cursor.Events.MOVE_LAST,
-		newPosition: newPosition
-		});
-
-	this.setPosition(newPosition);
+	this.fetchLoadingRecord_();
 };
 
 /**
- * Move to a new, blank row at the end of the data.
+ * In asynchronous mode, run a method of this Cursor after all the
+ * operations that were queued before it have finished. The row count
+ * is fetched first, so that the method can use {#getRowCount}.
+ *
+ * @param {Function} method The method to call.
+ * @param {Arguments|Array} args The arguments to call it with.
+ * @return {goog.async.Deferred} which fires with the method's result
+ * when it has finished, including loading any new current record, or
+ * fails with the exception that it threw or the error that stopped the
+ * record from loading.
+ * @private
  */
-com.qwirx.data.Cursor.prototype.moveNew = function()
+com.qwirx.data.Cursor.prototype.enqueue_ = function(method, args)
 {
-	var newPosition = com.qwirx.data.Cursor.NEW;
-
-	this.dispatchEvent({
-		type: com.qwirx.data.Cursor.Events.CREATE_NEW,
-		newPosition: newPosition
-		});
-
-	this.setPosition(newPosition);
+	var result = new goog.async.Deferred();
+	
+	this.queue_.addCallback(function()
+		{
+			return this.dataSource_.getCount().addCallback(
+				function(rowCount)
+				{
+					this.rowCount_ = rowCount;
+					return this.runQueued_(method, args);
+				}, this).addCallbacks(
+				function(value)
+				{
+					result.callback(value);
+				},
+				function(error)
+				{
+					result.errback(error);
+					// Carry on with the next queued operation.
+					return null;
+				});
+		}, this);
+	
+	return result;
 };
 
 /**
- * Handle an event from the datasource saying that a row has been inserted,
- * by updating our position if necessary to stay on the same row.
+ * Run a queued method now, calling any other public methods that it
+ * calls directly instead of queueing them.
+ * @return {goog.async.Deferred} which fires with its result when it has
+ * finished, including loading any new current record.
+ * @private
  */
-com.qwirx.data.Cursor.prototype.handleDataSourceRowInsert = function(event)
+com.qwirx.data.Cursor.prototype.runQueued_ = function(method, args)
 {
-	var affected = event.getAffectedRows();
-	var oldPosition = this.position_;
-	var newPosition = oldPosition;
+	var result;
+	this.inQueue_ = true;
+	this.queuedLoadError_ = null;
 	
-	for (var i = 0; i < affected.length; i++)
+	try
 	{
-		var rowIndex = affected[i];
-		if (rowIndex <= newPosition)
-		{
-			newPosition++;
-		}
+		result = method.apply(this, args);
+	}
+	finally
+	{
+		this.inQueue_ = false;
 	}
 	
-	if (newPosition != oldPosition)
+	if (this.queuedLoadError_)
 	{
-		// don't discard data being edited, as would happen if we called
-		// setPosition(), because there's no need.
-		this.moveInternal(newPosition);
+		// The record failed to load before we had a chance to wait for
+		// it, because the datasource responded immediately.
+		return goog.async.Deferred.fail(this.queuedLoadError_);
 	}
+	
+	if (!(result instanceof goog.async.Deferred))
+	{
+		result = goog.async.Deferred.succeed(result);
+	}
+	
+	return result.addCallback(this.waitForLoad_, this);
 };
 
 /**
- * An exception thrown by {@link com.qwirx.data.Cursor#setFieldValue}
- * if there is no current record, because the cursor is positioned at
- * {com.qwirx.data.Cursor.BOF} or {com.qwirx.data.Cursor.EOF}.
- * @constructor
+ * @return the value, or a {goog.async.Deferred} which fires with it
+ * when the record that we're loading has arrived, if we are, or fails
+ * if that does.
+ * @private
  */
-com.qwirx.data.NoCurrentRecord = function(message)
+com.qwirx.data.Cursor.prototype.waitForLoad_ = function(value)
 {
-	goog.base(this, message);
-	this.message = message;
+	if (!this.loading_)
+	{
+		return value;
+	}
+	
+	var deferred = new goog.async.Deferred();
+	
+	this.loading_.waiters.push(function(error)
+		{
+			if (error)
+			{
+				deferred.errback(error);
+			}
+			else
+			{
+				deferred.callback(value);
+			}
+		});
+	
+	return deferred;
 };
-goog.inherits(com.qwirx.data.NoCurrentRecord, com.qwirx.util.Exception);
 
 /**
- * An exception thrown by {@link com.qwirx.data.Cursor#setFieldValue}
- * if the specified field name is not a valid field/column for this
- * cursor.
- * @constructor
+ * @return the access mode passed to the constructor, which decides
+ * which records are prefetched.
  */
-com.qwirx.data.NoSuchField = function(message)
+com.qwirx.data.Cursor.prototype.getAccessMode = function()
 {
-	goog.base(this, message);
-	this.message = message;
+	return this.accessMode_;
 };
-goog.inherits(com.qwirx.data.NoSuchField, com.qwirx.util.Exception);
 
-com.qwirx.data.Cursor.prototype.assertCurrentRecord = function()
+/**
+ * @return the statistics of the cache that this Cursor reads records
+ * through, as returned by {com.qwirx.data.PageCache#getStats}, or null
+ * in asynchronous mode, when records are not cached.
+ */
+com.qwirx.data.Cursor.prototype.getCacheStats = function()
 {
-	if (this.position_ == com.qwirx.data.Cursor.BOF ||
-		this.position_ == com.qwirx.data.Cursor.EOF)
-	{
-		throw new com.qwirx.data.NoCurrentRecord("The cursor " +
-			"is at " + this.position_ + " which is not a valid " +
-			"record, so the field values cannot be modified.");
-	}
+	return this.cache_ ? this.cache_.getStats() : null;
 };
 
-com.qwirx.data.Cursor.prototype.assertValidField = function(fieldName)
+/**
+ * @return the column definitions from the underlying data source.
+ */
+com.qwirx.data.Cursor.prototype.getColumns = function()
 {
-	var columns = this.dataSource_.getColumns();
-	var fieldNames = [];
-	
-	for (var i = 0; i < columns.length; i++)
-	{
-		if (columns[i].name == fieldName)
-		{
-			return;
-		}
-		
-		fieldNames.push(columns[i].name);
-	}
-	
-	throw new com.qwirx.data.NoSuchField("The field " + fieldName +
-		" does not exist in this cursor. Valid fields are: " +
-		fieldNames.join(" "));
+	return this.dataSource_.getColumns().slice(0); // copy
 };
 
 /**
- * Sets the value of a field of the current record.
- * @param {String} fieldName the name of the field to modify
- * @param newValue the new value of the field, which can be of any
- * type.
- * @throws {com.qwirx.data.NoCurrentRecord} if the cursor is at
- * {com.qwirx.data.Cursor.BOF} or {com.qwirx.data.Cursor.EOF}.
- * @throws {com.qwirx.data.NoSuchField} if the supplied field name
- * does not exist in the current record.
+ * @return the {com.qwirx.data.Datasource} that this cursor navigates.
  */
-com.qwirx.data.Cursor.prototype.setFieldValue = function(fieldName,
-	newValue)
+com.qwirx.data.Cursor.prototype.getDataSource = function()
 {
-	this.assertCurrentRecord();
-	this.assertValidField(fieldName);
-	this.currentRecordValues_[fieldName] = newValue;
-	this.dispatchEvent(new com.qwirx.data.Cursor.RowEvent(
-		com.qwirx.data.Cursor.Events.MODIFIED, this.getPosition()));
+	return this.dataSource_;
 };
 
 /**
- * A generic exception superclass for illegal or blocked cursor
- * movement attempts.
- * @constructor
+ * Create an independent cursor on the same datasource, like Clone on
+ * an Access Recordset, for example to show the same data in a grid and
+ * a detail form. It has the same access mode and merge mode, and is
+ * positioned on the same record, without any unsaved changes to it.
+ * In asynchronous mode, the move to that record is queued like any
+ * other.
+ *
+ * The cursors register with the datasource while they have unsaved
+ * changes (see {com.qwirx.data.Datasource#addEditor}), so when one of
+ * them starts editing a record that another one is already editing,
+ * it sends an {#EDIT_CONFLICT} event straight away.
+ *
+ * @return {com.qwirx.data.Cursor} the new cursor.
  */
-com.qwirx.data.CursorMovementException = function(message)
+com.qwirx.data.Cursor.prototype.clone = function()
 {
-	goog.base(this, message);
+	var clone = new com.qwirx.data.Cursor(this.dataSource_,
+		this.accessMode_);
+	clone.setMergeMode(this.mergeMode_);
+	
+	if (this.position_ != com.qwirx.data.Cursor.BOF)
+	{
+		clone.setPosition(this.position_);
+	}
+	
+	return clone;
 };
-goog.require('com.qwirx.util.Exception');
-goog.inherits(com.qwirx.data.CursorMovementException,
-	com.qwirx.util.Exception);
 
 /**
- * An exception response to an illegal movement attempt,
- * such as moving to the previous record from BOF or the next record
- * from EOF, which is never allowed and should not be offered to the
- * user.
- * @constructor
+ * Remove the listeners that this cursor and its
+ * {com.qwirx.data.PageCache} added to the datasource, and unregister
+ * it as an editor, so that it can be garbage collected.
+ * @override
+ * @protected
+ */
+com.qwirx.data.Cursor.prototype.disposeInternal = function()
+{
+	var Events = com.qwirx.data.Datasource.Events;
+	var ds = this.dataSource_;
+	
+	ds.removeEventListener([Events.ROWS_INSERT, Events.ROWS_DELETE,
+		Events.ROWS_MOVE], this.handlePendingRowEvent_, false /* capture */,
+		this /* scope */);
+	ds.removeEventListener(Events.ROWS_INSERT,
+		this.handleDataSourceRowInsert, false /* capture */,
+		this /* scope */);
+	ds.removeEventListener(Events.ROWS_UPDATE,
+		this.handleDataSourceRowUpdate, false /* capture */,
+		this /* scope */);
+	ds.removeEventListener(Events.ROWS_DELETE,
+		this.handleDataSourceRowDelete, false /* capture */,
+		this /* scope */);
+	ds.removeEventListener(Events.ROWS_MOVE,
+		this.handleDataSourceRowMove, false /* capture */,
+		this /* scope */);
+	ds.removeEventListener(Events.CHANGES_COMPLETE,
+		this.handleDataSourceChangesComplete, false /* capture */,
+		this /* scope */);
+	
+	if (this.cache_)
+	{
+		this.cache_.release();
+	}
+	
+	ds.removeEditor(this);
+	this.pending_ = [];
+	this.newEntry_ = null;
+	
+	goog.base(this, 'disposeInternal');
+};
+
+/**
+ * @return true if the current position is at EOF, i.e. any attempt
+ * to access data or move to the next record will throw an exception.
+ */
+com.qwirx.data.Cursor.prototype.isEOF = function()
+{
+	return this.position_ == com.qwirx.data.Cursor.EOF;
+};
+
+/**
+ * @return true if the field values have been changed (the current
+ * record is dirty).
+ */
+com.qwirx.data.Cursor.prototype.isDirty = function()
+{
+	var newValues = this.currentRecordValues_;
+	var oldValues = this.currentRecordAsLoaded_;
+	
+	if (newValues == null)
+	{
+		// no record has been loaded, so it can't be dirty
+		return false;
+	}
+	
+	for (var prop in newValues)
+	{
+		if (!newValues.hasOwnProperty(prop)) continue;
+		if (!oldValues.hasOwnProperty(prop)) return true;
+		if (oldValues[prop] != newValues[prop]) return true;
+	}
+	
+	for (var prop in oldValues)
+	{
+		if (!oldValues.hasOwnProperty(prop)) continue;
+		if (!newValues.hasOwnProperty(prop)) return true;
+		// if the property is in both, then it's already been compared
+	}
+	
+	return false;
+};
+
+/**
+ * If the field values have not been changed (the current record is
+ * not dirty) then this function does nothing.
+ *
+ * Otherwise it fires a {com.qwirx.data.Cursor.Events.BEFORE_DISCARD}
+ * event. If that event is not cancelled, a
+ * {com.qwirx.data.Cursor.Events.DISCARD} event is fired, which cannot
+ * be cancelled. The current record values are reset to their original
+ * values when the current record was loaded. The database is not
+ * requeried in case the record has changed, unless you explicitly
+ * call {#reload} (in which case you don't need to call this function,
+ * because {#reload} can do it for you).
+ *
+ * In batch mode (see {#setBatchMode}) nothing is discarded. Any
+ * changes are kept pending instead, and this function returns true.
+ * 
+ * @return true if the record can be discarded, false otherwise (if it
+ * should not be discarded, but no exception was thrown).
+ *
+ * @throws {com.qwirx.data.DiscardBlocked} if a BEFORE_DISCARD event
+ * was sent and cancelled by an event listener, without calling
+ * event.preventDefault().
+ * 
+ * @param {integer=} opt_newPosition Will be stored in the BEFORE_DISCARD
+ * and DISCARD events sent by the Cursor. If set, this would mean that we're
+ * discarding changes in the process of navigating somewhere. In the case of
+ * BEFORE_DISCARD, this allows the signal handler to prompt the user for
+ * action, and later resume the requested navigation.
+ */
+com.qwirx.data.Cursor.prototype.maybeDiscard = function(opt_newPosition)
+{
+	if (this.batchMode_)
+	{
+		// Keep the changes for saveAll() instead, and start another
+		// NEW record if we're already on one.
+		this.stashPending_();
+		
+		if (this.position_ == com.qwirx.data.Cursor.NEW &&
+			opt_newPosition == com.qwirx.data.Cursor.NEW)
+		{
+			this.reloadRecord();
+		}
+		
+		return true;
+	}
+	
+	if (this.isDirty())
+	{
+		this.assertCurrentRecord();
+	}
+	else
+	{
+		return true; // OK to move
+	}
+	
+	var event = new com.qwirx.data.Cursor.MovementEvent(
+		com.qwirx.data.Cursor.Events.BEFORE_DISCARD,
+		this.getPosition(), opt_newPosition);
+	var cancelled = !this.dispatchEvent(event);
+	
+	if (cancelled)
+	{
+		// com.qwirx.grid.Grid.prototype.handleDirtyMovement and other
+		// Cursor users may need to prevent this exception being thrown,
+		// if they plan to collect information (e.g. prompt the user)
+		// and retry the movement later. We check whether the event
+		// has preventDefault set and if so, don't throw an exception,
+		// but return false instead. So callers must check for that
+		// and not continue with the movement!
+		
+		// TODO this is a nonsense. It's not up to Grid to
+		// decide whether Cursor should throw an exception or
+		// not. We should be consistent and always throw an
+		// exception if the save is cancelled. Callers can
+		// catch it and ignore it if they want.
+		
+		throw new com.qwirx.data.DiscardBlocked("The cursor points " +
+			"to modified data, and the BEFORE_DISCARD event was " +
+			"cancelled, so the cursor cannot be moved.");
+	}
+	
+	this.discard();
+	return true;
+};
+
+/**
+ * If the field values have not been changed (the current record is
+ * not dirty) then this function does nothing.
+ *
+ * Otherwise it forces the current (modified) values to be discarded,
+ * and fires a {com.qwirx.data.Cursor.Events.DISCARD} event, which cannot
+ * be cancelled. The current record values are reset to their original
+ * values when the current record was loaded. The database is not
+ * requeried in case the record has changed, unless you explicitly
+ * call {#reload} (in which case you don't need to call this function,
+ * because {#reload} can do it for you).
+ * 
+ * @param {integer=} opt_newPosition Will be stored in the DISCARD event
+ * sent by the Cursor to itself. If set, this would mean that we're
+ * discarding changes in the process of navigating somewhere.
+ */
+com.qwirx.data.Cursor.prototype.discard = function(opt_newPosition)
+{
+	this.assertCurrentRecord();
+	
+	if (!this.isDirty())
+	{
+		return;
+	}
+	
+	var changes = goog.array.map(this.getModifiedFields(),
+		function(field)
+		{
+			return {name: field.name, oldValue: field.currentValue,
+				newValue: field.loadedValue,
+				loadedValue: field.loadedValue};
+		});
+	
+	this.currentRecordValues_ = this.getLoadedValues(); // implicit clone
+	this.clearEdits_();
+	this.stashPending_();
+	this.dispatchEvent(
+		new com.qwirx.data.Cursor.MovementEvent(
+			com.qwirx.data.Cursor.Events.DISCARD,
+			this.getPosition(), opt_newPosition));
+	
+	if (this.getPosition() == com.qwirx.data.Cursor.NEW)
+	{
+		this.setPosition(this.getRowCount() - 1);
+	}
+	
+	this.dispatchEvent(new com.qwirx.data.Cursor.ModifiedEvent(
+		this.getPosition(), changes));
+};
+
+/**
+ * Move forward (if numRowsToMove > 0) or backward (if 
+ * numRowsToMove < 0) or not at all (if numRowsToMove == 0).
+ *
+ * Calls {#maybeDiscard} to check whether modified field values
+ * should be discarded, and if that throws an exception, the move is
+ * cancelled and moveRelative propagates the exception.
+ *
+ * Otherwise a {#MOVE_FORWARD} and a {#MOVE_TO} event are fired.
+ * 
+ * If the data source has an unknown number of rows, we may try to move
+ * to a record position that doesn't exist, in which case we move to
+ * {#EOF} instead.
+ *
+ * @throws {com.qwirx.data.IllegalMove} if we're already at {#EOF}.
+ * @return true if the move succeeded, false otherwise.
+ */
+com.qwirx.data.Cursor.prototype.moveRelative = function(numRowsToMove)
+{
+	if (this.async_ && !this.inQueue_)
+	{
+		return this.enqueue_(this.moveRelative, arguments);
+	}
+	
+	var newPosition = this.position_;
+	var rowCount = this.getRowCount();
+
+	if (numRowsToMove == 0)
+	{
+		// no change
+	}
+	else if (this.position_ == com.qwirx.data.Cursor.BOF)
+	{
+		if (numRowsToMove < 0)
+		{
+			throw new com.qwirx.data.IllegalMove("Currently at BOF; " +
+				"there is no previous record");
+		}
+		else // numRowsToMove > 0
+		{
+			newPosition = numRowsToMove - 1;
+		}
+	}
+	else if (this.position_ == com.qwirx.data.Cursor.EOF ||
+		this.position_ == com.qwirx.data.Cursor.NEW)
+	{
+		if (numRowsToMove > 0)
+		{
+			throw new com.qwirx.data.IllegalMove("Currently at EOF; " +
+				"there is no next record");
+		}
+		else if (rowCount == null)
+		{
+			throw new com.qwirx.data.IllegalMove("Currently at EOF " +
+				"and row count is unknown; cannot calculate the " +
+				"new position; use moveFirst() instead");
+		}
+		else
+		{
+			newPosition = rowCount + numRowsToMove;
+		}
+	}
+	else
+	{
+		newPosition += numRowsToMove;
+	}
+	
+	if (newPosition == com.qwirx.data.Cursor.BOF ||
+		newPosition == com.qwirx.data.Cursor.EOF ||
+		newPosition == com.qwirx.data.Cursor.NEW)
+	{
+		// no adjustment necessary or possible
+	}
+	else if (newPosition < 0)
+	{
+		newPosition = com.qwirx.data.Cursor.BOF;
+	}
+	else if (rowCount != null && newPosition >= rowCount)
+	{
+		newPosition = com.qwirx.data.Cursor.EOF;
+	}
+
+	this.assertValidPosition(newPosition);
+	this.maybeDiscard(newPosition);
+
+	this.dispatchEvent({
+		type: com.qwirx.data.Cursor.Events.MOVE_FORWARD,
+		numRows: numRowsToMove,
+		newPosition: newPosition
+		});
+
+	this.setPosition(newPosition);
+	return true;
+};
+
+/**
+ * Move to the first row. If the number of rows is known and zero,
+ * this moves to EOF, otherwise to row 0.
+ */
+com.qwirx.data.Cursor.prototype.moveFirst = function()
+{
+	if (this.async_ && !this.inQueue_)
+	{
+		return this.enqueue_(this.moveFirst, arguments);
+	}
+	
+	var rowCount = this.getRowCount();
+	var newPosition = 0;
+	
+	if (rowCount != null && rowCount == 0)
+	{
+		newPosition = com.qwirx.data.Cursor.EOF;
+	}
+
+	this.dispatchEvent({
+		type: com.qwirx.data.Cursor.Events.MOVE_FIRST,
+		newPosition: newPosition
+		});
+
+	this.setPosition(newPosition);
+};
+
+/**
+ * Move to the last row. If the number of rows is unknown, the rows
+ * are read until the end is found, a page at a time, starting from
+ * the current position.
+ */
+com.qwirx.data.Cursor.prototype.moveLast = function()
+{
+	if (this.async_ && !this.inQueue_)
+	{
+		return this.enqueue_(this.moveLast, arguments);
+	}
+	
+	var rowCount = this.getRowCount();
+	
+	if (rowCount != null)
+	{
+		return this.moveToLastRow_(rowCount);
+	}
+	else if (this.async_)
+	{
+		return this.scanRowCount_().addCallback(function(rowCount)
+			{
+				this.rowCount_ = rowCount;
+				return this.runQueued_(this.moveToLastRow_, [rowCount]);
+			}, this);
+	}
+	
+	return this.moveToLastRow_(this.scanRowCount_());
+};
+
+/**
+ * Count the rows by reading them, when the datasource doesn't know how
+ * many it has.
+ * @return the number of rows, or in asynchronous mode, a
+ * {goog.async.Deferred} which fires with it.
+ * @private
+ */
+com.qwirx.data.Cursor.prototype.scanRowCount_ = function()
+{
+	var dataSource = this.dataSource_;
+	var pageSize = com.qwirx.data.PageCache.DEFAULT_PAGE_SIZE;
+	
+	// Rows before the current one must exist.
+	var start = goog.isNumber(this.position_) ? this.position_ : 0;
+	
+	if (this.async_)
+	{
+		var scan = function(start)
+		{
+			return dataSource.getRange(start, pageSize).addCallback(
+				function(records)
+				{
+					return (records.length < pageSize) ?
+						start + records.length :
+						scan(start + records.length);
+				});
+		};
+		
+		return scan(start);
+	}
+	
+	for (;;)
+	{
+		var records = dataSource.getRange(start, pageSize);
+		start += records.length;
+		
+		if (records.length < pageSize)
+		{
+			return start;
+		}
+	}
+};
+
+/**
+ * Move to the last row, now that we know how many rows there are, or
+ * to EOF if there are none.
+ * @private
+ */
+com.qwirx.data.Cursor.prototype.moveToLastRow_ = function(rowCount)
+{
+	var newPosition = rowCount - 1;
+	
+	if (rowCount == 0)
+	{
+		newPosition = com.qwirx.data.Cursor.EOF;
+	}
+
+	this.dispatchEvent({
+		type: com.qwirx.data.Cursor.Events.MOVE_LAST,
+		newPosition: newPosition
+		});
+
+	this.setPosition(newPosition);
+};
+
+/**
+ * Move to the record with the specified primary key, if there is one,
+ * using {com.qwirx.data.Datasource#indexOfKey}. This allows you to
+ * return to the same record after the datasource has changed, for
+ * example after re-sorting or refreshing it.
+ *
+ * Calls {#setPosition}, so it may throw the same exceptions.
+ *
+ * @param key The primary key of the record, which is the value of the
+ * key column if there is only one, or an array of the values of the
+ * key columns if there are several.
+ * @return true if the record was found and the cursor moved to it, or
+ * false if there is no such record, in which case the cursor does not
+ * move.
+ */
+com.qwirx.data.Cursor.prototype.moveToKey = function(key)
+{
+	if (this.async_ && !this.inQueue_)
+	{
+		return this.enqueue_(this.moveToKey, arguments);
+	}
+	else if (this.async_)
+	{
+		return this.dataSource_.indexOfKey(key).addCallback(
+			function(rowIndex)
+			{
+				return this.runQueued_(this.moveToIndex_, [rowIndex]);
+			}, this);
+	}
+	
+	return this.moveToIndex_(this.dataSource_.indexOfKey(key));
+};
+
+/**
+ * Move to the specified row, unless it's negative, as returned by
+ * {com.qwirx.data.Datasource#indexOfKey} when the key was not found.
+ * @return true if the cursor moved, false otherwise.
+ * @private
+ */
+com.qwirx.data.Cursor.prototype.moveToIndex_ = function(rowIndex)
+{
+	if (rowIndex < 0)
+	{
+		return false;
+	}
+	
+	this.setPosition(rowIndex);
+	return true;
+};
+
+/**
+ * @return the primary key of the current record, as it was loaded, which
+ * can be passed to {#moveToKey} later to return to the same record.
+ * @throws {com.qwirx.data.NoCurrentRecord} if the cursor is at
+ * {com.qwirx.data.Cursor.BOF} or {com.qwirx.data.Cursor.EOF}.
+ */
+com.qwirx.data.Cursor.prototype.getCurrentKey = function()
+{
+	this.assertCurrentRecord();
+	return this.dataSource_.getSchema().getRecordKey(
+		this.currentRecordAsLoaded_);
+};
+
+/**
+ * @return a {com.qwirx.data.Bookmark} of the current record, which can
+ * be passed to {#setBookmark} later to return to the same record, even
+ * if rows have been inserted, deleted or moved since then. Unlike
+ * {#getCurrentKey}, it works for datasources without a primary key.
+ * @throws {com.qwirx.data.NoCurrentRecord} if the cursor is at
+ * {com.qwirx.data.Cursor.BOF}, {com.qwirx.data.Cursor.EOF} or
+ * {com.qwirx.data.Cursor.NEW}, because there is no saved record to
+ * bookmark.
+ */
+com.qwirx.data.Cursor.prototype.getBookmark = function()
+{
+	this.assertCurrentRecord();
+	
+	if (this.position_ == com.qwirx.data.Cursor.NEW)
+	{
+		throw new com.qwirx.data.NoCurrentRecord("The cursor is at " +
+			this.position_ + " which has not been saved, so it cannot " +
+			"be bookmarked.");
+	}
+	
+	return new com.qwirx.data.Bookmark(this.dataSource_, this.position_);
+};
+
+/**
+ * Move to the record bookmarked by {#getBookmark}, wherever it is now.
+ *
+ * Calls {#setPosition}, so it may throw the same exceptions.
+ *
+ * @param {com.qwirx.data.Bookmark} bookmark The bookmark, which must
+ * have been created by a Cursor on the same datasource.
+ * @throws {com.qwirx.data.RecordDeleted} if the bookmarked record has
+ * been deleted, in which case the cursor does not move.
+ * @throws {com.qwirx.data.IllegalMove} if the bookmark belongs to a
+ * different datasource.
+ */
+com.qwirx.data.Cursor.prototype.setBookmark = function(bookmark)
+{
+	if (this.async_ && !this.inQueue_)
+	{
+		// The record may move before the queued call is made.
+		return this.enqueue_(this.setBookmark, arguments);
+	}
+	
+	if (bookmark.getDataSource() != this.dataSource_)
+	{
+		throw new com.qwirx.data.IllegalMove("The bookmark belongs to " +
+			"a different datasource");
+	}
+	
+	this.setPosition(bookmark.getPosition());
+};
+
+/**
+ * Move to the first record which matches the criteria, like FindFirst
+ * on an Access Recordset.
+ *
+ * If the criteria are a field and a value, the datasource is sorted on
+ * that field (see {com.qwirx.data.Datasource#getSortOrder}) and the
+ * access mode is {com.qwirx.data.Datasource.AccessMode.BINARY_SEARCH},
+ * the record is found with {com.qwirx.data.Datasource#binarySearch}.
+ * Otherwise the records are read one by one until a match is found.
+ *
+ * Calls {#setPosition}, so it may throw the same exceptions.
+ *
+ * @param {Function|string} criteria Either a function which is called
+ * with a record and its row index, and returns true if it matches; or
+ * the name of a field, in which case a record matches if the field is
+ * equal to opt_value.
+ * @param {*=} opt_value The value to look for, if criteria is the name
+ * of a field.
+ * @return true if a matching record was found and the cursor moved to
+ * it, or false if there is none, in which case the cursor does not
+ * move.
+ * @throws {com.qwirx.data.NoSuchField} if criteria is not a function
+ * and not the name of a field.
+ */
+com.qwirx.data.Cursor.prototype.findFirst = function(criteria, opt_value)
+{
+	if (this.async_ && !this.inQueue_)
+	{
+		return this.enqueue_(this.findFirst, arguments);
+	}
+	
+	return this.find_(criteria, opt_value, com.qwirx.data.Cursor.BOF,
+		true /* forward */);
+};
+
+/**
+ * Move to the last record which matches the criteria, like FindLast on
+ * an Access Recordset. If the number of rows is unknown, they are read
+ * until the end is found first, as {#moveLast} does.
+ * See {#findFirst} for the parameters and return value.
+ */
+com.qwirx.data.Cursor.prototype.findLast = function(criteria, opt_value)
+{
+	if (this.async_ && !this.inQueue_)
+	{
+		return this.enqueue_(this.findLast, arguments);
+	}
+	
+	return this.find_(criteria, opt_value, com.qwirx.data.Cursor.EOF,
+		false /* backward */);
+};
+
+/**
+ * Move to the next record after the current one which matches the
+ * criteria, like FindNext on an Access Recordset. At
+ * {com.qwirx.data.Cursor.BOF} the search starts from the first record,
+ * and at {com.qwirx.data.Cursor.EOF} or {com.qwirx.data.Cursor.NEW}
+ * there is nothing to find.
+ * See {#findFirst} for the parameters and return value.
+ */
+com.qwirx.data.Cursor.prototype.findNext = function(criteria, opt_value)
+{
+	if (this.async_ && !this.inQueue_)
+	{
+		return this.enqueue_(this.findNext, arguments);
+	}
+	
+	return this.find_(criteria, opt_value, this.position_,
+		true /* forward */);
+};
+
+/**
+ * Move to the nearest record before the current one which matches the
+ * criteria, like FindPrevious on an Access Recordset. At
+ * {com.qwirx.data.Cursor.EOF} or {com.qwirx.data.Cursor.NEW} the search
+ * starts from the last record, and at {com.qwirx.data.Cursor.BOF} there
+ * is nothing to find.
+ * See {#findFirst} for the parameters and return value.
+ */
+com.qwirx.data.Cursor.prototype.findPrevious = function(criteria,
+	opt_value)
+{
+	if (this.async_ && !this.inQueue_)
+	{
+		return this.enqueue_(this.findPrevious, arguments);
+	}
+	
+	return this.find_(criteria, opt_value, this.position_,
+		false /* backward */);
+};
+
+/**
+ * Search for a record which matches the criteria, starting next to the
+ * specified position and moving in the specified direction, and move
+ * to it if there is one.
+ * @return true if the cursor moved to a matching record, false
+ * otherwise, or in asynchronous mode, a {goog.async.Deferred} which
+ * fires with it.
+ * @private
+ */
+com.qwirx.data.Cursor.prototype.find_ = function(criteria, opt_value,
+	from, forward)
+{
+	var Cursor = com.qwirx.data.Cursor;
+	var match = criteria;
+	
+	if (!goog.isFunction(criteria))
+	{
+		this.assertValidField(criteria);
+		match = function(record)
+		{
+			return record[criteria] == opt_value;
+		};
+	}
+	
+	var self = this;
+	var search = function(start)
+	{
+		if (self.async_)
+		{
+			return self.findIndexAsync_(match, start, forward).addCallback(
+				function(rowIndex)
+				{
+					return self.runQueued_(self.moveToIndex_, [rowIndex]);
+				});
+		}
+		
+		var column = self.getBinarySearchColumn_(criteria);
+		return self.moveToIndex_(column ?
+			self.findSortedIndex_(column, opt_value, start, forward) :
+			self.findIndex_(match, start, forward));
+	};
+	
+	if (forward ? (from == Cursor.EOF || from == Cursor.NEW) :
+		from == Cursor.BOF)
+	{
+		// There are no records in that direction.
+		return false;
+	}
+	else if (forward)
+	{
+		return search(from == Cursor.BOF ? 0 : from + 1);
+	}
+	else if (goog.isNumber(from))
+	{
+		return search(from - 1);
+	}
+	
+	// Search backwards from the last row, so we need to know where it is.
+	var rowCount = this.getRowCount();
+	
+	if (rowCount != null)
+	{
+		return search(rowCount - 1);
+	}
+	else if (this.async_)
+	{
+		return this.scanRowCount_().addCallback(function(rowCount)
+			{
+				this.rowCount_ = rowCount;
+				return search(rowCount - 1);
+			}, this);
+	}
+	
+	return search(this.scanRowCount_() - 1);
+};
+
+/**
+ * @return the column of the sort order of the datasource that can be
+ * used to find records with the specified criteria by a binary search,
+ * which is only the case if they are the name of the first column in
+ * the sort order and the access mode is
+ * {com.qwirx.data.Datasource.AccessMode.BINARY_SEARCH}; otherwise null.
+ * @private
+ */
+com.qwirx.data.Cursor.prototype.getBinarySearchColumn_ = function(criteria)
+{
+	if (this.accessMode_ != com.qwirx.data.Datasource.AccessMode.BINARY_SEARCH
+		|| goog.isFunction(criteria))
+	{
+		return null;
+	}
+	
+	var sortOrder = this.dataSource_.getSortOrder();
+	
+	if (sortOrder && sortOrder.length && sortOrder[0].name == criteria)
+	{
+		return sortOrder[0];
+	}
+	
+	return null;
+};
+
+/**
+ * Find the nearest row to start, in the specified direction, whose
+ * value of the sorted column is equal to the supplied one, using
+ * {com.qwirx.data.Datasource#binarySearch} to find the first and last
+ * rows with that value, which are next to each other.
+ * @return the row index, or -1 if there is no such row.
+ * @private
+ */
+com.qwirx.data.Cursor.prototype.findSortedIndex_ = function(column,
+	value, start, forward)
+{
+	var dataSource = this.dataSource_;
+	var compare = column.compare || goog.array.defaultCompare;
+	
+	// Returns the position of the first row with the value, or just
+	// after the last one if afterEqual is true. The comparison never
+	// returns 0, so the search always returns an insertion point.
+	var findBoundary = function(afterEqual)
+	{
+		var position = dataSource.binarySearch(function(target, record)
+			{
+				var result = compare(target, record[column.name]);
+				
+				if (column.descending)
+				{
+					result = -result;
+				}
+				
+				return result || (afterEqual ? 1 : -1);
+			}, value);
+		
+		return -(position + 1);
+	};
+	
+	var first = findBoundary(false);
+	var last = findBoundary(true) - 1;
+	var rowIndex = forward ? Math.max(first, start) : Math.min(last, start);
+	return (rowIndex >= first && rowIndex <= last) ? rowIndex : -1;
+};
+
+/**
+ * Read the rows one by one, from start in the specified direction,
+ * until one matches, through the cache so that rows are prefetched
+ * according to the access mode.
+ * @return the row index of the matching row, or -1 if there is none.
+ * @private
+ */
+com.qwirx.data.Cursor.prototype.findIndex_ = function(match, start,
+	forward)
+{
+	var rowCount = this.getRowCount();
+	
+	for (var i = start; i >= 0 && (rowCount == null || i < rowCount);
+		i += (forward ? 1 : -1))
+	{
+		var record;
+		
+		try
+		{
+			record = this.cache_.get(i);
+		}
+		catch (exception)
+		{
+			if (rowCount == null &&
+				exception instanceof com.qwirx.data.NoSuchRecord)
+			{
+				// We've found the end of the data.
+				break;
+			}
+			
+			throw exception;
+		}
+		
+		if (match(record, i))
+		{
+			return i;
+		}
+	}
+	
+	return -1;
+};
+
+/**
+ * In asynchronous mode, read the rows a page at a time, from start in
+ * the specified direction, until one matches.
+ * @return {goog.async.Deferred} which fires with the row index of the
+ * matching row, or -1 if there is none.
+ * @private
+ */
+com.qwirx.data.Cursor.prototype.findIndexAsync_ = function(match, start,
+	forward)
+{
+	var dataSource = this.dataSource_;
+	var pageSize = com.qwirx.data.PageCache.DEFAULT_PAGE_SIZE;
+	var rowCount = this.rowCount_;
+	
+	var scan = function(start)
+	{
+		if (start < 0 || (rowCount != null && start >= rowCount))
+		{
+			return goog.async.Deferred.succeed(-1);
+		}
+		
+		var first = forward ? start : Math.max(0, start - pageSize + 1);
+		var count = forward ? pageSize : start - first + 1;
+		
+		return dataSource.getRange(first, count).addCallback(
+			function(records)
+			{
+				for (var i = 0; i < records.length; i++)
+				{
+					var j = forward ? i : records.length - 1 - i;
+					
+					if (match(records[j], first + j))
+					{
+						return first + j;
+					}
+				}
+				
+				if (forward && records.length < count)
+				{
+					// We've reached the end of the data.
+					return -1;
+				}
+				
+				return scan(forward ? start + records.length : first - 1);
+			});
+	};
+	
+	return scan(start);
+};
+
+/**
+ * Move to a new, blank row at the end of the data.
+ */
+com.qwirx.data.Cursor.prototype.moveNew = function()
+{
+	if (this.async_ && !this.inQueue_)
+	{
+		return this.enqueue_(this.moveNew, arguments);
+	}
+	
+	var newPosition = com.qwirx.data.Cursor.NEW;
+
+	this.dispatchEvent({
+		type: com.qwirx.data.Cursor.Events.CREATE_NEW,
+		newPosition: newPosition
+		});
+
+	this.setPosition(newPosition);
+};
+
+/**
+ * Handle an event from the datasource saying that rows have been inserted,
+ * by updating our position if necessary to stay on the same row. The
+ * affected row indexes are the positions of the new rows after they
+ * were inserted, in ascending order, so each one at or before our
+ * (already adjusted) position pushes us down by one.
+ */
+com.qwirx.data.Cursor.prototype.handleDataSourceRowInsert = function(event)
+{
+	var affected = event.getAffectedRows();
+	var oldPosition = this.position_;
+	var newPosition = oldPosition;
+	
+	if (this.async_ && this.rowCount_ != null)
+	{
+		this.rowCount_ += affected.length;
+	}
+	
+	for (var i = 0; i < affected.length; i++)
+	{
+		var rowIndex = affected[i];
+		if (rowIndex <= newPosition)
+		{
+			newPosition++;
+		}
+	}
+	
+	if (newPosition != oldPosition)
+	{
+		// don't discard data being edited, as would happen if we called
+		// setPosition(), because there's no need.
+		this.followCurrentRecord_(newPosition);
+	}
+	
+	this.reloadIfLoading_();
+};
+
+/**
+ * Handle an event from the datasource saying that rows have been updated
+ * (replaced). If the current row was one of them, and the current
+ * record is not dirty, then it's reloaded from the datasource and a
+ * {com.qwirx.data.Cursor.Events.CURRENT_ROW_REFRESHED} event is sent,
+ * so that anyone displaying the current values can redraw them.
+ *
+ * If the current record is dirty, the user's changes are kept, but a
+ * {com.qwirx.data.Cursor.Events.CURRENT_ROW_CONFLICT} event is sent
+ * to warn that the record has been changed underneath them, and that
+ * {#save} will send a BEFORE_OVERWRITE event. This allows the user to
+ * be warned before they make any more changes.
+ *
+ * Updates caused by our own {#save} are ignored.
+ *
+ * In asynchronous mode, the record is only replaced, and the
+ * CURRENT_ROW_REFRESHED event sent, when it arrives. If we were already
+ * loading a record, we just load it again in case it has changed.
+ */
+com.qwirx.data.Cursor.prototype.handleDataSourceRowUpdate = function(event)
+{
+	if (this.loading_ && !this.saving_)
+	{
+		this.reloadIfLoading_();
+		return;
+	}
+	
+	if (this.saving_ ||
+		this.position_ == com.qwirx.data.Cursor.BOF ||
+		this.position_ == com.qwirx.data.Cursor.EOF ||
+		this.position_ == com.qwirx.data.Cursor.NEW ||
+		!goog.array.contains(event.getAffectedRows(), this.position_))
+	{
+		return;
+	}
+	
+	if (this.isDirty())
+	{
+		this.dispatchEvent(new com.qwirx.data.Cursor.RowEvent(
+			com.qwirx.data.Cursor.Events.CURRENT_ROW_CONFLICT,
+			this.position_));
+	}
+	else if (this.async_)
+	{
+		this.reloadRecord();
+	}
+	else
+	{
+		this.reloadRecord();
+		this.dispatchEvent(new com.qwirx.data.Cursor.RowEvent(
+			com.qwirx.data.Cursor.Events.CURRENT_ROW_REFRESHED,
+			this.position_));
+	}
+};
+
+/**
+ * Handle an event from the datasource saying that rows have been deleted,
+ * by updating our position if necessary to stay on the same row. The
+ * affected row indexes are the positions that the rows occupied before
+ * they were deleted.
+ *
+ * If the current row itself was deleted, then we can't stay on it. If
+ * the current record was not dirty, the cursor moves to the row that
+ * took its place (the next row), or the previous row if the deleted row
+ * was the last one, or {com.qwirx.data.Cursor.EOF} if there are no
+ * rows left. If the current record was dirty, the cursor moves to
+ * {com.qwirx.data.Cursor.NEW} and keeps the modified values, so that
+ * the user can {#save} them as a new record, or {#discard} them.
+ *
+ * Either way, a {com.qwirx.data.Cursor.Events.CURRENT_ROW_DELETED}
+ * event is sent, whose position is the deleted row and whose new
+ * position is where the cursor ended up, followed by a
+ * {com.qwirx.data.Cursor.Events.MOVE_TO} event. Neither can be
+ * cancelled, because the row is already gone.
+ *
+ * If the row disappeared while we were saving it, for example from a
+ * filtered view, then the modified values have been saved, so they are
+ * not kept. If the row was deleted by our own {#deleteCurrent}, then
+ * the modified values are not kept either, and a
+ * {com.qwirx.data.Cursor.Events.DELETE_CURRENT_ROW} event is sent
+ * instead of CURRENT_ROW_DELETED.
+ */
+com.qwirx.data.Cursor.prototype.handleDataSourceRowDelete = function(event)
+{
+	var affected = event.getAffectedRows();
+	var oldPosition = this.position_;
+	
+	if (this.async_ && this.rowCount_ != null)
+	{
+		this.rowCount_ -= affected.length;
+	}
+	
+	if (oldPosition == com.qwirx.data.Cursor.BOF ||
+		oldPosition == com.qwirx.data.Cursor.EOF ||
+		oldPosition == com.qwirx.data.Cursor.NEW)
+	{
+		// not positioned on a real row, so no change is necessary
+		this.reloadIfLoading_();
+		return;
+	}
+	
+	var newPosition = oldPosition;
+	var currentRowDeleted = false;
+	
+	for (var i = 0; i < affected.length; i++)
+	{
+		var rowIndex = affected[i];
+		if (rowIndex < oldPosition)
+		{
+			newPosition--;
+		}
+		else if (rowIndex == oldPosition)
+		{
+			currentRowDeleted = true;
+		}
+	}
+	
+	if (!currentRowDeleted)
+	{
+		if (newPosition != oldPosition)
+		{
+			// don't discard data being edited, as would happen if we
+			// called setPosition(), because there's no need.
+			this.followCurrentRecord_(newPosition);
+		}
+		
+		this.reloadIfLoading_();
+		return;
+	}
+	
+	var modifiedValues = null;
+	
+	// If we deleted the row ourselves, then any changes were deliberately
+	// thrown away with it. If it disappeared while we were saving it,
+	// for example from a filtered view, then the changes were saved.
+	if (this.isDirty() && !this.deleting_ && !this.saving_)
+	{
+		modifiedValues = this.currentRecordValues_;
+		newPosition = com.qwirx.data.Cursor.NEW;
+	}
+	else
+	{
+		var rowCount = this.getRowCount();
+		
+		if (rowCount != null && newPosition >= rowCount)
+		{
+			newPosition = (rowCount > 0) ? rowCount - 1 :
+				com.qwirx.data.Cursor.EOF;
+		}
+	}
+	
+	this.position_ = newPosition;
+	
+	if (!modifiedValues && !this.async_ &&
+		this.dataSource_.isSendingChanges())
+	{
+		// The data is already in its final state, so the row at our new
+		// position may not be the one that took the deleted row's place
+		// until all the changes have been sent.
+		this.reloadWhenChangesComplete_ = true;
+	}
+	else
+	{
+		this.reloadRecord();
+	}
+	
+	if (modifiedValues)
+	{
+		// The loaded values of a NEW record are empty, so these values
+		// make it dirty, and save() will add them as a new record.
+		this.currentRecordValues_ = modifiedValues;
+		this.updateEditing_();
+	}
+	
+	this.dispatchEvent(new com.qwirx.data.Cursor.MovementEvent(
+		this.deleting_ ? com.qwirx.data.Cursor.Events.DELETE_CURRENT_ROW :
+		com.qwirx.data.Cursor.Events.CURRENT_ROW_DELETED, oldPosition,
+		newPosition));
+	this.dispatchEvent(new com.qwirx.data.Cursor.MovementEvent(
+		com.qwirx.data.Cursor.Events.MOVE_TO, oldPosition, newPosition));
+};
+
+/**
+ * Handle an event from the datasource saying that it has finished
+ * sending several changes at once, for example when a transaction was
+ * committed, by loading the current record if it was deleted by one of
+ * them. It's only loaded now, because until then the data did not match
+ * our position. If rows were deleted past the end, the cursor moves to
+ * the last row, or {com.qwirx.data.Cursor.EOF} if there are none left.
+ */
+com.qwirx.data.Cursor.prototype.handleDataSourceChangesComplete =
+	function(event)
+{
+	if (!this.reloadWhenChangesComplete_)
+	{
+		return;
+	}
+	
+	this.reloadWhenChangesComplete_ = false;
+	var rowCount = this.getRowCount();
+	
+	if (goog.isNumber(this.position_) && rowCount != null &&
+		this.position_ >= rowCount)
+	{
+		this.moveInternal((rowCount > 0) ? rowCount - 1 :
+			com.qwirx.data.Cursor.EOF);
+	}
+	else
+	{
+		this.reloadRecord();
+	}
+};
+
+/**
+ * Handle an event from the datasource saying that a row has moved to a
+ * different position, for example because it was updated and the
+ * datasource is sorted, by updating our position if necessary to stay on
+ * the same row. Any unsaved changes are kept.
+ */
+com.qwirx.data.Cursor.prototype.handleDataSourceRowMove = function(event)
+{
+	var oldRowIndex = event.getOldRowIndex();
+	var newRowIndex = event.getNewRowIndex();
+	var position = this.position_;
+	
+	if (position == com.qwirx.data.Cursor.BOF ||
+		position == com.qwirx.data.Cursor.EOF ||
+		position == com.qwirx.data.Cursor.NEW)
+	{
+		// not positioned on a real row, so no change is necessary
+		this.reloadIfLoading_();
+		return;
+	}
+	
+	if (position == oldRowIndex)
+	{
+		position = newRowIndex;
+	}
+	else if (oldRowIndex < position && position <= newRowIndex)
+	{
+		position--;
+	}
+	else if (newRowIndex <= position && position < oldRowIndex)
+	{
+		position++;
+	}
+	
+	if (position != this.position_)
+	{
+		this.followCurrentRecord_(position);
+	}
+	
+	this.reloadIfLoading_();
+};
+
+/**
+ * An exception thrown by {@link com.qwirx.data.Cursor#setFieldValue}
+ * if there is no current record, because the cursor is positioned at
+ * {com.qwirx.data.Cursor.BOF} or {com.qwirx.data.Cursor.EOF}.
+ * @constructor
+ */
+com.qwirx.data.NoCurrentRecord = function(message)
+{
+	goog.base(this, message);
+	this.message = message;
+};
+goog.inherits(com.qwirx.data.NoCurrentRecord, com.qwirx.util.Exception);
+
+/**
+ * An exception thrown by {@link com.qwirx.data.Cursor#setFieldValue}
+ * if the specified field name is not a valid field/column for this
+ * cursor.
+ * @constructor
+ */
+com.qwirx.data.NoSuchField = function(message)
+{
+	goog.base(this, message);
+	this.message = message;
+};
+goog.inherits(com.qwirx.data.NoSuchField, com.qwirx.util.Exception);
+
+com.qwirx.data.Cursor.prototype.assertCurrentRecord = function()
+{
+	if (this.position_ == com.qwirx.data.Cursor.BOF ||
+		this.position_ == com.qwirx.data.Cursor.EOF)
+	{
+		throw new com.qwirx.data.NoCurrentRecord("The cursor " +
+			"is at " + this.position_ + " which is not a valid " +
+			"record, so the field values cannot be modified.");
+	}
+};
+
+com.qwirx.data.Cursor.prototype.assertValidField = function(fieldName)
+{
+	var columns = this.dataSource_.getColumns();
+	var fieldNames = [];
+	
+	for (var i = 0; i < columns.length; i++)
+	{
+		if (columns[i].name == fieldName)
+		{
+			return;
+		}
+		
+		fieldNames.push(columns[i].name);
+	}
+	
+	throw new com.qwirx.data.NoSuchField("The field " + fieldName +
+		" does not exist in this cursor. Valid fields are: " +
+		fieldNames.join(" "));
+};
+
+/**
+ * Sets the value of a field of the current record, and sends a
+ * {com.qwirx.data.Cursor.ModifiedEvent} describing the change, which
+ * can be undone by {#undoEdit}.
+ * @param {String} fieldName the name of the field to modify
+ * @param newValue the new value of the field, which can be of any
+ * type.
+ * @param {boolean=} opt_validate If true, check the new value against
+ * the datasource's {com.qwirx.data.Schema} before setting it, instead
+ * of waiting for {#save} to fail.
+ * @throws {com.qwirx.data.NoCurrentRecord} if the cursor is at
+ * {com.qwirx.data.Cursor.BOF} or {com.qwirx.data.Cursor.EOF}.
+ * @throws {com.qwirx.data.NoSuchField} if the supplied field name
+ * does not exist in the current record.
+ * @throws {com.qwirx.data.ValidationFailed} if opt_validate is true and
+ * the new value is not valid for the field. The value is not changed.
+ */
+com.qwirx.data.Cursor.prototype.setFieldValue = function(fieldName,
+	newValue, opt_validate)
+{
+	this.assertCurrentRecord();
+	this.assertValidField(fieldName);
+	
+	if (opt_validate)
+	{
+		this.dataSource_.getSchema().validateField(fieldName, newValue);
+	}
+	
+	this.recordEdit_(fieldName, newValue);
+};
+
+/**
+ * Set the value of a field of the current record, and remember the
+ * change so that {#undoEdit} can undo it. Any edits that were undone
+ * can't be redone after this.
+ * @private
+ */
+com.qwirx.data.Cursor.prototype.recordEdit_ = function(fieldName,
+	newValue)
+{
+	this.edits_.splice(this.editCount_, this.edits_.length,
+		{name: fieldName, oldValue: this.currentRecordValues_[fieldName],
+			newValue: newValue});
+	this.editCount_ = this.edits_.length;
+	this.applyEdit_(fieldName, newValue);
+};
+
+/**
+ * Set the value of a field of the current record and send a
+ * {com.qwirx.data.Cursor.ModifiedEvent} describing the change.
+ * @private
+ */
+com.qwirx.data.Cursor.prototype.applyEdit_ = function(fieldName,
+	newValue)
+{
+	var change = {name: fieldName,
+		oldValue: this.currentRecordValues_[fieldName], newValue: newValue,
+		loadedValue: this.currentRecordAsLoaded_[fieldName]};
+	this.currentRecordValues_[fieldName] = newValue;
+	this.dispatchEvent(new com.qwirx.data.Cursor.ModifiedEvent(
+		this.getPosition(), [change]));
+	this.updateEditing_();
+};
+
+/**
+ * Set the value of a field of the current record back to the value
+ * that it had when the record was loaded, as one of the edits that
+ * {#undoEdit} can undo. Does nothing if the field is not modified.
+ * @param {String} fieldName the name of the field to revert.
+ * @throws {com.qwirx.data.NoCurrentRecord} if the cursor is at
+ * {com.qwirx.data.Cursor.BOF} or {com.qwirx.data.Cursor.EOF}.
+ * @throws {com.qwirx.data.NoSuchField} if the supplied field name
+ * does not exist in the current record.
+ */
+com.qwirx.data.Cursor.prototype.revertField = function(fieldName)
+{
+	this.assertCurrentRecord();
+	this.assertValidField(fieldName);
+	
+	if (this.isFieldModified_(fieldName))
+	{
+		this.recordEdit_(fieldName, this.currentRecordAsLoaded_[fieldName]);
+	}
+};
+
+/**
+ * @return true if the current value of the field is different from
+ * the value that it had when the record was loaded.
+ * @private
+ */
+com.qwirx.data.Cursor.prototype.isFieldModified_ = function(fieldName)
+{
+	var values = this.currentRecordValues_;
+	var loaded = this.currentRecordAsLoaded_;
+	return values.hasOwnProperty(fieldName) !=
+		loaded.hasOwnProperty(fieldName) ||
+		values[fieldName] != loaded[fieldName];
+};
+
+/**
+ * @return an array of the fields of the current record whose values
+ * have been changed since it was loaded, in column order, each with a
+ * <code>name</code>, the <code>loadedValue</code> and the
+ * <code>currentValue</code>. It's empty if the record is not dirty.
+ * @throws {com.qwirx.data.NoCurrentRecord} if the cursor is at
+ * {com.qwirx.data.Cursor.BOF} or {com.qwirx.data.Cursor.EOF}.
+ */
+com.qwirx.data.Cursor.prototype.getModifiedFields = function()
+{
+	this.assertCurrentRecord();
+	
+	var names = goog.array.map(this.dataSource_.getColumns(),
+		function(column)
+		{
+			return column.name;
+		});
+	
+	// Fields which are not columns can be modified too, if the schema
+	// is not typed.
+	goog.array.extend(names, goog.object.getKeys(this.currentRecordValues_),
+		goog.object.getKeys(this.currentRecordAsLoaded_));
+	goog.array.removeDuplicates(names);
+	
+	var modified = [];
+	
+	for (var i = 0; i < names.length; i++)
+	{
+		if (this.isFieldModified_(names[i]))
+		{
+			modified.push({name: names[i],
+				loadedValue: this.currentRecordAsLoaded_[names[i]],
+				currentValue: this.currentRecordValues_[names[i]]});
+		}
+	}
+	
+	return modified;
+};
+
+/**
+ * @return true if there is a field edit to the current record that
+ * {#undoEdit} can undo.
+ */
+com.qwirx.data.Cursor.prototype.canUndoEdit = function()
+{
+	return this.editCount_ > 0;
+};
+
+/**
+ * @return true if there is a field edit to the current record that
+ * was undone, which {#redoEdit} can redo.
+ */
+com.qwirx.data.Cursor.prototype.canRedoEdit = function()
+{
+	return this.editCount_ < this.edits_.length;
+};
+
+/**
+ * Undo the last field edit made to the current record by
+ * {#setFieldValue} or {#revertField}, restoring the value that the
+ * field had before, and sending a
+ * {com.qwirx.data.Cursor.ModifiedEvent}. The edits are forgotten when
+ * the record is saved, discarded or reloaded.
+ * @return false if there was nothing to undo, otherwise true.
+ */
+com.qwirx.data.Cursor.prototype.undoEdit = function()
+{
+	if (!this.canUndoEdit())
+	{
+		return false;
+	}
+	
+	var edit = this.edits_[--this.editCount_];
+	this.applyEdit_(edit.name, edit.oldValue);
+	return true;
+};
+
+/**
+ * Redo the last field edit undone by {#undoEdit}, sending a
+ * {com.qwirx.data.Cursor.ModifiedEvent}.
+ * @return false if there was nothing to redo, otherwise true.
+ */
+com.qwirx.data.Cursor.prototype.redoEdit = function()
+{
+	if (!this.canRedoEdit())
+	{
+		return false;
+	}
+	
+	var edit = this.edits_[this.editCount_++];
+	this.applyEdit_(edit.name, edit.newValue);
+	return true;
+};
+
+/**
+ * Delete the current record from the {com.qwirx.data.Datasource}.
+ * A {@link com.qwirx.data.Cursor.Events.BEFORE_DELETE} event is sent
+ * first, and if it is cancelled, a {@link com.qwirx.data.DeleteBlocked}
+ * exception is thrown and nothing is deleted. Any unsaved changes to
+ * the current record are discarded along with it, without sending a
+ * BEFORE_DISCARD event.
+ *
+ * The cursor then moves to the record that took the deleted one's
+ * place (the next record), or the previous record if the deleted one
+ * was the last, or {com.qwirx.data.Cursor.EOF} if there are no records
+ * left, and sends a {@link com.qwirx.data.Cursor.Events.DELETE_CURRENT_ROW}
+ * event followed by a {@link com.qwirx.data.Cursor.Events.MOVE_TO} event.
+ *
+ * In batch mode (see {#setBatchMode}) the record is only marked to be
+ * deleted by {#saveAll}, and any unsaved changes to it are discarded.
+ * The cursor stays where it is, and the concurrency check is made
+ * when the record is really deleted.
+ *
+ * @param {boolean=} opt_forceDelete If set to true, the check for the
+ * record having been concurrently modified in the underlying datasource
+ * will be skipped.
+ *
+ * @return the new position of the cursor.
+ *
+ * @throws {com.qwirx.data.NoCurrentRecord} if the cursor is at
+ * {com.qwirx.data.Cursor.BOF}, {com.qwirx.data.Cursor.EOF} or
+ * {com.qwirx.data.Cursor.NEW}, because there is no saved record to
+ * delete. Use {#discard} to throw away a NEW record.
+ * @throws {com.qwirx.data.ConcurrentModification} if the record has
+ * been modified in the datasource since it was loaded into the cursor,
+ * unless opt_forceDelete is true.
+ */
+com.qwirx.data.Cursor.prototype.deleteCurrent = function(opt_forceDelete)
+{
+	if (this.async_ && !this.inQueue_)
+	{
+		return this.enqueue_(this.deleteCurrent, arguments);
+	}
+	
+	this.assertCurrentRecord();
+	
+	if (this.position_ == com.qwirx.data.Cursor.NEW)
+	{
+		throw new com.qwirx.data.NoCurrentRecord("The cursor is at " +
+			this.position_ + " which has not been saved, so it cannot " +
+			"be deleted.");
+	}
+	
+	var event = new com.qwirx.data.Cursor.RowEvent(
+		com.qwirx.data.Cursor.Events.BEFORE_DELETE, this.position_);
+	var cancelled = !this.dispatchEvent(event);
+	
+	if (cancelled)
+	{
+		throw new com.qwirx.data.DeleteBlocked();
+	}
+	
+	if (this.batchMode_)
+	{
+		this.markPendingDelete_();
+		return this.position_;
+	}
+	
+	// The datasource will send us a ROWS_DELETE event, and
+	// handleDataSourceRowDelete will reposition the cursor.
+	this.deleting_ = true;
+	
+	if (this.async_)
+	{
+		var removal = opt_forceDelete ?
+			this.dataSource_.remove(this.position_) :
+			this.dataSource_.atomicRemove(this.position_,
+				this.getExpected_(this.getLoadedValues(),
+					this.loadedVersion_));
+		
+		return removal.addBoth(function(result)
+			{
+				this.deleting_ = false;
+				return result;
+			}, this).addCallback(function()
+			{
+				return this.position_;
+			}, this);
+	}
+	
+	try
+	{
+		if (opt_forceDelete)
+		{
+			this.dataSource_.remove(this.position_);
+		}
+		else
+		{
+			this.dataSource_.atomicRemove(this.position_,
+				this.getExpected_(this.currentRecordAsLoaded_,
+					this.loadedVersion_));
+		}
+	}
+	finally
+	{
+		this.deleting_ = false;
+	}
+	
+	return this.position_;
+};
+
+/**
+ * Checks all the current values of the current record against the
+ * datasource's {com.qwirx.data.Schema}, so that you can find out
+ * whether {#save} would fail, and why.
+ * @throws {com.qwirx.data.NoCurrentRecord} if the cursor is at
+ * {com.qwirx.data.Cursor.BOF} or {com.qwirx.data.Cursor.EOF}.
+ * @throws {com.qwirx.data.ValidationFailed} listing every invalid field,
+ * if there are any.
+ */
+com.qwirx.data.Cursor.prototype.validate = function()
+{
+	this.assertCurrentRecord();
+	this.dataSource_.getSchema().validateRecord(this.currentRecordValues_);
+};
+
+/**
+ * A generic exception superclass for illegal or blocked cursor
+ * movement attempts.
+ * @constructor
+ */
+com.qwirx.data.CursorMovementException = function(message)
+{
+	goog.base(this, message);
+};
+goog.require('com.qwirx.util.Exception');
+goog.inherits(com.qwirx.data.CursorMovementException,
+	com.qwirx.util.Exception);
+
+/**
+ * An exception response to an illegal movement attempt,
+ * such as moving to the previous record from BOF or the next record
+ * from EOF, which is never allowed and should not be offered to the
+ * user.
+ * @constructor
  */
 com.qwirx.data.IllegalMove = function(message)
 {
-	goog.base(this, message);
+	goog.base(this, message);
+};
+goog.inherits(com.qwirx.data.IllegalMove,
+	com.qwirx.data.CursorMovementException);
+
+/**
+ * An exception response to a movement attempt which is blocked by
+ * a {@link com.qwirx.data.Cursor.Events.BEFORE_DISCARD} event handler
+ * cancelling the event, perhaps because the user has unsaved changes
+ * that they wish not to discard yet.
+ * @constructor
+ */
+com.qwirx.data.DiscardBlocked = function(message)
+{
+	goog.base(this, message);
+};
+goog.inherits(com.qwirx.data.DiscardBlocked,
+	com.qwirx.data.CursorMovementException);
+
+/**
+ * An exception response to a save attempt which is blocked by
+ * a {@link com.qwirx.data.Cursor.Events.BEFORE_SAVE} event handler
+ * cancelling the event, perhaps because the record is invalid and cannot
+ * be saved.
+ * @constructor
+ */
+com.qwirx.data.SaveBlocked = function(message)
+{
+	goog.base(this, message);
+};
+goog.inherits(com.qwirx.data.SaveBlocked, com.qwirx.util.Exception);
+
+/**
+ * An exception response to a delete attempt which is blocked by
+ * a {@link com.qwirx.data.Cursor.Events.BEFORE_DELETE} event handler
+ * cancelling the event, perhaps because the user changed their mind.
+ * @constructor
+ */
+com.qwirx.data.DeleteBlocked = function()
+{
+	goog.base(this, "The BEFORE_DELETE event was cancelled, so the " +
+		"cursor has not deleted the current record.");
+};
+goog.inherits(com.qwirx.data.DeleteBlocked, com.qwirx.util.Exception);
+
+/**
+ * An exception response to a movement attempt which is blocked by
+ * a {@link com.qwirx.data.Cursor.Events.BEFORE_OVERWRITE} event handler
+ * cancelling the event, perhaps because the user decided not to
+ * overwrite the record that changed under their feet.
+ * @constructor
+ */
+com.qwirx.data.OverwriteBlocked = function()
+{
+	goog.base(this, "The record in the datasource has changed since " +
+		"we loaded it, and the BEFORE_OVERWRITE event was cancelled, " +
+		"so the cursor has not saved the current record.");
+};
+goog.inherits(com.qwirx.data.OverwriteBlocked,
+	com.qwirx.data.CursorMovementException);
+
+/**
+ * An exception thrown by {@link com.qwirx.data.Cursor#setBatchMode} if
+ * batch mode is turned off while there are still changes waiting to be
+ * saved by {@link com.qwirx.data.Cursor#saveAll} or thrown away by
+ * {@link com.qwirx.data.Cursor#cancelAll}.
+ * @constructor
+ */
+com.qwirx.data.PendingChanges = function()
+{
+	goog.base(this, "There are pending changes which must be saved " +
+		"or cancelled before leaving batch mode.");
+};
+goog.inherits(com.qwirx.data.PendingChanges, com.qwirx.util.Exception);
+
+/**
+ * @return the value of the named field when this record was loaded,
+ * as opposed to its current value.
+ * @throws {com.qwirx.data.NoCurrentRecord} if the cursor is at
+ * {com.qwirx.data.Cursor.BOF} or {com.qwirx.data.Cursor.EOF}.
+ */
+com.qwirx.data.Cursor.prototype.getLoadedValues = function()
+{
+	this.assertCurrentRecord();
+	return goog.object.clone(this.currentRecordAsLoaded_);
+};
+
+/**
+ * @return the current, possibly unsaved values of all fields in the
+ * current record.
+ * @throws {com.qwirx.data.NoCurrentRecord} if the cursor is at
+ * {com.qwirx.data.Cursor.BOF} or {com.qwirx.data.Cursor.EOF}.
+ */
+com.qwirx.data.Cursor.prototype.getCurrentValues = function()
+{
+	this.assertCurrentRecord();
+	return goog.object.clone(this.currentRecordValues_);
+};
+
+/**
+ * Write the current record to the {com.qwirx.data.Datasource}. This
+ * only makes sense when the cursor is positioned on a current record
+ * or at {com.qwirx.data.Cursor.NEW}. A
+ * {@link com.qwirx.data.Cursor.Events.SAVE} event will be sent afterwards,
+ * and if the cursor was previously at {com.qwirx.data.Cursor.NEW}, then
+ * it will be moved to the position of the newly created record.
+ * 
+ * If the cursor is positioned on an existing record, it will normally 
+ * check before overwriting it that the record values have not changed 
+ * since it was loaded into the cursor. This protects against concurrent 
+ * modification of the same Datasource (or underlying data source) by 
+ * independent Cursors or other means.
+ * If the datasource keeps versions (see
+ * {@link com.qwirx.data.Datasource#getVersion}), only the version that
+ * the record had when it was loaded is checked.
+ * 
+ * If the record has been modified, a
+ * {@link com.qwirx.data.Cursor.Events.BEFORE_OVERWRITE} event will be sent,
+ * and if this event is cancelled, the save method will throw a 
+ * {@link com.qwirx.data.OverwriteBlocked} exception instead of overwriting
+ * the data in the Cursor. If the event is not intercepted or a handler
+ * returns true, then the modified record in the datasource will be
+ * overwritten, and a {@link com.qwirx.data.Cursor.Events.OVERWRITE} event
+ * will be sent. The BEFORE_OVERWRITE event carries the details of the
+ * conflict, in its <code>currentValues</code> and <code>conflicts</code>
+ * properties, so that the user can decide what to do. In merge mode
+ * (see {#setMergeMode}) changes to different fields are merged instead
+ * of being treated as a conflict.
+ * 
+ * If opt_forceOverwrite is true, then we don't check whether the record
+ * was modified underneath, and therefore we don't send an OVERWRITE event.
+ * 
+ * @param {boolean} opt_suppressMoveToEvent set to true if you want to
+ * suppress the automatic MOVE_TO event caused by moving the cursor from
+ * a NEW row to a newly created real row. For example, you might do this
+ * if you're about to move the cursor again, because the save() was part
+ * of handling a requested movement away from a dirty row.
+ * 
+ * If the movement event is suppressed, and we were saving a new
+ * record, then we're still positioned on NEW because we haven't sent
+ * a MOVE_TO event to indicate that we've moved elsewhere. So the
+ * newly saved record is elsewhere, and the current one is empty.
+ *
+ * Also note the subtle inconsistency between SaveEvent.getPosition()
+ * and Cursor.getPosition() in this case, as described in
+ * {com.qwirx.data.Cursor.RowEvent.prototype#getPosition}.
+ * 
+ * @param {boolean} opt_forceOverwrite If set to true, the check for the
+ * record having been concurrently modified in the underlying datasource
+ * will be skipped, and the BEFORE_OVERWRITE and OVERWRITE events will not
+ * be sent.
+ * 
+ * @param {number} opt_attemptedPosition If the save() is part of a movement
+ * process, then pass the new target position. If a BEFORE_OVERWRITE event is
+ * sent, it will be sent as a MovementEvent instead of a RowEvent, and
+ * listeners will be able to discover the target row. Grid uses this to
+ * complete the attempted movement when the user eventually tells us what
+ * to do, by clicking on a button in the dialog. We do not actually complete
+ * the movement ourselves, that's your responsibility!
+ * 
+ * @throws {com.qwirx.data.NoCurrentRecord} if the cursor is at
+ * {com.qwirx.data.Cursor.BOF} or {com.qwirx.data.Cursor.EOF}.
+ */
+com.qwirx.data.Cursor.prototype.save = function(opt_suppressMoveToEvent,
+	opt_forceOverwrite, opt_attemptedPosition)
+{
+	if (this.async_ && !this.inQueue_)
+	{
+		return this.enqueue_(this.save, arguments);
+	}
+	
+	this.assertCurrentRecord();
+	
+	if (this.async_)
+	{
+		return this.saveAsync_(opt_suppressMoveToEvent, opt_forceOverwrite,
+			opt_attemptedPosition);
+	}
+	
+	// The current record is saved now, instead of by saveAll().
+	this.removePending_(this.position_ == com.qwirx.data.Cursor.NEW ?
+		this.newEntry_ : this.findPending_(this.position_));
+	var newPosition;
+	
+	// Our own writes will cause the datasource to send us ROWS_UPDATE
+	// events for the current row, which we should not treat as
+	// concurrent modifications.
+	this.saving_ = true;
+	
+	try
+	{
+		if (this.position_ == com.qwirx.data.Cursor.NEW)
+		{
+			newPosition = this.dataSource_.add(this.currentRecordValues_);
+		}
+		else if (opt_forceOverwrite)
+		{
+			this.dataSource_.replace(this.position_, this.currentRecordValues_);
+		}
+		else
+		{
+			try
+			{
+				this.writeAtomic_(this.dataSource_, this.position_,
+					this.currentRecordAsLoaded_, this.loadedVersion_,
+					this.currentRecordValues_);
+			}
+			catch (exception)
+			{
+				if (exception instanceof com.qwirx.data.ConcurrentModification)
+				{
+					if (!this.isOverwriteAllowed_(opt_attemptedPosition,
+						exception))
+					{
+						throw new com.qwirx.data.OverwriteBlocked();
+					}
+					else
+					{
+						this.dataSource_.replace(this.position_,
+							this.getOverwriteValues_(
+								this.currentRecordAsLoaded_,
+								this.currentRecordValues_, exception));
+						this.dispatchEvent(
+							new com.qwirx.data.Cursor.RowEvent(
+								com.qwirx.data.Cursor.Events.OVERWRITE,
+								this.getPosition()));
+					}
+				}
+				else
+				{
+					throw exception;
+				}
+			}
+		}
+	}
+	finally
+	{
+		this.saving_ = false;
+	}
+	
+	if (newPosition === undefined)
+	{
+		// The saved record may have moved, for example if the datasource
+		// is sorted, in which case we have already followed it.
+		newPosition = this.position_;
+	}
+	
+	this.reloadRecord();
+	this.dispatchEvent(new com.qwirx.data.Cursor.RowEvent(
+		com.qwirx.data.Cursor.Events.SAVE, newPosition));
+	
+	if (newPosition != this.position_ && !opt_suppressMoveToEvent)
+	{
+		this.moveInternal(newPosition);
+	}
+	
+	return newPosition;
+};
+
+/**
+ * The asynchronous version of {#save}, used in asynchronous mode.
+ * The record is reloaded after it has been written, and then the SAVE
+ * event is sent.
+ * @return {goog.async.Deferred} which fires with the new position.
+ * @private
+ */
+com.qwirx.data.Cursor.prototype.saveAsync_ = function(
+	opt_suppressMoveToEvent, opt_forceOverwrite, opt_attemptedPosition)
+{
+	var values = this.getCurrentValues();
+	var loadedValues = this.getLoadedValues();
+	var wasNew = (this.position_ == com.qwirx.data.Cursor.NEW);
+	var savedValues = values;
+	var write;
+	
+	// Our own writes will cause the datasource to send us ROWS_UPDATE
+	// events for the current row, which we should not treat as
+	// concurrent modifications.
+	this.saving_ = true;
+	
+	if (wasNew)
+	{
+		write = this.dataSource_.add(values);
+	}
+	else if (opt_forceOverwrite)
+	{
+		write = this.dataSource_.replace(this.position_, values);
+	}
+	else
+	{
+		write = this.writeAtomic_(this.dataSource_, this.position_,
+			loadedValues, this.loadedVersion_, values);
+		write.addCallbacks(function(result)
+			{
+				if (this.mergeMode_)
+				{
+					savedValues = result;
+				}
+			},
+			function(exception)
+			{
+				if (!(exception instanceof
+					com.qwirx.data.ConcurrentModification))
+				{
+					throw exception;
+				}
+				
+				if (!this.isOverwriteAllowed_(opt_attemptedPosition,
+					exception))
+				{
+					throw new com.qwirx.data.OverwriteBlocked();
+				}
+				
+				savedValues = this.getOverwriteValues_(loadedValues, values,
+					exception);
+				return this.dataSource_.replace(this.position_,
+					savedValues).addCallback(function()
+					{
+						this.dispatchEvent(new com.qwirx.data.Cursor.RowEvent(
+							com.qwirx.data.Cursor.Events.OVERWRITE,
+							this.getPosition()));
+					}, this);
+			}, this);
+	}
+	
+	write.addBoth(function(result)
+		{
+			this.saving_ = false;
+			return result;
+		}, this);
+	
+	write.addCallback(function(result)
+		{
+			// The saved record may have moved, for example if the
+			// datasource is sorted, in which case we have already
+			// followed it.
+			var newPosition = wasNew ? result : this.position_;
+			
+			if (!wasNew)
+			{
+				// What we saved is now what's in the datasource, so the
+				// record is not dirty, unless it was changed again
+				// while we were saving it. Merged changes made by
+				// someone else are shown too.
+				var edited = goog.object.some(this.currentRecordValues_,
+					function(value, name)
+					{
+						return value != values[name];
+					});
+				
+				if (!edited)
+				{
+					this.currentRecordValues_ = goog.object.clone(
+						savedValues);
+				}
+				
+				this.currentRecordAsLoaded_ = savedValues;
+				this.loadedVersion_ = this.dataSource_.getVersion(
+					this.position_);
+				this.updateEditing_();
+			}
+			
+			this.reloadRecord();
+			return this.waitForLoad_(newPosition);
+		}, this);
+	
+	return write.addCallback(function(newPosition)
+		{
+			this.dispatchEvent(new com.qwirx.data.Cursor.RowEvent(
+				com.qwirx.data.Cursor.Events.SAVE, newPosition));
+			
+			if (newPosition != this.position_ && !opt_suppressMoveToEvent)
+			{
+				this.moveInternal(newPosition);
+			}
+			
+			return newPosition;
+		}, this);
+};
+
+/**
+ * Turn merge mode on or off. Normally, {#save} refuses to overwrite a
+ * record which has been modified in the datasource since it was
+ * loaded, and sends a {com.qwirx.data.Cursor.Events.BEFORE_OVERWRITE}
+ * event to ask whether it should. In merge mode, it saves the record
+ * with {com.qwirx.data.Datasource#atomicMerge} instead, which combines
+ * our changes with the other changes field by field, and only sends a
+ * BEFORE_OVERWRITE event if the same field was changed to different
+ * values on both sides. If it's overwritten anyway, our values win the
+ * conflicts, but the other changes are still kept. {#saveAll} merges
+ * in the same way.
+ *
+ * @param {boolean} enabled Whether to merge concurrent changes.
+ */
+com.qwirx.data.Cursor.prototype.setMergeMode = function(enabled)
+{
+	this.mergeMode_ = enabled;
+};
+
+/**
+ * @return true if the cursor is in merge mode, set by {#setMergeMode}.
+ */
+com.qwirx.data.Cursor.prototype.isMergeMode = function()
+{
+	return this.mergeMode_;
+};
+
+/**
+ * Write the edited values of a record with
+ * {com.qwirx.data.Datasource#atomicMerge} in merge mode, or
+ * {com.qwirx.data.Datasource#atomicReplace} otherwise.
+ * @private
+ */
+com.qwirx.data.Cursor.prototype.writeAtomic_ = function(dataSource,
+	position, loadedValues, loadedVersion, values)
+{
+	if (this.mergeMode_)
+	{
+		return dataSource.atomicMerge(position, loadedValues, values);
+	}
+	
+	return dataSource.atomicReplace(position,
+		this.getExpected_(loadedValues, loadedVersion), values);
+};
+
+/**
+ * @return what to pass to {com.qwirx.data.Datasource#atomicReplace} or
+ * {com.qwirx.data.Datasource#atomicRemove} to check that a record is
+ * unmodified: the version that it had when it was loaded, if the
+ * datasource keeps versions, otherwise the values that it had.
+ * @private
+ */
+com.qwirx.data.Cursor.prototype.getExpected_ = function(loadedValues,
+	loadedVersion)
+{
+	return (loadedVersion !== undefined) ? loadedVersion : loadedValues;
+};
+
+/**
+ * @return the values to overwrite a concurrently modified record with:
+ * our own values, or in merge mode, our values merged with the changes
+ * made by someone else, with ours winning any conflicts.
+ * @private
+ */
+com.qwirx.data.Cursor.prototype.getOverwriteValues_ = function(
+	loadedValues, values, exception)
+{
+	if (!this.mergeMode_)
+	{
+		return values;
+	}
+	
+	return com.qwirx.data.Datasource.mergeRecords(loadedValues, values,
+		exception.getCurrentValues()).values;
+};
+
+/**
+ * Send a {com.qwirx.data.Cursor.Events.BEFORE_OVERWRITE} event, because
+ * the record that we're saving has been modified in the datasource.
+ *
+ * The event has a <code>currentValues</code> property, which holds the
+ * values of the record in the datasource, and a <code>conflicts</code>
+ * property, which lists the fields changed both by us and by someone
+ * else to different values, each with a <code>name</code> and the
+ * <code>base</code> (loaded), <code>mine</code> and <code>theirs</code>
+ * values, as returned by {com.qwirx.data.Datasource.mergeRecords}. In
+ * merge mode these are the only fields whose values would be lost if
+ * the record was not overwritten.
+ *
+ * @param {number=} opt_attemptedPosition The position that we're trying
+ * to move to, if any, as passed to {#save}.
+ * @param {com.qwirx.data.ConcurrentModification} exception The
+ * exception thrown by the datasource.
+ * @return true if the record may be overwritten, false if the event was
+ * cancelled.
+ * @private
+ */
+com.qwirx.data.Cursor.prototype.isOverwriteAllowed_ = function(
+	opt_attemptedPosition, exception)
+{
+	var event;
+	
+	if (opt_attemptedPosition !== undefined)
+	{
+		event = new com.qwirx.data.Cursor.MovementEvent(
+			com.qwirx.data.Cursor.Events.BEFORE_OVERWRITE,
+			this.getPosition(), opt_attemptedPosition);
+	}
+	else
+	{
+		event = new com.qwirx.data.Cursor.RowEvent(
+			com.qwirx.data.Cursor.Events.BEFORE_OVERWRITE,
+			this.getPosition());
+	}
+	
+	var conflicts = exception.getConflicts();
+	event.currentValues = exception.getCurrentValues();
+	
+	if (!conflicts)
+	{
+		conflicts = com.qwirx.data.Datasource.mergeRecords(
+			this.getLoadedValues(), this.getCurrentValues(),
+			event.currentValues).conflicts;
+	}
+	
+	event.conflicts = conflicts;
+	return this.dispatchEvent(event);
+};
+
+/**
+ * Turn batch mode on or off. In batch mode, moving away from a modified
+ * record does not discard or save the changes, but keeps them pending,
+ * and {#deleteCurrent} marks the current record to be deleted instead
+ * of deleting it. This applies to existing records and to NEW ones.
+ * When the cursor moves back to a record with pending changes, they
+ * are shown as its current values.
+ *
+ * Pending changes are written to the datasource by {#saveAll}, or
+ * thrown away by {#cancelAll}. Until then, the records that they
+ * apply to are followed as rows are inserted, deleted and moved in the
+ * datasource. A record can still be saved on its own with {#save}, in
+ * which case it's no longer pending.
+ *
+ * Batch mode is not available in asynchronous mode.
+ *
+ * @param {boolean} enabled Whether to keep changes pending.
+ * @throws {com.qwirx.data.PendingChanges} if batch mode is turned off
+ * while there are pending changes.
+ */
+com.qwirx.data.Cursor.prototype.setBatchMode = function(enabled)
+{
+	if (enabled && this.async_)
+	{
+		throw new com.qwirx.util.Exception("Batch mode is not " +
+			"available in asynchronous mode");
+	}
+	
+	if (!enabled && this.hasPendingChanges())
+	{
+		throw new com.qwirx.data.PendingChanges();
+	}
+	
+	this.batchMode_ = enabled;
+};
+
+/**
+ * @return true if the cursor is in batch mode, set by {#setBatchMode}.
+ */
+com.qwirx.data.Cursor.prototype.isBatchMode = function()
+{
+	return this.batchMode_;
 };
-goog.inherits(com.qwirx.data.IllegalMove,
-	com.qwirx.data.CursorMovementException);
 
 /**
- * An exception response to a movement attempt which is blocked by
- * a {@link com.qwirx.data.Cursor.Events.BEFORE_DISCARD} event handler
- * cancelling the event, perhaps because the user has unsaved changes
- * that they wish not to discard yet.
- * @constructor
+ * @return true if there are any changes waiting to be saved by
+ * {#saveAll}, including unsaved changes to the current record.
  */
-com.qwirx.data.DiscardBlocked = function(message)
+com.qwirx.data.Cursor.prototype.hasPendingChanges = function()
 {
-	goog.base(this, message);
+	this.stashPending_();
+	return this.pending_.length > 0;
 };
-goog.inherits(com.qwirx.data.DiscardBlocked,
-	com.qwirx.data.CursorMovementException);
 
 /**
- * An exception response to a save attempt which is blocked by
- * a {@link com.qwirx.data.Cursor.Events.BEFORE_SAVE} event handler
- * cancelling the event, perhaps because the record is invalid and cannot
- * be saved.
- * @constructor
+ * @return a list of the changes waiting to be saved by {#saveAll}, in
+ * the order that they were first made, including unsaved changes to the
+ * current record. Each change is an object with these properties:
+ * - type: a {com.qwirx.data.Cursor.ChangeTypes} value;
+ * - position: the current position of the record, or null for a NEW
+ *   record that will be inserted;
+ * - loadedValues: the values of the record when it was loaded, which
+ *   are empty for a NEW record;
+ * - values: the values to be saved, or null if the record will be
+ *   deleted.
+ * Changing the returned objects has no effect on the pending changes.
  */
-com.qwirx.data.SaveBlocked = function(message)
+com.qwirx.data.Cursor.prototype.getPendingChanges = function()
 {
-	goog.base(this, message);
+	this.stashPending_();
+	
+	return goog.array.map(this.pending_, function(entry)
+		{
+			return {
+				type: entry.type,
+				position: entry.position,
+				loadedValues: goog.object.clone(entry.loadedValues),
+				values: entry.values && goog.object.clone(entry.values)
+			};
+		});
 };
-goog.inherits(com.qwirx.data.SaveBlocked, com.qwirx.util.Exception);
 
 /**
- * An exception response to a movement attempt which is blocked by
- * a {@link com.qwirx.data.Cursor.Events.BEFORE_OVERWRITE} event handler
- * cancelling the event, perhaps because the user decided not to
- * overwrite the record that changed under their feet.
- * @constructor
+ * Write all the pending changes to the datasource: deletions first,
+ * then updates, then insertions. Each deleted or updated record is
+ * checked separately for concurrent modification, by comparing it with
+ * the values that it had when it was loaded, unless opt_forceOverwrite
+ * is true.
+ *
+ * A change which can't be saved, because the record has been modified
+ * in the datasource, or the new values are invalid or have a duplicate
+ * key, does not stop the others from being saved. It stays pending, and
+ * is reported in the returned list, so that the user can fix it and
+ * call saveAll() again, or cancel it.
+ *
+ * Afterwards the current record is reloaded, unless it's a NEW record
+ * which could not be saved.
+ *
+ * @param {boolean=} opt_forceOverwrite If true, records are saved or
+ * deleted even if they have been modified in the datasource.
+ * @return a list of the changes that could not be saved, in the same
+ * format as {#getPendingChanges} with an additional error property,
+ * which is the exception that was thrown when saving them. The list
+ * is empty if all the changes were saved.
  */
-com.qwirx.data.OverwriteBlocked = function()
+com.qwirx.data.Cursor.prototype.saveAll = function(opt_forceOverwrite)
 {
-	goog.base(this, "The record in the datasource has changed since " +
-		"we loaded it, and the BEFORE_OVERWRITE event was cancelled, " +
-		"so the cursor has not saved the current record.");
+	this.stashPending_();
+	
+	var ChangeTypes = com.qwirx.data.Cursor.ChangeTypes;
+	var ds = this.dataSource_;
+	var failures = [];
+	var newEntry = this.newEntry_;
+	
+	function byType(type)
+	{
+		return goog.array.filter(this.pending_, function(entry)
+			{
+				return entry.type == type;
+			});
+	}
+	
+	var entries = goog.array.concat(byType.call(this, ChangeTypes.DELETE),
+		byType.call(this, ChangeTypes.UPDATE),
+		byType.call(this, ChangeTypes.INSERT));
+	
+	for (var i = 0; i < entries.length; i++)
+	{
+		var entry = entries[i];
+		
+		this.deleting_ = (entry.type == ChangeTypes.DELETE);
+		this.saving_ = !this.deleting_;
+		
+		try
+		{
+			// Positions are read now, because earlier changes may have
+			// moved the rows.
+			if (entry.type == ChangeTypes.INSERT)
+			{
+				ds.add(entry.values);
+			}
+			else if (entry.type == ChangeTypes.UPDATE && opt_forceOverwrite)
+			{
+				ds.replace(entry.position, entry.values);
+			}
+			else if (entry.type == ChangeTypes.UPDATE)
+			{
+				this.writeAtomic_(ds, entry.position, entry.loadedValues,
+					entry.loadedVersion, entry.values);
+			}
+			else if (opt_forceOverwrite)
+			{
+				ds.remove(entry.position);
+			}
+			else
+			{
+				ds.atomicRemove(entry.position, this.getExpected_(
+					entry.loadedValues, entry.loadedVersion));
+			}
+			
+			this.removePending_(entry);
+		}
+		catch (exception)
+		{
+			if (!(exception instanceof com.qwirx.data.ConcurrentModification ||
+				exception instanceof com.qwirx.data.ValidationFailed ||
+				exception instanceof com.qwirx.data.DuplicateKey))
+			{
+				throw exception;
+			}
+			
+			failures.push({
+				type: entry.type,
+				position: entry.position,
+				loadedValues: goog.object.clone(entry.loadedValues),
+				values: entry.values && goog.object.clone(entry.values),
+				error: exception
+			});
+		}
+		finally
+		{
+			this.deleting_ = false;
+			this.saving_ = false;
+		}
+	}
+	
+	if (this.position_ != com.qwirx.data.Cursor.NEW ||
+		(newEntry && !goog.array.contains(this.pending_, newEntry)))
+	{
+		this.reloadRecord();
+	}
+	
+	return failures;
 };
-goog.inherits(com.qwirx.data.OverwriteBlocked,
-	com.qwirx.data.CursorMovementException);
 
 /**
- * @return the value of the named field when this record was loaded,
- * as opposed to its current value.
- * @throws {com.qwirx.data.NoCurrentRecord} if the cursor is at
- * {com.qwirx.data.Cursor.BOF} or {com.qwirx.data.Cursor.EOF}.
+ * Throw away all the pending changes, including any unsaved changes to
+ * the current record, which are discarded as by {#discard}. The current
+ * record is then reloaded, because it may have been changed in the
+ * datasource since its pending changes were made.
  */
-com.qwirx.data.Cursor.prototype.getLoadedValues = function()
+com.qwirx.data.Cursor.prototype.cancelAll = function()
 {
-	this.assertCurrentRecord();
-	return goog.object.clone(this.currentRecordAsLoaded_);
+	this.pending_ = [];
+	this.newEntry_ = null;
+	this.updateEditing_();
+	
+	if (this.position_ != com.qwirx.data.Cursor.BOF &&
+		this.position_ != com.qwirx.data.Cursor.EOF &&
+		this.isDirty())
+	{
+		this.discard();
+	}
+	
+	if (goog.isNumber(this.position_))
+	{
+		this.reloadRecord();
+	}
 };
 
 /**
- * @return the current, possibly unsaved values of all fields in the
- * current record.
- * @throws {com.qwirx.data.NoCurrentRecord} if the cursor is at
- * {com.qwirx.data.Cursor.BOF} or {com.qwirx.data.Cursor.EOF}.
+ * In batch mode, add the unsaved changes to the current record to the
+ * pending changes, or update them if they are already there, or remove
+ * them if the record is no longer dirty. Records marked for deletion
+ * stay marked unless they have been modified.
+ * @private
  */
-com.qwirx.data.Cursor.prototype.getCurrentValues = function()
+com.qwirx.data.Cursor.prototype.stashPending_ = function()
 {
-	this.assertCurrentRecord();
-	return goog.object.clone(this.currentRecordValues_);
+	var position = this.position_;
+	
+	if (!this.batchMode_ || position == com.qwirx.data.Cursor.BOF ||
+		position == com.qwirx.data.Cursor.EOF)
+	{
+		return;
+	}
+	
+	var isNew = (position == com.qwirx.data.Cursor.NEW);
+	var entry = isNew ? this.newEntry_ : this.findPending_(position);
+	
+	if (!this.isDirty())
+	{
+		if (entry && entry.type != com.qwirx.data.Cursor.ChangeTypes.DELETE)
+		{
+			this.removePending_(entry);
+		}
+		return;
+	}
+	
+	if (!entry)
+	{
+		entry = {position: isNew ? null : position};
+		this.pending_.push(entry);
+		
+		if (isNew)
+		{
+			this.newEntry_ = entry;
+		}
+	}
+	
+	entry.type = isNew ? com.qwirx.data.Cursor.ChangeTypes.INSERT :
+		com.qwirx.data.Cursor.ChangeTypes.UPDATE;
+	entry.loadedValues = this.getLoadedValues();
+	entry.loadedVersion = this.loadedVersion_;
+	entry.values = this.getCurrentValues();
+	this.updateEditing_();
 };
 
 /**
- * Write the current record to the {com.qwirx.data.Datasource}. This
- * only makes sense when the cursor is positioned on a current record
- * or at {com.qwirx.data.Cursor.NEW}. A
- * {@link com.qwirx.data.Cursor.Events.SAVE} event will be sent afterwards,
- * and if the cursor was previously at {com.qwirx.data.Cursor.NEW}, then
- * it will be moved to the position of the newly created record.
- * 
- * If the cursor is positioned on an existing record, it will normally 
- * check before overwriting it that the record values have not changed 
- * since it was loaded into the cursor. This protects against concurrent 
- * modification of the same Datasource (or underlying data source) by 
- * independent Cursors or other means.
- * 
- * If the record has been modified, a
- * {@link com.qwirx.data.Cursor.Events.BEFORE_OVERWRITE} event will be sent,
- * and if this event is cancelled, the save method will throw a 
- * {@link com.qwirx.data.OverwriteBlocked} exception instead of overwriting
- * the data in the Cursor. If the event is not intercepted or a handler
- * returns true, then the modified record in the datasource will be
- * overwritten, and a {@link com.qwirx.data.Cursor.Events.OVERWRITE} event
- * will be sent.
- * 
- * If opt_forceOverwrite is true, then we don't check whether the record
- * was modified underneath, and therefore we don't send an OVERWRITE event.
- * 
- * @param {boolean} opt_suppressMoveToEvent set to true if you want to
- * suppress the automatic MOVE_TO event caused by moving the cursor from
- * a NEW row to a newly created real row. For example, you might do this
- * if you're about to move the cursor again, because the save() was part
- * of handling a requested movement away from a dirty row.
- * 
- * If the movement event is suppressed, and we were saving a new
- * record, then we're still positioned on NEW because we haven't sent
- * a MOVE_TO event to indicate that we've moved elsewhere. So the
- * newly saved record is elsewhere, and the current one is empty.
- *
- * Also note the subtle inconsistency between SaveEvent.getPosition()
- * and Cursor.getPosition() in this case, as described in
- * {com.qwirx.data.Cursor.RowEvent.prototype#getPosition}.
- * 
- * @param {boolean} opt_forceOverwrite If set to true, the check for the
- * record having been concurrently modified in the underlying datasource
- * will be skipped, and the BEFORE_OVERWRITE and OVERWRITE events will not
- * be sent.
- * 
- * @param {number} opt_attemptedPosition If the save() is part of a movement
- * process, then pass the new target position. If a BEFORE_OVERWRITE event is
- * sent, it will be sent as a MovementEvent instead of a RowEvent, and
- * listeners will be able to discover the target row. Grid uses this to
- * complete the attempted movement when the user eventually tells us what
- * to do, by clicking on a button in the dialog. We do not actually complete
- * the movement ourselves, that's your responsibility!
- * 
- * @throws {com.qwirx.data.NoCurrentRecord} if the cursor is at
- * {com.qwirx.data.Cursor.BOF} or {com.qwirx.data.Cursor.EOF}.
+ * Mark the current record to be deleted by {#saveAll}, throwing away
+ * any unsaved changes to it.
+ * @private
  */
-com.qwirx.data.Cursor.prototype.save = function(opt_suppressMoveToEvent,
-	opt_forceOverwrite, opt_attemptedPosition)
+com.qwirx.data.Cursor.prototype.markPendingDelete_ = function()
 {
-	this.assertCurrentRecord();
-	var newPosition = this.position_;
+	if (this.isDirty())
+	{
+		this.discard();
+	}
 	
-	if (this.position_ == com.qwirx.data.Cursor.NEW)
+	var entry = this.findPending_(this.position_);
+	
+	if (!entry)
 	{
-		newPosition = this.dataSource_.add(this.currentRecordValues_);
+		entry = {position: this.position_};
+		this.pending_.push(entry);
 	}
-	else if (opt_forceOverwrite)
+	
+	entry.type = com.qwirx.data.Cursor.ChangeTypes.DELETE;
+	entry.loadedValues = this.getLoadedValues();
+	entry.loadedVersion = this.loadedVersion_;
+	entry.values = null;
+	this.updateEditing_();
+};
+
+/**
+ * @return the pending change to the record at the given position, or
+ * null if there isn't one, or the position is not a row.
+ * @private
+ */
+com.qwirx.data.Cursor.prototype.findPending_ = function(position)
+{
+	if (!goog.isNumber(position))
 	{
-		this.dataSource_.replace(this.position_, this.currentRecordValues_);
+		return null;
 	}
-	else
+	
+	return goog.array.find(this.pending_, function(entry)
+		{
+			return entry.position === position;
+		});
+};
+
+/** @private */
+com.qwirx.data.Cursor.prototype.removePending_ = function(entry)
+{
+	if (entry)
 	{
-		try
+		goog.array.remove(this.pending_, entry);
+	}
+	
+	if (entry && entry == this.newEntry_)
+	{
+		this.newEntry_ = null;
+	}
+	
+	this.updateEditing_();
+};
+
+/**
+ * Handle an event from the datasource saying that rows have been
+ * inserted, deleted or moved, by updating the positions of the pending
+ * changes to follow their records. This is called before the other
+ * handlers, so the current record's pending changes are already in the
+ * right place when it's reloaded. A pending update to a record that
+ * was deleted by someone else becomes a pending insert, like the
+ * current record does in {#handleDataSourceRowDelete}.
+ * @private
+ */
+com.qwirx.data.Cursor.prototype.handlePendingRowEvent_ = function(event)
+{
+	var Events = com.qwirx.data.Datasource.Events;
+	var affected = event.getAffectedRows();
+	
+	for (var i = this.pending_.length - 1; i >= 0; i--)
+	{
+		var entry = this.pending_[i];
+		var position = entry.position;
+		
+		if (position === null)
 		{
-			this.dataSource_.atomicReplace(this.position_,
-				this.currentRecordAsLoaded_, this.currentRecordValues_);
+			continue;
 		}
-		catch (exception)
+		
+		if (event.type == Events.ROWS_INSERT)
 		{
-			if (exception instanceof com.qwirx.data.ConcurrentModification)
+			for (var j = 0; j < affected.length; j++)
 			{
-				var event;
-				
-				if (opt_attemptedPosition !== undefined)
-				{
-					event = new com.qwirx.data.Cursor.MovementEvent(
-						com.qwirx.data.Cursor.Events.BEFORE_OVERWRITE,
-						this.getPosition(), opt_attemptedPosition);
-				}
-				else
-				{
-					event = new com.qwirx.data.Cursor.RowEvent(
-						com.qwirx.data.Cursor.Events.BEFORE_OVERWRITE,
-						this.getPosition());
-				}
-				
-				var cancelled = !this.dispatchEvent(event);
-				
-				if (cancelled)
-				{
-					throw new com.qwirx.data.OverwriteBlocked();
-				}
-				else
+				if (affected[j] <= position)
 				{
-					this.dataSource_.replace(this.position_,
-						this.currentRecordValues_);
-					this.dispatchEvent(
-						new com.qwirx.data.Cursor.RowEvent(
-							com.qwirx.data.Cursor.Events.OVERWRITE,
-							this.getPosition()));
+					position++;
 				}
 			}
-			else
+		}
+		else if (event.type == Events.ROWS_MOVE)
+		{
+			var oldRowIndex = event.getOldRowIndex();
+			var newRowIndex = event.getNewRowIndex();
+			
+			if (position == oldRowIndex)
 			{
-				throw exception;
+				position = newRowIndex;
+			}
+			else if (oldRowIndex < position && position <= newRowIndex)
+			{
+				position--;
+			}
+			else if (newRowIndex <= position && position < oldRowIndex)
+			{
+				position++;
 			}
 		}
+		else if (goog.array.contains(affected, position))
+		{
+			if (entry.type == com.qwirx.data.Cursor.ChangeTypes.DELETE ||
+				position === this.position_)
+			{
+				// Already gone, or the current record's own changes
+				// will follow it to NEW.
+				goog.array.removeAt(this.pending_, i);
+				continue;
+			}
+			
+			entry.type = com.qwirx.data.Cursor.ChangeTypes.INSERT;
+			entry.loadedValues = {};
+			entry.loadedVersion = undefined;
+			position = null;
+		}
+		else
+		{
+			position -= goog.array.count(affected, function(rowIndex)
+				{
+					return rowIndex < position;
+				});
+		}
+		
+		entry.position = position;
 	}
 	
-	this.reloadRecord();
-	this.dispatchEvent(new com.qwirx.data.Cursor.RowEvent(
-		com.qwirx.data.Cursor.Events.SAVE, newPosition));
-	
-	if (newPosition != this.position_ && !opt_suppressMoveToEvent)
-	{
-		this.moveInternal(newPosition);
-	}
-	
-	return newPosition;
+	this.updateEditing_();
 };
-
@@ -1,9 +1,18 @@
 goog.provide('com.qwirx.data.Cursor_test');
 
+goog.require('com.qwirx.data.AsyncDatasourceAdapter');
 goog.require('com.qwirx.data.Cursor');
+goog.require('com.qwirx.data.Datasource');
+goog.require('com.qwirx.data.FilteredDatasource');
+goog.require('com.qwirx.data.PageCache');
+goog.require('com.qwirx.data.Query');
+goog.require('com.qwirx.data.Schema');
 goog.require('com.qwirx.data.SimpleDatasource');
+goog.require('com.qwirx.data.SortedDatasource');
+goog.require('com.qwirx.data.StreamDatasource');
 goog.require('com.qwirx.test.assertThrows');
 goog.require('com.qwirx.test.findDifferences');
+goog.require('goog.async.Deferred');
 goog.require('goog.events.EventHandler');
 goog.require('goog.testing.jsunit');
 
@@ -348,6 +357,44 @@ function setup_dirty_cursor_and_record_modified_underfoot(ds)
 	return c2;
 }
 
+function test_cursor_uses_row_versions()
+{
+	var ds = getTestDataSource();
+	ds.setVersioned(true);
+	ds.replace(1, {id: 2, name: 0});
+	var sorted = new com.qwirx.data.SortedDatasource(ds, [{name: 'id'}]);
+	var c1 = new com.qwirx.data.Cursor(sorted);
+	var c2 = new com.qwirx.data.Cursor(ds);
+	c1.setPosition(1);
+	c2.setPosition(1);
+	
+	// A change that compares as equal to the loaded value is detected
+	c2.setFieldValue('id', 3);
+	c1.setFieldValue('name', '');
+	c1.save();
+	c2.addEventListener(com.qwirx.data.Cursor.Events.BEFORE_OVERWRITE,
+		function(e) { return false; });
+	com.qwirx.test.assertThrows(com.qwirx.data.OverwriteBlocked,
+		function(){c2.save();},
+		"The version should have changed");
+	com.qwirx.test.assertThrows(com.qwirx.data.ConcurrentModification,
+		function(){c2.deleteCurrent();},
+		"The version should be checked before deleting");
+	
+	c2.discard();
+	c2.reloadRecord();
+	c2.setFieldValue('id', 3);
+	c2.save();
+	assertObjectEquals({id: 3, name: ''}, ds.get(1));
+	
+	// The cursor on the view saw the update, so it has the new version
+	c1.setFieldValue('name', 'Jim');
+	c1.save();
+	assertObjectEquals({id: 3, name: 'Jim'}, ds.get(1));
+	c1.deleteCurrent();
+	assertEquals(2, ds.getCount());
+}
+
 function test_save_on_modified_record_sends_event()
 {
 	var ds = getTestDataSource();
@@ -497,6 +544,58 @@ function test_save_with_opt_attemptedPosition_sends_BEFORE_OVERWRITE_as_Movement
 	assertObjectEquals([], events);
 }
 
+function test_cursor_merge_mode()
+{
+	var Events = com.qwirx.data.Cursor.Events;
+	var ds = getTestDataSource();
+	var c1 = new com.qwirx.data.Cursor(ds);
+	var c2 = new com.qwirx.data.Cursor(ds);
+	c2.setMergeMode(true);
+	assertTrue(c2.isMergeMode());
+	assertFalse(c1.isMergeMode());
+	
+	c1.setPosition(1);
+	c2.setPosition(1);
+	c1.setFieldValue('name', 'Jim');
+	c2.setFieldValue('id', 3);
+	c1.save();
+	
+	// Changes to different fields are merged without asking
+	var events = recordEvents(c2, [Events.BEFORE_OVERWRITE,
+		Events.OVERWRITE]);
+	c2.save();
+	assertObjectEquals([], events);
+	assertObjectEquals({id: 3, name: 'Jim'}, ds.get(1));
+	assertObjectEquals({id: 3, name: 'Jim'}, c2.getCurrentValues());
+	assertFalse(c2.isDirty());
+	
+	// Conflicting changes are described by the BEFORE_OVERWRITE event,
+	// and if it's allowed, ours win but the others are kept.
+	c1.reloadRecord();
+	c1.setFieldValue('id', 4);
+	c1.setFieldValue('name', 'Jimbo');
+	c2.setFieldValue('name', 'Jimmy');
+	c1.save();
+	c2.save();
+	assertObjectEquals([Events.BEFORE_OVERWRITE, Events.OVERWRITE],
+		getEventTypes(events));
+	assertObjectEquals({id: 4, name: 'Jimbo'}, events[0].currentValues);
+	assertObjectEquals([{name: 'name', base: 'Jim', mine: 'Jimmy',
+		theirs: 'Jimbo'}], events[0].conflicts);
+	assertObjectEquals({id: 4, name: 'Jimmy'}, ds.get(1));
+	
+	// Without merge mode, the conflicts are still described
+	c1.reloadRecord();
+	c1.setFieldValue('name', 'Jimmie');
+	c2.setFieldValue('id', 6);
+	c2.setMergeMode(false);
+	c1.save();
+	events.length = 0;
+	c2.save();
+	assertObjectEquals([], events[0].conflicts);
+	assertObjectEquals({id: 6, name: 'Jimmy'}, ds.get(1));
+}
+
 function test_cursor_discard_and_modified_events()
 {
 	var ds = getTestDataSource();
@@ -545,4 +644,1323 @@ function test_cursor_discard_and_modified_events()
 	assertEquals('James', c.getLoadedValues().name);
 }
 
+function test_cursor_field_edit_history()
+{
+	var ds = getTestDataSource();
+	var c = new com.qwirx.data.Cursor(ds);
+	c.setPosition(1); // James
+	var events = recordEvents(c, [com.qwirx.data.Cursor.Events.MODIFIED]);
+	
+	assertObjectEquals([], c.getModifiedFields());
+	assertFalse(c.canUndoEdit());
+	assertFalse(c.undoEdit());
+	
+	c.setFieldValue('name', 'Jim');
+	c.setFieldValue('id', 3);
+	c.setFieldValue('name', 'Jimmy');
+	assertObjectEquals([
+		{name: 'id', loadedValue: 2, currentValue: 3},
+		{name: 'name', loadedValue: 'James', currentValue: 'Jimmy'}
+	], c.getModifiedFields());
+	assertEquals(3, events.length);
+	assertObjectEquals(['name'], events[2].getFieldNames());
+	assertObjectEquals([{name: 'name', oldValue: 'Jim', newValue: 'Jimmy',
+		loadedValue: 'James'}], events[2].getChanges());
+	
+	// Revert one field at a time
+	c.revertField('id');
+	assertObjectEquals([{name: 'id', oldValue: 3, newValue: 2,
+		loadedValue: 2}], events[3].getChanges());
+	assertObjectEquals([{name: 'name', loadedValue: 'James',
+		currentValue: 'Jimmy'}], c.getModifiedFields());
+	c.revertField('id');
+	assertEquals("Reverting an unmodified field should do nothing",
+		4, events.length);
+	
+	// Undo the revert and the edits, one at a time
+	assertTrue(c.undoEdit());
+	assertEquals(3, c.getCurrentValues().id);
+	assertObjectEquals([{name: 'id', oldValue: 2, newValue: 3,
+		loadedValue: 2}], events[4].getChanges());
+	assertTrue(c.undoEdit());
+	assertEquals('Jim', c.getCurrentValues().name);
+	assertTrue(c.undoEdit());
+	assertTrue(c.undoEdit());
+	assertFalse(c.isDirty());
+	assertFalse(c.undoEdit());
+	
+	assertTrue(c.canRedoEdit());
+	assertTrue(c.redoEdit());
+	assertEquals('Jim', c.getCurrentValues().name);
+	
+	// A new edit can't be followed by redoing the undone ones
+	c.setFieldValue('name', 'Jem');
+	assertFalse(c.canRedoEdit());
+	assertFalse(c.redoEdit());
+	c.undoEdit();
+	assertEquals('Jim', c.getCurrentValues().name);
+	
+	// Discarding reports every field that it changes, and forgets edits
+	c.setFieldValue('id', 4);
+	events.length = 0;
+	c.discard();
+	assertEquals(1, events.length);
+	assertObjectEquals([
+		{name: 'id', oldValue: 4, newValue: 2, loadedValue: 2},
+		{name: 'name', oldValue: 'Jim', newValue: 'James',
+			loadedValue: 'James'}
+	], events[0].getChanges());
+	assertFalse(c.canUndoEdit());
+	assertFalse(c.canRedoEdit());
+	
+	// So do saving and moving
+	c.setFieldValue('name', 'Jim');
+	c.save();
+	assertFalse(c.canUndoEdit());
+	c.setFieldValue('name', 'James');
+	c.undoEdit();
+	assertTrue(c.canRedoEdit());
+	c.moveRelative(1);
+	assertFalse(c.canRedoEdit());
+	
+	com.qwirx.test.assertThrows(com.qwirx.data.NoSuchField,
+		function(){c.revertField('age');},
+		"revertField() should check the field name");
+}
+
+function test_cursor_batch_mode()
+{
+	var ds = getTestDataSource();
+	var c = new com.qwirx.data.Cursor(ds);
+	var ChangeTypes = com.qwirx.data.Cursor.ChangeTypes;
+	c.setBatchMode(true);
+	assertTrue(c.isBatchMode());
+	
+	c.setPosition(0); // John
+	c.setFieldValue('name', 'Johnny');
+	c.moveRelative(1); // James
+	assertEquals("Moving should not save the changes",
+		'John', ds.get(0).name);
+	c.setFieldValue('name', 'Jim');
+	c.setPosition(2); // Peter
+	assertEquals(2, c.deleteCurrent());
+	assertEquals("Deleting should wait for saveAll()", 3, ds.getCount());
+	c.moveNew();
+	c.setFieldValue('id', 7);
+	c.setFieldValue('name', 'Mary');
+	c.moveNew();
+	assertFalse("Moving to NEW again should start another record",
+		c.isDirty());
+	
+	c.setPosition(0);
+	assertEquals("Pending changes should be shown again",
+		'Johnny', c.getCurrentValues().name);
+	assertTrue(c.isDirty());
+	assertObjectEquals([
+		{type: ChangeTypes.UPDATE, position: 0,
+			loadedValues: {id: 1, name: 'John'},
+			values: {id: 1, name: 'Johnny'}},
+		{type: ChangeTypes.UPDATE, position: 1,
+			loadedValues: {id: 2, name: 'James'},
+			values: {id: 2, name: 'Jim'}},
+		{type: ChangeTypes.DELETE, position: 2,
+			loadedValues: {id: 5, name: 'Peter'}, values: null},
+		{type: ChangeTypes.INSERT, position: null, loadedValues: {},
+			values: {id: 7, name: 'Mary'}}
+	], c.getPendingChanges());
+	
+	// Pending changes follow their rows, and each one is checked for
+	// concurrent modification separately.
+	ds.insert(0, {id: 0, name: 'Adam'});
+	ds.replace(2, {id: 2, name: 'Jimbo'});
+	assertEquals(1, c.getPosition());
+	assertEquals(3, c.getPendingChanges()[2].position);
+	com.qwirx.test.assertThrows(com.qwirx.data.PendingChanges,
+		function(){c.setBatchMode(false);},
+		"Leaving batch mode should not lose the pending changes");
+	
+	var failures = c.saveAll();
+	assertEquals(1, failures.length);
+	assertEquals(ChangeTypes.UPDATE, failures[0].type);
+	assertEquals(2, failures[0].position);
+	assertTrue(failures[0].error instanceof
+		com.qwirx.data.ConcurrentModification);
+	assertEquals('Adam', ds.get(0).name);
+	assertEquals('Johnny', ds.get(1).name);
+	assertEquals('Jimbo', ds.get(2).name);
+	assertEquals('Mary', ds.get(3).name);
+	assertEquals(4, ds.getCount());
+	assertEquals(1, c.getPosition());
+	assertFalse(c.isDirty());
+	
+	// The conflicting change is still pending, until it's cancelled
+	assertTrue(c.hasPendingChanges());
+	c.setPosition(2);
+	assertEquals('Jim', c.getCurrentValues().name);
+	c.cancelAll();
+	assertEquals('Jimbo', c.getCurrentValues().name);
+	assertFalse(c.hasPendingChanges());
+	c.setBatchMode(false);
+	assertFalse(c.isBatchMode());
+}
+
+
+
+/**
+ * Deleting a row before the current position should change it, and
+ * deleting a row after it should not.
+ */
+function test_cursor_clone_and_edit_conflicts()
+{
+	var Events = com.qwirx.data.Cursor.Events;
+	var ds = getTestDataSource();
+	var grid = new com.qwirx.data.Cursor(ds);
+	grid.setMergeMode(true);
+	grid.setPosition(1); // James
+	grid.setFieldValue('name', 'Jim');
+	
+	var form = grid.clone();
+	assertEquals(ds, form.getDataSource());
+	assertEquals(grid.getAccessMode(), form.getAccessMode());
+	assertTrue(form.isMergeMode());
+	assertEquals(1, form.getPosition());
+	assertFalse("The clone should not have the unsaved changes",
+		form.isDirty());
+	assertObjectEquals([grid], ds.getEditors(1));
+	
+	var events = com.qwirx.test.assertEvents(form, [Events.EDIT_CONFLICT],
+		function() { form.setFieldValue('name', 'Jimmy'); },
+		"The second cursor to edit the record should be told");
+	assertEquals(1, events.length);
+	assertEquals(1, events[0].getPosition());
+	assertObjectEquals([grid], events[0].getOtherCursors());
+	assertObjectEquals([grid, form], ds.getEditors(1));
+	
+	// Only the first change starts editing
+	events = recordEvents(form, [Events.EDIT_CONFLICT]);
+	form.setFieldValue('id', 3);
+	assertEquals(0, events.length);
+	
+	// The registry follows the records
+	ds.insert(0, {id: 0, name: 'Adam'});
+	assertObjectEquals([], ds.getEditors(1));
+	assertObjectEquals([grid, form], ds.getEditors(2));
+	
+	grid.discard();
+	assertObjectEquals([form], ds.getEditors(2));
+	form.undoEdit();
+	form.undoEdit();
+	assertObjectEquals("A cursor with no changes left is not editing",
+		[], ds.getEditors(2));
+	
+	// Editing a different record, or a new one, is not a conflict
+	grid.setFieldValue('name', 'Jim');
+	form.setPosition(0);
+	form.setFieldValue('name', 'Adamant');
+	form.discard();
+	form.moveNew();
+	var other = form.clone();
+	assertEquals(com.qwirx.data.Cursor.NEW, other.getPosition());
+	form.setFieldValue('name', 'Mary');
+	events = recordEvents(other, [Events.EDIT_CONFLICT]);
+	other.setFieldValue('name', 'Paul');
+	assertEquals(0, events.length);
+	
+	// Saving stops editing
+	grid.save();
+	assertObjectEquals([], ds.getEditors(2));
+	assertEquals('Jim', ds.get(2).name);
+	assertEquals(com.qwirx.data.Cursor.BOF,
+		new com.qwirx.data.Cursor(ds).clone().getPosition());
+}
+
+function test_cursor_edit_conflicts_with_pending_changes()
+{
+	var Events = com.qwirx.data.Cursor.Events;
+	var ds = getTestDataSource();
+	var grid = new com.qwirx.data.Cursor(ds);
+	grid.setBatchMode(true);
+	grid.setPosition(1); // James
+	grid.setFieldValue('name', 'Jim');
+	grid.setPosition(2); // Peter
+	grid.deleteCurrent();
+	grid.setPosition(0);
+	assertFalse(grid.isDirty());
+	assertObjectEquals("A cursor with pending changes is still editing",
+		[grid], ds.getEditors(1));
+	assertObjectEquals([grid], ds.getEditors(2));
+	assertObjectEquals([], ds.getEditors(0));
+	
+	var form = new com.qwirx.data.Cursor(ds);
+	form.setPosition(1);
+	var events = com.qwirx.test.assertEvents(form, [Events.EDIT_CONFLICT],
+		function() { form.setFieldValue('name', 'Jimmy'); },
+		"Editing a record with pending changes should be a conflict");
+	assertObjectEquals([grid], events[0].getOtherCursors());
+	form.discard();
+	
+	grid.cancelAll();
+	assertObjectEquals("Cancelled changes are not being edited",
+		[], ds.getEditors(1));
+	events = recordEvents(form, [Events.EDIT_CONFLICT]);
+	form.setFieldValue('name', 'Jimmy');
+	assertEquals(0, events.length);
+}
+
+function test_cursor_dispose_stops_listening()
+{
+	var ds = getTestDataSource();
+	var c = new com.qwirx.data.Cursor(ds,
+		com.qwirx.data.Datasource.AccessMode.ALL_SEQUENTIAL);
+	c.setBatchMode(true);
+	c.setPosition(1);
+	c.setFieldValue('name', 'Jim');
+	c.setPosition(0);
+	assertObjectEquals([c], ds.getEditors(1));
+	assertTrue(ds.hasListener());
+	
+	c.dispose();
+	assertTrue(c.isDisposed());
+	assertFalse("The datasource should not keep a disposed cursor alive",
+		ds.hasListener());
+	assertObjectEquals([], ds.getEditors(1));
+	
+	// Changes to the datasource no longer reach the cursor
+	ds.remove(0);
+	assertEquals(0, c.getPosition());
+}
+
+function test_cursor_positioning_after_delete()
+{
+	var ds = getTestDataSource();
+	ds.add({id: 7, name: 'Paul'});
+	var c = new com.qwirx.data.Cursor(ds);
+	
+	c.setPosition(2);
+	ds.remove(3);
+	assertEquals("deleting a row after the current position should not " +
+		"have changed it", 2, c.getPosition());
+	assertEquals('Peter', c.getCurrentValues().name);
+	ds.remove(0);
+	assertEquals("deleting a row before the current position should " +
+		"have changed it", 1, c.getPosition());
+	assertEquals('Peter', c.getCurrentValues().name);
+	
+	c.setFieldValue('name', 'Pete');
+	ds.remove(0);
+	assertEquals(0, c.getPosition());
+	assertTrue("following the current row should not have discarded " +
+		"its unsaved changes", c.isDirty());
+	assertEquals('Pete', c.getCurrentValues().name);
+}
+
+function test_cursor_current_row_deleted_when_clean()
+{
+	var ds = getTestDataSource();
+	var c = new com.qwirx.data.Cursor(ds);
+	c.setPosition(1);
+	
+	var events = com.qwirx.test.assertEvents(c,
+		[
+			com.qwirx.data.Cursor.Events.CURRENT_ROW_DELETED,
+			com.qwirx.data.Cursor.Events.MOVE_TO
+		],
+		function() { ds.remove(1); },
+		"Deleting the current row should have sent a CURRENT_ROW_DELETED " +
+		"event and a MOVE_TO event");
+	assertEquals(2, events.length);
+	assertEquals(1, events[0].getPosition());
+	assertEquals(1, events[0].getNewPosition());
+	
+	assertEquals("The cursor should have moved to the next row, which " +
+		"now occupies the deleted row's position", 1, c.getPosition());
+	assertObjectEquals({id: 5, name: 'Peter'}, c.getCurrentValues());
+	assertFalse(c.isDirty());
+	
+	ds.remove(1);
+	assertEquals("Deleting the last row should move the cursor to the " +
+		"previous row", 0, c.getPosition());
+	assertObjectEquals({id: 1, name: 'John'}, c.getCurrentValues());
+	
+	ds.remove(0);
+	assertEquals("Deleting the only row should move the cursor to EOF",
+		com.qwirx.data.Cursor.EOF, c.getPosition());
+}
+
+function test_cursor_current_row_deleted_when_dirty()
+{
+	var ds = getTestDataSource();
+	var c = new com.qwirx.data.Cursor(ds);
+	c.setPosition(1);
+	c.setFieldValue('name', 'Jim');
+	
+	var events = com.qwirx.test.assertEvents(c,
+		[com.qwirx.data.Cursor.Events.CURRENT_ROW_DELETED],
+		function() { ds.remove(1); },
+		"Deleting the current row should have sent a CURRENT_ROW_DELETED " +
+		"event");
+	assertEquals(1, events[0].getPosition());
+	assertEquals(com.qwirx.data.Cursor.NEW, events[0].getNewPosition());
+	
+	assertEquals("The cursor should have moved to NEW to keep the " +
+		"modified values", com.qwirx.data.Cursor.NEW, c.getPosition());
+	assertTrue(c.isDirty());
+	assertObjectEquals({id: 2, name: 'Jim'}, c.getCurrentValues());
+	
+	// The modified values can be saved as a new record
+	assertEquals(2, c.save());
+	assertEquals(3, ds.getCount());
+	assertObjectEquals({id: 2, name: 'Jim'}, ds.get(2));
+}
+
+function test_cursor_refreshes_clean_record_when_updated()
+{
+	var ds = getTestDataSource();
+	var c = new com.qwirx.data.Cursor(ds);
+	c.setPosition(1);
+	
+	com.qwirx.test.assertEvents(c,
+		[com.qwirx.data.Cursor.Events.CURRENT_ROW_REFRESHED],
+		function() { ds.replace(1, {id: 2, name: 'Jim'}); },
+		"Replacing the current row should have sent a " +
+		"CURRENT_ROW_REFRESHED event");
+	
+	assertObjectEquals("The cursor should have reloaded the current " +
+		"record", {id: 2, name: 'Jim'}, c.getCurrentValues());
+	assertObjectEquals({id: 2, name: 'Jim'}, c.getLoadedValues());
+	assertFalse(c.isDirty());
+	
+	var events = com.qwirx.test.assertEvents(c,
+		[
+			com.qwirx.data.Cursor.Events.CURRENT_ROW_REFRESHED,
+			com.qwirx.data.Cursor.Events.CURRENT_ROW_CONFLICT
+		],
+		function() { ds.replace(0, {id: 1, name: 'Johnny'}); },
+		"Replacing a different row should not have sent any events",
+		true /* opt_continue_if_events_not_sent */);
+	assertObjectEquals([], events);
+	assertObjectEquals({id: 2, name: 'Jim'}, c.getCurrentValues());
+}
+
+function test_cursor_warns_of_conflict_when_dirty_record_updated()
+{
+	var ds = getTestDataSource();
+	var c1 = new com.qwirx.data.Cursor(ds);
+	var c2 = new com.qwirx.data.Cursor(ds);
+	c1.setPosition(1);
+	c2.setPosition(1);
+	c2.setFieldValue('name', 'Jonathan');
+	
+	var events = com.qwirx.test.assertEvents(c1,
+		[
+			com.qwirx.data.Cursor.Events.CURRENT_ROW_REFRESHED,
+			com.qwirx.data.Cursor.Events.CURRENT_ROW_CONFLICT
+		],
+		function() { c1.setFieldValue('name', 'Stuart'); c1.save(); },
+		"A cursor should not warn about conflicts with its own save()",
+		true /* opt_continue_if_events_not_sent */);
+	assertObjectEquals([], events);
+	
+	// But c2 should have been warned when c1 saved.
+	events = com.qwirx.test.assertEvents(c2,
+		[com.qwirx.data.Cursor.Events.CURRENT_ROW_CONFLICT],
+		function() { c1.setFieldValue('name', 'Stewart'); c1.save(); },
+		"Replacing a dirty current row should have sent a " +
+		"CURRENT_ROW_CONFLICT event");
+	assertEquals(1, events[0].getPosition());
+	
+	assertObjectEquals("The user's modified values should be kept",
+		{id: 2, name: 'Jonathan'}, c2.getCurrentValues());
+	assertObjectEquals("The loaded values should not be updated, so that " +
+		"save() still detects the conflict", {id: 2, name: 'James'},
+		c2.getLoadedValues());
+	com.qwirx.test.assertThrows(com.qwirx.data.OverwriteBlocked,
+		function() {
+			c2.addEventListener(
+				com.qwirx.data.Cursor.Events.BEFORE_OVERWRITE,
+				function(e) { return false; });
+			c2.save();
+		});
+}
+
+function test_cursor_delete_current()
+{
+	var ds = getTestDataSource();
+	var c = new com.qwirx.data.Cursor(ds);
+	
+	com.qwirx.test.assertThrows(com.qwirx.data.NoCurrentRecord,
+		function() { c.deleteCurrent(); },
+		"There is no current record to delete at BOF");
+	
+	c.setPosition(1);
+	c.setFieldValue('name', 'Jim');
+	
+	var events = com.qwirx.test.assertEvents(c,
+		[
+			com.qwirx.data.Cursor.Events.BEFORE_DELETE,
+			com.qwirx.data.Cursor.Events.DELETE_CURRENT_ROW,
+			com.qwirx.data.Cursor.Events.MOVE_TO
+		],
+		function() { assertEquals(1, c.deleteCurrent()); },
+		"Cursor.deleteCurrent() did not send the expected events");
+	assertEquals(3, events.length);
+	assertEquals(1, events[1].getPosition());
+	assertEquals(1, events[1].getNewPosition());
+	
+	assertEquals(2, ds.getCount());
+	assertObjectEquals({id: 5, name: 'Peter'}, ds.get(1));
+	assertEquals("The cursor should have moved to the next record", 1,
+		c.getPosition());
+	assertFalse("The modified values should have been discarded with " +
+		"the deleted record", c.isDirty());
+	assertObjectEquals({id: 5, name: 'Peter'}, c.getCurrentValues());
+	
+	assertEquals("Deleting the last record should move the cursor to the " +
+		"previous record", 0, c.deleteCurrent());
+	assertObjectEquals({id: 1, name: 'John'}, c.getCurrentValues());
+	
+	assertEquals("Deleting the only record should move the cursor to EOF",
+		com.qwirx.data.Cursor.EOF, c.deleteCurrent());
+	assertEquals(0, ds.getCount());
+	
+	c.setPosition(com.qwirx.data.Cursor.NEW);
+	com.qwirx.test.assertThrows(com.qwirx.data.NoCurrentRecord,
+		function() { c.deleteCurrent(); },
+		"A NEW record cannot be deleted because it has not been saved");
+}
+
+function test_cursor_delete_current_can_be_blocked()
+{
+	var ds = getTestDataSource();
+	var c = new com.qwirx.data.Cursor(ds);
+	c.setPosition(1);
+	
+	c.addEventListener(com.qwirx.data.Cursor.Events.BEFORE_DELETE,
+		function(e) { return false; });
+	com.qwirx.test.assertThrows(com.qwirx.data.DeleteBlocked,
+		function() { c.deleteCurrent(); });
+	assertEquals(3, ds.getCount());
+	assertEquals(1, c.getPosition());
+}
+
+function test_cursor_delete_current_checks_for_concurrent_modification()
+{
+	var ds = getTestDataSource();
+	var c1 = new com.qwirx.data.Cursor(ds);
+	var c2 = new com.qwirx.data.Cursor(ds);
+	c1.setPosition(1);
+	c2.setPosition(1);
+	
+	c2.setFieldValue('name', 'Jonathan');
+	c1.setFieldValue('name', 'Stuart');
+	c1.save();
+	
+	com.qwirx.test.assertThrows(com.qwirx.data.ConcurrentModification,
+		function() { c2.deleteCurrent(); },
+		"Deleting a record that was modified by someone else should " +
+		"have thrown an exception");
+	assertEquals(3, ds.getCount());
+	assertEquals(1, c2.getPosition());
+	
+	c2.deleteCurrent(true /* opt_forceDelete */);
+	assertEquals(2, ds.getCount());
+	assertEquals("Deleting c1's current record should have moved it too",
+		1, c1.getPosition());
+	assertObjectEquals({id: 5, name: 'Peter'}, c1.getCurrentValues());
+}
+
+/**
+ * Cursors should end up on the same record after a committed transaction.
+ */
+function test_cursor_follows_committed_transaction()
+{
+	var ds = getTestDataSource();
+	var c = new com.qwirx.data.Cursor(ds);
+	c.setPosition(2);
+	
+	ds.beginTransaction();
+	ds.remove(0);
+	ds.insert(0, {id: 0, name: 'Adam'});
+	ds.insert(0, {id: -1, name: 'Eve'});
+	assertEquals("The cursor should not move until the commit", 2,
+		c.getPosition());
+	ds.commit();
+	
+	assertEquals(3, c.getPosition());
+	assertObjectEquals({id: 5, name: 'Peter'}, c.getCurrentValues());
+}
+
+/**
+ * If the current row is deleted by a transaction which also inserts
+ * rows before it, the cursor should load the row that took its place
+ * after all the events have been sent, not before the insert, and so
+ * should a cursor on a view of the datasource.
+ */
+function test_cursor_current_row_deleted_by_committed_transaction()
+{
+	var ds = getTestDataSource();
+	var c = new com.qwirx.data.Cursor(ds);
+	c.setPosition(1);
+	
+	// Views built on the datasource have to wait for it too
+	var view = new com.qwirx.data.Query("SELECT name, id WHERE id > -5 " +
+		"ORDER BY id").execute(ds);
+	var v = new com.qwirx.data.Cursor(view);
+	v.setPosition(1);
+	
+	ds.beginTransaction();
+	ds.remove(1);
+	ds.insert(0, {id: 0, name: 'Adam'});
+	ds.commit();
+	
+	assertEquals(2, c.getPosition());
+	assertObjectEquals({id: 5, name: 'Peter'}, c.getCurrentValues());
+	assertFalse(c.isDirty());
+	assertEquals(2, v.getPosition());
+	assertObjectEquals({name: 'Peter', id: 5}, v.getCurrentValues());
+	assertFalse(v.isDirty());
+	
+	// Deleting the last row and inserting before it leaves the cursor
+	// on the last row, not past the end.
+	ds.beginTransaction();
+	ds.remove(2);
+	ds.insert(0, {id: -1, name: 'Eve'});
+	ds.commit();
+	
+	assertEquals(2, c.getPosition());
+	assertObjectEquals({id: 1, name: 'John'}, c.getCurrentValues());
+	assertFalse(c.isDirty());
+	assertEquals(2, v.getPosition());
+	assertObjectEquals({name: 'John', id: 1}, v.getCurrentValues());
+}
+
+/**
+ * Restoring a JSON document sends the same events as a transaction,
+ * after all the data has been replaced, so the cursor should do the
+ * same.
+ */
+function test_cursor_current_row_deleted_by_restore_from_json()
+{
+	var ds = getTestDataSource();
+	var json = ds.toJson();
+	var c = new com.qwirx.data.Cursor(ds);
+	
+	ds.replace(0, {id: 0, name: 'Adam'});
+	ds.insert(1, {id: 1, name: 'John'});
+	c.setPosition(2);
+	assertEquals('James', c.getCurrentValues().name);
+	
+	// [Adam, John, James, Peter] becomes [John, James, Peter], which
+	// deletes Adam and keeps the others
+	ds.restoreFromJson(json);
+	assertEquals(1, c.getPosition());
+	assertEquals('James', c.getCurrentValues().name);
+	
+	// [A, B, C] restored as [X, A, C] with the cursor on B
+	json = ds.toJson();
+	ds.removeRange(0, 3);
+	ds.addRange([{id: 3, name: 'Xavier'}, {id: 1, name: 'John'},
+		{id: 5, name: 'Peter'}]);
+	var restored = ds.toJson();
+	ds.restoreFromJson(json);
+	c.setPosition(1);
+	assertEquals('James', c.getCurrentValues().name);
+	
+	ds.restoreFromJson(restored);
+	assertEquals(2, c.getPosition());
+	assertObjectEquals({id: 5, name: 'Peter'}, c.getCurrentValues());
+	assertFalse(c.isDirty());
+}
+
+function test_cursor_positioning_after_range_operations()
+{
+	var ds = getTestDataSource();
+	var c = new com.qwirx.data.Cursor(ds);
+	c.setPosition(1);
+	
+	ds.insertRange(2, [{id: 3}, {id: 4}]);
+	assertEquals(1, c.getPosition());
+	ds.insertRange(0, [{id: -1}, {id: 0}, {id: 0.5}]);
+	assertEquals(4, c.getPosition());
+	assertObjectEquals({id: 2, name: 'James'}, c.getCurrentValues());
+	
+	ds.removeRange(5, 2);
+	assertEquals(4, c.getPosition());
+	ds.removeRange(1, 3);
+	assertEquals(1, c.getPosition());
+	assertObjectEquals({id: 2, name: 'James'}, c.getCurrentValues());
+	
+	ds.removeRange(0, 2);
+	assertEquals("The cursor should have moved to the next row", 0,
+		c.getPosition());
+	assertObjectEquals({id: 5, name: 'Peter'}, c.getCurrentValues());
+}
+
+/**
+ * Rows inserted or deleted before the current position should not
+ * discard unsaved changes to the current record.
+ */
+function test_cursor_keeps_changes_when_shifted()
+{
+	var ds = getTestDataSource();
+	var c = new com.qwirx.data.Cursor(ds);
+	c.setPosition(1);
+	c.setFieldValue('name', 'Jim');
+	
+	ds.insert(0, {id: 0, name: 'Adam'});
+	assertEquals(2, c.getPosition());
+	assertTrue(c.isDirty());
+	assertObjectEquals({id: 2, name: 'Jim'}, c.getCurrentValues());
+	
+	ds.remove(0);
+	assertEquals(1, c.getPosition());
+	assertTrue(c.isDirty());
+	assertObjectEquals({id: 2, name: 'Jim'}, c.getCurrentValues());
+	
+	c.save();
+	assertObjectEquals({id: 2, name: 'Jim'}, ds.get(1));
+}
+
+function test_cursor_validates_against_schema()
+{
+	var Types = com.qwirx.data.Schema.Types;
+	var ds = new com.qwirx.data.SimpleDatasource([
+			{name: 'id', caption: 'ID', type: Types.NUMBER, required: true},
+			{name: 'status', caption: 'Status', type: Types.STRING,
+				defaultValue: 'open'}
+		], [{id: 1, status: 'closed'}]);
+	var c = new com.qwirx.data.Cursor(ds);
+	
+	c.setPosition(0);
+	com.qwirx.test.assertThrows(com.qwirx.data.ValidationFailed,
+		function() { c.setFieldValue('id', 'one', true /* opt_validate */); },
+		"setFieldValue() should be able to pre-validate the value");
+	assertFalse("The invalid value should not have been set", c.isDirty());
+	
+	// Without validation, the invalid value is accepted until save()
+	c.setFieldValue('id', 'one');
+	com.qwirx.test.assertThrows(com.qwirx.data.ValidationFailed,
+		function() { c.validate(); });
+	com.qwirx.test.assertThrows(com.qwirx.data.ValidationFailed,
+		function() { c.save(); });
+	c.discard();
+	
+	c.setPosition(com.qwirx.data.Cursor.NEW);
+	assertObjectEquals("A new record should start with default values",
+		{status: 'open'}, c.getCurrentValues());
+	assertFalse(c.isDirty());
+	c.setFieldValue('id', 2, true /* opt_validate */);
+	c.save();
+	assertObjectEquals({id: 2, status: 'open'}, ds.get(1));
+}
+
+function test_cursor_move_to_key()
+{
+	var ds = new com.qwirx.data.SimpleDatasource(
+		[{name: 'id', caption: 'ID', key: true},
+			{name: 'name', caption: 'Name'}],
+		[{id: 1, name: 'John'}, {id: 2, name: 'James'},
+			{id: 5, name: 'Peter'}]);
+	var c = new com.qwirx.data.Cursor(ds);
+	
+	assertTrue(c.moveToKey(2));
+	assertEquals(1, c.getPosition());
+	assertEquals(2, c.getCurrentKey());
+	
+	assertFalse(c.moveToKey(3));
+	assertEquals("A failed moveToKey() should not move the cursor", 1,
+		c.getPosition());
+	
+	// After the data is re-sorted, we can find the same record again
+	var sorted = new com.qwirx.data.SortedDatasource(ds,
+		[{name: 'name'}]);
+	var c2 = new com.qwirx.data.Cursor(sorted);
+	assertTrue(c2.moveToKey(c.getCurrentKey()));
+	assertEquals(0, c2.getPosition());
+	assertObjectEquals(c.getCurrentValues(), c2.getCurrentValues());
+}
+
+function test_cursor_find()
+{
+	var ds = getTestDataSource();
+	ds.add({id: 7, name: 'James'});
+	var c = new com.qwirx.data.Cursor(ds);
+	
+	assertFalse("There is nothing before BOF", c.findPrevious('name',
+		'James'));
+	assertTrue(c.findNext('name', 'James'));
+	assertEquals(1, c.getPosition());
+	assertTrue(c.findNext('name', 'James'));
+	assertEquals(3, c.getPosition());
+	assertFalse(c.findNext('name', 'James'));
+	assertEquals("A failed find should not move the cursor", 3,
+		c.getPosition());
+	assertTrue(c.findPrevious('name', 'James'));
+	assertEquals(1, c.getPosition());
+	
+	assertTrue(c.findLast(function(record, rowIndex)
+		{
+			return record.id < 5;
+		}));
+	assertEquals(1, c.getPosition());
+	assertTrue(c.findFirst(function(record) { return record.id > 1; }));
+	assertEquals(1, c.getPosition());
+	assertFalse(c.findFirst('name', 'Paul'));
+	
+	c.moveNew();
+	assertFalse("There is nothing after NEW", c.findNext('id', 1));
+	assertTrue(c.findPrevious('id', 1));
+	assertEquals(0, c.getPosition());
+	
+	com.qwirx.test.assertThrows(com.qwirx.data.NoSuchField,
+		function(){c.findFirst('age', 1);},
+		"The field must exist");
+	
+	// Finds go through the normal discard checks
+	c.setFieldValue('name', 'Johnny');
+	blockDiscards(c);
+	com.qwirx.test.assertThrows(com.qwirx.data.DiscardBlocked,
+		function(){c.findLast('name', 'Peter');},
+		"The changes should not be discarded");
+	assertEquals(0, c.getPosition());
+	
+	// The end of a datasource with an unknown row count is found
+	c = new com.qwirx.data.Cursor(getStreamDataSource(45));
+	assertTrue(c.findLast(function(record) { return record.id % 10 == 0; }));
+	assertEquals(40, c.getPosition());
+	assertFalse(c.findNext('id', 50));
+	assertEquals(45, c.getRowCount());
+}
+
+function test_cursor_find_uses_binary_search_when_sorted()
+{
+	var AccessMode = com.qwirx.data.Datasource.AccessMode;
+	var ds = getTestDataSource();
+	ds.add({id: 7, name: 'James'});
+	ds.add({id: 3, name: 'Andrew'});
+	assertNull(ds.getSortOrder());
+	
+	var sorted = new com.qwirx.data.SortedDatasource(ds,
+		[{name: 'name'}]);
+	var searches = 0;
+	sorted.binarySearch = function(compareRowFn, target)
+	{
+		searches++;
+		return com.qwirx.data.Datasource.prototype.binarySearch.call(this,
+			compareRowFn, target);
+	};
+	
+	var c = new com.qwirx.data.Cursor(sorted, AccessMode.BINARY_SEARCH);
+	assertTrue(c.findFirst('name', 'James'));
+	assertEquals(1, c.getPosition());
+	assertTrue(searches > 0);
+	assertTrue(c.findLast('name', 'James'));
+	assertEquals(2, c.getPosition());
+	assertTrue(c.findPrevious('name', 'James'));
+	assertEquals(1, c.getPosition());
+	assertFalse(c.findPrevious('name', 'James'));
+	assertTrue(c.findNext('name', 'Peter'));
+	assertEquals(4, c.getPosition());
+	assertFalse(c.findFirst('name', 'Paul'));
+	assertEquals(4, c.getPosition());
+	
+	// The datasource isn't sorted on the id, so it's searched linearly
+	searches = 0;
+	assertTrue(c.findFirst('id', 1));
+	assertEquals(3, c.getPosition());
+	assertEquals(0, searches);
+	
+	// And so is any datasource if the access mode is not BINARY_SEARCH
+	c = new com.qwirx.data.Cursor(sorted);
+	assertTrue(c.findLast('name', 'James'));
+	assertEquals(2, c.getPosition());
+	assertEquals(0, searches);
+	
+	// A filtered view of a sorted one is still sorted
+	var filtered = new com.qwirx.data.FilteredDatasource(sorted,
+		function(record) { return record.id != 2; });
+	assertObjectEquals(sorted.getSortOrder(), filtered.getSortOrder());
+	c = new com.qwirx.data.Cursor(filtered, AccessMode.BINARY_SEARCH);
+	assertTrue(c.findFirst('name', 'James'));
+	assertEquals(7, c.getCurrentValues().id);
+	
+	// Descending sorts work too
+	sorted = new com.qwirx.data.SortedDatasource(ds,
+		[{name: 'name', descending: true}]);
+	c = new com.qwirx.data.Cursor(sorted, AccessMode.BINARY_SEARCH);
+	assertTrue(c.findLast('name', 'James'));
+	assertEquals(3, c.getPosition());
+	assertTrue(c.findFirst('name', 'Andrew'));
+	assertEquals(4, c.getPosition());
+}
+
+function test_cursor_access_mode_prefetches_records()
+{
+	var AccessMode = com.qwirx.data.Datasource.AccessMode;
+	var data = [];
+	for (var i = 0; i < 50; i++)
+	{
+		data.push({id: i, name: 'Person ' + i});
+	}
+	var ds = new com.qwirx.data.SimpleDatasource(getTestDataSource().
+		getColumns(), data);
+	
+	var c = new com.qwirx.data.Cursor(ds, AccessMode.ALL_SEQUENTIAL);
+	assertEquals(AccessMode.ALL_SEQUENTIAL, c.getAccessMode());
+	for (c.moveFirst(); !c.isEOF(); c.moveRelative(1))
+	{
+		assertEquals(c.getPosition(), c.getCurrentValues().id);
+	}
+	
+	var pageSize = com.qwirx.data.PageCache.DEFAULT_PAGE_SIZE;
+	var expectedFetches = Math.ceil(50 / (pageSize *
+		(1 + com.qwirx.data.PageCache.READ_AHEAD_PAGES)));
+	var stats = c.getCacheStats();
+	assertEquals(expectedFetches, stats.fetches);
+	assertEquals(expectedFetches, stats.misses);
+	assertEquals(50 - expectedFetches, stats.hits);
+	
+	// Random access fetches only the rows which are visited
+	c = new com.qwirx.data.Cursor(ds);
+	c.setPosition(10);
+	c.setPosition(40);
+	c.setPosition(10);
+	assertObjectEquals({hits: 1, misses: 2, fetches: 2, rowsFetched: 2},
+		c.getCacheStats());
+	
+	// The current record is reloaded when it changes, not read from the
+	// cache, and unrelated changes don't confuse the cursor either.
+	ds.replace(10, {id: 10, name: 'Changed'});
+	assertEquals('Changed', c.getCurrentValues().name);
+	ds.insert(0, {id: -1, name: 'First'});
+	assertEquals(11, c.getPosition());
+	c.setPosition(41);
+	assertEquals(40, c.getCurrentValues().id);
+}
+
+/**
+ * @return an asynchronous adapter for the supplied datasource, whose
+ * calls are only made when the test calls its <code>flush</code>
+ * method.
+ */
+function getManualAsyncDataSource(ds)
+{
+	var async = new com.qwirx.data.AsyncDatasourceAdapter(ds);
+	var pending = [];
+	
+	async.schedule = function(callback)
+	{
+		pending.push(callback);
+	};
+	
+	async.flush = function()
+	{
+		while (pending.length)
+		{
+			pending.shift()();
+		}
+	};
+	
+	return async;
+}
+
+function recordEvents(cursor, types)
+{
+	var events = [];
+	
+	for (var i = 0; i < types.length; i++)
+	{
+		cursor.addEventListener(types[i], function(e)
+			{
+				events.push(e);
+			});
+	}
+	
+	return events;
+}
+
+function getEventTypes(events)
+{
+	var types = [];
+	
+	for (var i = 0; i < events.length; i++)
+	{
+		types.push(events[i].type);
+	}
+	
+	return types;
+}
+
+function test_cursor_async_movement()
+{
+	var Events = com.qwirx.data.Cursor.Events;
+	var ds = new com.qwirx.data.SimpleDatasource(
+		[{name: 'id', caption: 'ID', key: true},
+			{name: 'name', caption: 'Name'}],
+		getTestDataSource().getRange(0, 3));
+	var async = getManualAsyncDataSource(ds);
+	var c = new com.qwirx.data.Cursor(async);
+	assertTrue(c.isAsync());
+	assertNull("the row count is not known until it's fetched",
+		c.getRowCount());
+	assertNull(c.getCacheStats());
+	
+	var events = recordEvents(c, [Events.LOADING, Events.MOVE_TO]);
+	var finished = false;
+	c.moveFirst().addCallback(function() { finished = true; });
+	assertEquals(com.qwirx.data.Cursor.BOF, c.getPosition());
+	assertFalse(c.isLoading());
+	
+	// The row count arrives first, then the record is requested.
+	async.flush();
+	assertEquals(3, c.getRowCount());
+	assertEquals(0, c.getPosition());
+	assertObjectEquals({id: 1, name: 'John'}, c.getCurrentValues());
+	assertFalse(c.isLoading());
+	assertTrue(finished);
+	assertObjectEquals([Events.LOADING, Events.MOVE_TO],
+		getEventTypes(events));
+	assertEquals(com.qwirx.data.Cursor.BOF, events[0].getPosition());
+	assertEquals(0, events[0].getNewPosition());
+	assertEquals(0, events[1].getNewPosition());
+	
+	// Movements are queued, so each one starts where the last one
+	// ended, not where the cursor was when it was requested.
+	c.moveRelative(1);
+	c.moveRelative(1);
+	assertEquals(0, c.getPosition());
+	async.flush();
+	assertEquals(2, c.getPosition());
+	assertObjectEquals({id: 5, name: 'Peter'}, c.getCurrentValues());
+	
+	var moved;
+	c.moveToKey(1).addCallback(function(result) { moved = result; });
+	async.flush();
+	assertTrue(moved);
+	assertEquals(0, c.getPosition());
+	
+	// Moving to EOF doesn't load anything, but still happens in order.
+	events.length = 0;
+	c.moveLast();
+	c.moveRelative(1);
+	async.flush();
+	assertEquals(com.qwirx.data.Cursor.EOF, c.getPosition());
+	assertObjectEquals([Events.LOADING, Events.MOVE_TO, Events.MOVE_TO],
+		getEventTypes(events));
+}
+
+function test_cursor_async_failures()
+{
+	var Events = com.qwirx.data.Cursor.Events;
+	var ds = getTestDataSource();
+	var async = getManualAsyncDataSource(ds);
+	var c = new com.qwirx.data.Cursor(async);
+	var events = recordEvents(c, [Events.LOAD_FAILED, Events.MOVE_TO]);
+	var errors = [];
+	
+	function recordError(error)
+	{
+		errors.push(error);
+		return null;
+	}
+	
+	// Invalid moves fail when the row count is known.
+	c.setPosition(3).addErrback(recordError);
+	async.flush();
+	assertEquals(1, errors.length);
+	assertTrue(errors[0] instanceof com.qwirx.data.IllegalMove);
+	assertEquals(com.qwirx.data.Cursor.BOF, c.getPosition());
+	
+	// If the record can't be loaded, the cursor stays where it was,
+	// and the operations queued after it still run.
+	var error = new Error("Server unavailable");
+	var get = async.get;
+	async.get = function()
+	{
+		async.get = get;
+		return goog.async.Deferred.fail(error);
+	};
+	
+	c.moveFirst().addErrback(recordError);
+	c.moveRelative(2);
+	async.flush();
+	assertEquals(2, errors.length);
+	assertEquals(error, errors[1]);
+	assertEquals(2, events.length);
+	assertEquals(Events.LOAD_FAILED, events[0].type);
+	assertEquals(com.qwirx.data.Cursor.BOF, events[0].getPosition());
+	assertEquals(0, events[0].getNewPosition());
+	assertEquals(error, events[0].getError());
+	assertEquals(Events.MOVE_TO, events[1].type);
+	assertEquals(1, c.getPosition());
+	assertObjectEquals({id: 2, name: 'James'}, c.getCurrentValues());
+}
+
+function test_cursor_async_follows_datasource_changes()
+{
+	var Events = com.qwirx.data.Cursor.Events;
+	var ds = getTestDataSource();
+	var async = getManualAsyncDataSource(ds);
+	var c = new com.qwirx.data.Cursor(async);
+	c.setPosition(1);
+	async.flush();
+	
+	var events = recordEvents(c, [Events.LOADING, Events.MOVE_TO,
+		Events.CURRENT_ROW_REFRESHED]);
+	ds.replace(1, {id: 2, name: 'Jim'});
+	assertTrue("the new values should be requested", c.isLoading());
+	assertObjectEquals({id: 2, name: 'James'}, c.getCurrentValues());
+	async.flush();
+	assertFalse(c.isLoading());
+	assertObjectEquals({id: 2, name: 'Jim'}, c.getCurrentValues());
+	assertObjectEquals([Events.LOADING, Events.CURRENT_ROW_REFRESHED],
+		getEventTypes(events));
+	
+	// A move that starts before the refresh arrives replaces it.
+	events.length = 0;
+	c.moveRelative(1);
+	ds.replace(1, {id: 2, name: 'Jimmy'});
+	async.flush();
+	assertEquals(2, c.getPosition());
+	assertObjectEquals({id: 5, name: 'Peter'}, c.getCurrentValues());
+	assertObjectEquals([Events.LOADING, Events.LOADING, Events.MOVE_TO],
+		getEventTypes(events));
+	
+	// If rows are inserted while a record is loading, the current
+	// position is adjusted and the record is requested again, since
+	// a different one is now at the position that we're moving to.
+	function insertOnce(e)
+	{
+		c.removeEventListener(Events.LOADING, insertOnce);
+		ds.insert(0, {id: 0, name: 'Adam'});
+	}
+	c.addEventListener(Events.LOADING, insertOnce);
+	c.moveRelative(-1);
+	async.flush();
+	assertEquals(4, c.getRowCount());
+	assertEquals(1, c.getPosition());
+	assertObjectEquals({id: 1, name: 'John'}, c.getCurrentValues());
+	
+	ds.remove(0);
+	assertEquals(3, c.getRowCount());
+	assertEquals(0, c.getPosition());
+}
 
+function test_cursor_async_save_and_delete()
+{
+	var Events = com.qwirx.data.Cursor.Events;
+	var ds = getTestDataSource();
+	var async = getManualAsyncDataSource(ds);
+	var c = new com.qwirx.data.Cursor(async);
+	var results = [];
+	
+	function recordResult(result)
+	{
+		results.push(result);
+	}
+	
+	c.moveNew();
+	async.flush();
+	c.setFieldValue('id', 7);
+	c.setFieldValue('name', 'Paul');
+	
+	var events = recordEvents(c, [Events.SAVE, Events.MOVE_TO]);
+	c.save().addCallback(recordResult);
+	assertEquals("nothing is saved until the call is made", 3,
+		ds.getCount());
+	async.flush();
+	assertEquals(4, ds.getCount());
+	assertObjectEquals([3], results);
+	assertEquals(3, c.getPosition());
+	assertObjectEquals({id: 7, name: 'Paul'}, c.getCurrentValues());
+	assertFalse(c.isDirty());
+	assertObjectEquals([Events.SAVE, Events.MOVE_TO],
+		getEventTypes(events));
+	
+	// Saving an existing record checks that nobody else changed it.
+	c.setFieldValue('name', 'Saul');
+	ds.replace(3, {id: 7, name: 'Pauline'});
+	async.flush();
+	events = recordEvents(c, [Events.BEFORE_OVERWRITE, Events.OVERWRITE]);
+	c.save().addCallback(recordResult);
+	async.flush();
+	assertObjectEquals([3, 3], results);
+	assertObjectEquals({id: 7, name: 'Saul'}, ds.get(3));
+	assertObjectEquals([Events.BEFORE_OVERWRITE, Events.OVERWRITE],
+		getEventTypes(events));
+	
+	c.addEventListener(Events.BEFORE_OVERWRITE, function(e)
+		{
+			return false;
+		});
+	c.setFieldValue('name', 'Sam');
+	ds.replace(3, {id: 7, name: 'Pauline'});
+	async.flush();
+	c.save().addErrback(recordResult);
+	async.flush();
+	assertTrue(results[2] instanceof com.qwirx.data.OverwriteBlocked);
+	assertObjectEquals({id: 7, name: 'Pauline'}, ds.get(3));
+	assertTrue(c.isDirty());
+	
+	// In merge mode, other changes are merged and shown
+	c.discard();
+	c.setMergeMode(true);
+	c.setFieldValue('id', 8);
+	ds.replace(3, {id: 7, name: 'Paula'});
+	async.flush();
+	c.save().addCallback(recordResult);
+	async.flush();
+	assertEquals(3, results[3]);
+	assertObjectEquals({id: 8, name: 'Paula'}, ds.get(3));
+	assertObjectEquals({id: 8, name: 'Paula'}, c.getCurrentValues());
+	assertFalse(c.isDirty());
+	results.pop();
+	
+	c.discard();
+	c.moveFirst();
+	c.deleteCurrent().addCallback(recordResult);
+	async.flush();
+	assertEquals(0, results[3]);
+	assertEquals(3, ds.getCount());
+	assertEquals(3, c.getRowCount());
+	assertEquals(0, c.getPosition());
+	assertObjectEquals({id: 2, name: 'James'}, c.getCurrentValues());
+}
+
+/**
+ * @return a datasource with an unknown number of rows, which
+ * generates records with ids from 0 to count - 1.
+ */
+function getStreamDataSource(count)
+{
+	var generated = 0;
+	return new com.qwirx.data.StreamDatasource(
+		[{name: 'id', caption: 'ID'}],
+		function()
+		{
+			if (generated < count)
+			{
+				return {id: generated++};
+			}
+		});
+}
+
+function test_cursor_discovers_end_of_unknown_row_count()
+{
+	var Events = com.qwirx.data.Cursor.Events;
+	var ds = getStreamDataSource(3);
+	var c = new com.qwirx.data.Cursor(ds);
+	assertNull(c.getRowCount());
+	
+	c.moveFirst();
+	assertEquals(0, c.getPosition());
+	c.moveRelative(2);
+	assertEquals(2, c.getPosition());
+	assertNull("the end has not been found yet", c.getRowCount());
+	
+	var events = recordEvents(c, [Events.MOVE_TO]);
+	c.moveRelative(1);
+	assertEquals(com.qwirx.data.Cursor.EOF, c.getPosition());
+	assertEquals(3, c.getRowCount());
+	assertEquals(1, events.length);
+	assertEquals(2, events[0].getPosition());
+	assertEquals(com.qwirx.data.Cursor.EOF, events[0].getNewPosition());
+	
+	// Now that the row count is known, we can move backwards from EOF.
+	c.moveRelative(-1);
+	assertEquals(2, c.getPosition());
+	
+	// Jumping past the end also finds it.
+	ds = getStreamDataSource(3);
+	c = new com.qwirx.data.Cursor(ds);
+	c.setPosition(10);
+	assertEquals(com.qwirx.data.Cursor.EOF, c.getPosition());
+	assertEquals(3, c.getRowCount());
+	
+	// moveLast reads to the end.
+	ds = getStreamDataSource(45);
+	c = new com.qwirx.data.Cursor(ds);
+	c.moveLast();
+	assertEquals(44, c.getPosition());
+	assertEquals(44, c.getCurrentValues().id);
+	assertEquals(45, c.getRowCount());
+	
+	ds = getStreamDataSource(0);
+	c = new com.qwirx.data.Cursor(ds);
+	c.moveLast();
+	assertEquals(com.qwirx.data.Cursor.EOF, c.getPosition());
+}
+
+function test_cursor_async_discovers_end_of_unknown_row_count()
+{
+	var async = getManualAsyncDataSource(getStreamDataSource(25));
+	var c = new com.qwirx.data.Cursor(async);
+	var failed = recordEvents(c, [com.qwirx.data.Cursor.Events.LOAD_FAILED]);
+	
+	c.setPosition(30);
+	async.flush();
+	assertEquals(com.qwirx.data.Cursor.EOF, c.getPosition());
+	assertEquals(0, failed.length);
+	
+	c.moveLast();
+	async.flush();
+	assertEquals(24, c.getPosition());
+	assertEquals(24, c.getCurrentValues().id);
+	assertEquals(25, c.getRowCount());
+}
+
+function test_cursor_async_find()
+{
+	var data = [];
+	for (var i = 0; i < 50; i++)
+	{
+		data.push({id: i, name: 'Person ' + (i % 20)});
+	}
+	var ds = new com.qwirx.data.SimpleDatasource(getTestDataSource().
+		getColumns(), data);
+	var async = getManualAsyncDataSource(ds);
+	var c = new com.qwirx.data.Cursor(async);
+	var results = [];
+	function record(found)
+	{
+		results.push(found);
+	}
+	
+	c.findFirst('name', 'Person 5').addCallback(record);
+	c.findNext('name', 'Person 5').addCallback(record);
+	async.flush();
+	assertObjectEquals([true, true], results);
+	assertEquals(25, c.getPosition());
+	assertEquals('Person 5', c.getCurrentValues().name);
+	
+	c.findNext('name', 'Person 5').addCallback(record);
+	c.findNext('name', 'Person 5').addCallback(record);
+	async.flush();
+	assertObjectEquals([true, true, true, false], results);
+	assertEquals(45, c.getPosition());
+	
+	c.findPrevious(function(record) { return record.id < 10; }).
+		addCallback(record);
+	c.findLast('name', 'Person 19').addCallback(record);
+	async.flush();
+	assertEquals(true, results[4]);
+	assertEquals(true, results[5]);
+	assertEquals(39, c.getPosition());
+	
+	var failed;
+	c.findFirst('age', 1).addErrback(function(error)
+		{
+			failed = error;
+		});
+	async.flush();
+	assertTrue(failed instanceof com.qwirx.data.NoSuchField);
+	assertEquals(39, c.getPosition());
+	
+	// The end of a datasource with an unknown row count is found
+	async = getManualAsyncDataSource(getStreamDataSource(45));
+	c = new com.qwirx.data.Cursor(async);
+	c.findLast(function(record) { return record.id % 10 == 0; });
+	async.flush();
+	assertEquals(40, c.getPosition());
+	assertEquals(45, c.getRowCount());
+}
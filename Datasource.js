@@ -3,9 +3,13 @@ goog.provide('com.qwirx.data.Datasource.Events');
 goog.provide('com.qwirx.data.Datasource.RowEvent');
 goog.provide('com.qwirx.data.SimpleDatasource');
 goog.provide('com.qwirx.data.NoSuchRecord');
+goog.provide('com.qwirx.data.DuplicateKey');
+goog.provide('com.qwirx.data.InvalidJson');
 
 goog.require('goog.events.Event');
 goog.require('goog.events.EventTarget');
+goog.require('goog.json');
+goog.require('com.qwirx.data.Schema');
 goog.require('com.qwirx.util.Enum');
 goog.require('com.qwirx.util.Exception');
 
@@ -28,14 +32,32 @@ goog.inherits(com.qwirx.data.NoSuchRecord, com.qwirx.util.Exception);
  * if the current data values in the datasource don't match the old values
  * passed in, which implies that the record has been modified by someone
  * else in the meantime.
+ *
+ * When thrown by {@link com.qwirx.data.Datasource#atomicMerge}, it also
+ * lists the fields which could not be merged, because both sides
+ * changed them to different values.
+ *
+ * @param {Object} currentValues The current values of the record.
+ * @param {Array.<Object>=} opt_conflicts The conflicting fields, as
+ * returned by {@link com.qwirx.data.Datasource.mergeRecords}.
  * @constructor
  */
-com.qwirx.data.ConcurrentModification = function(currentValues)
+com.qwirx.data.ConcurrentModification = function(currentValues,
+	opt_conflicts)
 {
-	goog.base(this, "The current values of the row are different than " +
+	var message = "The current values of the row are different than " +
 		"the expected values. It appears that the row has been modified, " +
-		"so it will not be overwritten.");
+		"so it will not be overwritten.";
+	
+	if (opt_conflicts)
+	{
+		message += " Conflicting fields: " + goog.array.map(opt_conflicts,
+			function(conflict) { return conflict.name; }).join(", ");
+	}
+	
+	goog.base(this, message);
 	this.currentValues_ = currentValues;
+	this.conflicts_ = opt_conflicts || null;
 };
 goog.inherits(com.qwirx.data.ConcurrentModification, com.qwirx.util.Exception);
 com.qwirx.data.ConcurrentModification.prototype.getCurrentValues = function()
@@ -43,6 +65,62 @@ com.qwirx.data.ConcurrentModification.prototype.getCurrentValues = function()
 	return this.currentValues_;
 };
 
+/**
+ * @return the fields which could not be merged, each with a
+ * <code>name</code> and the <code>base</code>, <code>mine</code> and
+ * <code>theirs</code> values described by
+ * {@link com.qwirx.data.Datasource.mergeRecords}, or null if no merge
+ * was attempted.
+ */
+com.qwirx.data.ConcurrentModification.prototype.getConflicts = function()
+{
+	return this.conflicts_;
+};
+
+/**
+ * An exception thrown when inserting or replacing a record would give
+ * the datasource two records with the same primary key.
+ * @param key The duplicate key, as returned by
+ * {@link com.qwirx.data.Schema#getRecordKey}.
+ * @constructor
+ */
+com.qwirx.data.DuplicateKey = function(key)
+{
+	goog.base(this, "There is already a record with the key " + key);
+	this.key_ = key;
+};
+goog.inherits(com.qwirx.data.DuplicateKey, com.qwirx.util.Exception);
+com.qwirx.data.DuplicateKey.prototype.getKey = function()
+{
+	return this.key_;
+};
+
+/**
+ * An exception thrown by {@link com.qwirx.data.SimpleDatasource.fromJson}
+ * and {@link com.qwirx.data.SimpleDatasource#restoreFromJson} if the
+ * document is not one that they can read.
+ * @constructor
+ */
+com.qwirx.data.InvalidJson = function(message)
+{
+	goog.base(this, message);
+};
+goog.inherits(com.qwirx.data.InvalidJson, com.qwirx.util.Exception);
+
+/**
+ * An exception thrown by {@link com.qwirx.data.Datasource#beginTransaction},
+ * {@link com.qwirx.data.Datasource#commit} and
+ * {@link com.qwirx.data.Datasource#rollback} if they are called in the
+ * wrong state, for example beginning a transaction when one is already
+ * open, or committing when none is.
+ * @constructor
+ */
+com.qwirx.data.TransactionError = function(message)
+{
+	goog.base(this, message);
+};
+goog.inherits(com.qwirx.data.TransactionError, com.qwirx.util.Exception);
+
 /**
  * @constructor
  */
@@ -55,7 +133,17 @@ goog.inherits(com.qwirx.data.Datasource, goog.events.EventTarget);
 // so it doesn't know what to redraw. Remove this event.
 
 com.qwirx.data.Datasource.Events = new com.qwirx.util.Enum(
-	'ROWS_INSERT', 'ROWS_UPDATE', 'ROWS_DELETE'
+	'ROWS_INSERT', 'ROWS_UPDATE', 'ROWS_DELETE', 'ROWS_MOVE',
+	'CHANGES_COMPLETE'
+);
+
+/**
+ * The ways in which a {com.qwirx.data.Cursor} may be used to access a
+ * datasource, which it uses as a hint to decide which rows to prefetch.
+ * See {com.qwirx.data.PageCache}.
+ */
+com.qwirx.data.Datasource.AccessMode = new com.qwirx.util.Enum(
+	'ALL_SEQUENTIAL', 'LINEAR_SEARCH', 'BINARY_SEARCH', 'RANDOM'
 );
 
 /**
@@ -78,244 +166,1800 @@ com.qwirx.data.Datasource.RowEvent.prototype.getAffectedRows =
 };
 
 /**
- * Binary search on a sorted tree (actually any BaseNode) to find the
- * correct insertion point to maintain sort order.
- */
-com.qwirx.data.Datasource.prototype.binarySearch =
-	function(compareRowFn, target)
+ * An event sent by datasources whose rows can change position without
+ * being inserted or deleted, such as {com.qwirx.data.SortedDatasource}
+ * when a row is updated and its sort position changes. The event type
+ * is always {com.qwirx.data.Datasource.Events.ROWS_MOVE}, and it
+ * describes a single row. Rows between the old and new positions
+ * are shifted up or down by one to make room.
+ *
+ * @param {number} oldRowIndex The position of the row before it moved,
+ * which is also the only affected row.
+ * @param {number} newRowIndex The position of the row after it moved.
+ * @constructor
+ */ 
+com.qwirx.data.Datasource.RowMoveEvent = function(oldRowIndex, newRowIndex)
 {
-	var ds = this;
-	
-	return com.qwirx.util.Array.binarySearch(
-		this.getCount(),
-		function compareFn(atIndex)
-		{
-			return compareRowFn(target, ds.get(atIndex));
-		});
+	goog.base(this, com.qwirx.data.Datasource.Events.ROWS_MOVE,
+		[oldRowIndex]);
+	this.newRowIndex_ = newRowIndex;
 };
 
-com.qwirx.data.Datasource.prototype.assertValidRow = 
-	function(rowIndex, opt_maxIndex)
+goog.inherits(com.qwirx.data.Datasource.RowMoveEvent,
+	com.qwirx.data.Datasource.RowEvent);
+
+com.qwirx.data.Datasource.RowMoveEvent.prototype.getOldRowIndex =
+	function()
 {
-	if (rowIndex < 0)
-	{
-		throw new com.qwirx.data.NoSuchRecord('Impossible row ' +
-			'index: ' + rowIndex);
-	}
+	return this.rowIndexes_[0];
+};
 
-	if (opt_maxIndex == undefined)
-	{
-		opt_maxIndex = this.data_.length - 1;
-	}
+com.qwirx.data.Datasource.RowMoveEvent.prototype.getNewRowIndex =
+	function()
+{
+	return this.newRowIndex_;
+};
 
-	if (rowIndex > opt_maxIndex)
-	{
-		throw new com.qwirx.data.NoSuchRecord('Row index ' + rowIndex +
-			' is greater than allowed: ' + opt_maxIndex);
-	}
+/**
+ * @return a {com.qwirx.data.Schema} which can be used to validate
+ * records and field values against the columns of this datasource.
+ */
+com.qwirx.data.Datasource.prototype.getSchema = function()
+{
+	return new com.qwirx.data.Schema(this.getColumns());
 };
 
 /**
- * Replace the row (record) at the specified index of a simple
- * datasource with new data. The current values must match the supplied
- * oldValues, or a {com.qwirx.data.ConcurrentModification} exception
- * will be thrown. This is designed to protect you against silently
- * overwriting changes made to the Datasource by another user.
- * Otherwise behaves the same as
- * {com.qwirx.data.SimpleDatasource.prototype.replace}.
- *
- * @param {number} rowIndex The row index to replace/overwrite.
- * {com.qwirx.data.SimpleDatasource.prototype.get}(rowIndex) will
- * return the data just inserted. Other rows will be unaffected.
+ * @return the order in which the rows of this datasource are sorted, in
+ * the same form as the sortOrder of {com.qwirx.data.SortedDatasource},
+ * or null if they are not known to be in any order, which is the
+ * default. {com.qwirx.data.Cursor#findFirst} uses it to decide whether
+ * it can use {#binarySearch}.
+ */
+com.qwirx.data.Datasource.prototype.getSortOrder = function()
+{
+	return null;
+};
+
+/**
+ * Read several consecutive rows at once. This implementation calls
+ * {#get} for each one, but datasources which are expensive to read,
+ * for example over a network, should override it to fetch them all
+ * in a single request, since {com.qwirx.data.PageCache} reads a page
+ * at a time.
  *
- * @param {!Object} expectedCurrentValues The values which must match the
- * current record values, otherwise a {com.qwirx.data.ConcurrentModification}
- * exception will be thrown.
- * 
- * @param {!Object} newValues The values for the new record, which
- * may include or omit values for any columns in
- * {com.qwirx.data.SimpleDatasource.prototype.getColumns}.
+ * @param {number} start The index of the first row to read.
+ * @param {number} count The number of rows to read.
+ * @return an array of the records, which is shorter than count if
+ * there are fewer than count rows from start to the end.
+ * @throws {com.qwirx.data.NoSuchRecord} if start is not a valid row
+ * index or the row count. If the row count is unknown, an empty array
+ * is returned instead, because we can't tell the difference.
  */
-com.qwirx.data.Datasource.prototype.atomicReplace = 
-	function(rowIndex, expectedCurrentValues, newValues)
+com.qwirx.data.Datasource.prototype.getRange = function(start, count)
 {
-	goog.asserts.assertObject(expectedCurrentValues);
-	goog.asserts.assertObject(newValues);
-	this.assertValidRow(rowIndex);
-	
-	var actualCurrentValues = this.get(rowIndex);
-	var isDifferent = false;
+	var rowCount = this.getCount();
+	var records = [];
 	
-	for (var k in actualCurrentValues)
+	if (rowCount == null)
 	{
-		if (actualCurrentValues.hasOwnProperty(k) && 
-			expectedCurrentValues[k] != actualCurrentValues[k])
+		// Read rows until there are no more.
+		this.assertValidRow(start);
+		
+		try
 		{
-			isDifferent = true;
-			break;
+			for (var i = start; i < start + count; i++)
+			{
+				records.push(this.get(i));
+			}
 		}
-	}
-	
-	if (!isDifferent)
-	{
-		for (var k in expectedCurrentValues)
+		catch (exception)
 		{
-			if (expectedCurrentValues.hasOwnProperty(k) && 
-				expectedCurrentValues[k] != actualCurrentValues[k])
+			if (!(exception instanceof com.qwirx.data.NoSuchRecord))
 			{
-				isDifferent = true;
-				break;
+				throw exception;
 			}
 		}
+		
+		return records;
 	}
 	
-	if (isDifferent)
+	this.assertValidRow(start, rowCount);
+	var end = Math.min(start + count, rowCount);
+	
+	for (var i = start; i < end; i++)
 	{
-		throw new com.qwirx.data.ConcurrentModification(actualCurrentValues);
+		records.push(this.get(i));
 	}
 	
-	return this.replace(rowIndex, newValues);
+	return records;
 };
 
 /**
- * A simple data source for the grid component.
- * @param {Array.<string>} columns The names of the columns in this
- * data source. 
- * @param {Array.<Object>} data The initial contents of the data
- * source, which can be an empty array. Rows can be added using 
- *
- * @todo replace with {goog.ds.FastListNode}? Access by index is OK,
- * access by id could be fun, but the interface is not ideal for us:
- *
- * * What is our dataName, to pass to
- *   {goog.ds.FastDataNode.prototype.fromJs}?
- * * Where do we stash our columns?
- * * The {goog.ds.FastListNode.prototype.add} signature is not
- *   appropriate for inserting elements in the middle of the array.
- * * {goog.ds.FastListNode.prototype.setChildNode} requires
- *   inefficient parsing of strings like "[1]" to access elements by
- *   index instead of by name.
- *   We don't really want the inefficient "listen by path" mechanism
- *   for events, we just want an event whenever a record changes
- *   (for now).
+ * Find the record with the specified primary key. The key columns are
+ * those whose definitions have <code>key: true</code>. This
+ * implementation checks every record in turn, but subclasses may be
+ * able to do better.
  *
- * So for now I'll stick to using our own interface.
- * @constructor
+ * @param key The primary key to look for, which is the value of the
+ * key column if there is only one, or an array of the values of the key
+ * columns if there are several.
+ * @return the index of the row with that key, or -1 if there is none.
  */
+com.qwirx.data.Datasource.prototype.indexOfKey = function(key)
+{
+	var schema = this.getSchema();
+	var keyString = schema.keyToString(key);
+	
+	for (var i = 0; i < this.getCount(); i++)
+	{
+		if (schema.keyToString(schema.getRecordKey(this.get(i))) ==
+			keyString)
+		{
+			return i;
+		}
+	}
+	
+	return -1;
+};
 
-com.qwirx.data.SimpleDatasource = function(columns, data)
+/**
+ * @param key The primary key to look for, as passed to {#indexOfKey}.
+ * @return the record with the specified primary key.
+ * @throws {com.qwirx.data.NoSuchRecord} if there is no such record.
+ */
+com.qwirx.data.Datasource.prototype.getByKey = function(key)
 {
-	this.columns_ = goog.array.clone(columns);
-	this.data_ = goog.array.clone(data);
-	for (var i = 0; i < this.data_.length; i++)
+	var rowIndex = this.indexOfKey(key);
+	
+	if (rowIndex < 0)
 	{
-		this.data_[i] = goog.object.clone(this.data_[i]);
+		throw new com.qwirx.data.NoSuchRecord('No record has the key ' +
+			key);
 	}
+	
+	return this.get(rowIndex);
 };
 
-goog.inherits(com.qwirx.data.SimpleDatasource,
-	com.qwirx.data.Datasource);
+/**
+ * Attach a {com.qwirx.data.History} to this datasource, which records
+ * changes so that they can be undone, or detach it by passing null.
+ * This is called by the History constructor and
+ * {com.qwirx.data.History#detach}, so you shouldn't need to call it.
+ */
+com.qwirx.data.Datasource.prototype.setHistory = function(history)
+{
+	this.history_ = history;
+};
 
-com.qwirx.data.SimpleDatasource.prototype.getColumns = function()
+/**
+ * @return the {com.qwirx.data.History} attached to this datasource, or
+ * null if there isn't one.
+ */
+com.qwirx.data.Datasource.prototype.getHistory = function()
 {
-	return goog.array.clone(this.columns_);
+	return this.history_ || null;
 };
 
-com.qwirx.data.SimpleDatasource.prototype.getCount = function()
+/**
+ * Register a {com.qwirx.data.Cursor} as editing records, because it
+ * has unsaved changes to them. Cursors call this themselves when they
+ * become dirty or have changes pending in batch mode, and
+ * {#removeEditor} when they have neither, so that several cursors on
+ * the same datasource, for example a grid and a detail form, can find
+ * out with {#getEditors} that another one is editing the same record,
+ * instead of finding out when {#atomicReplace} throws a
+ * {com.qwirx.data.ConcurrentModification}.
+ *
+ * The registry holds the cursors, not their row indexes, so it stays
+ * correct as they follow their records around, and asks them which
+ * rows they are editing with {com.qwirx.data.Cursor#isEditingRow}.
+ */
+com.qwirx.data.Datasource.prototype.addEditor = function(cursor)
 {
-	return this.data_.length;
+	if (!this.editors_)
+	{
+		this.editors_ = [];
+	}
+	
+	goog.array.insert(this.editors_, cursor);
 };
 
-com.qwirx.data.SimpleDatasource.prototype.get = function(rowIndex)
+/**
+ * Unregister a cursor registered by {#addEditor}, because it no longer
+ * has unsaved or pending changes. Does nothing if it was not
+ * registered.
+ */
+com.qwirx.data.Datasource.prototype.removeEditor = function(cursor)
 {
-	this.assertValidRow(rowIndex);
-	return goog.object.clone(this.data_[rowIndex]);
+	if (this.editors_)
+	{
+		goog.array.remove(this.editors_, cursor);
+	}
 };
 
 /**
- * Insert a new row (record) at the specified index of a simple
- * datasource. A {com.qwirx.data.Datasource.RowEvent} event will be
- * fired, with the type {com.qwirx.data.Datasource.Events.ROWS_INSERT},
- * and the {Array} [rowIndex] as the event data.
- *
- * @param {number} rowIndex The insert position.
- * {com.qwirx.data.SimpleDatasource.prototype.getRow}(rowIndex) will
- * return the data just inserted, and all subsequent rows will be
- * shifted down by one.
- *
- * @param {!Object} newRecord The values for the new record, which
- * may include or omit values for any columns in
- * {com.qwirx.data.SimpleDatasource.prototype.getColumns}.
+ * @param {number} rowIndex The row to check.
+ * @return an array of the cursors registered by {#addEditor} which are
+ * currently editing the specified row, or have changes to it pending
+ * in batch mode, which is empty if there are none, or if the row index
+ * is not a number, for example {com.qwirx.data.Cursor.NEW}, because new
+ * records are not shared.
  */
-com.qwirx.data.SimpleDatasource.prototype.insert = 
-	function(rowIndex, newRecord)
+com.qwirx.data.Datasource.prototype.getEditors = function(rowIndex)
 {
-	this.assertValidRow(rowIndex, this.data_.length);
-	this.data_.splice(rowIndex, 0, goog.object.clone(newRecord));
-	this.dispatchEvent(new com.qwirx.data.Datasource.RowEvent(
-		com.qwirx.data.Datasource.Events.ROWS_INSERT, [rowIndex]));
+	if (!this.editors_ || !goog.isNumber(rowIndex))
+	{
+		return [];
+	}
+	
+	return goog.array.filter(this.editors_, function(cursor)
+		{
+			return cursor.isEditingRow(rowIndex);
+		});
 };
 
 /**
- * Append a new row (record) to the end of a simple datasource.
- * A {com.qwirx.data.Datasource.RowEvent} event will be
- * fired, with the type {com.qwirx.data.Datasource.Events.ROWS_INSERT},
- * and an {Array}, consisting of just the new row index, as the event
- * data.
+ * Tell the {com.qwirx.data.History} attached to this datasource, if
+ * any, about a change, so that it can be undone. Subclasses which can
+ * be written to should call this after each change, and before sending
+ * the {com.qwirx.data.Datasource.RowEvent} for it, so that listeners
+ * which make further changes in response are recorded after it.
  *
- * @param {!Object} newRecord The values for the new record, which
- * may include or omit values for any columns in
- * {com.qwirx.data.SimpleDatasource.prototype.getColumns}.
- * @return the row index of the inserted record.
+ * @param {com.qwirx.data.Datasource.Events} type The type of change:
+ * ROWS_INSERT, ROWS_UPDATE or ROWS_DELETE.
+ * @param {number} rowIndex The index of the first affected row, which
+ * were consecutive.
+ * @param {Array.<Object>} oldRecords The records as they were before
+ * they were replaced or deleted, or null if they were inserted.
+ * @param {Array.<Object>} newRecords The records as they are now, or
+ * null if they were deleted.
  */
-com.qwirx.data.SimpleDatasource.prototype.add = function(newRecord)
+com.qwirx.data.Datasource.prototype.recordChange = function(type, rowIndex,
+	oldRecords, newRecords)
 {
-	var pos = this.data_.length;
-	this.insert(pos, newRecord);
-	return pos;
+	if (this.history_)
+	{
+		this.history_.record(type, rowIndex, oldRecords, newRecords);
+	}
 };
 
 /**
- * Replace the row (record) at the specified index of a simple
- * datasource with new data. A {com.qwirx.data.Datasource.RowEvent}
- * event will be fired, with the type
- * {com.qwirx.data.Datasource.Events.ROWS_UPDATE} and 
- * [rowIndex] as the event data.
+ * Send a {com.qwirx.data.Datasource.RowEvent} to listeners, or if a
+ * transaction is open, remember which rows were affected so that the
+ * change can be included in the events sent by {#commit}. Subclasses
+ * should use this instead of dispatching RowEvents directly.
  *
- * @param {number} rowIndex The row index to replace/overwrite.
- * {com.qwirx.data.SimpleDatasource.prototype.get}(rowIndex) will
- * return the data just inserted. Other rows will be unaffected.
+ * The affected rows of a ROWS_INSERT event are the positions of the
+ * new rows after they were inserted, and those of a ROWS_DELETE event
+ * are the positions of the deleted rows before they were deleted.
  *
- * @param {!Object} newRecord The values for the new record, which
- * may include or omit values for any columns in
- * {com.qwirx.data.SimpleDatasource.prototype.getColumns}.
+ * @param {com.qwirx.data.Datasource.Events} type The type of event.
+ * @param {Array.<number>} rowIndexes The indexes of the affected rows.
  */
-com.qwirx.data.SimpleDatasource.prototype.replace = 
-	function(rowIndex, newRecord)
+com.qwirx.data.Datasource.prototype.dispatchRowEvent =
+	function(type, rowIndexes)
 {
-	this.assertValidRow(rowIndex);
-	this.data_.splice(rowIndex, 1, goog.object.clone(newRecord));
-	this.dispatchEvent(new com.qwirx.data.Datasource.RowEvent(
-		com.qwirx.data.Datasource.Events.ROWS_UPDATE, [rowIndex]));
+	if (this.transaction_)
+	{
+		this.recordTransactionChange_(type, rowIndexes);
+	}
+	else
+	{
+		this.dispatchEvent(new com.qwirx.data.Datasource.RowEvent(type,
+			rowIndexes));
+	}
 };
 
 /**
- * Remove the row (record) at the specified index of a simple
- * datasource. A {com.qwirx.data.Datasource.RowEvent}
- * event will be fired, with the type
- * {com.qwirx.data.Datasource.Events.ROWS_DELETE} and 
- * [rowIndex] as the event data.
- *
- * @param {number} rowIndex The row index to remove.
- * {com.qwirx.data.SimpleDatasource.prototype.getRow}(rowIndex) will
- * return the row that was previously at rowIndex + 1, and so on.
+ * Send a {com.qwirx.data.Datasource.RowMoveEvent} to listeners, or if a
+ * transaction is open, remember that the row moved, so that the change
+ * can be included in the events sent by {#commit}. Those can't describe
+ * a row moving, so it's reported as deleted from its old position and
+ * inserted at the new one. Subclasses should use this instead of
+ * dispatching RowMoveEvents directly.
  *
- * @see goog.ds.FastDataNode.prototype.removeNode
+ * @param {number} oldRowIndex The position of the row before it moved.
+ * @param {number} newRowIndex The position of the row after it moved.
  */
-com.qwirx.data.SimpleDatasource.prototype.remove = function(rowIndex)
+com.qwirx.data.Datasource.prototype.dispatchRowMoveEvent =
+	function(oldRowIndex, newRowIndex)
 {
-	this.assertValidRow(rowIndex);
-	this.data_.splice(rowIndex, 1);
-	this.dispatchEvent(new com.qwirx.data.Datasource.RowEvent(
-		com.qwirx.data.Datasource.Events.ROWS_DELETE, [rowIndex]));
+	if (this.transaction_)
+	{
+		var Events = com.qwirx.data.Datasource.Events;
+		this.recordTransactionChange_(Events.ROWS_DELETE, [oldRowIndex]);
+		this.recordTransactionChange_(Events.ROWS_INSERT, [newRowIndex]);
+	}
+	else
+	{
+		this.dispatchEvent(new com.qwirx.data.Datasource.RowMoveEvent(
+			oldRowIndex, newRowIndex));
+	}
+};
+
+/**
+ * Start a transaction. Until {#commit} or {#rollback} is called,
+ * no {com.qwirx.data.Datasource.RowEvent}s will be sent. Instead,
+ * {#commit} sends one event of each type (ROWS_DELETE, then
+ * ROWS_INSERT, then ROWS_UPDATE) describing the net effect of all the
+ * changes made during the transaction, and {#rollback} restores the
+ * data to exactly its state when the transaction began, without
+ * sending any events at all.
+ *
+ * Note that {com.qwirx.data.Cursor}s on this datasource are not told
+ * about changes until they are committed, so they should not be moved
+ * or saved while a transaction is open.
+ *
+ * If a {com.qwirx.data.History} is attached, all the changes made
+ * during the transaction are undone as a single step, unless it's
+ * rolled back, in which case they are forgotten.
+ *
+ * Subclasses must implement {#createSnapshot} and {#restoreSnapshot}
+ * to support transactions.
+ *
+ * @throws {com.qwirx.data.TransactionError} if a transaction is already
+ * open. Transactions cannot be nested.
+ */
+com.qwirx.data.Datasource.prototype.beginTransaction = function()
+{
+	if (this.transaction_)
+	{
+		throw new com.qwirx.data.TransactionError("A transaction is " +
+			"already open on this datasource");
+	}
+	
+	// For each current row, the index that it had when the transaction
+	// began, or null for rows inserted during the transaction.
+	var origins = [];
+	for (var i = 0; i < this.getCount(); i++)
+	{
+		origins.push(i);
+	}
+	
+	this.transaction_ = {
+		snapshot: this.createSnapshot(),
+		origins: origins,
+		deleted: [],
+		updated: {}
+	};
+	
+	if (this.history_)
+	{
+		this.history_.beginGroup();
+	}
+};
+
+/**
+ * @return true if a transaction has been started with
+ * {#beginTransaction} and not yet committed or rolled back.
+ */
+com.qwirx.data.Datasource.prototype.isInTransaction = function()
+{
+	return !!this.transaction_;
+};
+
+/**
+ * Track the effect of a change made during a transaction on the rows
+ * that existed when it began.
+ * @private
+ */
+com.qwirx.data.Datasource.prototype.recordTransactionChange_ =
+	function(type, rowIndexes)
+{
+	var t = this.transaction_;
+	var Events = com.qwirx.data.Datasource.Events;
+	var sorted = goog.array.clone(rowIndexes);
+	goog.array.sort(sorted);
+	
+	if (type == Events.ROWS_INSERT)
+	{
+		// new positions, so insert from the lowest upwards
+		for (var i = 0; i < sorted.length; i++)
+		{
+			t.origins.splice(sorted[i], 0, null);
+		}
+	}
+	else if (type == Events.ROWS_DELETE)
+	{
+		// old positions, so delete from the highest downwards
+		for (var i = sorted.length - 1; i >= 0; i--)
+		{
+			var origin = t.origins.splice(sorted[i], 1)[0];
+			if (origin !== null)
+			{
+				t.deleted.push(origin);
+				delete t.updated[origin];
+			}
+		}
+	}
+	else if (type == Events.ROWS_UPDATE)
+	{
+		for (var i = 0; i < sorted.length; i++)
+		{
+			var origin = t.origins[sorted[i]];
+			if (origin !== null)
+			{
+				t.updated[origin] = true;
+			}
+		}
+	}
+};
+
+/**
+ * Finish the current transaction, keeping all the changes made during
+ * it, and send events describing them: first a ROWS_DELETE event
+ * listing the positions of the deleted rows when the transaction began,
+ * then a ROWS_INSERT event listing the positions of the inserted rows
+ * now, then a ROWS_UPDATE event listing the current positions of
+ * existing rows that were replaced. Events with no affected rows are
+ * not sent. Rows that were inserted and then deleted during the
+ * transaction are not mentioned at all. A CHANGES_COMPLETE event is
+ * sent after them; see {#dispatchChanges}.
+ *
+ * @throws {com.qwirx.data.TransactionError} if no transaction is open.
+ */
+com.qwirx.data.Datasource.prototype.commit = function()
+{
+	var t = this.transaction_;
+	
+	if (!t)
+	{
+		throw new com.qwirx.data.TransactionError("There is no open " +
+			"transaction to commit");
+	}
+	
+	this.transaction_ = null;
+	
+	if (this.history_)
+	{
+		this.history_.endGroup();
+	}
+	
+	var deleted = t.deleted;
+	var inserted = [];
+	var updated = [];
+	goog.array.sort(deleted);
+	
+	for (var i = 0; i < t.origins.length; i++)
+	{
+		var origin = t.origins[i];
+		if (origin === null)
+		{
+			inserted.push(i);
+		}
+		else if (t.updated[origin])
+		{
+			updated.push(i);
+		}
+	}
+	
+	this.dispatchChanges(deleted, inserted, updated);
+};
+
+/**
+ * Send the events which describe several changes that have all been
+ * made already, such as those made during a transaction: a ROWS_DELETE
+ * event listing the old positions of the deleted rows, then a
+ * ROWS_INSERT event listing the new positions of the inserted rows,
+ * then a ROWS_UPDATE event listing the new positions of the replaced
+ * rows, and finally a
+ * {com.qwirx.data.Datasource.Events.CHANGES_COMPLETE} event. Events
+ * with no affected rows are not sent, and neither is CHANGES_COMPLETE
+ * if none of them were.
+ *
+ * Because the data is already in its final state, it doesn't match the
+ * positions in the ROWS_DELETE event, or the ROWS_INSERT event if any
+ * rows were also replaced. {#isSendingChanges} returns true until the
+ * last of them has been sent, and listeners which need to read the
+ * data should wait for the CHANGES_COMPLETE event if so.
+ *
+ * Views which read their rows from another datasource, such as
+ * {com.qwirx.data.SortedDatasource}, have the same problem while their
+ * source is sending changes, so they must return the source's
+ * {#isSendingChanges} and send their own CHANGES_COMPLETE event after
+ * the source's, for {com.qwirx.data.Cursor}s on them to work.
+ *
+ * @param {Array.<number>} deleted The old indexes of the deleted rows.
+ * @param {Array.<number>} inserted The new indexes of the inserted rows.
+ * @param {Array.<number>} updated The new indexes of the replaced rows.
+ */
+com.qwirx.data.Datasource.prototype.dispatchChanges = function(deleted,
+	inserted, updated)
+{
+	if (!deleted.length && !inserted.length && !updated.length)
+	{
+		return;
+	}
+	
+	var Events = com.qwirx.data.Datasource.Events;
+	this.sendingChanges_ = true;
+	
+	try
+	{
+		if (deleted.length)
+		{
+			this.dispatchRowEvent(Events.ROWS_DELETE, deleted);
+		}
+		
+		if (inserted.length)
+		{
+			this.dispatchRowEvent(Events.ROWS_INSERT, inserted);
+		}
+		
+		if (updated.length)
+		{
+			this.dispatchRowEvent(Events.ROWS_UPDATE, updated);
+		}
+	}
+	finally
+	{
+		this.sendingChanges_ = false;
+	}
+	
+	this.dispatchEvent(Events.CHANGES_COMPLETE);
+};
+
+/**
+ * @return true while {#dispatchChanges} is sending row events, when the
+ * data may not match the positions in them yet. Views return the value
+ * for their source.
+ */
+com.qwirx.data.Datasource.prototype.isSendingChanges = function()
+{
+	return !!this.sendingChanges_;
+};
+
+/**
+ * Abandon the current transaction, restoring the data to exactly the
+ * state that it was in when {#beginTransaction} was called. No events
+ * are sent, because listeners were never told about the changes.
+ *
+ * @throws {com.qwirx.data.TransactionError} if no transaction is open.
+ */
+com.qwirx.data.Datasource.prototype.rollback = function()
+{
+	var t = this.transaction_;
+	
+	if (!t)
+	{
+		throw new com.qwirx.data.TransactionError("There is no open " +
+			"transaction to roll back");
+	}
+	
+	this.transaction_ = null;
+	this.restoreSnapshot(t.snapshot);
+	
+	if (this.history_)
+	{
+		this.history_.discardGroup();
+	}
+};
+
+/**
+ * @return an object which can be passed to {#restoreSnapshot} to
+ * restore the data in this datasource to its current state. Used by
+ * {#beginTransaction}.
+ */
+com.qwirx.data.Datasource.prototype.createSnapshot = goog.abstractMethod;
+
+/**
+ * Restore the data in this datasource to the state that it was in when
+ * {#createSnapshot} returned the supplied snapshot, without sending any
+ * events. Used by {#rollback}.
+ */
+com.qwirx.data.Datasource.prototype.restoreSnapshot = goog.abstractMethod;
+
+/**
+ * Binary search on a sorted tree (actually any BaseNode) to find the
+ * correct insertion point to maintain sort order.
+ */
+com.qwirx.data.Datasource.prototype.binarySearch =
+	function(compareRowFn, target)
+{
+	var ds = this;
+	
+	return com.qwirx.util.Array.binarySearch(
+		this.getCount(),
+		function compareFn(atIndex)
+		{
+			return compareRowFn(target, ds.get(atIndex));
+		});
+};
+
+com.qwirx.data.Datasource.prototype.assertValidRow = 
+	function(rowIndex, opt_maxIndex)
+{
+	if (rowIndex < 0)
+	{
+		throw new com.qwirx.data.NoSuchRecord('Impossible row ' +
+			'index: ' + rowIndex);
+	}
+
+	if (opt_maxIndex == undefined)
+	{
+		var count = this.getCount();
+
+		if (count == null)
+		{
+			// The number of rows is unknown, so any of them might exist
+			return;
+		}
+
+		opt_maxIndex = count - 1;
+	}
+
+	if (rowIndex > opt_maxIndex)
+	{
+		throw new com.qwirx.data.NoSuchRecord('Row index ' + rowIndex +
+			' is greater than allowed: ' + opt_maxIndex);
+	}
+};
+
+/**
+ * @return the version stamp of the row (record) at the specified index,
+ * which changes whenever the row is written, or undefined if this
+ * datasource doesn't keep versions, which it doesn't unless a subclass
+ * overrides this method. Versions are opaque, and should only be
+ * compared with each other, for example by {#assertUnmodified}, or
+ * sent to a server as an ETag.
+ *
+ * @param {number} rowIndex The row index to return the version of.
+ */
+com.qwirx.data.Datasource.prototype.getVersion = function(rowIndex)
+{
+	return undefined;
+};
+
+/**
+ * Check that the current values of the row (record) at the specified
+ * index match the supplied expected values, which are usually the
+ * values that were loaded from the row before it was edited.
+ *
+ * If the datasource keeps versions (see {#getVersion}), the version
+ * that the row had when it was loaded can be passed instead, and only
+ * the versions are compared. This is faster, and detects changes that
+ * don't compare as different with <code>!=</code>, such as from 0 to
+ * the empty string.
+ *
+ * @param {number} rowIndex The row index to check.
+ *
+ * @param {!Object|number|string} expectedCurrentValues The values which
+ * must match the current record values, or the version which must match
+ * its current version, otherwise a
+ * {com.qwirx.data.ConcurrentModification} exception will be thrown.
+ *
+ * @throws {com.qwirx.data.ConcurrentModification} if the current values
+ * are different, which implies that the record has been modified by
+ * someone else in the meantime.
+ */
+com.qwirx.data.Datasource.prototype.assertUnmodified = 
+	function(rowIndex, expectedCurrentValues)
+{
+	this.assertValidRow(rowIndex);
+	
+	if (!goog.isObject(expectedCurrentValues))
+	{
+		if (this.getVersion(rowIndex) !== expectedCurrentValues)
+		{
+			throw new com.qwirx.data.ConcurrentModification(
+				this.get(rowIndex));
+		}
+		
+		return;
+	}
+	
+	var actualCurrentValues = this.get(rowIndex);
+	var isDifferent = false;
+	
+	for (var k in actualCurrentValues)
+	{
+		if (actualCurrentValues.hasOwnProperty(k) && 
+			expectedCurrentValues[k] != actualCurrentValues[k])
+		{
+			isDifferent = true;
+			break;
+		}
+	}
+	
+	if (!isDifferent)
+	{
+		for (var k in expectedCurrentValues)
+		{
+			if (expectedCurrentValues.hasOwnProperty(k) && 
+				expectedCurrentValues[k] != actualCurrentValues[k])
+			{
+				isDifferent = true;
+				break;
+			}
+		}
+	}
+	
+	if (isDifferent)
+	{
+		throw new com.qwirx.data.ConcurrentModification(actualCurrentValues);
+	}
+};
+
+/**
+ * Replace the row (record) at the specified index of a simple
+ * datasource with new data. The current values must match the supplied
+ * oldValues, or a {com.qwirx.data.ConcurrentModification} exception
+ * will be thrown. This is designed to protect you against silently
+ * overwriting changes made to the Datasource by another user.
+ * Otherwise behaves the same as
+ * {com.qwirx.data.SimpleDatasource.prototype.replace}.
+ *
+ * @param {number} rowIndex The row index to replace/overwrite.
+ * {com.qwirx.data.SimpleDatasource.prototype.get}(rowIndex) will
+ * return the data just inserted. Other rows will be unaffected.
+ *
+ * @param {!Object|number|string} expectedCurrentValues The values or
+ * version which must match the current record, as described by
+ * {#assertUnmodified}, otherwise a
+ * {com.qwirx.data.ConcurrentModification} exception will be thrown.
+ * 
+ * @param {!Object} newValues The values for the new record, which
+ * may include or omit values for any columns in
+ * {com.qwirx.data.SimpleDatasource.prototype.getColumns}.
+ */
+com.qwirx.data.Datasource.prototype.atomicReplace = 
+	function(rowIndex, expectedCurrentValues, newValues)
+{
+	goog.asserts.assertObject(newValues);
+	this.assertUnmodified(rowIndex, expectedCurrentValues);
+	return this.replace(rowIndex, newValues);
+};
+
+/**
+ * Replace the row (record) at the specified index with new values,
+ * merging them with any changes made to it by someone else since the
+ * base values were loaded. Unlike {#atomicReplace}, which refuses to
+ * write if the record has changed at all, this only fails if the same
+ * field was changed on both sides to different values. Changes to
+ * different fields are combined, as described by
+ * {com.qwirx.data.Datasource.mergeRecords}.
+ *
+ * @param {number} rowIndex The row index to replace/overwrite.
+ * @param {!Object} baseValues The values of the record when it was
+ * loaded, before it was edited.
+ * @param {!Object} newValues The edited values of the record.
+ * @return the values that were written, which include the changes
+ * made by someone else.
+ * @throws {com.qwirx.data.ConcurrentModification} listing the
+ * conflicting fields, if there are any, in which case nothing is
+ * written.
+ */
+com.qwirx.data.Datasource.prototype.atomicMerge =
+	function(rowIndex, baseValues, newValues)
+{
+	goog.asserts.assertObject(newValues);
+	this.assertValidRow(rowIndex);
+	
+	var merge = com.qwirx.data.Datasource.mergeRecords(baseValues,
+		newValues, this.get(rowIndex));
+	
+	if (merge.conflicts.length)
+	{
+		throw new com.qwirx.data.ConcurrentModification(this.get(rowIndex),
+			merge.conflicts);
+	}
+	
+	this.replace(rowIndex, merge.values);
+	return merge.values;
+};
+
+/**
+ * Merge two edited versions of a record field by field. A field which
+ * only one side changed from the base value takes that side's value,
+ * and a field which both sides changed to the same value takes that
+ * value. A field which both sides changed to different values is a
+ * conflict, and takes our value.
+ *
+ * Values are compared with <code>==</code>, like
+ * {com.qwirx.data.Datasource#assertUnmodified}, except that Dates are
+ * compared by their time.
+ *
+ * @param {!Object} base The values of the record when it was loaded.
+ * @param {!Object} mine Our edited values.
+ * @param {!Object} theirs The current values, which may have been
+ * changed by someone else.
+ * @return an object whose <code>values</code> are the merged values,
+ * and whose <code>conflicts</code> are a list of the conflicting
+ * fields, each with a <code>name</code> and the <code>base</code>,
+ * <code>mine</code> and <code>theirs</code> values, which is empty if
+ * there were none.
+ */
+com.qwirx.data.Datasource.mergeRecords = function(base, mine, theirs)
+{
+	var isSame = com.qwirx.data.Datasource.isSameValue_;
+	var names = goog.array.concat(goog.object.getKeys(base),
+		goog.object.getKeys(mine), goog.object.getKeys(theirs));
+	goog.array.removeDuplicates(names);
+	
+	var values = {};
+	var conflicts = [];
+	
+	for (var i = 0; i < names.length; i++)
+	{
+		var name = names[i];
+		
+		if (isSame(mine[name], base[name]))
+		{
+			values[name] = theirs[name];
+		}
+		else if (isSame(theirs[name], base[name]) ||
+			isSame(mine[name], theirs[name]))
+		{
+			values[name] = mine[name];
+		}
+		else
+		{
+			values[name] = mine[name];
+			conflicts.push({name: name, base: base[name],
+				mine: mine[name], theirs: theirs[name]});
+		}
+	}
+	
+	return {values: values, conflicts: conflicts};
+};
+
+/** @private */
+com.qwirx.data.Datasource.isSameValue_ = function(a, b)
+{
+	if (goog.isDateLike(a) && goog.isDateLike(b))
+	{
+		return a.getTime() == b.getTime();
+	}
+	
+	return a == b;
+};
+
+/**
+ * Remove the row (record) at the specified index of a datasource,
+ * but only if its current values match the supplied expected values,
+ * otherwise a {com.qwirx.data.ConcurrentModification} exception will
+ * be thrown. This protects you against deleting a record that has been
+ * changed by another user since you loaded it. Otherwise behaves the
+ * same as {com.qwirx.data.SimpleDatasource.prototype.remove}.
+ *
+ * @param {number} rowIndex The row index to remove.
+ *
+ * @param {!Object|number|string} expectedCurrentValues The values or
+ * version which must match the current record, as described by
+ * {#assertUnmodified}, otherwise a
+ * {com.qwirx.data.ConcurrentModification} exception will be thrown.
+ */
+com.qwirx.data.Datasource.prototype.atomicRemove = 
+	function(rowIndex, expectedCurrentValues)
+{
+	this.assertUnmodified(rowIndex, expectedCurrentValues);
+	return this.remove(rowIndex);
+};
+
+/**
+ * A simple data source for the grid component.
+ * @param {Array.<string>} columns The names of the columns in this
+ * data source. 
+ * @param {Array.<Object>} data The initial contents of the data
+ * source, which can be an empty array. Rows can be added using 
+ *
+ * @todo replace with {goog.ds.FastListNode}? Access by index is OK,
+ * access by id could be fun, but the interface is not ideal for us:
+ *
+ * * What is our dataName, to pass to
+ *   {goog.ds.FastDataNode.prototype.fromJs}?
+ * * Where do we stash our columns?
+ * * The {goog.ds.FastListNode.prototype.add} signature is not
+ *   appropriate for inserting elements in the middle of the array.
+ * * {goog.ds.FastListNode.prototype.setChildNode} requires
+ *   inefficient parsing of strings like "[1]" to access elements by
+ *   index instead of by name.
+ *   We don't really want the inefficient "listen by path" mechanism
+ *   for events, we just want an event whenever a record changes
+ *   (for now).
+ *
+ * So for now I'll stick to using our own interface.
+ * @constructor
+ */
+
+com.qwirx.data.SimpleDatasource = function(columns, data)
+{
+	this.columns_ = goog.array.clone(columns);
+	this.schema_ = new com.qwirx.data.Schema(this.columns_);
+	this.data_ = goog.array.clone(data);
+	for (var i = 0; i < this.data_.length; i++)
+	{
+		this.data_[i] = goog.object.clone(this.data_[i]);
+	}
+	this.rebuildKeyIndex_();
+	
+	// The version of each row, if versions are kept, and the last
+	// version given to any row.
+	this.versions_ = null;
+	this.lastVersion_ = 0;
+};
+
+goog.inherits(com.qwirx.data.SimpleDatasource,
+	com.qwirx.data.Datasource);
+
+com.qwirx.data.SimpleDatasource.prototype.getColumns = function()
+{
+	return goog.array.clone(this.columns_);
+};
+
+com.qwirx.data.SimpleDatasource.prototype.getSchema = function()
+{
+	return this.schema_;
+};
+
+com.qwirx.data.SimpleDatasource.prototype.getCount = function()
+{
+	return this.data_.length;
+};
+
+com.qwirx.data.SimpleDatasource.prototype.get = function(rowIndex)
+{
+	this.assertValidRow(rowIndex);
+	return goog.object.clone(this.data_[rowIndex]);
+};
+
+/**
+ * Uses a map of primary keys to row indexes, which is updated by
+ * every change, instead of checking every record.
+ * @override
+ */
+com.qwirx.data.SimpleDatasource.prototype.indexOfKey = function(key)
+{
+	goog.asserts.assert(this.keyIndex_, "This datasource has no key columns");
+	var keyString = this.schema_.keyToString(key);
+	return this.keyIndex_.hasOwnProperty(keyString) ?
+		this.keyIndex_[keyString] : -1;
+};
+
+/**
+ * Start or stop keeping a version stamp for every row, which is
+ * returned by {#getVersion}. When versions are kept, every write to a
+ * row gives it a new version, which is a number greater than any
+ * version that the datasource has given before, so a
+ * {com.qwirx.data.Cursor} can detect concurrent modifications by
+ * comparing the versions alone.
+ *
+ * @param {boolean} enabled Whether to keep versions. When they are
+ * turned on, every existing row gets a new version.
+ */
+com.qwirx.data.SimpleDatasource.prototype.setVersioned = function(enabled)
+{
+	this.versions_ = enabled ? this.newVersions_(this.data_.length) : null;
+};
+
+/**
+ * @return true if versions are kept, as set by {#setVersioned}.
+ */
+com.qwirx.data.SimpleDatasource.prototype.isVersioned = function()
+{
+	return this.versions_ != null;
+};
+
+/** @override */
+com.qwirx.data.SimpleDatasource.prototype.getVersion = function(rowIndex)
+{
+	this.assertValidRow(rowIndex);
+	return this.versions_ ? this.versions_[rowIndex] : undefined;
+};
+
+/**
+ * @return an array of count new versions.
+ * @private
+ */
+com.qwirx.data.SimpleDatasource.prototype.newVersions_ = function(count)
+{
+	var versions = [];
+	
+	for (var i = 0; i < count; i++)
+	{
+		versions.push(++this.lastVersion_);
+	}
+	
+	return versions;
+};
+
+/**
+ * Recalculate the map of primary keys to row indexes, if this datasource
+ * has any key columns.
+ * @throws {com.qwirx.data.DuplicateKey} if two records have the same key,
+ * which can only happen if they were passed to the constructor.
+ * @private
+ */
+com.qwirx.data.SimpleDatasource.prototype.rebuildKeyIndex_ = function()
+{
+	if (!this.schema_.getKeyColumnNames().length)
+	{
+		this.keyIndex_ = null;
+		return;
+	}
+	
+	this.keyIndex_ = {};
+	
+	for (var i = 0; i < this.data_.length; i++)
+	{
+		var key = this.schema_.getRecordKey(this.data_[i]);
+		var keyString = this.schema_.keyToString(key);
+		
+		if (this.keyIndex_.hasOwnProperty(keyString))
+		{
+			throw new com.qwirx.data.DuplicateKey(key);
+		}
+		
+		this.keyIndex_[keyString] = i;
+	}
+};
+
+/**
+ * Update the map of primary keys to row indexes after the oldRecords at
+ * rowIndex were replaced by newCount new rows, if this datasource has
+ * any key columns. The old keys are removed and the new rows are
+ * indexed. The rows after them are only renumbered if the number of
+ * rows changed, so appending a row doesn't touch the existing ones.
+ * @private
+ */
+com.qwirx.data.SimpleDatasource.prototype.updateKeyIndex_ =
+	function(rowIndex, oldRecords, newCount)
+{
+	if (!this.keyIndex_)
+	{
+		return;
+	}
+	
+	for (var i = 0; i < oldRecords.length; i++)
+	{
+		delete this.keyIndex_[this.schema_.keyToString(
+			this.schema_.getRecordKey(oldRecords[i]))];
+	}
+	
+	var end = (oldRecords.length == newCount) ? rowIndex + newCount :
+		this.data_.length;
+	
+	for (var i = rowIndex; i < end; i++)
+	{
+		this.keyIndex_[this.schema_.keyToString(
+			this.schema_.getRecordKey(this.data_[i]))] = i;
+	}
+};
+
+/**
+ * Check that the records could be inserted, or could replace the rows
+ * starting at opt_replaceStart, without creating two records with the
+ * same primary key.
+ * @throws {com.qwirx.data.DuplicateKey} if not.
+ * @private
+ */
+com.qwirx.data.SimpleDatasource.prototype.assertUniqueKeys_ =
+	function(records, opt_replaceStart)
+{
+	if (!this.keyIndex_)
+	{
+		return;
+	}
+	
+	var seen = {};
+	
+	for (var i = 0; i < records.length; i++)
+	{
+		var key = this.schema_.getRecordKey(records[i]);
+		var keyString = this.schema_.keyToString(key);
+		var existing = this.keyIndex_.hasOwnProperty(keyString) ?
+			this.keyIndex_[keyString] : -1;
+		var isReplaced = (opt_replaceStart != undefined &&
+			existing >= opt_replaceStart &&
+			existing < opt_replaceStart + records.length);
+		
+		if ((existing >= 0 && !isReplaced) || seen.hasOwnProperty(keyString))
+		{
+			throw new com.qwirx.data.DuplicateKey(key);
+		}
+		
+		seen[keyString] = true;
+	}
+};
+
+/**
+ * Insert a new row (record) at the specified index of a simple
+ * datasource. A {com.qwirx.data.Datasource.RowEvent} event will be
+ * fired, with the type {com.qwirx.data.Datasource.Events.ROWS_INSERT},
+ * and the {Array} [rowIndex] as the event data.
+ *
+ * @param {number} rowIndex The insert position.
+ * {com.qwirx.data.SimpleDatasource.prototype.getRow}(rowIndex) will
+ * return the data just inserted, and all subsequent rows will be
+ * shifted down by one.
+ *
+ * @param {!Object} newRecord The values for the new record, which
+ * may include or omit values for any columns in
+ * {com.qwirx.data.SimpleDatasource.prototype.getColumns}.
+ */
+com.qwirx.data.SimpleDatasource.prototype.insert = 
+	function(rowIndex, newRecord)
+{
+	this.insertRange(rowIndex, [newRecord]);
+};
+
+/**
+ * Append a new row (record) to the end of a simple datasource.
+ * A {com.qwirx.data.Datasource.RowEvent} event will be
+ * fired, with the type {com.qwirx.data.Datasource.Events.ROWS_INSERT},
+ * and an {Array}, consisting of just the new row index, as the event
+ * data.
+ *
+ * @param {!Object} newRecord The values for the new record, which
+ * may include or omit values for any columns in
+ * {com.qwirx.data.SimpleDatasource.prototype.getColumns}.
+ * @return the row index of the inserted record.
+ */
+com.qwirx.data.SimpleDatasource.prototype.add = function(newRecord)
+{
+	var pos = this.data_.length;
+	this.insert(pos, newRecord);
+	return pos;
+};
+
+/**
+ * Replace the row (record) at the specified index of a simple
+ * datasource with new data. A {com.qwirx.data.Datasource.RowEvent}
+ * event will be fired, with the type
+ * {com.qwirx.data.Datasource.Events.ROWS_UPDATE} and 
+ * [rowIndex] as the event data.
+ *
+ * @param {number} rowIndex The row index to replace/overwrite.
+ * {com.qwirx.data.SimpleDatasource.prototype.get}(rowIndex) will
+ * return the data just inserted. Other rows will be unaffected.
+ *
+ * @param {!Object} newRecord The values for the new record, which
+ * may include or omit values for any columns in
+ * {com.qwirx.data.SimpleDatasource.prototype.getColumns}.
+ */
+com.qwirx.data.SimpleDatasource.prototype.replace = 
+	function(rowIndex, newRecord)
+{
+	this.replaceRange(rowIndex, [newRecord]);
+};
+
+/**
+ * Remove the row (record) at the specified index of a simple
+ * datasource. A {com.qwirx.data.Datasource.RowEvent}
+ * event will be fired, with the type
+ * {com.qwirx.data.Datasource.Events.ROWS_DELETE} and 
+ * [rowIndex] as the event data.
+ *
+ * @param {number} rowIndex The row index to remove.
+ * {com.qwirx.data.SimpleDatasource.prototype.getRow}(rowIndex) will
+ * return the row that was previously at rowIndex + 1, and so on.
+ *
+ * @see goog.ds.FastDataNode.prototype.removeNode
+ */
+com.qwirx.data.SimpleDatasource.prototype.remove = function(rowIndex)
+{
+	this.removeRange(rowIndex, 1);
+};
+
+/**
+ * @return an array of the row indexes from start to start + count - 1,
+ * for use as the affected rows of a {com.qwirx.data.Datasource.RowEvent}.
+ * @private
+ */
+com.qwirx.data.SimpleDatasource.rowRange_ = function(start, count)
+{
+	var rowIndexes = [];
+	for (var i = 0; i < count; i++)
+	{
+		rowIndexes.push(start + i);
+	}
+	return rowIndexes;
+};
+
+/**
+ * Insert several new rows (records) at the specified index of a simple
+ * datasource, in a single operation. A single
+ * {com.qwirx.data.Datasource.RowEvent} event will be fired, with the
+ * type {com.qwirx.data.Datasource.Events.ROWS_INSERT}, and the indexes
+ * of all the new rows as the event data. If newRecords is empty,
+ * nothing happens and no event is fired.
+ *
+ * @param {number} rowIndex The insert position.
+ * {com.qwirx.data.SimpleDatasource.prototype.get}(rowIndex) will
+ * return the first record just inserted, and all subsequent rows will
+ * be shifted down by the number of records inserted.
+ *
+ * @param {!Array.<!Object>} newRecords The values for the new records,
+ * in order. Columns with a <code>defaultValue</code> which are missing
+ * from a record are set to their defaults.
+ *
+ * @throws {com.qwirx.data.ValidationFailed} if any of the records is
+ * not valid according to {#getSchema}, in which case none of them are
+ * inserted.
+ * @throws {com.qwirx.data.DuplicateKey} if any of the records has the
+ * same primary key as an existing record or another new one, in which
+ * case none of them are inserted.
+ */
+com.qwirx.data.SimpleDatasource.prototype.insertRange = 
+	function(rowIndex, newRecords)
+{
+	this.assertValidRow(rowIndex, this.data_.length);
+	
+	if (newRecords.length == 0)
+	{
+		return;
+	}
+	
+	// Validate all the records before inserting any of them
+	var clones = [];
+	for (var i = 0; i < newRecords.length; i++)
+	{
+		var record = this.schema_.applyDefaults(newRecords[i]); // clones
+		this.schema_.validateRecord(record);
+		clones.push(record);
+	}
+	
+	this.assertUniqueKeys_(clones);
+	
+	// A single splice.apply() would exceed the maximum number of function
+	// arguments for very large ranges.
+	this.data_ = this.data_.slice(0, rowIndex).concat(clones,
+		this.data_.slice(rowIndex));
+	
+	if (this.versions_)
+	{
+		this.versions_ = this.versions_.slice(0, rowIndex).concat(
+			this.newVersions_(clones.length),
+			this.versions_.slice(rowIndex));
+	}
+	
+	this.updateKeyIndex_(rowIndex, [], clones.length);
+	this.recordChange(com.qwirx.data.Datasource.Events.ROWS_INSERT,
+		rowIndex, null, clones);
+	this.dispatchRowEvent(com.qwirx.data.Datasource.Events.ROWS_INSERT,
+		com.qwirx.data.SimpleDatasource.rowRange_(rowIndex,
+			newRecords.length));
+};
+
+/**
+ * Append several new rows (records) to the end of a simple datasource,
+ * in a single operation, as {#insertRange} does.
+ *
+ * @param {!Array.<!Object>} newRecords The values for the new records,
+ * in order.
+ * @return the row index of the first inserted record.
+ */
+com.qwirx.data.SimpleDatasource.prototype.addRange = function(newRecords)
+{
+	var pos = this.data_.length;
+	this.insertRange(pos, newRecords);
+	return pos;
+};
+
+/**
+ * Replace several consecutive rows (records) of a simple datasource
+ * with new data, in a single operation. A single
+ * {com.qwirx.data.Datasource.RowEvent} event will be fired, with the
+ * type {com.qwirx.data.Datasource.Events.ROWS_UPDATE} and the indexes
+ * of all the replaced rows as the event data. If newRecords is empty,
+ * nothing happens and no event is fired.
+ *
+ * @param {number} rowIndex The index of the first row to replace.
+ *
+ * @param {!Array.<!Object>} newRecords The values for the new records,
+ * in order. All of the rows that they replace must already exist.
+ *
+ * @throws {com.qwirx.data.ValidationFailed} if any of the records is
+ * not valid according to {#getSchema}, in which case none of them are
+ * replaced.
+ * @throws {com.qwirx.data.DuplicateKey} if any of the records has the
+ * same primary key as a record that is not being replaced, or another
+ * new one, in which case none of them are replaced.
+ */
+com.qwirx.data.SimpleDatasource.prototype.replaceRange = 
+	function(rowIndex, newRecords)
+{
+	this.assertValidRow(rowIndex);
+	
+	if (newRecords.length == 0)
+	{
+		return;
+	}
+	
+	this.assertValidRow(rowIndex + newRecords.length - 1);
+	
+	// Validate all the records before replacing any of them
+	for (var i = 0; i < newRecords.length; i++)
+	{
+		this.schema_.validateRecord(newRecords[i]);
+	}
+	
+	this.assertUniqueKeys_(newRecords, rowIndex);
+	
+	var oldRecords = this.data_.slice(rowIndex,
+		rowIndex + newRecords.length);
+	for (var i = 0; i < newRecords.length; i++)
+	{
+		this.data_[rowIndex + i] = goog.object.clone(newRecords[i]);
+		
+		if (this.versions_)
+		{
+			this.versions_[rowIndex + i] = ++this.lastVersion_;
+		}
+	}
+	this.updateKeyIndex_(rowIndex, oldRecords, newRecords.length);
+	this.recordChange(com.qwirx.data.Datasource.Events.ROWS_UPDATE,
+		rowIndex, oldRecords, this.data_.slice(rowIndex,
+			rowIndex + newRecords.length));
+	
+	this.dispatchRowEvent(com.qwirx.data.Datasource.Events.ROWS_UPDATE,
+		com.qwirx.data.SimpleDatasource.rowRange_(rowIndex,
+			newRecords.length));
+};
+
+/**
+ * Remove several consecutive rows (records) of a simple datasource,
+ * in a single operation. A single {com.qwirx.data.Datasource.RowEvent}
+ * event will be fired, with the type
+ * {com.qwirx.data.Datasource.Events.ROWS_DELETE} and the indexes that
+ * the removed rows had before they were removed as the event data.
+ * If count is zero, nothing happens and no event is fired.
+ *
+ * @param {number} rowIndex The index of the first row to remove.
+ * @param {number} count The number of rows to remove, all of which
+ * must exist.
+ */
+com.qwirx.data.SimpleDatasource.prototype.removeRange = 
+	function(rowIndex, count)
+{
+	this.assertValidRow(rowIndex);
+	
+	if (count == 0)
+	{
+		return;
+	}
+	
+	this.assertValidRow(rowIndex + count - 1);
+	var oldRecords = this.data_.splice(rowIndex, count);
+	
+	if (this.versions_)
+	{
+		this.versions_.splice(rowIndex, count);
+	}
+	
+	this.updateKeyIndex_(rowIndex, oldRecords, 0);
+	this.recordChange(com.qwirx.data.Datasource.Events.ROWS_DELETE,
+		rowIndex, oldRecords, null);
+	this.dispatchRowEvent(com.qwirx.data.Datasource.Events.ROWS_DELETE,
+		com.qwirx.data.SimpleDatasource.rowRange_(rowIndex, count));
+};
+
+com.qwirx.data.SimpleDatasource.prototype.createSnapshot = function()
+{
+	// Rows are always replaced, never modified in place, so it's enough
+	// to copy the arrays.
+	return {data: goog.array.clone(this.data_),
+		versions: this.versions_ && goog.array.clone(this.versions_)};
+};
+
+/**
+ * Restores the rows and their versions. The versions given to rows
+ * since the snapshot are not reused.
+ * @override
+ */
+com.qwirx.data.SimpleDatasource.prototype.restoreSnapshot =
+	function(snapshot)
+{
+	this.data_ = goog.array.clone(snapshot.data);
+	this.versions_ = snapshot.versions && goog.array.clone(
+		snapshot.versions);
+	this.rebuildKeyIndex_();
+};
+
+/**
+ * The value of the <code>format</code> property of a document created
+ * by {com.qwirx.data.SimpleDatasource#toJson}.
+ */
+com.qwirx.data.SimpleDatasource.JSON_FORMAT =
+	'com.qwirx.data.SimpleDatasource';
+
+/**
+ * The current version of the document created by
+ * {com.qwirx.data.SimpleDatasource#toJson}. Documents with a higher
+ * version can't be read, because they were written by a newer version
+ * of this code. Increment it whenever the format changes, and teach
+ * {com.qwirx.data.SimpleDatasource.parseJson_} to read the old format.
+ */
+com.qwirx.data.SimpleDatasource.JSON_VERSION = 1;
+
+/**
+ * Serialize the columns and data of this datasource as a JSON
+ * document, which can be saved and passed to
+ * {com.qwirx.data.SimpleDatasource.fromJson} or {#restoreFromJson}
+ * later. The document is an object with the following properties:
+ * <ul>
+ * <li><code>format</code>: always
+ * {com.qwirx.data.SimpleDatasource.JSON_FORMAT}.
+ * <li><code>version</code>: the version of the format,
+ * {com.qwirx.data.SimpleDatasource.JSON_VERSION}.
+ * <li><code>columns</code>: the column definitions, with any
+ * <code>type</code> replaced by its name in
+ * {com.qwirx.data.Schema.Types}.
+ * <li><code>data</code>: the records.
+ * </ul>
+ * Values that JSON can't represent, namely Dates, undefined, NaN and
+ * the infinities, are written as objects with a <code>$type</code>
+ * property, as are objects that already have one, so that they are
+ * restored exactly. Functions can't be serialized.
+ *
+ * @return {string} the JSON document.
+ */
+com.qwirx.data.SimpleDatasource.prototype.toJson = function()
+{
+	var encode = com.qwirx.data.SimpleDatasource.encodeJsonValue_;
+	var Types = com.qwirx.data.Schema.Types;
+	
+	var columns = goog.array.map(this.columns_, function(column)
+		{
+			var encoded = encode(column);
+			if (column.type != undefined)
+			{
+				encoded.type = goog.object.findKey(Types, function(type)
+					{
+						return type == column.type;
+					});
+			}
+			return encoded;
+		});
+	
+	return goog.json.serialize({
+		format: com.qwirx.data.SimpleDatasource.JSON_FORMAT,
+		version: com.qwirx.data.SimpleDatasource.JSON_VERSION,
+		columns: columns,
+		data: encode(this.data_)
+	});
+};
+
+/**
+ * @return a copy of the value with everything that JSON can't
+ * represent replaced by a tagged object.
+ * @private
+ */
+com.qwirx.data.SimpleDatasource.encodeJsonValue_ = function(value)
+{
+	var encode = com.qwirx.data.SimpleDatasource.encodeJsonValue_;
+	
+	if (value === undefined)
+	{
+		return {$type: 'undefined'};
+	}
+	else if (value instanceof Date)
+	{
+		return {$type: 'Date',
+			value: isNaN(value.getTime()) ? null : value.toISOString()};
+	}
+	else if (goog.isNumber(value) && !isFinite(value))
+	{
+		return {$type: 'Number', value: String(value)};
+	}
+	else if (goog.isArray(value))
+	{
+		return goog.array.map(value, encode);
+	}
+	else if (goog.isObject(value))
+	{
+		var encoded = goog.object.map(value, encode);
+		return value.hasOwnProperty('$type') ?
+			{$type: 'Object', value: encoded} : encoded;
+	}
+	
+	return value;
+};
+
+/**
+ * @return the value with every tagged object created by
+ * {com.qwirx.data.SimpleDatasource.encodeJsonValue_} replaced by the
+ * value that it represents.
+ * @private
+ */
+com.qwirx.data.SimpleDatasource.decodeJsonValue_ = function(value)
+{
+	var decode = com.qwirx.data.SimpleDatasource.decodeJsonValue_;
+	
+	if (goog.isArray(value))
+	{
+		return goog.array.map(value, decode);
+	}
+	else if (!goog.isObject(value))
+	{
+		return value;
+	}
+	else if (!value.hasOwnProperty('$type'))
+	{
+		return goog.object.map(value, decode);
+	}
+	else if (value.$type == 'undefined')
+	{
+		return undefined;
+	}
+	else if (value.$type == 'Date')
+	{
+		return new Date(value.value === null ? NaN : value.value);
+	}
+	else if (value.$type == 'Number')
+	{
+		return Number(value.value);
+	}
+	else if (value.$type == 'Object')
+	{
+		return goog.object.map(value.value, decode);
+	}
+	
+	throw new com.qwirx.data.InvalidJson("Unknown value type: " +
+		value.$type);
+};
+
+/**
+ * Check and decode a document created by {#toJson}.
+ * @return an object with the decoded <code>columns</code> and
+ * <code>data</code>.
+ * @throws {com.qwirx.data.InvalidJson} if the document is not valid.
+ * @private
+ */
+com.qwirx.data.SimpleDatasource.parseJson_ = function(json)
+{
+	var document;
+	
+	try
+	{
+		document = goog.json.parse(json);
+	}
+	catch (exception)
+	{
+		throw new com.qwirx.data.InvalidJson("The document is not valid " +
+			"JSON: " + exception.message);
+	}
+	
+	if (!document ||
+		document.format != com.qwirx.data.SimpleDatasource.JSON_FORMAT)
+	{
+		throw new com.qwirx.data.InvalidJson("The document is not a " +
+			"serialized SimpleDatasource");
+	}
+	
+	if (!goog.isNumber(document.version) || document.version < 1 ||
+		document.version > com.qwirx.data.SimpleDatasource.JSON_VERSION)
+	{
+		throw new com.qwirx.data.InvalidJson("Unsupported document " +
+			"version: " + document.version);
+	}
+	
+	if (!goog.isArray(document.columns) || !goog.isArray(document.data))
+	{
+		throw new com.qwirx.data.InvalidJson("The document has no " +
+			"columns or data");
+	}
+	
+	var decode = com.qwirx.data.SimpleDatasource.decodeJsonValue_;
+	var Types = com.qwirx.data.Schema.Types;
+	
+	var columns = goog.array.map(document.columns, function(encoded)
+		{
+			var column = decode(encoded);
+			if (column.type != undefined)
+			{
+				if (!Types.hasOwnProperty(column.type))
+				{
+					throw new com.qwirx.data.InvalidJson("Unknown type " +
+						column.type + " of column " + column.name);
+				}
+				column.type = Types[column.type];
+			}
+			return column;
+		});
+	
+	return {columns: columns, data: decode(document.data)};
+};
+
+/**
+ * Create a new datasource from a JSON document created by
+ * {com.qwirx.data.SimpleDatasource#toJson}.
+ *
+ * @param {string} json The JSON document.
+ * @return {com.qwirx.data.SimpleDatasource} the new datasource.
+ * @throws {com.qwirx.data.InvalidJson} if the document is not valid,
+ * or was written by a newer version of this code.
+ * @throws {com.qwirx.data.DuplicateKey} if two records have the same
+ * primary key.
+ */
+com.qwirx.data.SimpleDatasource.fromJson = function(json)
+{
+	var parsed = com.qwirx.data.SimpleDatasource.parseJson_(json);
+	return new com.qwirx.data.SimpleDatasource(parsed.columns,
+		parsed.data);
+};
+
+/**
+ * Replace the columns and data of this datasource with those from a
+ * JSON document created by {#toJson}, and send events describing the
+ * differences, so that {com.qwirx.data.Cursor}s and other listeners
+ * only need to reload the rows that changed.
+ *
+ * Old and new records are matched by primary key, if the new columns
+ * have a key, or otherwise by comparing all their values. The events
+ * are those that {#commit} would send: first a ROWS_DELETE event
+ * listing the old positions of the records that were removed, then a
+ * ROWS_INSERT event listing the new positions of the records that
+ * were added, then a ROWS_UPDATE event listing the new positions of
+ * the records whose values changed, followed by CHANGES_COMPLETE, as
+ * {#dispatchChanges} describes. Events with no affected rows are not
+ * sent.
+ *
+ * A record that moved relative to the others is deleted and inserted,
+ * since there is no way to describe moving several rows at once.
+ * Without a primary key, a record that was deleted and another that
+ * was inserted in its place are reported as an update instead.
+ *
+ * If the datasource keeps versions (see {#setVersioned}), every row
+ * gets a new version.
+ *
+ * Restoring can't be undone, so it clears the
+ * {com.qwirx.data.History} attached to this datasource, if any.
+ *
+ * @param {string} json The JSON document.
+ * @throws {com.qwirx.data.InvalidJson} if the document is not valid,
+ * or {com.qwirx.data.DuplicateKey} if two of its records have the same
+ * primary key, in which case this datasource is not changed.
+ */
+com.qwirx.data.SimpleDatasource.prototype.restoreFromJson = function(json)
+{
+	var restored = com.qwirx.data.SimpleDatasource.fromJson(json);
+	var diff = com.qwirx.data.SimpleDatasource.diff_(this.data_,
+		restored.data_, restored.schema_);
+	
+	this.columns_ = restored.columns_;
+	this.schema_ = restored.schema_;
+	this.data_ = restored.data_;
+	this.keyIndex_ = restored.keyIndex_;
+	
+	if (this.versions_)
+	{
+		this.versions_ = this.newVersions_(this.data_.length);
+	}
+	
+	if (this.history_)
+	{
+		// The recorded changes no longer apply to the restored data.
+		this.history_.clear();
+	}
+	
+	this.dispatchChanges(diff.deleted, diff.inserted, diff.updated);
+};
+
+/**
+ * Compare two arrays of records, as described in {#restoreFromJson}.
+ *
+ * Each new record is matched with the first unmatched old record that
+ * has the same key (or values), and the longest sequence of matched
+ * records whose order didn't change is kept. All other old records
+ * are deleted and all other new ones are inserted, except that
+ * without a key, deleted and inserted records between the same kept
+ * records are paired up as updates.
+ *
+ * @return an object with the <code>deleted</code> old row indexes, and
+ * the <code>inserted</code> and <code>updated</code> new row indexes.
+ * @private
+ */
+com.qwirx.data.SimpleDatasource.diff_ = function(oldRecords, newRecords,
+	schema)
+{
+	var hasKey = schema.getKeyColumnNames().length > 0;
+	
+	function contents(record)
+	{
+		return goog.json.serialize(
+			com.qwirx.data.SimpleDatasource.encodeJsonValue_(record));
+	}
+	
+	function identity(record)
+	{
+		return hasKey ? schema.keyToString(schema.getRecordKey(record)) :
+			contents(record);
+	}
+	
+	// Unmatched old row indexes for each identity, in order.
+	var unmatched = {};
+	for (var i = 0; i < oldRecords.length; i++)
+	{
+		var id = identity(oldRecords[i]);
+		(unmatched[id] = unmatched[id] || []).push(i);
+	}
+	
+	// The new and old row indexes of each matched record, in new order.
+	var matches = [];
+	for (var i = 0; i < newRecords.length; i++)
+	{
+		var candidates = unmatched[identity(newRecords[i])];
+		if (candidates && candidates.length)
+		{
+			matches.push({newIndex: i, oldIndex: candidates.shift()});
+		}
+	}
+	
+	var kept = com.qwirx.data.SimpleDatasource.longestIncreasing_(matches);
+	var result = {deleted: [], inserted: [], updated: []};
+	var oldIndex = 0, newIndex = 0;
+	
+	// Add a sentinel after the last row, to process the final gap.
+	kept.push({oldIndex: oldRecords.length, newIndex: newRecords.length});
+	
+	for (var k = 0; k < kept.length; k++)
+	{
+		var match = kept[k];
+		var paired = hasKey ? 0 : Math.min(match.oldIndex - oldIndex,
+			match.newIndex - newIndex);
+		
+		for (var i = 0; i < paired; i++)
+		{
+			result.updated.push(newIndex + i);
+		}
+		
+		for (var i = oldIndex + paired; i < match.oldIndex; i++)
+		{
+			result.deleted.push(i);
+		}
+		
+		for (var i = newIndex + paired; i < match.newIndex; i++)
+		{
+			result.inserted.push(i);
+		}
+		
+		if (match.newIndex < newRecords.length &&
+			contents(oldRecords[match.oldIndex]) !=
+			contents(newRecords[match.newIndex]))
+		{
+			result.updated.push(match.newIndex);
+		}
+		
+		oldIndex = match.oldIndex + 1;
+		newIndex = match.newIndex + 1;
+	}
+	
+	goog.array.sort(result.updated);
+	return result;
+};
+
+/**
+ * @return the longest subsequence of the matches (which are in order
+ * of <code>newIndex</code>) whose <code>oldIndex</code>es are also in
+ * increasing order, found by patience sorting.
+ * @private
+ */
+com.qwirx.data.SimpleDatasource.longestIncreasing_ = function(matches)
+{
+	// The index in matches of the last element of the best subsequence
+	// of each length found so far, its oldIndex, and the previous
+	// element of each.
+	var tails = [];
+	var tailOldIndexes = [];
+	var previous = [];
+	
+	for (var i = 0; i < matches.length; i++)
+	{
+		// oldIndexes are unique, so this is always an insertion point.
+		var position = -(goog.array.binarySearch(tailOldIndexes,
+			matches[i].oldIndex) + 1);
+		previous[i] = (position > 0) ? tails[position - 1] : -1;
+		tails[position] = i;
+		tailOldIndexes[position] = matches[i].oldIndex;
+	}
+	
+	var result = [];
+	for (var i = tails.length ? tails[tails.length - 1] : -1; i >= 0;
+		i = previous[i])
+	{
+		result.unshift(matches[i]);
+	}
+	return result;
 };
@@ -1,8 +1,11 @@
 goog.provide('com.qwirx.data.Datasource_test');
 
 goog.require('com.qwirx.data.Datasource');
+goog.require('com.qwirx.data.Schema');
 goog.require('com.qwirx.data.SimpleDatasource');
 goog.require('com.qwirx.test.assertThrows');
+goog.require('goog.array');
+goog.require('goog.json');
 goog.require('goog.testing.jsunit');
 
 function getTestDataSource()
@@ -71,11 +74,11 @@ function test_simple_datasource_insert()
 	com.qwirx.test.assertThrows(com.qwirx.data.NoSuchRecord,
 		function(){ds.insert(5, n);},
 		"Wrong kind of exception for access out of bounds");
-
+	
 	ds.insert(4, n);
 	assertEquals(5, ds.getCount());
 	assertObjectEquals(n, ds.get(4));
-
+	
 	ds.insert(0, n);
 	assertEquals(6, ds.getCount());
 	assertObjectEquals(n, ds.get(0));
@@ -120,3 +123,532 @@ function test_simple_datasource_remove()
 		"Wrong kind of exception for access out of bounds");
 }
 
+
+function test_datasource_atomic_remove()
+{
+	var ds = getTestDataSource();
+	com.qwirx.test.assertThrows(com.qwirx.data.ConcurrentModification,
+		function(){ds.atomicRemove(1, {id: 2, name: 'Jim'});},
+		"atomicRemove should refuse to remove a record that has changed");
+	assertEquals(3, ds.getCount());
+	
+	ds.atomicRemove(1, {id: 2, name: 'James'});
+	assertEquals(2, ds.getCount());
+	assertObjectEquals({id: 5, name: 'Peter'}, ds.get(1));
+}
+
+function test_datasource_atomic_merge()
+{
+	var columns = [{name: 'id', caption: 'ID'},
+		{name: 'name', caption: 'Name'}, {name: 'born', caption: 'Born'}];
+	var ds = new com.qwirx.data.SimpleDatasource(columns, [
+		{id: 1, name: 'John', born: new Date(2000, 0, 1)}
+	]);
+	var base = {id: 1, name: 'John', born: new Date(2000, 0, 1)};
+	
+	// Someone else changes a different field, so both changes are kept
+	ds.replace(0, {id: 1, name: 'Johnny', born: new Date(2000, 0, 1)});
+	var merged = ds.atomicMerge(0, base,
+		{id: 3, name: 'John', born: new Date(2000, 0, 1)});
+	assertObjectEquals({id: 3, name: 'Johnny',
+		born: new Date(2000, 0, 1)}, merged);
+	assertObjectEquals(merged, ds.get(0));
+	
+	// The same change on both sides is not a conflict
+	base = ds.get(0);
+	ds.replace(0, {id: 3, name: 'Jon', born: base.born});
+	ds.atomicMerge(0, base, {id: 3, name: 'Jon', born: base.born});
+	assertEquals('Jon', ds.get(0).name);
+	
+	// Different changes to the same field are
+	base = ds.get(0);
+	ds.replace(0, {id: 4, name: 'Jonathan', born: base.born});
+	var e = com.qwirx.test.assertThrows(
+		com.qwirx.data.ConcurrentModification,
+		function(){ds.atomicMerge(0, base,
+			{id: 5, name: 'Jack', born: base.born});},
+		"atomicMerge should refuse to merge conflicting changes");
+	assertObjectEquals([
+		{name: 'id', base: 3, mine: 5, theirs: 4},
+		{name: 'name', base: 'Jon', mine: 'Jack', theirs: 'Jonathan'}
+	], e.getConflicts());
+	assertEquals('Jonathan', e.getCurrentValues().name);
+	assertEquals('Jonathan', ds.get(0).name);
+	
+	e = com.qwirx.test.assertThrows(com.qwirx.data.ConcurrentModification,
+		function(){ds.atomicReplace(0, base, base);});
+	assertNull("atomicReplace doesn't try to merge", e.getConflicts());
+}
+
+function test_simple_datasource_versions()
+{
+	var ds = getTestDataSource();
+	assertFalse(ds.isVersioned());
+	assertUndefined(ds.getVersion(0));
+	
+	ds.setVersioned(true);
+	assertTrue(ds.isVersioned());
+	var v0 = ds.getVersion(0), v1 = ds.getVersion(1);
+	assertTrue(v0 != v1);
+	
+	// Every write gives a row a new version
+	ds.replace(1, {id: 2, name: 'Jim'});
+	assertTrue(ds.getVersion(1) > v1);
+	assertEquals(v0, ds.getVersion(0));
+	v1 = ds.getVersion(1);
+	ds.insert(0, {id: 0, name: 'Adam'});
+	assertEquals("Versions should follow their rows", v1, ds.getVersion(2));
+	ds.remove(0);
+	assertEquals(v1, ds.getVersion(1));
+	
+	// Only versions are compared, so changes which compare as equal to
+	// the old values are detected.
+	ds.replace(0, {id: 1, name: 0});
+	v0 = ds.getVersion(0);
+	var loaded = ds.get(0);
+	ds.replace(0, {id: 1, name: ''});
+	ds.atomicReplace(0, loaded, {id: 1, name: 'John'});
+	com.qwirx.test.assertThrows(com.qwirx.data.ConcurrentModification,
+		function(){ds.atomicReplace(0, v0, {id: 1, name: 'Johnny'});},
+		"atomicReplace should compare the version");
+	com.qwirx.test.assertThrows(com.qwirx.data.ConcurrentModification,
+		function(){ds.atomicRemove(0, v0);},
+		"atomicRemove should compare the version");
+	ds.atomicReplace(0, ds.getVersion(0), {id: 1, name: 'Johnny'});
+	assertEquals('Johnny', ds.get(0).name);
+	
+	// Rolling back restores the versions
+	v0 = ds.getVersion(0);
+	ds.beginTransaction();
+	ds.replace(0, {id: 1, name: 'Jack'});
+	ds.remove(1);
+	ds.rollback();
+	assertEquals(v0, ds.getVersion(0));
+	assertEquals(v1, ds.getVersion(1));
+	
+	ds.setVersioned(false);
+	assertUndefined(ds.getVersion(0));
+}
+
+function test_simple_datasource_transaction_commit()
+{
+	var ds = getTestDataSource();
+	ds.beginTransaction();
+	assertTrue(ds.isInTransaction());
+	
+	com.qwirx.test.assertThrows(com.qwirx.data.TransactionError,
+		function(){ds.beginTransaction();},
+		"Transactions should not be nested");
+	
+	var Events = com.qwirx.data.Datasource.Events;
+	var events = com.qwirx.test.assertEvents(ds,
+		[Events.ROWS_INSERT, Events.ROWS_UPDATE, Events.ROWS_DELETE],
+		function()
+		{
+			ds.insert(0, {id: 0, name: 'Adam'}); // Adam John James Peter
+			ds.replace(2, {id: 2, name: 'Jim'}); // Adam John Jim Peter
+			ds.remove(1); // Adam Jim Peter
+			ds.add({id: 6, name: 'Paul'}); // Adam Jim Peter Paul
+			ds.remove(3); // Adam Jim Peter
+			ds.add({id: 7, name: 'Mary'}); // Adam Jim Peter Mary
+			ds.replace(0, {id: 0, name: 'Eve'}); // Eve Jim Peter Mary
+		},
+		"No events should be sent while a transaction is open",
+		true /* opt_continue_if_events_not_sent */);
+	assertObjectEquals([], events);
+	assertEquals(4, ds.getCount());
+	
+	events = com.qwirx.test.assertEvents(ds,
+		[Events.ROWS_DELETE, Events.ROWS_INSERT, Events.ROWS_UPDATE],
+		function() { ds.commit(); },
+		"Committing a transaction should send the coalesced events");
+	assertFalse(ds.isInTransaction());
+	
+	assertEquals(3, events.length);
+	assertEquals(Events.ROWS_DELETE, events[0].type);
+	assertObjectEquals("The deleted row positions should be those when " +
+		"the transaction began", [0], events[0].getAffectedRows());
+	assertEquals(Events.ROWS_INSERT, events[1].type);
+	assertObjectEquals("The inserted row positions should be those after " +
+		"the commit", [0, 3], events[1].getAffectedRows());
+	assertEquals(Events.ROWS_UPDATE, events[2].type);
+	assertObjectEquals([1], events[2].getAffectedRows());
+	
+	assertObjectEquals({id: 0, name: 'Eve'}, ds.get(0));
+	assertObjectEquals({id: 2, name: 'Jim'}, ds.get(1));
+	assertObjectEquals({id: 5, name: 'Peter'}, ds.get(2));
+	assertObjectEquals({id: 7, name: 'Mary'}, ds.get(3));
+	
+	com.qwirx.test.assertThrows(com.qwirx.data.TransactionError,
+		function(){ds.commit();},
+		"There is no transaction to commit");
+}
+
+function test_simple_datasource_transaction_rollback()
+{
+	var ds = getTestDataSource();
+	var before = [ds.get(0), ds.get(1), ds.get(2)];
+	ds.beginTransaction();
+	
+	var Events = com.qwirx.data.Datasource.Events;
+	var events = com.qwirx.test.assertEvents(ds,
+		[Events.ROWS_INSERT, Events.ROWS_UPDATE, Events.ROWS_DELETE],
+		function()
+		{
+			ds.insert(1, {id: 3, name: 'Andrew'});
+			ds.replace(0, {id: 1, name: 'Johnny'});
+			ds.remove(3);
+			ds.rollback();
+		},
+		"No events should be sent for a transaction that is rolled back",
+		true /* opt_continue_if_events_not_sent */);
+	assertObjectEquals([], events);
+	assertFalse(ds.isInTransaction());
+	
+	assertEquals(3, ds.getCount());
+	assertObjectEquals(before, [ds.get(0), ds.get(1), ds.get(2)]);
+	
+	com.qwirx.test.assertThrows(com.qwirx.data.TransactionError,
+		function(){ds.rollback();},
+		"There is no transaction to roll back");
+}
+
+function test_simple_datasource_range_operations()
+{
+	var ds = getTestDataSource();
+	var Events = com.qwirx.data.Datasource.Events;
+	
+	var events = com.qwirx.test.assertEvents(ds, [Events.ROWS_INSERT],
+		function()
+		{
+			ds.insertRange(1, [{id: 3, name: 'Andrew'},
+				{id: 4, name: 'Philip'}]);
+		},
+		"insertRange() should send a single ROWS_INSERT event");
+	assertEquals(1, events.length);
+	assertObjectEquals([1, 2], events[0].getAffectedRows());
+	assertEquals(5, ds.getCount());
+	assertObjectEquals({id: 1, name: 'John'}, ds.get(0));
+	assertObjectEquals({id: 3, name: 'Andrew'}, ds.get(1));
+	assertObjectEquals({id: 4, name: 'Philip'}, ds.get(2));
+	assertObjectEquals({id: 2, name: 'James'}, ds.get(3));
+	
+	assertEquals(5, ds.addRange([{id: 6}, {id: 7}]));
+	assertEquals(7, ds.getCount());
+	assertObjectEquals({id: 7}, ds.get(6));
+	
+	events = com.qwirx.test.assertEvents(ds, [Events.ROWS_UPDATE],
+		function()
+		{
+			ds.replaceRange(5, [{id: 6, name: 'Thomas'},
+				{id: 7, name: 'Matthew'}]);
+		},
+		"replaceRange() should send a single ROWS_UPDATE event");
+	assertEquals(1, events.length);
+	assertObjectEquals([5, 6], events[0].getAffectedRows());
+	assertObjectEquals({id: 7, name: 'Matthew'}, ds.get(6));
+	com.qwirx.test.assertThrows(com.qwirx.data.NoSuchRecord,
+		function(){ds.replaceRange(6, [{}, {}]);},
+		"Wrong kind of exception for access out of bounds");
+	
+	events = com.qwirx.test.assertEvents(ds, [Events.ROWS_DELETE],
+		function() { ds.removeRange(1, 3); },
+		"removeRange() should send a single ROWS_DELETE event");
+	assertEquals(1, events.length);
+	assertObjectEquals([1, 2, 3], events[0].getAffectedRows());
+	assertEquals(4, ds.getCount());
+	assertObjectEquals({id: 1, name: 'John'}, ds.get(0));
+	assertObjectEquals({id: 5, name: 'Peter'}, ds.get(1));
+	com.qwirx.test.assertThrows(com.qwirx.data.NoSuchRecord,
+		function(){ds.removeRange(3, 2);},
+		"Wrong kind of exception for access out of bounds");
+	
+	events = com.qwirx.test.assertEvents(ds,
+		[Events.ROWS_INSERT, Events.ROWS_UPDATE, Events.ROWS_DELETE],
+		function()
+		{
+			ds.insertRange(0, []);
+			ds.replaceRange(0, []);
+			ds.removeRange(0, 0);
+		},
+		"Empty ranges should not send any events",
+		true /* opt_continue_if_events_not_sent */);
+	assertObjectEquals([], events);
+	assertEquals(4, ds.getCount());
+}
+
+function getTypedTestDataSource()
+{
+	var Types = com.qwirx.data.Schema.Types;
+	var columns = [
+		{name: 'id', caption: 'ID', type: Types.NUMBER, required: true},
+		{name: 'name', caption: 'Name', type: Types.STRING, maxLength: 10},
+		{name: 'status', caption: 'Status', type: Types.STRING,
+			allowedValues: ['open', 'closed'], defaultValue: 'open'}
+	];
+	var data = [
+		{id: 1, name: 'John', status: 'open'},
+		{id: 2, name: 'James', status: 'closed'}
+	];
+	return new com.qwirx.data.SimpleDatasource(columns, data);
+}
+
+function test_simple_datasource_validates_writes()
+{
+	var ds = getTypedTestDataSource();
+	
+	ds.add({id: 3, name: 'Peter'});
+	assertObjectEquals("The default value should have been applied",
+		{id: 3, name: 'Peter', status: 'open'}, ds.get(2));
+	
+	com.qwirx.test.assertThrows(com.qwirx.data.ValidationFailed,
+		function(){ds.insert(0, {id: 'four'});},
+		"insert() should validate the new record");
+	com.qwirx.test.assertThrows(com.qwirx.data.ValidationFailed,
+		function(){ds.replace(0, {name: 'John'});},
+		"replace() should validate the new record");
+	com.qwirx.test.assertThrows(com.qwirx.data.ValidationFailed,
+		function()
+		{
+			ds.insertRange(0, [{id: 4}, {id: 5, status: 'lost'}]);
+		},
+		"insertRange() should validate all the new records");
+	assertEquals("No records should have been inserted", 3, ds.getCount());
+	assertObjectEquals({id: 1, name: 'John', status: 'open'}, ds.get(0));
+}
+
+function getKeyedTestDataSource()
+{
+	var columns = [{name: 'id', caption: 'ID', key: true},
+		{name: 'name', caption: 'Name'}];
+	var data = [
+		{id: 1, name: 'John'},
+		{id: 2, name: 'James'},
+		{id: 5, name: 'Peter'},
+	];
+	return new com.qwirx.data.SimpleDatasource(columns, data);
+}
+
+function test_simple_datasource_lookup_by_key()
+{
+	var ds = getKeyedTestDataSource();
+	assertEquals(1, ds.indexOfKey(2));
+	assertEquals(-1, ds.indexOfKey(3));
+	assertObjectEquals({id: 5, name: 'Peter'}, ds.getByKey(5));
+	com.qwirx.test.assertThrows(com.qwirx.data.NoSuchRecord,
+		function(){ds.getByKey(3);},
+		"getByKey() should throw an exception for a missing key");
+	
+	ds.insert(0, {id: 3, name: 'Andrew'});
+	assertEquals(0, ds.indexOfKey(3));
+	assertEquals("The key index should be updated after an insert", 2,
+		ds.indexOfKey(2));
+	
+	ds.replace(2, {id: 4, name: 'James'});
+	assertEquals(-1, ds.indexOfKey(2));
+	assertEquals(2, ds.indexOfKey(4));
+	
+	ds.removeRange(0, 2);
+	assertEquals(-1, ds.indexOfKey(1));
+	assertEquals("The key index should be updated after a remove", 0,
+		ds.indexOfKey(4));
+	
+	ds.beginTransaction();
+	ds.remove(0);
+	ds.rollback();
+	assertEquals("The key index should be restored by a rollback", 0,
+		ds.indexOfKey(4));
+	
+	var schema = ds.getSchema();
+	var getRecordKey = schema.getRecordKey;
+	var keysRead = 0;
+	schema.getRecordKey = function(record)
+	{
+		keysRead++;
+		return getRecordKey.call(this, record);
+	};
+	ds.add({id: 6, name: 'Eve'});
+	assertEquals("Appending a row should not reindex the existing rows",
+		2 /* one to check for duplicates, one to index it */, keysRead);
+	assertEquals(2, ds.indexOfKey(6));
+}
+
+function test_simple_datasource_rejects_duplicate_keys()
+{
+	var ds = getKeyedTestDataSource();
+	
+	var exception = assertThrows(function(){ds.add({id: 2, name: 'Jim'});});
+	assertTrue("Wrong kind of exception: " + exception,
+		exception instanceof com.qwirx.data.DuplicateKey);
+	assertEquals(2, exception.getKey());
+	
+	com.qwirx.test.assertThrows(com.qwirx.data.DuplicateKey,
+		function(){ds.addRange([{id: 6}, {id: 6}]);},
+		"Duplicate keys within the new records should be rejected");
+	com.qwirx.test.assertThrows(com.qwirx.data.DuplicateKey,
+		function(){ds.replace(0, {id: 5, name: 'John'});},
+		"Replacing a record with another record's key should be rejected");
+	assertEquals(3, ds.getCount());
+	assertObjectEquals({id: 1, name: 'John'}, ds.get(0));
+	
+	// But a record can keep its own key, and records in the same range
+	// can swap keys.
+	ds.replace(0, {id: 1, name: 'Johnny'});
+	ds.replaceRange(0, [{id: 2, name: 'Johnny'}, {id: 1, name: 'James'}]);
+	assertEquals(1, ds.indexOfKey(1));
+	
+	com.qwirx.test.assertThrows(com.qwirx.data.DuplicateKey,
+		function()
+		{
+			new com.qwirx.data.SimpleDatasource(ds.getColumns(),
+				[{id: 1}, {id: 1}]);
+		},
+		"The initial data should not contain duplicate keys");
+}
+
+function test_datasource_get_range()
+{
+	var ds = getTestDataSource();
+	assertObjectEquals([ds.get(1), ds.get(2)], ds.getRange(1, 2));
+	assertObjectEquals("The range should stop at the last row",
+		[ds.get(2)], ds.getRange(2, 5));
+	assertObjectEquals([], ds.getRange(ds.getCount(), 1));
+	com.qwirx.test.assertThrows(com.qwirx.data.NoSuchRecord,
+		function(){ds.getRange(ds.getCount() + 1, 1);},
+		"getRange() should throw an exception for an invalid start");
+}
+
+function test_simple_datasource_json_round_trip()
+{
+	var Types = com.qwirx.data.Schema.Types;
+	var columns = [
+		{name: 'id', caption: 'ID', type: Types.NUMBER, key: true},
+		{name: 'born', caption: 'Born', type: Types.DATE,
+			defaultValue: new Date(2000, 0, 1)},
+		{name: 'score', caption: 'Score', type: Types.NUMBER},
+		{name: 'extra', caption: 'Extra'}
+	];
+	var data = [
+		{id: 1, born: new Date(1970, 5, 15, 12, 30), score: Infinity,
+			extra: {$type: 'not a tag', list: [undefined, -Infinity]}},
+		{id: 2, born: null, score: 3.5, extra: undefined},
+		{id: 3, born: new Date(NaN), score: NaN}
+	];
+	var ds = new com.qwirx.data.SimpleDatasource(columns, data);
+	
+	var json = ds.toJson();
+	var document = goog.json.parse(json);
+	assertEquals(com.qwirx.data.SimpleDatasource.JSON_FORMAT,
+		document.format);
+	assertEquals(com.qwirx.data.SimpleDatasource.JSON_VERSION,
+		document.version);
+	
+	var copy = com.qwirx.data.SimpleDatasource.fromJson(json);
+	assertObjectEquals(columns, copy.getColumns());
+	assertEquals(Types.DATE, copy.getColumns()[1].type);
+	assertEquals(3, copy.getCount());
+	assertObjectEquals(data[0], copy.get(0));
+	assertObjectEquals(data[1], copy.get(1));
+	assertTrue('extra' in copy.get(1));
+	assertTrue(isNaN(copy.get(2).born.getTime()));
+	assertTrue(isNaN(copy.get(2).score));
+	assertEquals(0, copy.indexOfKey(1));
+	assertEquals(json, copy.toJson());
+	
+	function assertInvalid(json, message)
+	{
+		com.qwirx.test.assertThrows(com.qwirx.data.InvalidJson,
+			function(){com.qwirx.data.SimpleDatasource.fromJson(json);},
+			message);
+	}
+	
+	assertInvalid('{', "Invalid JSON should be rejected");
+	assertInvalid('[]', "A document without a format should be rejected");
+	document.version = com.qwirx.data.SimpleDatasource.JSON_VERSION + 1;
+	assertInvalid(goog.json.serialize(document),
+		"A document from a newer version should be rejected");
+	document.version = com.qwirx.data.SimpleDatasource.JSON_VERSION;
+	document.columns[0].type = 'COMPLEX';
+	assertInvalid(goog.json.serialize(document),
+		"A document with an unknown column type should be rejected");
+}
+
+function assertRestoreEvents(ds, newData, deleted, inserted, updated)
+{
+	var restored = new com.qwirx.data.SimpleDatasource(ds.getColumns(),
+		newData);
+	var Events = com.qwirx.data.Datasource.Events;
+	var events = com.qwirx.test.assertEvents(ds,
+		[Events.ROWS_DELETE, Events.ROWS_INSERT, Events.ROWS_UPDATE],
+		function() { ds.restoreFromJson(restored.toJson()); },
+		"Restoring should send events", true /* opt_continue */);
+	
+	var expected = [[Events.ROWS_DELETE, deleted],
+		[Events.ROWS_INSERT, inserted], [Events.ROWS_UPDATE, updated]];
+	expected = goog.array.filter(expected, function(e)
+		{
+			return e[1].length > 0;
+		});
+	
+	assertObjectEquals(expected, goog.array.map(events, function(e)
+		{
+			return [e.type, e.getAffectedRows()];
+		}));
+	assertEquals(newData.length, ds.getCount());
+	for (var i = 0; i < newData.length; i++)
+	{
+		assertObjectEquals(newData[i], ds.get(i));
+	}
+}
+
+function test_simple_datasource_restore_from_json_with_key()
+{
+	var ds = getKeyedTestDataSource(); // John James Peter
+	
+	assertRestoreEvents(ds, [{id: 1, name: 'John'}, {id: 2, name: 'James'},
+		{id: 5, name: 'Peter'}], [], [], []);
+	assertRestoreEvents(ds, [{id: 0, name: 'Adam'}, {id: 2, name: 'Jim'},
+		{id: 5, name: 'Peter'}, {id: 7, name: 'Mary'}], [0], [0, 3], [1]);
+	// Moving Adam to the end deletes and inserts him
+	assertRestoreEvents(ds, [{id: 2, name: 'Jim'}, {id: 5, name: 'Peter'},
+		{id: 7, name: 'Mary'}, {id: 0, name: 'Eve'}], [0], [3], []);
+	assertRestoreEvents(ds, [], [0, 1, 2, 3], [], []);
+	assertEquals(-1, ds.indexOfKey(2));
+	assertRestoreEvents(ds, [{id: 2, name: 'Jim'}], [], [0], []);
+	assertEquals(0, ds.indexOfKey(2));
+	
+	var before = ds.toJson();
+	var duplicate = goog.json.parse(before);
+	duplicate.data.push(duplicate.data[0]);
+	com.qwirx.test.assertThrows(com.qwirx.data.DuplicateKey,
+		function(){ds.restoreFromJson(goog.json.serialize(duplicate));},
+		"Restoring duplicate keys should fail");
+	assertEquals("A failed restore should not change anything",
+		before, ds.toJson());
+}
+
+function test_simple_datasource_restore_from_json_without_key()
+{
+	var ds = getTestDataSource(); // John James Peter
+	
+	// Changed records are updates, not deletes and inserts
+	assertRestoreEvents(ds, [{id: 1, name: 'John'}, {id: 2, name: 'Jim'},
+		{id: 5, name: 'Peter'}], [], [], [1]);
+	assertRestoreEvents(ds, [{id: 1, name: 'John'}, {id: 3, name: 'Andrew'},
+		{id: 2, name: 'Jim'}, {id: 5, name: 'Pete'}, {id: 6, name: 'Paul'}],
+		[], [1, 4], [3]);
+	assertRestoreEvents(ds, [{id: 2, name: 'Jim'}, {id: 5, name: 'Pete'}],
+		[0, 1, 4], [], []);
+	
+	// Restoring can change the columns as well
+	var other = getTypedTestDataSource();
+	var Events = com.qwirx.data.Datasource.Events;
+	var events = com.qwirx.test.assertEvents(ds, [Events.ROWS_UPDATE],
+		function() { ds.restoreFromJson(other.toJson()); },
+		"Replacing every record should send updates");
+	assertObjectEquals([0, 1], events[0].getAffectedRows());
+	assertObjectEquals(other.getColumns(), ds.getColumns());
+	com.qwirx.test.assertThrows(com.qwirx.data.ValidationFailed,
+		function(){ds.add({id: 'three'});},
+		"The restored schema should be used to validate new records");
+}
@@ -0,0 +1,212 @@
+/*
+	@fileoverview Defines the {com.qwirx.data.FakeRestServer} class, an
+	in-process implementation of the REST interface used by
+	{com.qwirx.data.RemoteDatasource}, for testing without a network.
+*/
+
+goog.provide('com.qwirx.data.FakeRestServer');
+
+goog.require('com.qwirx.data.Schema');
+goog.require('goog.array');
+goog.require('goog.async.Deferred');
+goog.require('goog.json');
+goog.require('goog.object');
+goog.require('goog.Uri');
+
+/**
+ * A fake server which can be used as the transport of a
+ * {com.qwirx.data.RemoteDatasource}. It keeps the records of a single
+ * REST resource in memory, and responds to requests for it as
+ * described in the documentation of RemoteDatasource, immediately.
+ * Request and response bodies are converted to JSON and back, so
+ * they are not shared with the caller, as they wouldn't be with a real
+ * server.
+ *
+ * Each record has a version number, which starts at 1 and is
+ * incremented whenever it's replaced. Use {#modify} to simulate another
+ * user changing a record, and {#getRequests} to check which requests
+ * were made.
+ *
+ * @param {string} url The URL of the resource.
+ * @param {Array.<Object>} columns The column definitions, which are used
+ * to find records by primary key.
+ * @param {Array.<Object>=} opt_records The initial records, which must
+ * be serializable as JSON.
+ * @constructor
+ */
+com.qwirx.data.FakeRestServer = function(url, columns, opt_records)
+{
+	this.path_ = new goog.Uri(url).getPath();
+	this.schema_ = new com.qwirx.data.Schema(columns);
+	this.rows_ = [];
+	this.requests_ = [];
+	
+	var records = opt_records || [];
+	for (var i = 0; i < records.length; i++)
+	{
+		this.rows_.push({values: this.copy_(records[i]), version: 1});
+	}
+};
+
+/**
+ * @return a copy of the values of the record at the specified index.
+ */
+com.qwirx.data.FakeRestServer.prototype.getRecord = function(rowIndex)
+{
+	return this.copy_(this.rows_[rowIndex].values);
+};
+
+/**
+ * @return the number of records on the server.
+ */
+com.qwirx.data.FakeRestServer.prototype.getCount = function()
+{
+	return this.rows_.length;
+};
+
+/**
+ * Change some values of a record, and its version, as if another user
+ * had done so.
+ */
+com.qwirx.data.FakeRestServer.prototype.modify = function(rowIndex,
+	values)
+{
+	var row = this.rows_[rowIndex];
+	goog.object.extend(row.values, this.copy_(values));
+	row.version++;
+};
+
+/**
+ * @return the requests that have been sent to this server, in order,
+ * as objects with the <code>method</code>, <code>url</code>,
+ * <code>body</code> and <code>headers</code> passed to {#send}.
+ */
+com.qwirx.data.FakeRestServer.prototype.getRequests = function()
+{
+	return goog.array.clone(this.requests_);
+};
+
+/**
+ * Handle a request, as a {com.qwirx.data.RemoteDatasource} transport.
+ * @return {goog.async.Deferred} which has already fired with the
+ * <code>status</code> and <code>body</code> of the response.
+ */
+com.qwirx.data.FakeRestServer.prototype.send = function(method, url,
+	body, headers)
+{
+	body = this.copy_(body);
+	this.requests_.push({method: method, url: url, body: body,
+		headers: goog.object.clone(headers)});
+	
+	var response = this.handle_(method, new goog.Uri(url), body,
+		headers['If-Match']);
+	response.body = this.copy_(response.body);
+	return goog.async.Deferred.succeed(response);
+};
+
+/**
+ * @return the response to a request, before it's serialized.
+ * @private
+ */
+com.qwirx.data.FakeRestServer.prototype.handle_ = function(method, uri,
+	body, ifMatch)
+{
+	var path = uri.getPath();
+	
+	if (path == this.path_)
+	{
+		if (method == 'GET' && uri.getParameterValue('key') != undefined)
+		{
+			return this.findKey_(uri.getParameterValue('key'));
+		}
+		else if (method == 'GET')
+		{
+			return this.getPage_(Number(uri.getParameterValue('start')),
+				Number(uri.getParameterValue('count')));
+		}
+		else if (method == 'POST')
+		{
+			return this.insert_(body);
+		}
+		
+		return {status: 405};
+	}
+	
+	var match = /^\/(\d+)$/.exec(path.substr(this.path_.length));
+	var row = match && path.indexOf(this.path_) == 0 &&
+		this.rows_[Number(match[1])];
+	
+	if (!row)
+	{
+		return {status: 404};
+	}
+	
+	var rowIndex = Number(match[1]);
+	
+	if (ifMatch !== undefined && ifMatch != '"' + row.version + '"')
+	{
+		return {status: 412, body: row};
+	}
+	else if (method == 'GET')
+	{
+		return {status: 200, body: row};
+	}
+	else if (method == 'PUT')
+	{
+		row.values = body.values;
+		row.version++;
+		return {status: 200, body: {version: row.version}};
+	}
+	else if (method == 'DELETE')
+	{
+		goog.array.removeAt(this.rows_, rowIndex);
+		return {status: 204};
+	}
+	
+	return {status: 405};
+};
+
+/** @private */
+com.qwirx.data.FakeRestServer.prototype.getPage_ = function(start, count)
+{
+	return {status: 200, body: {total: this.rows_.length,
+		rows: this.rows_.slice(start, start + count)}};
+};
+
+/** @private */
+com.qwirx.data.FakeRestServer.prototype.findKey_ = function(key)
+{
+	var schema = this.schema_;
+	var index = goog.array.findIndex(this.rows_, function(row)
+		{
+			return schema.keyToString(schema.getRecordKey(row.values)) ==
+				key;
+		});
+	return {status: 200, body: {index: index}};
+};
+
+/** @private */
+com.qwirx.data.FakeRestServer.prototype.insert_ = function(body)
+{
+	var index = (body.position === undefined) ? this.rows_.length :
+		body.position;
+	
+	if (index < 0 || index > this.rows_.length)
+	{
+		return {status: 404};
+	}
+	
+	goog.array.insertAt(this.rows_, {values: body.values, version: 1},
+		index);
+	return {status: 201, body: {index: index, version: 1}};
+};
+
+/**
+ * @return a deep copy of a JSON value, made by serializing it.
+ * @private
+ */
+com.qwirx.data.FakeRestServer.prototype.copy_ = function(value)
+{
+	return (value === undefined) ? undefined :
+		goog.json.parse(goog.json.serialize(value));
+};
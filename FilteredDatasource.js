@@ -0,0 +1,500 @@
+/*
+	@fileoverview Defines the {com.qwirx.data.FilteredDatasource} class,
+	which presents a view of only some rows of another
+	{com.qwirx.data.Datasource}.
+*/
+
+goog.provide('com.qwirx.data.FilteredDatasource');
+
+goog.require('com.qwirx.data.Datasource');
+goog.require('goog.array');
+goog.require('goog.asserts');
+
+/**
+ * A live, filtered view of another {com.qwirx.data.Datasource}. The rows
+ * are those of the source for which a predicate function returns true,
+ * in the same order as the source.
+ *
+ * The view listens for {com.qwirx.data.Datasource.RowEvent}s from the
+ * source and sends its own, with the row indexes translated into view
+ * positions, so {com.qwirx.data.Cursor}s on the view stay on the same
+ * record. When rows are updated in the source, the predicate is checked
+ * again, and if a row no longer matches it is removed from the view
+ * with a ROWS_DELETE event, or if it now matches, it is added with a
+ * ROWS_INSERT event. When a row in the view moves in the source, for
+ * example because the source is sorted, it moves in the view too, with
+ * a ROWS_MOVE event. When the source sends several changes at once
+ * (see {com.qwirx.data.Datasource#dispatchChanges}), the view sends a
+ * CHANGES_COMPLETE event after the source does, and
+ * {#isSendingChanges} returns true until then.
+ *
+ * Writes to the view are passed through to the source. Note that a
+ * record which is inserted or replaced through the view will not
+ * appear in it if it doesn't match the predicate.
+ *
+ * @param {com.qwirx.data.Datasource} source The datasource to filter.
+ *
+ * @param {function(!Object):boolean} predicate A function which is
+ * called with a copy of each record, and should return true if it
+ * should be included in this view.
+ *
+ * @constructor
+ */
+com.qwirx.data.FilteredDatasource = function(source, predicate)
+{
+	this.source_ = source;
+	this.predicate_ = predicate;
+	
+	// The source index of each row of this view, in ascending order.
+	this.sourceIndexes_ = this.findMatchingRows_();
+	
+	var Events = com.qwirx.data.Datasource.Events;
+	source.addEventListener(Events.ROWS_INSERT,
+		this.handleSourceRowInsert, false /* capture */, this /* scope */);
+	source.addEventListener(Events.ROWS_UPDATE,
+		this.handleSourceRowUpdate, false /* capture */, this /* scope */);
+	source.addEventListener(Events.ROWS_DELETE,
+		this.handleSourceRowDelete, false /* capture */, this /* scope */);
+	source.addEventListener(Events.ROWS_MOVE,
+		this.handleSourceRowMove, false /* capture */, this /* scope */);
+	source.addEventListener(Events.CHANGES_COMPLETE,
+		this.handleSourceChangesComplete, false /* capture */,
+		this /* scope */);
+};
+
+goog.inherits(com.qwirx.data.FilteredDatasource,
+	com.qwirx.data.Datasource);
+
+/**
+ * @return the datasource that this view filters.
+ */
+com.qwirx.data.FilteredDatasource.prototype.getSource = function()
+{
+	return this.source_;
+};
+
+/**
+ * @return the index in the source datasource of the row at the
+ * specified position of this view.
+ */
+com.qwirx.data.FilteredDatasource.prototype.getSourceIndex =
+	function(rowIndex)
+{
+	this.assertValidRow(rowIndex);
+	return this.sourceIndexes_[rowIndex];
+};
+
+/**
+ * @return true while the source is sending several changes at once.
+ * @override
+ */
+com.qwirx.data.FilteredDatasource.prototype.isSendingChanges = function()
+{
+	return this.source_.isSendingChanges();
+};
+
+/**
+ * @return true if the record with the specified index in the source
+ * matches the predicate.
+ * @private
+ */
+com.qwirx.data.FilteredDatasource.prototype.matches_ =
+	function(sourceIndex)
+{
+	return !!this.predicate_(this.source_.get(sourceIndex));
+};
+
+/**
+ * @return the indexes of all rows in the source that match the
+ * predicate, in ascending order.
+ * @private
+ */
+com.qwirx.data.FilteredDatasource.prototype.findMatchingRows_ = function()
+{
+	var sourceIndexes = [];
+	
+	for (var i = 0; i < this.source_.getCount(); i++)
+	{
+		if (this.matches_(i))
+		{
+			sourceIndexes.push(i);
+		}
+	}
+	
+	return sourceIndexes;
+};
+
+/**
+ * Change the predicate, and check every row of the source against it.
+ * Rows which no longer match are removed from the view, and a single
+ * ROWS_DELETE event is sent with their old positions. Then rows which
+ * now match are added, and a single ROWS_INSERT event is sent with their
+ * new positions.
+ *
+ * You can also call this with the current predicate, if it depends on
+ * something other than the record values which has changed.
+ *
+ * @param {function(!Object):boolean} predicate The new predicate.
+ */
+com.qwirx.data.FilteredDatasource.prototype.setPredicate =
+	function(predicate)
+{
+	this.predicate_ = predicate;
+	
+	var oldIndexes = this.sourceIndexes_;
+	var newIndexes = this.findMatchingRows_();
+	var deleted = [], inserted = [], remaining = [];
+	
+	for (var i = 0; i < oldIndexes.length; i++)
+	{
+		if (goog.array.contains(newIndexes, oldIndexes[i]))
+		{
+			remaining.push(oldIndexes[i]);
+		}
+		else
+		{
+			deleted.push(i);
+		}
+	}
+	
+	for (var i = 0; i < newIndexes.length; i++)
+	{
+		if (!goog.array.contains(oldIndexes, newIndexes[i]))
+		{
+			inserted.push(i);
+		}
+	}
+	
+	var Events = com.qwirx.data.Datasource.Events;
+	
+	if (deleted.length)
+	{
+		this.sourceIndexes_ = remaining;
+		this.dispatchRowEvent(Events.ROWS_DELETE, deleted);
+	}
+	
+	this.sourceIndexes_ = newIndexes;
+	
+	if (inserted.length)
+	{
+		this.dispatchRowEvent(Events.ROWS_INSERT, inserted);
+	}
+};
+
+/**
+ * Looks up the key in the source datasource, which may be able to do
+ * it faster than checking every record.
+ * @override
+ */
+com.qwirx.data.FilteredDatasource.prototype.indexOfKey = function(key)
+{
+	var sourceIndex = this.source_.indexOfKey(key);
+	return (sourceIndex < 0) ? -1 :
+		goog.array.indexOf(this.sourceIndexes_, sourceIndex);
+};
+
+com.qwirx.data.FilteredDatasource.prototype.getColumns = function()
+{
+	return this.source_.getColumns();
+};
+
+com.qwirx.data.FilteredDatasource.prototype.getCount = function()
+{
+	return this.sourceIndexes_.length;
+};
+
+com.qwirx.data.FilteredDatasource.prototype.get = function(rowIndex)
+{
+	this.assertValidRow(rowIndex);
+	return this.source_.get(this.sourceIndexes_[rowIndex]);
+};
+
+/**
+ * @return the version of the row in the source datasource.
+ * @override
+ */
+com.qwirx.data.FilteredDatasource.prototype.getVersion = function(rowIndex)
+{
+	this.assertValidRow(rowIndex);
+	return this.source_.getVersion(this.sourceIndexes_[rowIndex]);
+};
+
+/**
+ * @return the sort order of the source datasource, because filtering
+ * keeps the rows in the same order.
+ * @override
+ */
+com.qwirx.data.FilteredDatasource.prototype.getSortOrder = function()
+{
+	return this.source_.getSortOrder();
+};
+
+/**
+ * Insert a new record into the source datasource, just before the
+ * source row which is currently at the specified position of this view,
+ * or at the end of the source if the position is {#getCount}.
+ */
+com.qwirx.data.FilteredDatasource.prototype.insert =
+	function(rowIndex, newRecord)
+{
+	this.assertValidRow(rowIndex, this.getCount());
+	
+	if (rowIndex < this.sourceIndexes_.length)
+	{
+		this.source_.insert(this.sourceIndexes_[rowIndex], newRecord);
+	}
+	else
+	{
+		this.source_.insert(this.source_.getCount(), newRecord);
+	}
+};
+
+/**
+ * Append a new record to the end of the source datasource.
+ * @return the position of the new record in this view, or -1 if it
+ * does not match the predicate.
+ */
+com.qwirx.data.FilteredDatasource.prototype.add = function(newRecord)
+{
+	var sourceIndex = this.source_.getCount();
+	this.source_.insert(sourceIndex, newRecord);
+	return goog.array.indexOf(this.sourceIndexes_, sourceIndex);
+};
+
+/**
+ * Replace the record at the specified position of this view, in the
+ * source datasource. If the new record doesn't match the predicate,
+ * it will disappear from the view.
+ */
+com.qwirx.data.FilteredDatasource.prototype.replace =
+	function(rowIndex, newRecord)
+{
+	this.assertValidRow(rowIndex);
+	this.source_.replace(this.sourceIndexes_[rowIndex], newRecord);
+};
+
+/**
+ * Remove the record at the specified position of this view from the
+ * source datasource.
+ */
+com.qwirx.data.FilteredDatasource.prototype.remove = function(rowIndex)
+{
+	this.assertValidRow(rowIndex);
+	this.source_.remove(this.sourceIndexes_[rowIndex]);
+};
+
+/**
+ * Handle new rows in the source by adding the ones that match the
+ * predicate to the view, and sending a ROWS_INSERT event with their
+ * positions, if there were any.
+ */
+com.qwirx.data.FilteredDatasource.prototype.handleSourceRowInsert =
+	function(event)
+{
+	var inserted = goog.array.clone(event.getAffectedRows());
+	goog.array.sort(inserted);
+	
+	// Update the source indexes of existing rows which were shifted
+	// down by the insertions. The inserted indexes are the new
+	// positions, so work upwards from the lowest.
+	for (var i = 0; i < inserted.length; i++)
+	{
+		for (var j = 0; j < this.sourceIndexes_.length; j++)
+		{
+			if (this.sourceIndexes_[j] >= inserted[i])
+			{
+				this.sourceIndexes_[j]++;
+			}
+		}
+	}
+	
+	var positions = [];
+	
+	for (var i = 0; i < inserted.length; i++)
+	{
+		if (this.matches_(inserted[i]))
+		{
+			var position = this.insertSourceIndex_(inserted[i]);
+			
+			// positions of rows that we already inserted are unaffected,
+			// because the inserted indexes are in ascending order
+			positions.push(position);
+		}
+	}
+	
+	if (positions.length)
+	{
+		this.dispatchRowEvent(com.qwirx.data.Datasource.Events.ROWS_INSERT,
+			positions);
+	}
+};
+
+/**
+ * Add a source index to the view, in order.
+ * @return the position at which it was added.
+ * @private
+ */
+com.qwirx.data.FilteredDatasource.prototype.insertSourceIndex_ =
+	function(sourceIndex)
+{
+	var position = goog.array.binarySearch(this.sourceIndexes_,
+		sourceIndex);
+	goog.asserts.assert(position < 0, "Source index " + sourceIndex +
+		" is already in the view");
+	position = -(position + 1);
+	goog.array.insertAt(this.sourceIndexes_, sourceIndex, position);
+	return position;
+};
+
+/**
+ * Handle updated rows in the source by checking them against the
+ * predicate again. Rows which no longer match are removed from the view
+ * with a ROWS_DELETE event, and rows which now match are added to it
+ * with a ROWS_INSERT event, one at a time. Finally a ROWS_UPDATE event
+ * is sent with the positions of the updated rows which were already
+ * in the view, and still are.
+ */
+com.qwirx.data.FilteredDatasource.prototype.handleSourceRowUpdate =
+	function(event)
+{
+	var updated = event.getAffectedRows();
+	var stillMatching = [];
+	var Events = com.qwirx.data.Datasource.Events;
+	
+	for (var i = 0; i < updated.length; i++)
+	{
+		var sourceIndex = updated[i];
+		var position = goog.array.indexOf(this.sourceIndexes_, sourceIndex);
+		var matches = this.matches_(sourceIndex);
+		
+		if (position >= 0 && matches)
+		{
+			stillMatching.push(sourceIndex);
+		}
+		else if (position >= 0)
+		{
+			goog.array.removeAt(this.sourceIndexes_, position);
+			this.dispatchRowEvent(Events.ROWS_DELETE, [position]);
+		}
+		else if (matches)
+		{
+			position = this.insertSourceIndex_(sourceIndex);
+			this.dispatchRowEvent(Events.ROWS_INSERT, [position]);
+		}
+	}
+	
+	if (stillMatching.length)
+	{
+		var positions = [];
+		for (var i = 0; i < stillMatching.length; i++)
+		{
+			positions.push(goog.array.indexOf(this.sourceIndexes_,
+				stillMatching[i]));
+		}
+		goog.array.sort(positions);
+		this.dispatchRowEvent(Events.ROWS_UPDATE, positions);
+	}
+};
+
+/**
+ * Handle deleted rows in the source by removing them from the view,
+ * and sending a ROWS_DELETE event with the positions that they had,
+ * if any of them were in the view.
+ */
+com.qwirx.data.FilteredDatasource.prototype.handleSourceRowDelete =
+	function(event)
+{
+	var deleted = event.getAffectedRows();
+	var positions = [];
+	var remaining = [];
+	
+	for (var j = 0; j < this.sourceIndexes_.length; j++)
+	{
+		var sourceIndex = this.sourceIndexes_[j];
+		var shift = 0;
+		var isDeleted = false;
+		
+		for (var i = 0; i < deleted.length; i++)
+		{
+			if (deleted[i] < sourceIndex)
+			{
+				shift++;
+			}
+			else if (deleted[i] == sourceIndex)
+			{
+				isDeleted = true;
+			}
+		}
+		
+		if (isDeleted)
+		{
+			positions.push(j);
+		}
+		else
+		{
+			remaining.push(sourceIndex - shift);
+		}
+	}
+	
+	this.sourceIndexes_ = remaining;
+	
+	if (positions.length)
+	{
+		this.dispatchRowEvent(com.qwirx.data.Datasource.Events.ROWS_DELETE,
+			positions);
+	}
+};
+
+/**
+ * Handle a row moving in the source, for example a sorted one, by
+ * updating the source indexes. If the row is in the view and its
+ * position in the view changed, a ROWS_MOVE event is sent.
+ */
+com.qwirx.data.FilteredDatasource.prototype.handleSourceRowMove =
+	function(event)
+{
+	var oldRowIndex = event.getOldRowIndex();
+	var newRowIndex = event.getNewRowIndex();
+	var oldPosition = goog.array.binarySearch(this.sourceIndexes_,
+		oldRowIndex);
+	
+	if (oldPosition >= 0)
+	{
+		goog.array.removeAt(this.sourceIndexes_, oldPosition);
+	}
+	
+	// The other rows keep their order, so the indexes stay sorted.
+	for (var j = 0; j < this.sourceIndexes_.length; j++)
+	{
+		var sourceIndex = this.sourceIndexes_[j];
+		
+		if (oldRowIndex < sourceIndex && sourceIndex <= newRowIndex)
+		{
+			this.sourceIndexes_[j]--;
+		}
+		else if (newRowIndex <= sourceIndex && sourceIndex < oldRowIndex)
+		{
+			this.sourceIndexes_[j]++;
+		}
+	}
+	
+	if (oldPosition >= 0)
+	{
+		var newPosition = this.insertSourceIndex_(newRowIndex);
+		
+		if (newPosition != oldPosition)
+		{
+			this.dispatchRowMoveEvent(oldPosition, newPosition);
+		}
+	}
+};
+
+/**
+ * Handle the source having finished sending several changes at once by
+ * sending a CHANGES_COMPLETE event of our own.
+ */
+com.qwirx.data.FilteredDatasource.prototype.handleSourceChangesComplete =
+	function(event)
+{
+	this.dispatchEvent(com.qwirx.data.Datasource.Events.CHANGES_COMPLETE);
+};
@@ -0,0 +1,238 @@
+goog.provide('com.qwirx.data.FilteredDatasource_test');
+
+goog.require('com.qwirx.data.Cursor');
+goog.require('com.qwirx.data.FilteredDatasource');
+goog.require('com.qwirx.data.SimpleDatasource');
+goog.require('com.qwirx.data.SortedDatasource');
+goog.require('com.qwirx.test.assertThrows');
+goog.require('goog.testing.jsunit');
+
+function getTestDataSource()
+{
+	var columns = [{name: 'id', caption: 'ID'},
+		{name: 'status', caption: 'Status'}];
+	var data = [
+		{id: 1, status: 'open'},
+		{id: 2, status: 'closed'},
+		{id: 3, status: 'open'},
+		{id: 4, status: 'closed'},
+		{id: 5, status: 'open'},
+	];
+	return new com.qwirx.data.SimpleDatasource(columns, data);
+}
+
+function isOpen(record)
+{
+	return record.status == 'open';
+}
+
+function getIds(ds)
+{
+	var ids = [];
+	for (var i = 0; i < ds.getCount(); i++)
+	{
+		ids.push(ds.get(i).id);
+	}
+	return ids;
+}
+
+function test_construct_filtered_datasource()
+{
+	var source = getTestDataSource();
+	var filtered = new com.qwirx.data.FilteredDatasource(source, isOpen);
+	
+	assertObjectEquals(source.getColumns(), filtered.getColumns());
+	assertEquals(3, filtered.getCount());
+	assertObjectEquals([1, 3, 5], getIds(filtered));
+	assertEquals(2, filtered.getSourceIndex(1));
+	com.qwirx.test.assertThrows(com.qwirx.data.NoSuchRecord,
+		function(){filtered.get(3);},
+		"Wrong kind of exception for access out of bounds");
+}
+
+function test_filtered_datasource_follows_source_inserts_and_deletes()
+{
+	var source = getTestDataSource();
+	var filtered = new com.qwirx.data.FilteredDatasource(source, isOpen);
+	var Events = com.qwirx.data.Datasource.Events;
+	
+	var events = com.qwirx.test.assertEvents(filtered, [Events.ROWS_INSERT],
+		function()
+		{
+			source.insertRange(1, [{id: 6, status: 'open'},
+				{id: 7, status: 'closed'}, {id: 8, status: 'open'}]);
+		},
+		"Inserting matching rows should send a ROWS_INSERT event");
+	assertObjectEquals([1, 2], events[0].getAffectedRows());
+	assertObjectEquals([1, 6, 8, 3, 5], getIds(filtered));
+	
+	events = com.qwirx.test.assertEvents(filtered,
+		[Events.ROWS_INSERT, Events.ROWS_DELETE],
+		function()
+		{
+			source.insert(0, {id: 9, status: 'closed'});
+			source.remove(5); // id 2, closed
+		},
+		"Changes to rows that don't match should not send events",
+		true /* opt_continue_if_events_not_sent */);
+	assertObjectEquals([], events);
+	
+	events = com.qwirx.test.assertEvents(filtered, [Events.ROWS_DELETE],
+		function() { source.removeRange(1, 4); }, // 1, 6, 7, 8
+		"Deleting matching rows should send a ROWS_DELETE event");
+	assertObjectEquals([0, 1, 2], events[0].getAffectedRows());
+	assertObjectEquals([3, 5], getIds(filtered));
+	assertEquals(3, filtered.getSourceIndex(1));
+}
+
+function test_filtered_datasource_rechecks_updated_rows()
+{
+	var source = getTestDataSource();
+	var filtered = new com.qwirx.data.FilteredDatasource(source, isOpen);
+	var Events = com.qwirx.data.Datasource.Events;
+	
+	var events = com.qwirx.test.assertEvents(filtered, [Events.ROWS_DELETE],
+		function() { source.replace(2, {id: 3, status: 'closed'}); },
+		"A row that no longer matches should be deleted from the view");
+	assertObjectEquals([1], events[0].getAffectedRows());
+	assertObjectEquals([1, 5], getIds(filtered));
+	
+	events = com.qwirx.test.assertEvents(filtered, [Events.ROWS_INSERT],
+		function() { source.replace(3, {id: 4, status: 'open'}); },
+		"A row that now matches should be inserted into the view");
+	assertObjectEquals([1], events[0].getAffectedRows());
+	assertObjectEquals([1, 4, 5], getIds(filtered));
+	
+	events = com.qwirx.test.assertEvents(filtered, [Events.ROWS_UPDATE],
+		function() { source.replace(4, {id: 10, status: 'open'}); },
+		"A row that still matches should be updated in the view");
+	assertObjectEquals([2], events[0].getAffectedRows());
+	assertObjectEquals([1, 4, 10], getIds(filtered));
+}
+
+function test_filtered_datasource_set_predicate()
+{
+	var source = getTestDataSource();
+	var filtered = new com.qwirx.data.FilteredDatasource(source, isOpen);
+	var Events = com.qwirx.data.Datasource.Events;
+	
+	var events = com.qwirx.test.assertEvents(filtered,
+		[Events.ROWS_DELETE, Events.ROWS_INSERT],
+		function()
+		{
+			filtered.setPredicate(function(record)
+				{
+					return record.id >= 3;
+				});
+		},
+		"Changing the predicate should send ROWS_DELETE and ROWS_INSERT");
+	assertEquals(2, events.length);
+	assertEquals(Events.ROWS_DELETE, events[0].type);
+	assertObjectEquals([0], events[0].getAffectedRows());
+	assertEquals(Events.ROWS_INSERT, events[1].type);
+	assertObjectEquals([1], events[1].getAffectedRows());
+	assertObjectEquals([3, 4, 5], getIds(filtered));
+}
+
+function test_filtered_datasource_writes_through()
+{
+	var source = getTestDataSource();
+	var filtered = new com.qwirx.data.FilteredDatasource(source, isOpen);
+	
+	filtered.insert(1, {id: 6, status: 'open'});
+	assertObjectEquals({id: 6, status: 'open'}, source.get(2));
+	assertObjectEquals([1, 6, 3, 5], getIds(filtered));
+	
+	assertEquals(4, filtered.add({id: 7, status: 'open'}));
+	assertEquals(-1, filtered.add({id: 8, status: 'closed'}));
+	assertEquals(8, source.getCount());
+	
+	filtered.replace(0, {id: 1, status: 'closed'});
+	assertObjectEquals({id: 1, status: 'closed'}, source.get(0));
+	assertObjectEquals([6, 3, 5, 7], getIds(filtered));
+	
+	filtered.remove(0);
+	assertEquals(7, source.getCount());
+	assertObjectEquals([3, 5, 7], getIds(filtered));
+}
+
+function test_cursor_on_filtered_datasource()
+{
+	var source = getTestDataSource();
+	var filtered = new com.qwirx.data.FilteredDatasource(source, isOpen);
+	var c = new com.qwirx.data.Cursor(filtered);
+	
+	c.setPosition(1);
+	assertEquals(3, c.getCurrentValues().id);
+	
+	source.replace(0, {id: 1, status: 'closed'});
+	assertEquals(0, c.getPosition());
+	assertEquals(3, c.getCurrentValues().id);
+	
+	// Closing the current record removes it from the view, so the
+	// cursor moves to the next one.
+	c.setFieldValue('status', 'closed');
+	c.save();
+	assertEquals(0, c.getPosition());
+	assertEquals(5, c.getCurrentValues().id);
+	assertFalse(c.isDirty());
+}
+
+function test_filtered_datasource_follows_rows_moving_in_source()
+{
+	var source = getTestDataSource();
+	var sorted = new com.qwirx.data.SortedDatasource(source, [{name: 'id'}]);
+	var filtered = new com.qwirx.data.FilteredDatasource(sorted, isOpen);
+	var Events = com.qwirx.data.Datasource.Events;
+	var c = new com.qwirx.data.Cursor(filtered);
+	c.setPosition(1);
+	
+	var events = com.qwirx.test.assertEvents(filtered,
+		[Events.ROWS_MOVE, Events.ROWS_UPDATE],
+		function() { source.replace(0, {id: 6, status: 'open'}); },
+		"A matching row moving in the source should move in the view");
+	assertEquals(0, events[0].getOldRowIndex());
+	assertEquals(2, events[0].getNewRowIndex());
+	assertObjectEquals([2], events[1].getAffectedRows());
+	assertObjectEquals([3, 5, 6], getIds(filtered));
+	assertEquals(0, c.getPosition());
+	assertEquals(3, c.getCurrentValues().id);
+	
+	// A row which doesn't match only shifts the others
+	com.qwirx.test.assertEvents(filtered, [],
+		function() { source.replace(1, {id: 7, status: 'closed'}); },
+		"A row moving outside the view should not send events");
+	assertObjectEquals([3, 5, 6], getIds(filtered));
+	
+	for (var i = 0; i < filtered.getCount(); i++)
+	{
+		assertObjectEquals(sorted.get(filtered.getSourceIndex(i)),
+			filtered.get(i));
+	}
+}
+
+/**
+ * A cursor on the view should wait until the source has sent all the
+ * changes of a transaction, like one on the source itself, before
+ * loading the record that took the place of its deleted one.
+ */
+function test_cursor_on_filtered_datasource_current_row_deleted_by_commit()
+{
+	var source = new com.qwirx.data.SimpleDatasource([{name: 'name'}],
+		[{name: 'a'}, {name: 'b'}, {name: 'c'}, {name: 'd'}]);
+	var all = new com.qwirx.data.FilteredDatasource(source,
+		function(record) { return true; });
+	var c = new com.qwirx.data.Cursor(all);
+	c.setPosition(1); // b
+	
+	source.beginTransaction();
+	source.remove(1);
+	source.insert(0, {name: 'aa'});
+	assertFalse(all.isSendingChanges());
+	source.commit();
+	
+	assertEquals(2, c.getPosition());
+	assertObjectEquals({name: 'c'}, c.getCurrentValues());
+	assertObjectEquals(all.get(2), c.getCurrentValues());
+	assertFalse(c.isDirty());
+}
@@ -0,0 +1,432 @@
+/*
+	@fileoverview Defines the {com.qwirx.data.History} class, which
+	records changes to a {com.qwirx.data.Datasource} so that they can be
+	undone and redone.
+*/
+
+goog.provide('com.qwirx.data.History');
+goog.provide('com.qwirx.data.HistoryError');
+
+goog.require('com.qwirx.data.Datasource');
+goog.require('com.qwirx.util.Enum');
+goog.require('com.qwirx.util.Exception');
+goog.require('goog.array');
+goog.require('goog.events.Event');
+goog.require('goog.events.EventTarget');
+goog.require('goog.object');
+
+/**
+ * An exception thrown by {com.qwirx.data.History} if it's used in the
+ * wrong state, for example undoing when there is nothing to undo, or
+ * while a group is open.
+ * @constructor
+ */
+com.qwirx.data.HistoryError = function(message)
+{
+	goog.base(this, message);
+};
+goog.inherits(com.qwirx.data.HistoryError, com.qwirx.util.Exception);
+
+/**
+ * An undo and redo history for a datasource. Once attached, it records
+ * every change made to the datasource, with the previous values of the
+ * affected records, including changes made through views such as
+ * {com.qwirx.data.SortedDatasource} and by {com.qwirx.data.Cursor}s.
+ * Datasources record their changes by calling
+ * {com.qwirx.data.Datasource#recordChange}, which
+ * {com.qwirx.data.SimpleDatasource} and
+ * {com.qwirx.data.StreamDatasource} do.
+ *
+ * Each change is a separate step, which is undone by {#undo} and
+ * redone by {#redo}, unless it's made between {#beginGroup} and
+ * {#endGroup}, or during a transaction, in which case all the changes
+ * are undone and redone together. A single {com.qwirx.data.Cursor#save}
+ * makes a single change, so it's always a single step.
+ *
+ * Undoing and redoing use the normal methods of the datasource, such as
+ * {com.qwirx.data.Datasource#insert}, or
+ * {com.qwirx.data.SimpleDatasource#insertRange} for changes that were
+ * made to several rows at once, so they send the normal
+ * {com.qwirx.data.Datasource.RowEvent}s, and Cursors on the datasource
+ * follow the changes as usual. The history sends its own
+ * {com.qwirx.data.History.Event}s whenever a step is recorded, undone
+ * or redone, or the history is cleared, so that a user interface can
+ * enable and disable its undo and redo commands.
+ *
+ * @param {com.qwirx.data.Datasource} datasource The datasource to
+ * record changes to. It must not already have a history attached.
+ * @param {number=} opt_limit The maximum number of steps to remember,
+ * which defaults to {com.qwirx.data.History.DEFAULT_LIMIT}. When there
+ * are too many, the oldest are forgotten.
+ * @constructor
+ */
+com.qwirx.data.History = function(datasource, opt_limit)
+{
+	goog.base(this);
+	
+	if (datasource.getHistory())
+	{
+		throw new com.qwirx.data.HistoryError("This datasource already " +
+			"has a history attached");
+	}
+	
+	this.datasource_ = datasource;
+	this.limit_ = opt_limit || com.qwirx.data.History.DEFAULT_LIMIT;
+	this.undoSteps_ = [];
+	this.redoSteps_ = [];
+	
+	// The step being recorded while a group is open, and the number of
+	// changes that it had when each open group began.
+	this.openStep_ = null;
+	this.groupStarts_ = [];
+	
+	this.replaying_ = false;
+	datasource.setHistory(this);
+};
+
+goog.inherits(com.qwirx.data.History, goog.events.EventTarget);
+
+/**
+ * The number of steps remembered, unless the constructor is told
+ * otherwise.
+ */
+com.qwirx.data.History.DEFAULT_LIMIT = 100;
+
+com.qwirx.data.History.Events = new com.qwirx.util.Enum(
+	'RECORD', 'UNDO', 'REDO', 'CLEAR'
+);
+
+/**
+ * An event sent by a {com.qwirx.data.History} when a step is recorded,
+ * undone or redone, or it's cleared.
+ * @param {com.qwirx.data.History.Events} type The type of event.
+ * @param {string=} opt_label The label of the step, if it has one.
+ * @constructor
+ */
+com.qwirx.data.History.Event = function(type, opt_label)
+{
+	goog.events.Event.call(this, type);
+	this.label_ = opt_label;
+};
+
+goog.inherits(com.qwirx.data.History.Event, goog.events.Event);
+
+/**
+ * @return the label passed to {com.qwirx.data.History#beginGroup} when
+ * the step was recorded, or undefined if there wasn't one.
+ */
+com.qwirx.data.History.Event.prototype.getLabel = function()
+{
+	return this.label_;
+};
+
+/**
+ * @return the datasource whose changes this history records.
+ */
+com.qwirx.data.History.prototype.getDatasource = function()
+{
+	return this.datasource_;
+};
+
+/**
+ * Stop recording changes to the datasource, and forget all the steps.
+ */
+com.qwirx.data.History.prototype.detach = function()
+{
+	this.datasource_.setHistory(null);
+	this.clear();
+};
+
+/**
+ * Record a change made to the datasource. Called by
+ * {com.qwirx.data.Datasource#recordChange}, whose documentation
+ * describes the parameters. Changes made by {#undo} and {#redo}
+ * themselves are ignored.
+ */
+com.qwirx.data.History.prototype.record = function(type, rowIndex,
+	oldRecords, newRecords)
+{
+	if (this.replaying_)
+	{
+		return;
+	}
+	
+	function copy(records)
+	{
+		return records && goog.array.map(records, goog.object.clone);
+	}
+	
+	var change = {type: type, rowIndex: rowIndex,
+		oldRecords: copy(oldRecords), newRecords: copy(newRecords)};
+	
+	if (this.openStep_)
+	{
+		this.openStep_.changes.push(change);
+	}
+	else
+	{
+		this.addStep_({changes: [change]});
+	}
+};
+
+/**
+ * Add a newly recorded step, which can't be followed by any steps that
+ * were undone.
+ * @private
+ */
+com.qwirx.data.History.prototype.addStep_ = function(step)
+{
+	this.undoSteps_.push(step);
+	this.redoSteps_ = [];
+	
+	if (this.undoSteps_.length > this.limit_)
+	{
+		this.undoSteps_.shift();
+	}
+	
+	this.dispatchEvent(new com.qwirx.data.History.Event(
+		com.qwirx.data.History.Events.RECORD, step.label));
+};
+
+/**
+ * Start a group of changes, which will be undone and redone as a
+ * single step. Groups can be nested, in which case the changes are
+ * all part of the outermost group. Every call must be matched by a
+ * call to {#endGroup} or {#discardGroup}.
+ *
+ * @param {string=} opt_label A description of the step, such as
+ * "Paste", which is passed to listeners with the events about it.
+ */
+com.qwirx.data.History.prototype.beginGroup = function(opt_label)
+{
+	if (!this.openStep_)
+	{
+		this.openStep_ = {label: opt_label, changes: []};
+	}
+	
+	this.groupStarts_.push(this.openStep_.changes.length);
+};
+
+/**
+ * @return true if a group has been started with {#beginGroup} and not
+ * yet ended.
+ */
+com.qwirx.data.History.prototype.isInGroup = function()
+{
+	return this.groupStarts_.length > 0;
+};
+
+/**
+ * Finish the group started by the last call to {#beginGroup}. If it was
+ * the outermost one, and any changes were made during it, they are
+ * recorded as a single step.
+ * @throws {com.qwirx.data.HistoryError} if no group is open.
+ */
+com.qwirx.data.History.prototype.endGroup = function()
+{
+	this.closeGroup_(false);
+};
+
+/**
+ * Finish the group started by the last call to {#beginGroup}, and
+ * forget the changes made during it, which must already have been
+ * reverted, for example by {com.qwirx.data.Datasource#rollback}.
+ * @throws {com.qwirx.data.HistoryError} if no group is open.
+ */
+com.qwirx.data.History.prototype.discardGroup = function()
+{
+	this.closeGroup_(true);
+};
+
+/** @private */
+com.qwirx.data.History.prototype.closeGroup_ = function(discard)
+{
+	if (!this.groupStarts_.length)
+	{
+		throw new com.qwirx.data.HistoryError("There is no open group " +
+			"to end");
+	}
+	
+	var start = this.groupStarts_.pop();
+	var step = this.openStep_;
+	
+	if (discard)
+	{
+		step.changes.splice(start, step.changes.length - start);
+	}
+	
+	if (!this.groupStarts_.length)
+	{
+		this.openStep_ = null;
+		
+		if (step.changes.length)
+		{
+			this.addStep_(step);
+		}
+	}
+};
+
+/**
+ * @return true if there is a step that can be undone.
+ */
+com.qwirx.data.History.prototype.canUndo = function()
+{
+	return this.undoSteps_.length > 0 && !this.isInGroup();
+};
+
+/**
+ * @return true if there is a step that was undone and can be redone.
+ */
+com.qwirx.data.History.prototype.canRedo = function()
+{
+	return this.redoSteps_.length > 0 && !this.isInGroup();
+};
+
+/**
+ * Undo the last step that was recorded or redone, by making the
+ * opposite changes to the datasource in reverse order.
+ *
+ * @throws {com.qwirx.data.HistoryError} if there is nothing to undo,
+ * or a group is open.
+ * @throws any exception thrown by the datasource while undoing the
+ * changes, in which case the history is cleared, because it no longer
+ * matches the data.
+ */
+com.qwirx.data.History.prototype.undo = function()
+{
+	this.assertCanReplay_(this.canUndo(), "undo");
+	var step = this.undoSteps_.pop();
+	this.replay_(goog.array.clone(step.changes).reverse(), true);
+	this.redoSteps_.push(step);
+	this.dispatchEvent(new com.qwirx.data.History.Event(
+		com.qwirx.data.History.Events.UNDO, step.label));
+};
+
+/**
+ * Redo the last step that was undone, by making the same changes to
+ * the datasource again, unless another change has been recorded since
+ * then.
+ *
+ * @throws {com.qwirx.data.HistoryError} if there is nothing to redo,
+ * or a group is open.
+ * @throws any exception thrown by the datasource while redoing the
+ * changes, in which case the history is cleared.
+ */
+com.qwirx.data.History.prototype.redo = function()
+{
+	this.assertCanReplay_(this.canRedo(), "redo");
+	var step = this.redoSteps_.pop();
+	this.replay_(step.changes, false);
+	this.undoSteps_.push(step);
+	this.dispatchEvent(new com.qwirx.data.History.Event(
+		com.qwirx.data.History.Events.REDO, step.label));
+};
+
+/** @private */
+com.qwirx.data.History.prototype.assertCanReplay_ = function(canReplay,
+	action)
+{
+	if (this.isInGroup())
+	{
+		throw new com.qwirx.data.HistoryError("Cannot " + action +
+			" while a group is open");
+	}
+	else if (!canReplay)
+	{
+		throw new com.qwirx.data.HistoryError("There is nothing to " +
+			action);
+	}
+};
+
+/**
+ * Make the changes, or their opposites if inverse is true, to the
+ * datasource without recording them.
+ * @private
+ */
+com.qwirx.data.History.prototype.replay_ = function(changes, inverse)
+{
+	var Events = com.qwirx.data.Datasource.Events;
+	var ds = this.datasource_;
+	this.replaying_ = true;
+	
+	try
+	{
+		for (var i = 0; i < changes.length; i++)
+		{
+			var change = changes[i];
+			var type = change.type;
+			var records = inverse ? change.oldRecords : change.newRecords;
+			
+			if (inverse && type == Events.ROWS_INSERT)
+			{
+				type = Events.ROWS_DELETE;
+			}
+			else if (inverse && type == Events.ROWS_DELETE)
+			{
+				type = Events.ROWS_INSERT;
+			}
+			
+			// A change to several rows was made by one of the range
+			// methods, so it's replayed by the same one, which makes it
+			// in one step, as it was recorded. Otherwise the rows might
+			// clash with each other in between, for example if they
+			// swapped primary keys.
+			var count = (change.oldRecords || change.newRecords).length;
+			
+			if (type == Events.ROWS_DELETE)
+			{
+				if (count == 1)
+				{
+					ds.remove(change.rowIndex);
+				}
+				else
+				{
+					ds.removeRange(change.rowIndex, count);
+				}
+			}
+			else if (type == Events.ROWS_INSERT)
+			{
+				if (count == 1)
+				{
+					ds.insert(change.rowIndex, records[0]);
+				}
+				else
+				{
+					ds.insertRange(change.rowIndex, records);
+				}
+			}
+			else
+			{
+				if (count == 1)
+				{
+					ds.replace(change.rowIndex, records[0]);
+				}
+				else
+				{
+					ds.replaceRange(change.rowIndex, records);
+				}
+			}
+		}
+	}
+	catch (exception)
+	{
+		this.clear();
+		throw exception;
+	}
+	finally
+	{
+		this.replaying_ = false;
+	}
+};
+
+/**
+ * Forget all the steps that can be undone or redone. Any open group is
+ * not affected.
+ */
+com.qwirx.data.History.prototype.clear = function()
+{
+	this.undoSteps_ = [];
+	this.redoSteps_ = [];
+	this.dispatchEvent(new com.qwirx.data.History.Event(
+		com.qwirx.data.History.Events.CLEAR));
+};
@@ -0,0 +1,241 @@
+goog.provide('com.qwirx.data.History_test');
+
+goog.require('com.qwirx.data.Cursor');
+goog.require('com.qwirx.data.Datasource');
+goog.require('com.qwirx.data.History');
+goog.require('com.qwirx.data.SimpleDatasource');
+goog.require('com.qwirx.data.SortedDatasource');
+goog.require('com.qwirx.test.assertThrows');
+goog.require('goog.testing.jsunit');
+
+function getTestDataSource()
+{
+	var columns = [{name: 'id', caption: 'ID', key: true},
+		{name: 'name', caption: 'Name'}];
+	var data = [
+		{id: 1, name: 'John'},
+		{id: 2, name: 'James'},
+		{id: 5, name: 'Peter'},
+	];
+	return new com.qwirx.data.SimpleDatasource(columns, data);
+}
+
+function getNames(ds)
+{
+	var names = [];
+	for (var i = 0; i < ds.getCount(); i++)
+	{
+		names.push(ds.get(i).name);
+	}
+	return names.join(' ');
+}
+
+function test_history_undo_and_redo_single_changes()
+{
+	var ds = getTestDataSource();
+	var history = new com.qwirx.data.History(ds);
+	assertEquals(history, ds.getHistory());
+	assertFalse(history.canUndo());
+	assertFalse(history.canRedo());
+	
+	ds.insert(0, {id: 0, name: 'Adam'});
+	ds.replace(2, {id: 2, name: 'Jim'});
+	ds.remove(1);
+	assertEquals('Adam Jim Peter', getNames(ds));
+	assertTrue(history.canUndo());
+	
+	var Events = com.qwirx.data.Datasource.Events;
+	var events = com.qwirx.test.assertEvents(ds, [Events.ROWS_INSERT],
+		function() { history.undo(); },
+		"Undoing a delete should insert the row again");
+	assertObjectEquals([1], events[0].getAffectedRows());
+	assertEquals('Adam John Jim Peter', getNames(ds));
+	assertTrue(history.canRedo());
+	
+	events = com.qwirx.test.assertEvents(ds, [Events.ROWS_UPDATE],
+		function() { history.undo(); },
+		"Undoing a replace should restore the old values");
+	assertObjectEquals([2], events[0].getAffectedRows());
+	assertEquals('Adam John James Peter', getNames(ds));
+	
+	history.undo();
+	assertEquals('John James Peter', getNames(ds));
+	assertFalse(history.canUndo());
+	com.qwirx.test.assertThrows(com.qwirx.data.HistoryError,
+		function(){history.undo();},
+		"There should be nothing left to undo");
+	
+	history.redo();
+	history.redo();
+	assertEquals('Adam John Jim Peter', getNames(ds));
+	
+	// A new change means that the undone step can't be redone
+	ds.add({id: 6, name: 'Paul'});
+	assertFalse(history.canRedo());
+	com.qwirx.test.assertThrows(com.qwirx.data.HistoryError,
+		function(){history.redo();},
+		"There should be nothing to redo after a new change");
+	history.undo();
+	assertEquals('Adam John Jim Peter', getNames(ds));
+	
+	history.detach();
+	assertNull(ds.getHistory());
+	assertFalse(history.canUndo());
+	ds.remove(0);
+	assertFalse(history.canUndo());
+}
+
+function test_history_groups_and_transactions()
+{
+	var ds = getTestDataSource();
+	var history = new com.qwirx.data.History(ds);
+	var Events = com.qwirx.data.History.Events;
+	
+	var events = com.qwirx.test.assertEvents(history, [Events.RECORD],
+		function()
+		{
+			history.beginGroup("Rename");
+			ds.replace(0, {id: 1, name: 'Johnny'});
+			history.beginGroup();
+			ds.insertRange(1, [{id: 3, name: 'Andrew'},
+				{id: 4, name: 'Philip'}]);
+			history.endGroup();
+			assertFalse("Undo is not allowed inside a group",
+				history.canUndo());
+			ds.removeRange(3, 2);
+			history.endGroup();
+		},
+		"Closing the outermost group should record a step");
+	assertEquals(1, events.length);
+	assertEquals("Rename", events[0].getLabel());
+	assertEquals('Johnny Andrew Philip', getNames(ds));
+	
+	events = com.qwirx.test.assertEvents(history, [Events.UNDO],
+		function() { history.undo(); },
+		"Undoing should send an UNDO event");
+	assertEquals("Rename", events[0].getLabel());
+	assertEquals('John James Peter', getNames(ds));
+	assertFalse(history.canUndo());
+	history.redo();
+	assertEquals('Johnny Andrew Philip', getNames(ds));
+	history.undo();
+	
+	// A committed transaction is a single step
+	ds.beginTransaction();
+	ds.remove(0);
+	ds.add({id: 7, name: 'Mary'});
+	ds.commit();
+	assertEquals('James Peter Mary', getNames(ds));
+	history.undo();
+	assertEquals('John James Peter', getNames(ds));
+	
+	// A rolled back transaction is forgotten
+	ds.beginTransaction();
+	ds.remove(0);
+	ds.rollback();
+	assertFalse(history.canUndo());
+	assertTrue(history.canRedo());
+	
+	com.qwirx.test.assertThrows(com.qwirx.data.HistoryError,
+		function(){history.endGroup();},
+		"There should be no group to end");
+	com.qwirx.test.assertThrows(com.qwirx.data.HistoryError,
+		function(){new com.qwirx.data.History(ds);},
+		"A datasource can only have one history");
+}
+
+function test_history_limit_and_clear()
+{
+	var ds = getTestDataSource();
+	var history = new com.qwirx.data.History(ds, 2);
+	
+	ds.replace(0, {id: 1, name: 'A'});
+	ds.replace(0, {id: 1, name: 'B'});
+	ds.replace(0, {id: 1, name: 'C'});
+	history.undo();
+	history.undo();
+	assertFalse("The oldest step should have been forgotten",
+		history.canUndo());
+	assertEquals('A', ds.get(0).name);
+	
+	com.qwirx.test.assertEvents(history,
+		[com.qwirx.data.History.Events.CLEAR],
+		function() { ds.restoreFromJson(ds.toJson()); },
+		"Restoring should clear the history");
+	assertFalse(history.canRedo());
+}
+
+function test_history_replays_move_cursors()
+{
+	var ds = getTestDataSource();
+	var history = new com.qwirx.data.History(ds);
+	var sorted = new com.qwirx.data.SortedDatasource(ds,
+		[{name: 'name'}]);
+	var cursor = new com.qwirx.data.Cursor(sorted);
+	
+	// Writes through the view are recorded by the source's history
+	cursor.setPosition(0); // James
+	cursor.setFieldValue('name', 'Zebedee');
+	cursor.save();
+	assertEquals(2, cursor.getPosition());
+	assertEquals('Zebedee', cursor.getCurrentValues().name);
+	
+	history.undo();
+	assertEquals("The cursor should follow the restored record",
+		0, cursor.getPosition());
+	assertEquals('James', cursor.getCurrentValues().name);
+	
+	cursor.setPosition(1); // John
+	history.redo();
+	assertEquals("The cursor should follow John when James moves",
+		0, cursor.getPosition());
+	assertEquals('John', cursor.getCurrentValues().name);
+	
+	cursor.setPosition(2); // Zebedee
+	history.undo();
+	history.redo();
+	cursor.setPosition(0);
+	ds.remove(0); // John, so the cursor moves to Peter
+	history.undo();
+	assertEquals('John Peter Zebedee', getNames(sorted));
+	assertEquals("The cursor should stay on Peter when John returns",
+		1, cursor.getPosition());
+	assertEquals('Peter', cursor.getCurrentValues().name);
+}
+
+function test_history_replays_range_changes_in_one_step()
+{
+	var ds = getTestDataSource();
+	var history = new com.qwirx.data.History(ds);
+	var Events = com.qwirx.data.Datasource.Events;
+	
+	// Swapping the keys of two rows can only be done in one step
+	ds.replaceRange(0, [{id: 2, name: 'John'}, {id: 1, name: 'James'}]);
+	var events = com.qwirx.test.assertEvents(ds, [Events.ROWS_UPDATE],
+		function() { history.undo(); },
+		"Undoing a range change should send a single event");
+	assertEquals(1, events.length);
+	assertObjectEquals([0, 1], events[0].getAffectedRows());
+	assertObjectEquals({id: 1, name: 'John'}, ds.get(0));
+	assertObjectEquals({id: 2, name: 'James'}, ds.get(1));
+	assertTrue("The history should not have been cleared",
+		history.canRedo());
+	
+	history.redo();
+	assertObjectEquals({id: 2, name: 'John'}, ds.get(0));
+	assertTrue(history.canUndo());
+	
+	ds.insertRange(1, [{id: 3, name: 'Adam'}, {id: 4, name: 'Eve'}]);
+	events = com.qwirx.test.assertEvents(ds, [Events.ROWS_DELETE],
+		function() { history.undo(); },
+		"Undoing an inserted range should send a single event");
+	assertEquals(1, events.length);
+	assertObjectEquals([1, 2], events[0].getAffectedRows());
+	assertEquals('John James Peter', getNames(ds));
+	
+	events = com.qwirx.test.assertEvents(ds, [Events.ROWS_INSERT],
+		function() { history.redo(); },
+		"Redoing an inserted range should send a single event");
+	assertEquals(1, events.length);
+	assertEquals('John Adam Eve James Peter', getNames(ds));
+}
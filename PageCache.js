@@ -0,0 +1,290 @@
+/*
+	@fileoverview Defines the {com.qwirx.data.PageCache} class, which
+	caches records read from a {com.qwirx.data.Datasource}, prefetching
+	them according to how they will be accessed.
+*/
+
+goog.provide('com.qwirx.data.PageCache');
+
+goog.require('com.qwirx.data.Datasource');
+goog.require('goog.array');
+goog.require('goog.object');
+goog.require('goog.structs.LinkedMap');
+
+/**
+ * A cache of the records of a {com.qwirx.data.Datasource}, used by a
+ * {com.qwirx.data.Cursor} so that datasources which are expensive to
+ * read are not asked for the same record over and over again. When a
+ * record is not in the cache, the cache reads it, and some others which
+ * are likely to be needed soon, with
+ * {com.qwirx.data.Datasource#getRange}, depending on the access mode:
+ *
+ * <ul>
+ * <li>ALL_SEQUENTIAL: the whole page containing the row, and the
+ * following {com.qwirx.data.PageCache.READ_AHEAD_PAGES} pages.
+ * <li>LINEAR_SEARCH: the whole page containing the row, since the
+ * search may stop before the end.
+ * <li>BINARY_SEARCH: the row itself, and the rows in the first
+ * {com.qwirx.data.PageCache.PROBE_LEVELS} levels of a binary search
+ * of the whole datasource (the middle row, then the quarter rows, and
+ * so on), which every binary search will compare against.
+ * <li>RANDOM (the default): only the row itself.
+ * </ul>
+ *
+ * Pages start at multiples of the page size. The cache holds up to
+ * maxPages pages of records, and discards the least recently used
+ * records when it's full.
+ *
+ * The datasource sends events when its rows change, and then the whole
+ * cache is discarded, because the row indexes of the cached records
+ * may no longer be right. The cache is not used while the datasource is
+ * in a transaction, because those events are held back until the
+ * transaction is committed, and it may be rolled back instead. Call
+ * {#release} when the cache is no longer needed, so that the datasource
+ * doesn't keep sending it events.
+ *
+ * @param {com.qwirx.data.Datasource} dataSource The datasource to read
+ * records from.
+ * @param {com.qwirx.data.Datasource.AccessMode=} opt_accessMode How the
+ * records will be accessed, which decides which ones to prefetch.
+ * @param {number=} opt_pageSize The number of rows in a page, which
+ * defaults to {com.qwirx.data.PageCache.DEFAULT_PAGE_SIZE}.
+ * @param {number=} opt_maxPages The number of pages of records to keep,
+ * which defaults to {com.qwirx.data.PageCache.DEFAULT_MAX_PAGES}.
+ * @constructor
+ */
+com.qwirx.data.PageCache = function(dataSource, opt_accessMode,
+	opt_pageSize, opt_maxPages)
+{
+	this.dataSource_ = dataSource;
+	this.accessMode_ = opt_accessMode ||
+		com.qwirx.data.Datasource.AccessMode.RANDOM;
+	this.pageSize_ = opt_pageSize ||
+		com.qwirx.data.PageCache.DEFAULT_PAGE_SIZE;
+	
+	var maxPages = opt_maxPages ||
+		com.qwirx.data.PageCache.DEFAULT_MAX_PAGES;
+	this.records_ = new goog.structs.LinkedMap(this.pageSize_ * maxPages,
+		true /* most recently used first */);
+	this.resetStats();
+	
+	var Events = com.qwirx.data.Datasource.Events;
+	dataSource.addEventListener(Events.ROWS_INSERT, this.clear,
+		false /* capture */, this /* scope */);
+	dataSource.addEventListener(Events.ROWS_UPDATE, this.clear,
+		false /* capture */, this /* scope */);
+	dataSource.addEventListener(Events.ROWS_DELETE, this.clear,
+		false /* capture */, this /* scope */);
+	dataSource.addEventListener(Events.ROWS_MOVE, this.clear,
+		false /* capture */, this /* scope */);
+};
+
+com.qwirx.data.PageCache.DEFAULT_PAGE_SIZE = 20;
+com.qwirx.data.PageCache.DEFAULT_MAX_PAGES = 10;
+com.qwirx.data.PageCache.READ_AHEAD_PAGES = 1;
+com.qwirx.data.PageCache.PROBE_LEVELS = 3;
+
+/**
+ * @return the access mode that decides which records to prefetch.
+ */
+com.qwirx.data.PageCache.prototype.getAccessMode = function()
+{
+	return this.accessMode_;
+};
+
+/**
+ * @return the number of rows in a page.
+ */
+com.qwirx.data.PageCache.prototype.getPageSize = function()
+{
+	return this.pageSize_;
+};
+
+/**
+ * @return the statistics of this cache since it was created or
+ * {#resetStats} was last called: an object with the number of
+ * <code>hits</code> (records found in the cache), <code>misses</code>
+ * (records which had to be read from the datasource),
+ * <code>fetches</code> (calls to {com.qwirx.data.Datasource#getRange})
+ * and <code>rowsFetched</code> (records returned by them).
+ */
+com.qwirx.data.PageCache.prototype.getStats = function()
+{
+	return goog.object.clone(this.stats_);
+};
+
+/**
+ * Set all the statistics returned by {#getStats} back to zero.
+ */
+com.qwirx.data.PageCache.prototype.resetStats = function()
+{
+	this.stats_ = {hits: 0, misses: 0, fetches: 0, rowsFetched: 0};
+};
+
+/**
+ * Discard all the cached records, so that they will be read from the
+ * datasource again. Called automatically when the datasource sends a
+ * {com.qwirx.data.Datasource.RowEvent}.
+ */
+com.qwirx.data.PageCache.prototype.clear = function()
+{
+	this.records_.clear();
+};
+
+/**
+ * Stop listening to the datasource and discard all the cached records.
+ * The cache can't be used after this.
+ */
+com.qwirx.data.PageCache.prototype.release = function()
+{
+	var Events = com.qwirx.data.Datasource.Events;
+	this.dataSource_.removeEventListener(Events.ROWS_INSERT, this.clear,
+		false /* capture */, this /* scope */);
+	this.dataSource_.removeEventListener(Events.ROWS_UPDATE, this.clear,
+		false /* capture */, this /* scope */);
+	this.dataSource_.removeEventListener(Events.ROWS_DELETE, this.clear,
+		false /* capture */, this /* scope */);
+	this.dataSource_.removeEventListener(Events.ROWS_MOVE, this.clear,
+		false /* capture */, this /* scope */);
+	this.clear();
+};
+
+/**
+ * @return the record at the specified row index, from the cache if
+ * possible, otherwise from the datasource, in which case some other
+ * records may be read too, depending on the access mode.
+ * @throws {com.qwirx.data.NoSuchRecord} if there is no such row,
+ * which may only be discovered by trying to read it, if the datasource
+ * doesn't know how many rows it has.
+ */
+com.qwirx.data.PageCache.prototype.get = function(rowIndex)
+{
+	if (this.dataSource_.isInTransaction())
+	{
+		return this.dataSource_.get(rowIndex);
+	}
+	
+	if (this.records_.containsKey(rowIndex))
+	{
+		this.stats_.hits++;
+		return goog.object.clone(this.records_.get(rowIndex));
+	}
+	
+	this.stats_.misses++;
+	this.dataSource_.assertValidRow(rowIndex);
+	
+	var ranges = this.getRangesToFetch_(rowIndex);
+	var record;
+	
+	for (var i = 0; i < ranges.length; i++)
+	{
+		var records = this.dataSource_.getRange(ranges[i].start,
+			ranges[i].count);
+		this.stats_.fetches++;
+		this.stats_.rowsFetched += records.length;
+		
+		for (var j = 0; j < records.length; j++)
+		{
+			this.records_.set(ranges[i].start + j, records[j]);
+			
+			if (ranges[i].start + j == rowIndex)
+			{
+				record = records[j];
+			}
+		}
+	}
+	
+	if (record === undefined)
+	{
+		// The datasource didn't know how many rows it had, and it
+		// turns out that it doesn't have this one.
+		throw new com.qwirx.data.NoSuchRecord('Row index ' + rowIndex +
+			' is past the end of the data');
+	}
+	
+	// Make sure that it's the most recently used, so that it's not
+	// pushed out by the records that were prefetched after it.
+	this.records_.set(rowIndex, record);
+	return goog.object.clone(record);
+};
+
+/**
+ * @return the ranges of rows to read when the specified row is not in
+ * the cache, according to the access mode, as an array of objects with
+ * <code>start</code> and <code>count</code> properties.
+ * @private
+ */
+com.qwirx.data.PageCache.prototype.getRangesToFetch_ = function(rowIndex)
+{
+	var AccessMode = com.qwirx.data.Datasource.AccessMode;
+	var pageStart = rowIndex - (rowIndex % this.pageSize_);
+	
+	if (this.accessMode_ == AccessMode.ALL_SEQUENTIAL)
+	{
+		return [{start: pageStart, count: this.pageSize_ *
+			(1 + com.qwirx.data.PageCache.READ_AHEAD_PAGES)}];
+	}
+	else if (this.accessMode_ == AccessMode.LINEAR_SEARCH)
+	{
+		return [{start: pageStart, count: this.pageSize_}];
+	}
+	
+	var ranges = [{start: rowIndex, count: 1}];
+	var rowCount = this.dataSource_.getCount();
+	
+	// We can't tell where a binary search will look if we don't know
+	// how many rows there are.
+	if (this.accessMode_ == AccessMode.BINARY_SEARCH && rowCount != null)
+	{
+		var probes = com.qwirx.data.PageCache.getProbePoints(rowCount,
+			com.qwirx.data.PageCache.PROBE_LEVELS);
+		
+		for (var i = 0; i < probes.length; i++)
+		{
+			if (probes[i] != rowIndex &&
+				!this.records_.containsKey(probes[i]))
+			{
+				ranges.push({start: probes[i], count: 1});
+			}
+		}
+	}
+	
+	return ranges;
+};
+
+/**
+ * @return the row indexes which a binary search of the specified number
+ * of rows may compare against in its first few steps, in ascending
+ * order: the middle row, then the middle rows of each half, and so on.
+ *
+ * @param {number} count The number of rows to be searched.
+ * @param {number} levels The number of steps of the search.
+ */
+com.qwirx.data.PageCache.getProbePoints = function(count, levels)
+{
+	var probes = [];
+	var ranges = [{start: 0, end: count}];
+	
+	for (var level = 0; level < levels; level++)
+	{
+		var nextRanges = [];
+		
+		for (var i = 0; i < ranges.length; i++)
+		{
+			var start = ranges[i].start, end = ranges[i].end;
+			
+			if (start < end)
+			{
+				var middle = (start + end) >> 1;
+				probes.push(middle);
+				nextRanges.push({start: start, end: middle},
+					{start: middle + 1, end: end});
+			}
+		}
+		
+		ranges = nextRanges;
+	}
+	
+	goog.array.sort(probes);
+	return probes;
+};
@@ -0,0 +1,161 @@
+goog.provide('com.qwirx.data.PageCache_test');
+
+goog.require('com.qwirx.data.Datasource');
+goog.require('com.qwirx.data.PageCache');
+goog.require('com.qwirx.data.SimpleDatasource');
+goog.require('com.qwirx.test.assertThrows');
+goog.require('goog.testing.jsunit');
+
+function getTestDataSource(count)
+{
+	var data = [];
+	for (var i = 0; i < count; i++)
+	{
+		data.push({id: i});
+	}
+	return new com.qwirx.data.SimpleDatasource([{name: 'id', caption: 'ID'}],
+		data);
+}
+
+function assertStats(expected, cache)
+{
+	assertObjectEquals(expected, cache.getStats());
+}
+
+function test_page_cache_sequential_reads_ahead()
+{
+	var ds = getTestDataSource(50);
+	var cache = new com.qwirx.data.PageCache(ds,
+		com.qwirx.data.Datasource.AccessMode.ALL_SEQUENTIAL, 10);
+	
+	assertObjectEquals({id: 0}, cache.get(0));
+	assertStats({hits: 0, misses: 1, fetches: 1, rowsFetched: 20}, cache);
+	
+	for (var i = 1; i < 20; i++)
+	{
+		assertObjectEquals({id: i}, cache.get(i));
+	}
+	assertStats({hits: 19, misses: 1, fetches: 1, rowsFetched: 20}, cache);
+	
+	// The last read ahead is cut short by the end of the data
+	cache.get(45);
+	assertStats({hits: 19, misses: 2, fetches: 2, rowsFetched: 30}, cache);
+}
+
+function test_page_cache_linear_search_reads_pages()
+{
+	var ds = getTestDataSource(50);
+	var cache = new com.qwirx.data.PageCache(ds,
+		com.qwirx.data.Datasource.AccessMode.LINEAR_SEARCH, 10);
+	
+	cache.get(15);
+	cache.get(10);
+	cache.get(19);
+	assertStats({hits: 2, misses: 1, fetches: 1, rowsFetched: 10}, cache);
+	cache.get(20);
+	assertStats({hits: 2, misses: 2, fetches: 2, rowsFetched: 20}, cache);
+}
+
+function test_page_cache_binary_search_fetches_probe_points()
+{
+	assertObjectEquals([12, 25, 38], com.qwirx.data.PageCache.getProbePoints(
+		50, 2));
+	assertObjectEquals([0, 1, 2], com.qwirx.data.PageCache.getProbePoints(
+		3, 5));
+	
+	var ds = getTestDataSource(50);
+	var cache = new com.qwirx.data.PageCache(ds,
+		com.qwirx.data.Datasource.AccessMode.BINARY_SEARCH, 10);
+	
+	// The first read fetches the first three levels of probe points,
+	// which are 6, 12, 19, 25, 32, 38, 44, as well as the row itself.
+	cache.get(25);
+	assertStats({hits: 0, misses: 1, fetches: 7, rowsFetched: 7}, cache);
+	cache.get(12);
+	cache.get(19);
+	assertStats({hits: 2, misses: 1, fetches: 7, rowsFetched: 7}, cache);
+	
+	// After that, only the row itself.
+	cache.get(15);
+	assertStats({hits: 2, misses: 2, fetches: 8, rowsFetched: 8}, cache);
+}
+
+function test_page_cache_random_fetches_single_rows()
+{
+	var ds = getTestDataSource(50);
+	var cache = new com.qwirx.data.PageCache(ds);
+	assertEquals(com.qwirx.data.Datasource.AccessMode.RANDOM,
+		cache.getAccessMode());
+	
+	cache.get(30);
+	cache.get(31);
+	cache.get(30);
+	assertStats({hits: 1, misses: 2, fetches: 2, rowsFetched: 2}, cache);
+	
+	cache.resetStats();
+	assertStats({hits: 0, misses: 0, fetches: 0, rowsFetched: 0}, cache);
+}
+
+function test_page_cache_discards_least_recently_used()
+{
+	var ds = getTestDataSource(50);
+	var cache = new com.qwirx.data.PageCache(ds,
+		com.qwirx.data.Datasource.AccessMode.LINEAR_SEARCH, 10,
+		2 /* pages */);
+	
+	cache.get(0);
+	cache.get(10);
+	cache.get(5);
+	// The cache is full, and reading this page discards the ten least
+	// recently used records, which are rows 0 to 9 except 5, and 11,
+	// but not 10 which was read directly.
+	cache.get(20);
+	assertStats({hits: 1, misses: 3, fetches: 3, rowsFetched: 30}, cache);
+	
+	cache.get(5);
+	cache.get(10);
+	assertStats({hits: 3, misses: 3, fetches: 3, rowsFetched: 30}, cache);
+	cache.get(11);
+	assertStats({hits: 3, misses: 4, fetches: 4, rowsFetched: 40}, cache);
+}
+
+function test_page_cache_cleared_by_datasource_changes()
+{
+	var ds = getTestDataSource(5);
+	var cache = new com.qwirx.data.PageCache(ds,
+		com.qwirx.data.Datasource.AccessMode.LINEAR_SEARCH, 10);
+	
+	assertObjectEquals({id: 2}, cache.get(2));
+	ds.replace(2, {id: 'two'});
+	assertObjectEquals({id: 'two'}, cache.get(2));
+	ds.insert(0, {id: 'new'});
+	assertObjectEquals({id: 1}, cache.get(2));
+	assertEquals(3, cache.getStats().fetches);
+	
+	// Changing a returned record does not change the cached one
+	cache.get(2).id = 'changed';
+	assertObjectEquals({id: 1}, cache.get(2));
+	
+	// The cache is not used in a transaction, because the changes could
+	// be rolled back without any events being sent.
+	ds.beginTransaction();
+	ds.replace(2, {id: 'uncommitted'});
+	assertObjectEquals({id: 'uncommitted'}, cache.get(2));
+	ds.rollback();
+	assertObjectEquals({id: 1}, cache.get(2));
+	
+	com.qwirx.test.assertThrows(com.qwirx.data.NoSuchRecord,
+		function() { cache.get(6); },
+		"Reading a row that does not exist should throw an exception");
+}
+
+function test_page_cache_release_stops_listening()
+{
+	var ds = getTestDataSource(5);
+	var cache = new com.qwirx.data.PageCache(ds);
+	assertTrue(ds.hasListener());
+	
+	cache.release();
+	assertFalse("The datasource should not keep a released cache alive",
+		ds.hasListener());
+}
@@ -0,0 +1,386 @@
+/*
+	@fileoverview Defines the {com.qwirx.data.ProjectedDatasource} class,
+	which presents some of the columns, and optionally only the first few
+	rows, of another {com.qwirx.data.Datasource}.
+*/
+
+goog.provide('com.qwirx.data.ProjectedDatasource');
+
+goog.require('com.qwirx.data.Cursor');
+goog.require('com.qwirx.data.Datasource');
+goog.require('goog.array');
+goog.require('goog.object');
+
+/**
+ * A live view of some of the columns of another
+ * {com.qwirx.data.Datasource}, like the column list of an SQL SELECT,
+ * optionally limited to its first rows, like a LIMIT clause. The rows
+ * are those of the source, in the same order, but each record only has
+ * the selected columns.
+ *
+ * The view listens for {com.qwirx.data.Datasource.RowEvent}s from the
+ * source and sends its own, for the rows within the limit. When rows
+ * are inserted within the limit, the ones pushed past it are removed
+ * from the view with a ROWS_DELETE event first; and when rows are
+ * deleted, the ones that move up within the limit are added to the end
+ * with a ROWS_INSERT event. When the source sends several changes at
+ * once (see {com.qwirx.data.Datasource#dispatchChanges}), the view
+ * sends a CHANGES_COMPLETE event after the source does, and
+ * {#isSendingChanges} returns true until then.
+ *
+ * Writes to the view are passed through to the source. A record which
+ * is replaced through the view keeps the values of the columns which
+ * are not selected.
+ *
+ * @param {com.qwirx.data.Datasource} source The datasource to project.
+ *
+ * @param {Array.<string>} columnNames The names of the columns of the
+ * source to include, in the order that they should appear in.
+ *
+ * @param {?number=} opt_limit The maximum number of rows to include,
+ * or null or undefined to include all of them.
+ *
+ * @throws {com.qwirx.data.NoSuchField} if the source has no column with
+ * one of the names.
+ *
+ * @constructor
+ */
+com.qwirx.data.ProjectedDatasource = function(source, columnNames,
+	opt_limit)
+{
+	this.source_ = source;
+	this.limit_ = (opt_limit == null) ? Infinity : opt_limit;
+	
+	var sourceColumns = source.getColumns();
+	this.columns_ = goog.array.map(columnNames, function(name)
+		{
+			var column = goog.array.find(sourceColumns, function(column)
+				{
+					return column.name == name;
+				});
+			
+			if (!column)
+			{
+				throw new com.qwirx.data.NoSuchField("The field " + name +
+					" does not exist in this datasource. Valid fields " +
+					"are: " + goog.array.map(sourceColumns, function(column)
+						{
+							return column.name;
+						}).join(" "));
+			}
+			
+			return goog.object.clone(column);
+		});
+	
+	var Events = com.qwirx.data.Datasource.Events;
+	source.addEventListener(Events.ROWS_INSERT,
+		this.handleSourceRowInsert, false /* capture */, this /* scope */);
+	source.addEventListener(Events.ROWS_UPDATE,
+		this.handleSourceRowUpdate, false /* capture */, this /* scope */);
+	source.addEventListener(Events.ROWS_DELETE,
+		this.handleSourceRowDelete, false /* capture */, this /* scope */);
+	source.addEventListener(Events.ROWS_MOVE,
+		this.handleSourceRowMove, false /* capture */, this /* scope */);
+	source.addEventListener(Events.CHANGES_COMPLETE,
+		this.handleSourceChangesComplete, false /* capture */,
+		this /* scope */);
+};
+
+goog.inherits(com.qwirx.data.ProjectedDatasource,
+	com.qwirx.data.Datasource);
+
+/**
+ * @return the datasource that this view projects.
+ */
+com.qwirx.data.ProjectedDatasource.prototype.getSource = function()
+{
+	return this.source_;
+};
+
+/**
+ * @return the maximum number of rows in this view, or null if there
+ * is no limit.
+ */
+com.qwirx.data.ProjectedDatasource.prototype.getLimit = function()
+{
+	return (this.limit_ == Infinity) ? null : this.limit_;
+};
+
+com.qwirx.data.ProjectedDatasource.prototype.getColumns = function()
+{
+	return goog.array.clone(this.columns_);
+};
+
+/**
+ * @return the number of rows in the source, up to the limit, or null
+ * if the source doesn't know how many rows it has.
+ */
+com.qwirx.data.ProjectedDatasource.prototype.getCount = function()
+{
+	var rowCount = this.source_.getCount();
+	return (rowCount == null) ? null : Math.min(rowCount, this.limit_);
+};
+
+/**
+ * @return a record with the values of the selected columns of the
+ * source row at the same position.
+ */
+com.qwirx.data.ProjectedDatasource.prototype.get = function(rowIndex)
+{
+	this.assertValidRow(rowIndex, this.limit_ - 1);
+	return this.project_(this.source_.get(rowIndex));
+};
+
+/**
+ * @return a copy of the record with only the selected columns.
+ * @private
+ */
+com.qwirx.data.ProjectedDatasource.prototype.project_ = function(record)
+{
+	var projected = {};
+	
+	for (var i = 0; i < this.columns_.length; i++)
+	{
+		projected[this.columns_[i].name] = record[this.columns_[i].name];
+	}
+	
+	return projected;
+};
+
+/**
+ * @return the version of the row in the source datasource.
+ * @override
+ */
+com.qwirx.data.ProjectedDatasource.prototype.getVersion =
+	function(rowIndex)
+{
+	this.assertValidRow(rowIndex);
+	return this.source_.getVersion(rowIndex);
+};
+
+/**
+ * @return the sort order of the source datasource, because the rows
+ * are in the same order.
+ * @override
+ */
+com.qwirx.data.ProjectedDatasource.prototype.getSortOrder = function()
+{
+	return this.source_.getSortOrder();
+};
+
+/**
+ * @return true while the source is sending several changes at once.
+ * @override
+ */
+com.qwirx.data.ProjectedDatasource.prototype.isSendingChanges =
+	function()
+{
+	return this.source_.isSendingChanges();
+};
+
+/**
+ * Looks up the key in the source datasource, which works even if the
+ * key columns are not selected.
+ * @override
+ */
+com.qwirx.data.ProjectedDatasource.prototype.indexOfKey = function(key)
+{
+	var rowIndex = this.source_.indexOfKey(key);
+	return (rowIndex < this.limit_) ? rowIndex : -1;
+};
+
+/**
+ * Insert a new record into the source datasource at the same position.
+ */
+com.qwirx.data.ProjectedDatasource.prototype.insert =
+	function(rowIndex, newRecord)
+{
+	this.assertValidRow(rowIndex, this.getCount());
+	this.source_.insert(rowIndex, newRecord);
+};
+
+/**
+ * Add a new record to the source datasource.
+ * @return the position of the new record in this view, or -1 if it is
+ * past the limit.
+ */
+com.qwirx.data.ProjectedDatasource.prototype.add = function(newRecord)
+{
+	var rowIndex = this.source_.add(newRecord);
+	return (rowIndex < this.limit_) ? rowIndex : -1;
+};
+
+/**
+ * Replace the values of the selected columns of the record at the
+ * specified position, in the source datasource, keeping the values of
+ * the other columns.
+ */
+com.qwirx.data.ProjectedDatasource.prototype.replace =
+	function(rowIndex, newRecord)
+{
+	this.assertValidRow(rowIndex);
+	var record = this.source_.get(rowIndex);
+	goog.object.extend(record, this.project_(newRecord));
+	this.source_.replace(rowIndex, record);
+};
+
+/**
+ * Remove the record at the specified position from the source
+ * datasource.
+ */
+com.qwirx.data.ProjectedDatasource.prototype.remove = function(rowIndex)
+{
+	this.assertValidRow(rowIndex);
+	this.source_.remove(rowIndex);
+};
+
+/**
+ * @return an array of the row indexes from start to end, not including
+ * end.
+ * @private
+ */
+com.qwirx.data.ProjectedDatasource.range_ = function(start, end)
+{
+	var rowIndexes = [];
+	
+	for (var i = start; i < end; i++)
+	{
+		rowIndexes.push(i);
+	}
+	
+	return rowIndexes;
+};
+
+/**
+ * Handle new rows in the source by sending a ROWS_DELETE event for any
+ * rows which were pushed past the limit by them, followed by a
+ * ROWS_INSERT event for the ones within the limit.
+ */
+com.qwirx.data.ProjectedDatasource.prototype.handleSourceRowInsert =
+	function(event)
+{
+	var Events = com.qwirx.data.Datasource.Events;
+	var limit = this.limit_;
+	var inserted = goog.array.filter(event.getAffectedRows(),
+		function(rowIndex)
+		{
+			return rowIndex < limit;
+		});
+	goog.array.sort(inserted);
+	
+	var rowCount = this.source_.getCount();
+	var oldCount = Math.min(rowCount - event.getAffectedRows().length,
+		limit);
+	var pushedOut = oldCount - (Math.min(rowCount, limit) -
+		inserted.length);
+	
+	if (pushedOut > 0)
+	{
+		this.dispatchRowEvent(Events.ROWS_DELETE,
+			com.qwirx.data.ProjectedDatasource.range_(oldCount - pushedOut,
+				oldCount));
+	}
+	
+	if (inserted.length)
+	{
+		this.dispatchRowEvent(Events.ROWS_INSERT, inserted);
+	}
+};
+
+/**
+ * Handle updated rows in the source by sending a ROWS_UPDATE event for
+ * the ones within the limit.
+ */
+com.qwirx.data.ProjectedDatasource.prototype.handleSourceRowUpdate =
+	function(event)
+{
+	var limit = this.limit_;
+	var updated = goog.array.filter(event.getAffectedRows(),
+		function(rowIndex)
+		{
+			return rowIndex < limit;
+		});
+	
+	if (updated.length)
+	{
+		this.dispatchRowEvent(com.qwirx.data.Datasource.Events.ROWS_UPDATE,
+			updated);
+	}
+};
+
+/**
+ * Handle deleted rows in the source by sending a ROWS_DELETE event for
+ * the ones within the limit, followed by a ROWS_INSERT event for any
+ * rows which moved up within the limit.
+ */
+com.qwirx.data.ProjectedDatasource.prototype.handleSourceRowDelete =
+	function(event)
+{
+	var Events = com.qwirx.data.Datasource.Events;
+	var limit = this.limit_;
+	var deleted = goog.array.filter(event.getAffectedRows(),
+		function(rowIndex)
+		{
+			return rowIndex < limit;
+		});
+	goog.array.sort(deleted);
+	
+	var rowCount = this.source_.getCount();
+	var oldCount = Math.min(rowCount + event.getAffectedRows().length,
+		limit);
+	var newCount = Math.min(rowCount, limit);
+	var movedUp = newCount - (oldCount - deleted.length);
+	
+	if (deleted.length)
+	{
+		this.dispatchRowEvent(Events.ROWS_DELETE, deleted);
+	}
+	
+	if (movedUp > 0)
+	{
+		this.dispatchRowEvent(Events.ROWS_INSERT,
+			com.qwirx.data.ProjectedDatasource.range_(newCount - movedUp,
+				newCount));
+	}
+};
+
+/**
+ * Handle a row moving in the source by moving it in the view too, if
+ * it stays within the limit. If it moves past the limit, it's removed,
+ * and the row that moved up to take its place is added at the end, or
+ * the other way around if it moves within the limit.
+ */
+com.qwirx.data.ProjectedDatasource.prototype.handleSourceRowMove =
+	function(event)
+{
+	var Events = com.qwirx.data.Datasource.Events;
+	var oldRowIndex = event.getOldRowIndex();
+	var newRowIndex = event.getNewRowIndex();
+	var last = this.limit_ - 1;
+	
+	if (oldRowIndex <= last && newRowIndex <= last)
+	{
+		this.dispatchEvent(new com.qwirx.data.Datasource.RowMoveEvent(
+			oldRowIndex, newRowIndex));
+	}
+	else if (oldRowIndex <= last)
+	{
+		this.dispatchRowEvent(Events.ROWS_DELETE, [oldRowIndex]);
+		this.dispatchRowEvent(Events.ROWS_INSERT, [last]);
+	}
+	else if (newRowIndex <= last)
+	{
+		this.dispatchRowEvent(Events.ROWS_DELETE, [last]);
+		this.dispatchRowEvent(Events.ROWS_INSERT, [newRowIndex]);
+	}
+};
+
+/**
+ * Handle the source having finished sending several changes at once by
+ * sending a CHANGES_COMPLETE event of our own.
+ */
+com.qwirx.data.ProjectedDatasource.prototype.handleSourceChangesComplete =
+	function(event)
+{
+	this.dispatchEvent(com.qwirx.data.Datasource.Events.CHANGES_COMPLETE);
+};
@@ -0,0 +1,137 @@
+goog.provide('com.qwirx.data.ProjectedDatasource_test');
+
+goog.require('com.qwirx.data.Cursor');
+goog.require('com.qwirx.data.Datasource');
+goog.require('com.qwirx.data.ProjectedDatasource');
+goog.require('com.qwirx.data.SimpleDatasource');
+goog.require('com.qwirx.test.assertThrows');
+goog.require('goog.testing.jsunit');
+
+function getTestDataSource()
+{
+	var columns = [{name: 'id', caption: 'ID'},
+		{name: 'name', caption: 'Name'},
+		{name: 'age', caption: 'Age'}];
+	var data = [
+		{id: 1, name: 'John', age: 30},
+		{id: 2, name: 'James', age: 25},
+		{id: 3, name: 'Peter', age: 40},
+		{id: 4, name: 'Mary', age: 35},
+	];
+	return new com.qwirx.data.SimpleDatasource(columns, data);
+}
+
+function getIds(ds)
+{
+	var ids = [];
+	for (var i = 0; i < ds.getCount(); i++)
+	{
+		ids.push(ds.get(i).id);
+	}
+	return ids;
+}
+
+function test_construct_projected_datasource()
+{
+	var source = getTestDataSource();
+	var projected = new com.qwirx.data.ProjectedDatasource(source,
+		['name', 'id']);
+	
+	assertEquals(source, projected.getSource());
+	assertNull(projected.getLimit());
+	assertObjectEquals([{name: 'name', caption: 'Name'},
+		{name: 'id', caption: 'ID'}], projected.getColumns());
+	assertEquals(4, projected.getCount());
+	assertObjectEquals({name: 'Peter', id: 3}, projected.get(2));
+	
+	var limited = new com.qwirx.data.ProjectedDatasource(source, ['id'], 2);
+	assertEquals(2, limited.getLimit());
+	assertObjectEquals([1, 2], getIds(limited));
+	com.qwirx.test.assertThrows(com.qwirx.data.NoSuchRecord,
+		function(){limited.get(2);},
+		"Rows past the limit should not be accessible");
+	
+	var e = com.qwirx.test.assertThrows(com.qwirx.data.NoSuchField,
+		function()
+		{
+			new com.qwirx.data.ProjectedDatasource(source, ['id', 'email']);
+		},
+		"The projected columns must exist");
+	assertEquals("The field email does not exist in this datasource. " +
+		"Valid fields are: id name age", e.message);
+}
+
+function test_projected_datasource_keeps_limit_when_source_changes()
+{
+	var source = getTestDataSource();
+	var limited = new com.qwirx.data.ProjectedDatasource(source, ['id'], 3);
+	var Events = com.qwirx.data.Datasource.Events;
+	
+	// Inserting within the limit pushes the last row out
+	var events = com.qwirx.test.assertEvents(limited,
+		[Events.ROWS_DELETE, Events.ROWS_INSERT],
+		function() { source.insert(1, {id: 5, name: 'Adam', age: 20}); },
+		"Inserting a row should push the last one past the limit");
+	assertObjectEquals([2], events[0].getAffectedRows());
+	assertObjectEquals([1], events[1].getAffectedRows());
+	assertObjectEquals([1, 5, 2], getIds(limited));
+	
+	// Inserting past the limit changes nothing
+	com.qwirx.test.assertEvents(limited, [],
+		function() { source.add({id: 6, name: 'Eve', age: 50}); },
+		"Rows added past the limit should not be visible");
+	
+	// Deleting within the limit pulls the next row in
+	events = com.qwirx.test.assertEvents(limited,
+		[Events.ROWS_DELETE, Events.ROWS_INSERT],
+		function() { source.remove(0); },
+		"Deleting a row should pull the next one within the limit");
+	assertObjectEquals([0], events[0].getAffectedRows());
+	assertObjectEquals([2], events[1].getAffectedRows());
+	assertObjectEquals([5, 2, 3], getIds(limited));
+	
+	events = com.qwirx.test.assertEvents(limited, [Events.ROWS_UPDATE],
+		function() { source.replace(1, {id: 2, name: 'Jim', age: 25}); },
+		"Updating a row within the limit should update it");
+	assertObjectEquals([1], events[0].getAffectedRows());
+	com.qwirx.test.assertEvents(limited, [],
+		function() { source.replace(3, {id: 4, name: 'Maria', age: 35}); },
+		"Updating a row past the limit should not be visible");
+	
+	// A cursor on the view stays on its record
+	var c = new com.qwirx.data.Cursor(limited);
+	c.setPosition(1);
+	source.insert(0, {id: 7, name: 'Zoe', age: 22});
+	assertEquals(2, c.getPosition());
+	assertEquals(2, c.getCurrentValues().id);
+	source.remove(0);
+	assertEquals(1, c.getPosition());
+	assertEquals(2, c.getCurrentValues().id);
+}
+
+function test_projected_datasource_writes_through()
+{
+	var source = getTestDataSource();
+	var projected = new com.qwirx.data.ProjectedDatasource(source,
+		['id', 'name'], 5);
+	
+	projected.replace(0, {id: 1, name: 'Johnny'});
+	assertObjectEquals({id: 1, name: 'Johnny', age: 30}, source.get(0));
+	
+	assertEquals(4, projected.add({id: 5, name: 'Adam'}));
+	assertEquals(-1, projected.add({id: 6, name: 'Eve'}));
+	assertEquals(6, source.getCount());
+	assertEquals(5, projected.getCount());
+	
+	projected.remove(1);
+	assertObjectEquals([1, 3, 4, 5, 6], getIds(projected));
+	
+	var c = new com.qwirx.data.Cursor(projected);
+	c.setPosition(1);
+	c.setFieldValue('name', 'Pete');
+	c.save();
+	assertObjectEquals({id: 3, name: 'Pete', age: 40}, source.get(1));
+	com.qwirx.test.assertThrows(com.qwirx.data.NoSuchField,
+		function(){c.setFieldValue('age', 41);},
+		"Columns which are not projected should not be accessible");
+}
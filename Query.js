@@ -0,0 +1,637 @@
+/*
+	@fileoverview Defines the {com.qwirx.data.Query} class, which parses
+	a small SQL-like query language and builds live views of a
+	{com.qwirx.data.Datasource} from it.
+*/
+
+goog.provide('com.qwirx.data.Query');
+goog.provide('com.qwirx.data.QuerySyntaxError');
+
+goog.require('com.qwirx.data.Cursor');
+goog.require('com.qwirx.data.Datasource');
+goog.require('com.qwirx.data.FilteredDatasource');
+goog.require('com.qwirx.data.ProjectedDatasource');
+goog.require('com.qwirx.data.SortedDatasource');
+goog.require('com.qwirx.util.Exception');
+goog.require('goog.array');
+goog.require('goog.functions');
+goog.require('goog.string');
+
+/**
+ * A query which selects, filters, sorts and limits the rows of a
+ * {com.qwirx.data.Datasource}, written like an SQL SELECT statement
+ * without a FROM clause, for example:
+ *
+ * <pre>
+ * SELECT name, amount WHERE amount > 10 AND NOT name LIKE 'J%'
+ * ORDER BY amount DESC, name LIMIT 20
+ * </pre>
+ *
+ * The column list may be <code>*</code> to select all columns. The
+ * WHERE clause may use the comparison operators = != &lt;&gt; &lt;
+ * &lt;= &gt; &gt;=, <code>IS [NOT] NULL</code>, <code>[NOT] LIKE</code>
+ * with % and _ wildcards, AND, OR, NOT and parentheses, with column
+ * names, numbers, 'strings' (with quotes doubled inside them), TRUE,
+ * FALSE and NULL as values. As in SQL, a comparison with a NULL value
+ * is neither true nor false but unknown, and so is NOT unknown, which
+ * AND and OR treat as unknown unless the other side decides the result
+ * alone. Rows are only selected if the WHERE clause is true, not
+ * unknown. Keywords are not case sensitive, but column names
+ * are, and may be enclosed in double quotes if they contain spaces or
+ * are the same as a keyword.
+ *
+ * The query is parsed when it is constructed, and can then be
+ * executed against any number of datasources.
+ *
+ * @param {string} text The query to parse.
+ *
+ * @throws {com.qwirx.data.QuerySyntaxError} if the query is not valid.
+ *
+ * @constructor
+ */
+com.qwirx.data.Query = function(text)
+{
+	this.tokens_ = com.qwirx.data.Query.tokenize_(text);
+	this.nextToken_ = 0;
+	
+	// The column names selected, or null for all of them.
+	this.columnNames_ = null;
+	this.predicate_ = null;
+	this.sortOrder_ = [];
+	this.limit_ = null;
+	
+	// Every column named in the query, with its position, so that they
+	// can all be checked when it's executed.
+	this.references_ = [];
+	
+	this.parse_();
+};
+
+/**
+ * An exception thrown when a query is not valid.
+ *
+ * @param {string} message What is wrong.
+ * @param {number} position The position in the query text where the
+ * problem was found, starting from 1.
+ * @constructor
+ */
+com.qwirx.data.QuerySyntaxError = function(message, position)
+{
+	goog.base(this, message + " at position " + position);
+	this.position_ = position;
+};
+goog.inherits(com.qwirx.data.QuerySyntaxError, com.qwirx.util.Exception);
+com.qwirx.data.QuerySyntaxError.prototype.getPosition = function()
+{
+	return this.position_;
+};
+
+/**
+ * The words which have a special meaning in queries, and can only be
+ * used as column names by enclosing them in double quotes.
+ */
+com.qwirx.data.Query.KEYWORDS = ['SELECT', 'WHERE', 'ORDER', 'BY', 'ASC',
+	'DESC', 'LIMIT', 'AND', 'OR', 'NOT', 'IS', 'NULL', 'LIKE', 'TRUE',
+	'FALSE'];
+
+/**
+ * Split the text of a query into tokens, each of which has a
+ * <code>type</code> (keyword, identifier, number, string, operator or
+ * end), a <code>value</code> and a <code>position</code>, starting
+ * from 1. The last token always has the type end.
+ * @private
+ */
+com.qwirx.data.Query.tokenize_ = function(text)
+{
+	var tokens = [];
+	var i = 0;
+	
+	while (true)
+	{
+		while (/\s/.test(text.charAt(i)))
+		{
+			i++;
+		}
+		
+		var position = i + 1;
+		
+		if (i >= text.length)
+		{
+			tokens.push({type: 'end', value: null, position: position});
+			return tokens;
+		}
+		
+		var rest = text.substring(i);
+		var match, token;
+		
+		if ((match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rest)))
+		{
+			var word = match[0].toUpperCase();
+			
+			if (goog.array.contains(com.qwirx.data.Query.KEYWORDS, word))
+			{
+				token = {type: 'keyword', value: word};
+			}
+			else
+			{
+				token = {type: 'identifier', value: match[0]};
+			}
+		}
+		else if ((match = /^[0-9]+(\.[0-9]+)?/.exec(rest)))
+		{
+			token = {type: 'number', value: parseFloat(match[0])};
+		}
+		else if ((match = /^'((?:[^']|'')*)'/.exec(rest)))
+		{
+			token = {type: 'string', value: match[1].replace(/''/g, "'")};
+		}
+		else if ((match = /^"((?:[^"]|"")*)"/.exec(rest)))
+		{
+			token = {type: 'identifier',
+				value: match[1].replace(/""/g, '"')};
+		}
+		else if ((match = /^(<=|>=|<>|!=|[=<>*,()\-])/.exec(rest)))
+		{
+			token = {type: 'operator', value: match[0]};
+		}
+		else if (rest.charAt(0) == "'" || rest.charAt(0) == '"')
+		{
+			throw new com.qwirx.data.QuerySyntaxError("Unterminated " +
+				"quoted text", position);
+		}
+		else
+		{
+			throw new com.qwirx.data.QuerySyntaxError("Unexpected " +
+				"character " + rest.charAt(0), position);
+		}
+		
+		token.position = position;
+		tokens.push(token);
+		i += match[0].length;
+	}
+};
+
+/**
+ * @return the next token, without consuming it.
+ * @private
+ */
+com.qwirx.data.Query.prototype.peek_ = function()
+{
+	return this.tokens_[this.nextToken_];
+};
+
+/**
+ * Consume the next token if it has the specified type, and value if
+ * one is specified.
+ * @return the token, or null if it doesn't match.
+ * @private
+ */
+com.qwirx.data.Query.prototype.accept_ = function(type, opt_value)
+{
+	var token = this.peek_();
+	
+	if (token.type != type ||
+		(opt_value !== undefined && token.value != opt_value))
+	{
+		return null;
+	}
+	
+	this.nextToken_++;
+	return token;
+};
+
+/**
+ * Consume the next token, which must have the specified type, and
+ * value if one is specified.
+ * @param {string} description What was expected, for the error message.
+ * @return the token.
+ * @throws {com.qwirx.data.QuerySyntaxError} if it doesn't match.
+ * @private
+ */
+com.qwirx.data.Query.prototype.expect_ = function(type, opt_value,
+	description)
+{
+	var token = this.accept_(type, opt_value);
+	
+	if (!token)
+	{
+		this.fail_("Expected " + description);
+	}
+	
+	return token;
+};
+
+/**
+ * Throw a {com.qwirx.data.QuerySyntaxError} at the position of the
+ * next token, saying what was found there.
+ * @private
+ */
+com.qwirx.data.Query.prototype.fail_ = function(message)
+{
+	var token = this.peek_();
+	var found;
+	
+	if (token.type == 'end')
+	{
+		found = "the end of the query";
+	}
+	else if (token.type == 'string')
+	{
+		found = "'" + token.value + "'";
+	}
+	else
+	{
+		found = token.value;
+	}
+	
+	throw new com.qwirx.data.QuerySyntaxError(message + " but found " +
+		found, token.position);
+};
+
+/**
+ * Parse the whole query.
+ * @private
+ */
+com.qwirx.data.Query.prototype.parse_ = function()
+{
+	this.expect_('keyword', 'SELECT', "SELECT");
+	
+	if (!this.accept_('operator', '*'))
+	{
+		this.columnNames_ = [];
+		
+		do
+		{
+			this.columnNames_.push(this.parseColumn_());
+		}
+		while (this.accept_('operator', ','));
+	}
+	
+	if (this.accept_('keyword', 'WHERE'))
+	{
+		this.predicate_ = this.parseOr_();
+	}
+	
+	if (this.accept_('keyword', 'ORDER'))
+	{
+		this.expect_('keyword', 'BY', "BY");
+		
+		do
+		{
+			var name = this.parseColumn_();
+			var descending = Boolean(this.accept_('keyword', 'DESC'));
+			
+			if (!descending)
+			{
+				this.accept_('keyword', 'ASC');
+			}
+			
+			this.sortOrder_.push({name: name, descending: descending});
+		}
+		while (this.accept_('operator', ','));
+	}
+	
+	if (this.accept_('keyword', 'LIMIT'))
+	{
+		var token = this.peek_();
+		
+		if (token.type != 'number' || token.value % 1 != 0)
+		{
+			this.fail_("Expected a whole number of rows");
+		}
+		
+		this.limit_ = this.accept_('number').value;
+	}
+	
+	if (this.peek_().type != 'end')
+	{
+		this.fail_("Expected the end of the query");
+	}
+};
+
+/**
+ * Parse a column name, and remember where it was used.
+ * @return the column name.
+ * @private
+ */
+com.qwirx.data.Query.prototype.parseColumn_ = function()
+{
+	var token = this.expect_('identifier', undefined, "a column name");
+	this.references_.push(token);
+	return token.value;
+};
+
+/**
+ * Parse conditions separated by OR, which binds least tightly.
+ * @return a function which evaluates the expression for a record.
+ * @private
+ */
+com.qwirx.data.Query.prototype.parseOr_ = function()
+{
+	var expression = this.parseAnd_();
+	
+	while (this.accept_('keyword', 'OR'))
+	{
+		expression = com.qwirx.data.Query.or_(expression,
+			this.parseAnd_());
+	}
+	
+	return expression;
+};
+
+/**
+ * Parse conditions separated by AND.
+ * @return a function which evaluates the expression for a record.
+ * @private
+ */
+com.qwirx.data.Query.prototype.parseAnd_ = function()
+{
+	var expression = this.parseNot_();
+	
+	while (this.accept_('keyword', 'AND'))
+	{
+		expression = com.qwirx.data.Query.and_(expression,
+			this.parseNot_());
+	}
+	
+	return expression;
+};
+
+/**
+ * Parse a condition which may be negated with NOT.
+ * @return a function which evaluates the expression for a record.
+ * @private
+ */
+com.qwirx.data.Query.prototype.parseNot_ = function()
+{
+	if (this.accept_('keyword', 'NOT'))
+	{
+		return com.qwirx.data.Query.not_(this.parseNot_());
+	}
+	
+	return this.parseComparison_();
+};
+
+/**
+ * @return a function which negates the result of the condition, unless
+ * it is unknown (null or undefined), in which case the result is still
+ * unknown.
+ * @private
+ */
+com.qwirx.data.Query.not_ = function(condition)
+{
+	return function(record)
+	{
+		var value = condition(record);
+		return (value == null) ? null : !value;
+	};
+};
+
+/**
+ * @return a function which is false if either condition is false,
+ * otherwise unknown (null) if either is unknown, otherwise true. The
+ * right condition is not evaluated if the left one is false.
+ * @private
+ */
+com.qwirx.data.Query.and_ = function(left, right)
+{
+	return function(record)
+	{
+		var a = left(record);
+		
+		if (a != null && !a)
+		{
+			return false;
+		}
+		
+		var b = right(record);
+		
+		if (b != null && !b)
+		{
+			return false;
+		}
+		
+		return (a == null || b == null) ? null : true;
+	};
+};
+
+/**
+ * @return a function which is true if either condition is true,
+ * otherwise unknown (null) if either is unknown, otherwise false. The
+ * right condition is not evaluated if the left one is true.
+ * @private
+ */
+com.qwirx.data.Query.or_ = function(left, right)
+{
+	return function(record)
+	{
+		var a = left(record);
+		
+		if (a)
+		{
+			return true;
+		}
+		
+		var b = right(record);
+		
+		if (b)
+		{
+			return true;
+		}
+		
+		return (a == null || b == null) ? null : false;
+	};
+};
+
+/**
+ * Parse a value which may be compared with another one, or tested with
+ * IS NULL or LIKE.
+ * @return a function which evaluates the expression for a record.
+ * @private
+ */
+com.qwirx.data.Query.prototype.parseComparison_ = function()
+{
+	var left = this.parseOperand_();
+	
+	if (this.accept_('keyword', 'IS'))
+	{
+		var isNot = Boolean(this.accept_('keyword', 'NOT'));
+		this.expect_('keyword', 'NULL', "NULL");
+		return function(record)
+		{
+			return (left(record) == null) != isNot;
+		};
+	}
+	
+	var notLike = Boolean(this.accept_('keyword', 'NOT'));
+	
+	if (notLike || this.accept_('keyword', 'LIKE'))
+	{
+		if (notLike)
+		{
+			this.expect_('keyword', 'LIKE', "LIKE");
+		}
+		
+		var pattern = com.qwirx.data.Query.likeToRegExp_(
+			this.expect_('string', undefined, "a quoted pattern").value);
+		return function(record)
+		{
+			var value = left(record);
+			return (value == null) ? null :
+				pattern.test(String(value)) != notLike;
+		};
+	}
+	
+	var operator = this.peek_();
+	
+	if (operator.type != 'operator' || !goog.array.contains(['=', '!=',
+		'<>', '<', '<=', '>', '>='], operator.value))
+	{
+		return left;
+	}
+	
+	this.nextToken_++;
+	var right = this.parseOperand_();
+	return function(record)
+	{
+		var a = left(record), b = right(record);
+		
+		if (a == null || b == null)
+		{
+			return null;
+		}
+		
+		var order = goog.array.defaultCompare(a, b);
+		
+		switch (operator.value)
+		{
+			case '=': return order == 0;
+			case '<': return order < 0;
+			case '<=': return order <= 0;
+			case '>': return order > 0;
+			case '>=': return order >= 0;
+			default: return order != 0;
+		}
+	};
+};
+
+/**
+ * Parse a single value: a column name, a literal or an expression in
+ * parentheses.
+ * @return a function which evaluates the value for a record.
+ * @private
+ */
+com.qwirx.data.Query.prototype.parseOperand_ = function()
+{
+	var token;
+	
+	if (this.accept_('operator', '('))
+	{
+		var expression = this.parseOr_();
+		this.expect_('operator', ')', ")");
+		return expression;
+	}
+	else if (this.accept_('operator', '-'))
+	{
+		token = this.expect_('number', undefined, "a number");
+		return goog.functions.constant(-token.value);
+	}
+	else if ((token = this.accept_('number')) ||
+		(token = this.accept_('string')))
+	{
+		return goog.functions.constant(token.value);
+	}
+	else if (this.accept_('keyword', 'TRUE'))
+	{
+		return goog.functions.TRUE;
+	}
+	else if (this.accept_('keyword', 'FALSE'))
+	{
+		return goog.functions.FALSE;
+	}
+	else if (this.accept_('keyword', 'NULL'))
+	{
+		return goog.functions.NULL;
+	}
+	else if (this.peek_().type == 'identifier')
+	{
+		var name = this.parseColumn_();
+		return function(record)
+		{
+			return record[name];
+		};
+	}
+	
+	this.fail_("Expected a value");
+};
+
+/**
+ * @return a regular expression which matches the same strings as an SQL
+ * LIKE pattern, where % matches any number of characters and _ matches
+ * any one character.
+ * @private
+ */
+com.qwirx.data.Query.likeToRegExp_ = function(pattern)
+{
+	var parts = goog.array.map(pattern.split('%'), function(part)
+		{
+			return goog.array.map(part.split('_'),
+				goog.string.regExpEscape).join('.');
+		});
+	return new RegExp('^' + parts.join('.*') + '$');
+};
+
+/**
+ * Run this query against a datasource.
+ *
+ * @param {com.qwirx.data.Datasource} dataSource The datasource to query.
+ *
+ * @return {com.qwirx.data.Datasource} a live view of the datasource,
+ * with only the selected columns, and the rows that match the WHERE
+ * clause, in the order of the ORDER BY clause, up to the LIMIT. It is
+ * made of a {com.qwirx.data.FilteredDatasource},
+ * {com.qwirx.data.SortedDatasource} and
+ * {com.qwirx.data.ProjectedDatasource}, so it changes when the
+ * datasource does, and writes to it are passed through.
+ *
+ * @throws {com.qwirx.data.NoSuchField} if the query uses a column name
+ * which does not exist in the datasource.
+ */
+com.qwirx.data.Query.prototype.execute = function(dataSource)
+{
+	var names = goog.array.map(dataSource.getColumns(), function(column)
+		{
+			return column.name;
+		});
+	
+	goog.array.forEach(this.references_, function(token)
+		{
+			if (!goog.array.contains(names, token.value))
+			{
+				throw new com.qwirx.data.NoSuchField("The field " +
+					token.value + " at position " + token.position +
+					" does not exist in this datasource. Valid fields " +
+					"are: " + names.join(" "));
+			}
+		});
+	
+	var view = dataSource;
+	
+	if (this.predicate_)
+	{
+		var predicate = this.predicate_;
+		view = new com.qwirx.data.FilteredDatasource(view,
+			function(record)
+			{
+				return Boolean(predicate(record));
+			});
+	}
+	
+	if (this.sortOrder_.length)
+	{
+		view = new com.qwirx.data.SortedDatasource(view, this.sortOrder_);
+	}
+	
+	return new com.qwirx.data.ProjectedDatasource(view,
+		this.columnNames_ || names, this.limit_);
+};
@@ -0,0 +1,196 @@
+goog.provide('com.qwirx.data.Query_test');
+
+goog.require('com.qwirx.data.Cursor');
+goog.require('com.qwirx.data.Datasource');
+goog.require('com.qwirx.data.Query');
+goog.require('com.qwirx.data.SimpleDatasource');
+goog.require('com.qwirx.test.assertThrows');
+goog.require('goog.testing.jsunit');
+
+function getTestDataSource()
+{
+	var columns = [{name: 'id', caption: 'ID'},
+		{name: 'name', caption: 'Name'},
+		{name: 'city', caption: 'City'},
+		{name: 'age', caption: 'Age'}];
+	var data = [
+		{id: 1, name: 'John', city: 'London', age: 30},
+		{id: 2, name: 'James', city: 'Paris', age: 25},
+		{id: 3, name: 'Peter', city: null, age: 40},
+		{id: 4, name: 'Mary', city: 'London', age: 35},
+		{id: 5, name: 'Jane', city: 'Rome', age: null},
+	];
+	return new com.qwirx.data.SimpleDatasource(columns, data);
+}
+
+function query(text, ds)
+{
+	return new com.qwirx.data.Query(text).execute(ds ||
+		getTestDataSource());
+}
+
+function getIds(ds)
+{
+	var ids = [];
+	for (var i = 0; i < ds.getCount(); i++)
+	{
+		ids.push(ds.get(i).id);
+	}
+	return ids;
+}
+
+function test_query_select_columns()
+{
+	var all = query("SELECT *");
+	assertEquals(4, all.getColumns().length);
+	assertObjectEquals({id: 1, name: 'John', city: 'London', age: 30},
+		all.get(0));
+	
+	var some = query("select name, id");
+	assertObjectEquals([{name: 'name', caption: 'Name'},
+		{name: 'id', caption: 'ID'}], some.getColumns());
+	assertEquals(5, some.getCount());
+	assertObjectEquals({name: 'Peter', id: 3}, some.get(2));
+	
+	var quoted = query('SELECT "name"', new com.qwirx.data.SimpleDatasource(
+		[{name: 'order'}, {name: 'name'}], [{order: 1, name: 'x'}]));
+	assertObjectEquals({name: 'x'}, quoted.get(0));
+	quoted = query('SELECT "order"', quoted.getSource());
+	assertObjectEquals({order: 1}, quoted.get(0));
+}
+
+function test_query_where()
+{
+	assertObjectEquals([1, 4], getIds(query("SELECT id WHERE city = " +
+		"'London'")));
+	assertObjectEquals("Comparisons with NULL should be false", [2, 5],
+		getIds(query("SELECT id WHERE city <> 'London'")));
+	assertObjectEquals([3], getIds(query("SELECT id WHERE city IS NULL")));
+	assertObjectEquals([1, 2, 4, 5], getIds(query("SELECT id WHERE city " +
+		"IS NOT NULL")));
+	assertObjectEquals([1, 4], getIds(query("SELECT id WHERE age >= 30 " +
+		"AND age <= 35")));
+	assertObjectEquals([2, 3], getIds(query("SELECT id WHERE age < 30 OR " +
+		"age > 35")));
+	assertObjectEquals([1, 3, 4], getIds(query("SELECT id WHERE NOT (age < " +
+		"30 OR age > 35) AND city = 'London' OR id = 3")));
+	assertObjectEquals([1, 2, 5], getIds(query("SELECT id WHERE name " +
+		"LIKE 'J%'")));
+	assertObjectEquals([2, 5], getIds(query("SELECT id WHERE name " +
+		"LIKE 'Ja_%'")));
+	assertObjectEquals([3, 4], getIds(query("SELECT id WHERE name NOT " +
+		"LIKE 'J%'")));
+	assertObjectEquals("Regular expression characters should be literal",
+		[], getIds(query("SELECT id WHERE name LIKE 'J.*'")));
+	assertObjectEquals([2], getIds(query("SELECT id WHERE -5 < age AND " +
+		"age < 26")));
+}
+
+function test_query_where_null_is_unknown()
+{
+	assertObjectEquals("NOT should not make a comparison with NULL true",
+		[1, 2], getIds(query("SELECT id WHERE NOT age > 30")));
+	assertObjectEquals([2, 5], getIds(query("SELECT id WHERE NOT city = " +
+		"'London'")));
+	assertObjectEquals([2, 5], getIds(query("SELECT id WHERE NOT city " +
+		"LIKE 'L%'")));
+	assertObjectEquals("Unknown OR true should be true", [3, 4, 5],
+		getIds(query("SELECT id WHERE age > 30 OR city = 'Rome'")));
+	assertObjectEquals("Unknown AND false should be false", [1, 2, 4, 5],
+		getIds(query("SELECT id WHERE NOT (age > 30 AND city = 'Paris')")));
+	assertObjectEquals("NOT unknown should stay unknown", [],
+		getIds(query("SELECT id WHERE NOT NOT (age > 30 AND id = 5)")));
+}
+
+function test_query_order_by_and_limit()
+{
+	assertObjectEquals([3, 4, 1, 2, 5], getIds(query("SELECT id ORDER BY " +
+		"age DESC")));
+	assertObjectEquals([4, 1, 2, 5], getIds(query("SELECT id WHERE city " +
+		"IS NOT NULL ORDER BY city ASC, age DESC")));
+	assertObjectEquals([1, 4], getIds(query("SELECT id WHERE city = " +
+		"'London' ORDER BY name LIMIT 5")));
+	assertObjectEquals([2, 5], getIds(query("SELECT id ORDER BY name " +
+		"LIMIT 2")));
+	assertObjectEquals([], getIds(query("SELECT id LIMIT 0")));
+}
+
+function test_query_view_is_live()
+{
+	var Events = com.qwirx.data.Datasource.Events;
+	var source = getTestDataSource();
+	var view = query("SELECT name, id WHERE city = 'London' " +
+		"ORDER BY age LIMIT 2", source);
+	assertObjectEquals([1, 4], getIds(view));
+	
+	var events = com.qwirx.test.assertEvents(view,
+		[Events.ROWS_DELETE, Events.ROWS_INSERT],
+		function() { source.add({id: 6, name: 'Adam', city: 'London',
+			age: 20}); },
+		"A new matching row should appear in the view");
+	assertObjectEquals([1], events[0].getAffectedRows());
+	assertObjectEquals([0], events[1].getAffectedRows());
+	assertObjectEquals([6, 1], getIds(view));
+	
+	source.replace(0, {id: 1, name: 'John', city: 'Paris', age: 30});
+	assertObjectEquals([6, 4], getIds(view));
+	
+	// Writes are passed through to the source
+	var c = new com.qwirx.data.Cursor(view);
+	c.setPosition(1);
+	c.setFieldValue('name', 'Maria');
+	c.save();
+	assertObjectEquals({id: 4, name: 'Maria', city: 'London', age: 35},
+		source.get(3));
+}
+
+function assertSyntaxError(text, position, message)
+{
+	var e = com.qwirx.test.assertThrows(com.qwirx.data.QuerySyntaxError,
+		function() { new com.qwirx.data.Query(text); },
+		"The query should not parse: " + text);
+	assertEquals(position, e.getPosition());
+	assertEquals(message + " at position " + position, e.message);
+}
+
+function test_query_syntax_errors()
+{
+	assertSyntaxError("", 1, "Expected SELECT but found the end of the " +
+		"query");
+	assertSyntaxError("SELECT", 7, "Expected a column name but found the " +
+		"end of the query");
+	assertSyntaxError("SELECT id, ", 12, "Expected a column name but " +
+		"found the end of the query");
+	assertSyntaxError("SELECT id WHERE", 16, "Expected a value but found " +
+		"the end of the query");
+	assertSyntaxError("SELECT id WHERE (age > 1", 25, "Expected ) but " +
+		"found the end of the query");
+	assertSyntaxError("SELECT id WHERE name LIKE J", 27, "Expected a " +
+		"quoted pattern but found J");
+	assertSyntaxError("SELECT id WHERE city IS 'x'", 25, "Expected NULL " +
+		"but found 'x'");
+	assertSyntaxError("SELECT id WHERE name = 'John", 24, "Unterminated " +
+		"quoted text");
+	assertSyntaxError("SELECT id WHERE age ! 1", 21, "Unexpected " +
+		"character !");
+	assertSyntaxError("SELECT id ORDER name", 17, "Expected BY but found " +
+		"name");
+	assertSyntaxError("SELECT id LIMIT 1.5", 17, "Expected a whole " +
+		"number of rows but found 1.5");
+	assertSyntaxError("SELECT id LIMIT 1 WHERE", 19, "Expected the end " +
+		"of the query but found WHERE");
+}
+
+function test_query_unknown_columns()
+{
+	var q = new com.qwirx.data.Query("SELECT id WHERE country = 'UK'");
+	var e = com.qwirx.test.assertThrows(com.qwirx.data.NoSuchField,
+		function() { q.execute(getTestDataSource()); },
+		"Unknown columns should be reported when the query is executed");
+	assertEquals("The field country at position 17 does not exist in " +
+		"this datasource. Valid fields are: id name city age", e.message);
+	
+	com.qwirx.test.assertThrows(com.qwirx.data.NoSuchField,
+		function() { query("SELECT id ORDER BY Name"); },
+		"Column names should be case sensitive");
+}
@@ -0,0 +1,605 @@
+/*
+	@fileoverview Defines the {com.qwirx.data.RemoteDatasource} class,
+	an {com.qwirx.data.AsyncDatasource} whose records are stored on a
+	server and accessed through a REST/JSON interface.
+*/
+
+goog.provide('com.qwirx.data.RemoteDatasource');
+goog.provide('com.qwirx.data.RemoteDatasource.XhrTransport');
+goog.provide('com.qwirx.data.HttpError');
+
+goog.require('com.qwirx.data.AsyncDatasource');
+goog.require('com.qwirx.data.Datasource');
+goog.require('com.qwirx.data.Schema');
+goog.require('com.qwirx.util.Exception');
+goog.require('goog.array');
+goog.require('goog.async.Deferred');
+goog.require('goog.json');
+goog.require('goog.net.XhrIo');
+goog.require('goog.object');
+
+/**
+ * An exception with which a {com.qwirx.data.RemoteDatasource} request
+ * fails if the server responds with an HTTP status that doesn't have
+ * a more specific meaning, such as 500 (Internal Server Error), or 0
+ * if there was no response at all.
+ * @constructor
+ */
+com.qwirx.data.HttpError = function(status, url)
+{
+	goog.base(this, "The server responded to " + url + " with HTTP " +
+		"status " + status);
+	this.status_ = status;
+};
+goog.inherits(com.qwirx.data.HttpError, com.qwirx.util.Exception);
+com.qwirx.data.HttpError.prototype.getStatus = function()
+{
+	return this.status_;
+};
+
+/**
+ * An asynchronous datasource which reads and writes records on a
+ * server, through a REST resource whose URL is passed to the
+ * constructor. Rows are identified by their index, as they are
+ * everywhere else, so the resource must keep them in a stable order.
+ * All request and response bodies are JSON:
+ *
+ * <ul>
+ * <li><code>GET url?start=S&count=N</code> returns a page of rows, as
+ * <code>{total: T, rows: [{values: {...}, version: V}, ...]}</code>,
+ * where T is the total number of rows. {#getCount} asks for a page of
+ * zero rows.
+ * <li><code>GET url?key=K</code> returns <code>{index: I}</code>, the
+ * index of the row with the primary key K (as returned by
+ * {com.qwirx.data.Schema#keyToString}), or -1 if there is none.
+ * <li><code>GET url/I</code> returns row I, as
+ * <code>{values: {...}, version: V}</code>.
+ * <li><code>POST url</code> with <code>{values: {...}, position: I}</code>
+ * inserts a row before row I, or at the end if the position is
+ * missing, and returns <code>{index: I, version: V}</code>.
+ * <li><code>PUT url/I</code> with <code>{values: {...}}</code> replaces
+ * row I and returns its new <code>{version: V}</code>.
+ * <li><code>DELETE url/I</code> removes row I.
+ * </ul>
+ *
+ * The version is an opaque value which the server must change whenever
+ * it changes a row. {#atomicReplace} and {#atomicRemove} send the
+ * version of the row that the expected values were read from in an
+ * <code>If-Match</code> header, and the server must refuse the request
+ * with status 412 (Precondition Failed) or 409 (Conflict) if the row
+ * has changed since, returning the row's current values and version as
+ * the body. The request then fails with a
+ * {com.qwirx.data.ConcurrentModification} which contains them. Status
+ * 404 (Not Found) makes the request fail with a
+ * {com.qwirx.data.NoSuchRecord}, and any other unsuccessful status
+ * with a {com.qwirx.data.HttpError}.
+ *
+ * Values of DATE columns are sent as ISO 8601 strings, and converted
+ * back to Dates when they're received.
+ *
+ * This datasource only knows about changes made through it, so it only
+ * sends {com.qwirx.data.Datasource.RowEvent}s for those, when the
+ * server has confirmed them.
+ *
+ * @param {string} url The URL of the REST resource.
+ * @param {Array.<Object>} columns The column definitions, as returned
+ * by {com.qwirx.data.SimpleDatasource#getColumns}.
+ * @param {Object=} opt_transport The object that makes the HTTP
+ * requests, which defaults to a new
+ * {com.qwirx.data.RemoteDatasource.XhrTransport}. It must have a
+ * <code>send(method, url, body, headers)</code> method, which returns
+ * a {goog.async.Deferred} that fires with an object with the
+ * <code>status</code> and (parsed) <code>body</code> of the response.
+ * {com.qwirx.data.FakeRestServer} can be used in tests.
+ * @constructor
+ */
+com.qwirx.data.RemoteDatasource = function(url, columns, opt_transport)
+{
+	this.url_ = url;
+	this.columns_ = goog.array.clone(columns);
+	this.schema_ = new com.qwirx.data.Schema(this.columns_);
+	this.transport_ = opt_transport ||
+		new com.qwirx.data.RemoteDatasource.XhrTransport();
+	
+	// The values (as sent over the wire) and version of each row that
+	// we have read or written, indexed by row.
+	this.rows_ = [];
+};
+
+goog.inherits(com.qwirx.data.RemoteDatasource,
+	com.qwirx.data.AsyncDatasource);
+
+/**
+ * @return the URL of the REST resource.
+ */
+com.qwirx.data.RemoteDatasource.prototype.getUrl = function()
+{
+	return this.url_;
+};
+
+/**
+ * @return the version of the specified row when this datasource last
+ * read or wrote it, or undefined if it hasn't.
+ */
+com.qwirx.data.RemoteDatasource.prototype.getKnownVersion =
+	function(rowIndex)
+{
+	return this.rows_[rowIndex] ? this.rows_[rowIndex].version : undefined;
+};
+
+/**
+ * Returns the version known by {#getKnownVersion}, which is the row's
+ * ETag.
+ * @override
+ */
+com.qwirx.data.RemoteDatasource.prototype.getVersion = function(rowIndex)
+{
+	return this.getKnownVersion(rowIndex);
+};
+
+com.qwirx.data.RemoteDatasource.prototype.getColumns = function()
+{
+	return goog.array.clone(this.columns_);
+};
+
+com.qwirx.data.RemoteDatasource.prototype.getSchema = function()
+{
+	return this.schema_;
+};
+
+com.qwirx.data.RemoteDatasource.prototype.getCount = function()
+{
+	return this.request_('GET', this.getPageUrl_(0, 0)).addCallback(
+		function(body)
+		{
+			return body.total;
+		});
+};
+
+com.qwirx.data.RemoteDatasource.prototype.get = function(rowIndex)
+{
+	return this.request_('GET', this.getRowUrl_(rowIndex), undefined,
+		undefined, rowIndex).addCallback(function(body)
+		{
+			this.rows_[rowIndex] = body;
+			return this.decodeRecord_(body.values);
+		}, this);
+};
+
+/**
+ * Fetches the whole range in a single request.
+ * @override
+ */
+com.qwirx.data.RemoteDatasource.prototype.getRange = function(start, count)
+{
+	return this.request_('GET', this.getPageUrl_(start, count)).addCallback(
+		function(body)
+		{
+			var records = [];
+			
+			for (var i = 0; i < body.rows.length; i++)
+			{
+				this.rows_[start + i] = body.rows[i];
+				records.push(this.decodeRecord_(body.rows[i].values));
+			}
+			
+			return records;
+		}, this);
+};
+
+/**
+ * Asks the server to find the key, which can probably do it faster
+ * than we can.
+ * @override
+ */
+com.qwirx.data.RemoteDatasource.prototype.indexOfKey = function(key)
+{
+	var names = this.schema_.getKeyColumnNames();
+	var record = {};
+	
+	if (names.length == 1)
+	{
+		record[names[0]] = key;
+	}
+	else
+	{
+		for (var i = 0; i < names.length; i++)
+		{
+			record[names[i]] = key[i];
+		}
+	}
+	
+	var encodedKey = this.schema_.keyToString(this.schema_.getRecordKey(
+		this.encodeRecord_(record)));
+	
+	return this.request_('GET', this.url_ + '?key=' +
+		encodeURIComponent(encodedKey)).addCallback(function(body)
+		{
+			return body.index;
+		});
+};
+
+com.qwirx.data.RemoteDatasource.prototype.insert =
+	function(rowIndex, newRecord)
+{
+	return this.post_(newRecord, rowIndex);
+};
+
+com.qwirx.data.RemoteDatasource.prototype.add = function(newRecord)
+{
+	return this.post_(newRecord);
+};
+
+com.qwirx.data.RemoteDatasource.prototype.replace =
+	function(rowIndex, newRecord)
+{
+	return this.put_(rowIndex, newRecord);
+};
+
+com.qwirx.data.RemoteDatasource.prototype.remove = function(rowIndex)
+{
+	return this.delete_(rowIndex);
+};
+
+/**
+ * Sends the version of the row that the expected values were read
+ * from, so that the server can check that it hasn't been modified.
+ * If we haven't read those values, the row is read first. If a version
+ * is passed instead of values, for example by a
+ * {com.qwirx.data.Cursor} which recorded it with {#getVersion}, it's
+ * sent as it is.
+ * @override
+ */
+com.qwirx.data.RemoteDatasource.prototype.atomicReplace =
+	function(rowIndex, expectedCurrentValues, newValues)
+{
+	return this.getExpectedVersion_(rowIndex,
+		expectedCurrentValues).addCallback(function(version)
+		{
+			return this.put_(rowIndex, newValues, version);
+		}, this);
+};
+
+/**
+ * Sends the version of the row that the base values were read from,
+ * like {#atomicReplace}. If the server refuses, because the row has
+ * changed, the changes are merged with the current values that it
+ * returns, and sent again with the current version.
+ * @override
+ */
+com.qwirx.data.RemoteDatasource.prototype.atomicMerge =
+	function(rowIndex, baseValues, newValues)
+{
+	return this.getExpectedVersion_(rowIndex,
+		baseValues).addCallback(function(version)
+		{
+			return this.put_(rowIndex, newValues, version);
+		}, this).addCallbacks(function()
+		{
+			return newValues;
+		}, function(exception)
+		{
+			if (!(exception instanceof
+				com.qwirx.data.ConcurrentModification))
+			{
+				throw exception;
+			}
+			
+			var currentValues = exception.getCurrentValues();
+			var merge = com.qwirx.data.Datasource.mergeRecords(baseValues,
+				newValues, currentValues);
+			
+			if (merge.conflicts.length)
+			{
+				throw new com.qwirx.data.ConcurrentModification(
+					currentValues, merge.conflicts);
+			}
+			
+			return this.put_(rowIndex, merge.values,
+				this.getKnownVersion(rowIndex)).addCallback(function()
+				{
+					return merge.values;
+				});
+		}, this);
+};
+
+/**
+ * Sends the version of the row that the expected values were read
+ * from, like {#atomicReplace}.
+ * @override
+ */
+com.qwirx.data.RemoteDatasource.prototype.atomicRemove =
+	function(rowIndex, expectedCurrentValues)
+{
+	return this.getExpectedVersion_(rowIndex,
+		expectedCurrentValues).addCallback(function(version)
+		{
+			return this.delete_(rowIndex, version);
+		}, this);
+};
+
+/**
+ * @return {goog.async.Deferred} which fires with the version of the row
+ * whose values we last saw were the expected values, or fails with a
+ * {com.qwirx.data.ConcurrentModification} if the row doesn't have
+ * them any more. If a version is expected instead of values, it fires
+ * with that version, and the server checks it.
+ * @private
+ */
+com.qwirx.data.RemoteDatasource.prototype.getExpectedVersion_ =
+	function(rowIndex, expectedCurrentValues)
+{
+	if (!goog.isObject(expectedCurrentValues))
+	{
+		return goog.async.Deferred.succeed(expectedCurrentValues);
+	}
+	
+	var row = this.rows_[rowIndex];
+	
+	if (row && this.isSameRecord_(this.decodeRecord_(row.values),
+		expectedCurrentValues))
+	{
+		return goog.async.Deferred.succeed(row.version);
+	}
+	
+	return this.get(rowIndex).addCallback(function(currentValues)
+		{
+			if (!this.isSameRecord_(currentValues, expectedCurrentValues))
+			{
+				throw new com.qwirx.data.ConcurrentModification(
+					currentValues);
+			}
+			
+			return this.rows_[rowIndex].version;
+		}, this);
+};
+
+/**
+ * @return true if the two records have the same values in every
+ * column.
+ * @private
+ */
+com.qwirx.data.RemoteDatasource.prototype.isSameRecord_ = function(a, b)
+{
+	var encodedA = this.encodeRecord_(a);
+	var encodedB = this.encodeRecord_(b);
+	
+	return goog.array.every(this.columns_, function(column)
+		{
+			return encodedA[column.name] == encodedB[column.name];
+		});
+};
+
+/**
+ * Insert a record with a POST request, before the specified row, or at
+ * the end if it's not specified.
+ * @return {goog.async.Deferred} which fires with the index of the new
+ * row.
+ * @private
+ */
+com.qwirx.data.RemoteDatasource.prototype.post_ = function(newRecord,
+	opt_rowIndex)
+{
+	var body = {values: this.encodeRecord_(newRecord)};
+	
+	if (opt_rowIndex !== undefined)
+	{
+		body.position = opt_rowIndex;
+	}
+	
+	return this.request_('POST', this.url_, body).addCallback(
+		function(response)
+		{
+			goog.array.insertAt(this.rows_, {values: body.values,
+				version: response.version}, response.index);
+			this.dispatchEvent(new com.qwirx.data.Datasource.RowEvent(
+				com.qwirx.data.Datasource.Events.ROWS_INSERT,
+				[response.index]));
+			return response.index;
+		}, this);
+};
+
+/**
+ * Replace a record with a PUT request, which only succeeds if the row
+ * still has the specified version, if any.
+ * @private
+ */
+com.qwirx.data.RemoteDatasource.prototype.put_ = function(rowIndex,
+	newRecord, opt_version)
+{
+	var body = {values: this.encodeRecord_(newRecord)};
+	
+	return this.request_('PUT', this.getRowUrl_(rowIndex), body,
+		this.getConditionalHeaders_(opt_version), rowIndex).addCallback(
+		function(response)
+		{
+			this.rows_[rowIndex] = {values: body.values,
+				version: response.version};
+			this.dispatchEvent(new com.qwirx.data.Datasource.RowEvent(
+				com.qwirx.data.Datasource.Events.ROWS_UPDATE, [rowIndex]));
+		}, this);
+};
+
+/**
+ * Remove a record with a DELETE request, which only succeeds if the row
+ * still has the specified version, if any.
+ * @private
+ */
+com.qwirx.data.RemoteDatasource.prototype.delete_ = function(rowIndex,
+	opt_version)
+{
+	return this.request_('DELETE', this.getRowUrl_(rowIndex), undefined,
+		this.getConditionalHeaders_(opt_version), rowIndex).addCallback(
+		function()
+		{
+			goog.array.removeAt(this.rows_, rowIndex);
+			this.dispatchEvent(new com.qwirx.data.Datasource.RowEvent(
+				com.qwirx.data.Datasource.Events.ROWS_DELETE, [rowIndex]));
+		}, this);
+};
+
+/**
+ * @return the headers which make a request conditional on the row
+ * having the specified version, if it's defined.
+ * @private
+ */
+com.qwirx.data.RemoteDatasource.prototype.getConditionalHeaders_ =
+	function(opt_version)
+{
+	var headers = {};
+	
+	if (opt_version !== undefined)
+	{
+		headers['If-Match'] = '"' + opt_version + '"';
+	}
+	
+	return headers;
+};
+
+/**
+ * Send a request with the transport.
+ * @param {number=} opt_rowIndex The row that the request is about, if
+ * any, whose current values and version are returned by the server if
+ * the request conflicts with a change made by someone else.
+ * @return {goog.async.Deferred} which fires with the body of the
+ * response if it was successful, otherwise fails with an exception
+ * depending on its status.
+ * @private
+ */
+com.qwirx.data.RemoteDatasource.prototype.request_ = function(method, url,
+	opt_body, opt_headers, opt_rowIndex)
+{
+	return this.transport_.send(method, url, opt_body,
+		opt_headers || {}).addCallback(function(response)
+		{
+			var status = response.status;
+			
+			if (status >= 200 && status < 300)
+			{
+				return response.body;
+			}
+			else if (status == 404)
+			{
+				throw new com.qwirx.data.NoSuchRecord("The server has no " +
+					"record at " + url);
+			}
+			else if ((status == 409 || status == 412) && response.body)
+			{
+				if (opt_rowIndex !== undefined)
+				{
+					this.rows_[opt_rowIndex] = response.body;
+				}
+				
+				throw new com.qwirx.data.ConcurrentModification(
+					this.decodeRecord_(response.body.values));
+			}
+			else
+			{
+				throw new com.qwirx.data.HttpError(status, url);
+			}
+		}, this);
+};
+
+/** @private */
+com.qwirx.data.RemoteDatasource.prototype.getRowUrl_ = function(rowIndex)
+{
+	return this.url_ + '/' + rowIndex;
+};
+
+/** @private */
+com.qwirx.data.RemoteDatasource.prototype.getPageUrl_ = function(start,
+	count)
+{
+	return this.url_ + '?start=' + start + '&count=' + count;
+};
+
+/**
+ * @return a copy of the record which can be serialized as JSON, with
+ * Dates converted to ISO 8601 strings.
+ * @private
+ */
+com.qwirx.data.RemoteDatasource.prototype.encodeRecord_ = function(record)
+{
+	return goog.object.map(record, function(value)
+		{
+			return (value instanceof Date) ? value.toISOString() : value;
+		});
+};
+
+/**
+ * @return a copy of a record received from the server, with the values
+ * of DATE columns converted back to Dates.
+ * @private
+ */
+com.qwirx.data.RemoteDatasource.prototype.decodeRecord_ = function(values)
+{
+	var record = goog.object.clone(values);
+	
+	for (var i = 0; i < this.columns_.length; i++)
+	{
+		var name = this.columns_[i].name;
+		
+		if (this.columns_[i].type == com.qwirx.data.Schema.Types.DATE &&
+			goog.isString(record[name]))
+		{
+			record[name] = new Date(record[name]);
+		}
+	}
+	
+	return record;
+};
+
+/**
+ * The default transport of a {com.qwirx.data.RemoteDatasource}, which
+ * makes real HTTP requests with {goog.net.XhrIo}.
+ * @param {number=} opt_timeout The time to wait for a response, in
+ * milliseconds, after which the request fails with an
+ * {com.qwirx.data.HttpError} with status 0. Defaults to no timeout.
+ * @constructor
+ */
+com.qwirx.data.RemoteDatasource.XhrTransport = function(opt_timeout)
+{
+	this.timeout_ = opt_timeout;
+};
+
+/**
+ * Send an HTTP request, with the body serialized as JSON if there is
+ * one.
+ * @return {goog.async.Deferred} which fires with an object containing
+ * the <code>status</code> of the response and its <code>body</code>,
+ * parsed as JSON, or null if it's empty or not JSON.
+ */
+com.qwirx.data.RemoteDatasource.XhrTransport.prototype.send =
+	function(method, url, body, headers)
+{
+	var deferred = new goog.async.Deferred();
+	var content;
+	headers = goog.object.clone(headers);
+	
+	if (body !== undefined)
+	{
+		content = goog.json.serialize(body);
+		headers['Content-Type'] = 'application/json';
+	}
+	
+	goog.net.XhrIo.send(url, function(event)
+		{
+			var xhr = event.target;
+			var text = xhr.getResponseText();
+			var responseBody = null;
+			
+			try
+			{
+				responseBody = text ? goog.json.parse(text) : null;
+			}
+			catch (exception)
+			{
+				// probably an HTML error page, which we can't use
+			}
+			
+			deferred.callback({status: xhr.getStatus(),
+				body: responseBody});
+		}, method, content, headers, this.timeout_);
+	
+	return deferred;
+};
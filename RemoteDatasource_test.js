@@ -0,0 +1,267 @@
+goog.provide('com.qwirx.data.RemoteDatasource_test');
+
+goog.require('com.qwirx.data.Cursor');
+goog.require('com.qwirx.data.Datasource');
+goog.require('com.qwirx.data.FakeRestServer');
+goog.require('com.qwirx.data.RemoteDatasource');
+goog.require('com.qwirx.data.Schema');
+goog.require('com.qwirx.test.assertThrows');
+goog.require('goog.async.Deferred');
+goog.require('goog.testing.jsunit');
+
+var URL = 'http://example.com/api/people';
+
+function getColumns()
+{
+	return [{name: 'id', caption: 'ID', key: true},
+		{name: 'name', caption: 'Name'},
+		{name: 'born', caption: 'Born',
+			type: com.qwirx.data.Schema.Types.DATE}];
+}
+
+function getTestServer()
+{
+	return new com.qwirx.data.FakeRestServer(URL, getColumns(), [
+		{id: 1, name: 'John', born: '1970-01-02T00:00:00.000Z'},
+		{id: 2, name: 'James', born: null},
+		{id: 5, name: 'Peter', born: null},
+	]);
+}
+
+/**
+ * @return the result of a Deferred which has already fired, or throw
+ * the error that it failed with.
+ */
+function getResult(deferred)
+{
+	var result, error, fired = false;
+	deferred.addCallbacks(
+		function(value) { result = value; fired = true; },
+		function(e) { error = e; fired = true; return null; });
+	assertTrue("the fake server should respond immediately", fired);
+	
+	if (error)
+	{
+		throw error;
+	}
+	
+	return result;
+}
+
+function getLastRequest(server)
+{
+	var requests = server.getRequests();
+	return requests[requests.length - 1];
+}
+
+function test_remote_datasource_reads()
+{
+	var server = getTestServer();
+	var ds = new com.qwirx.data.RemoteDatasource(URL, getColumns(), server);
+	assertTrue(ds instanceof com.qwirx.data.AsyncDatasource);
+	
+	assertEquals(3, getResult(ds.getCount()));
+	assertEquals('GET', getLastRequest(server).method);
+	assertEquals(URL + '?start=0&count=0', getLastRequest(server).url);
+	
+	var record = getResult(ds.get(0));
+	assertEquals(URL + '/0', getLastRequest(server).url);
+	assertEquals('John', record.name);
+	assertTrue("DATE values should be converted back to Dates",
+		record.born instanceof Date);
+	assertEquals(Date.UTC(1970, 0, 2), record.born.getTime());
+	assertEquals(1, ds.getKnownVersion(0));
+	
+	assertObjectEquals([{id: 2, name: 'James', born: null},
+		{id: 5, name: 'Peter', born: null}], getResult(ds.getRange(1, 5)));
+	assertEquals(URL + '?start=1&count=5', getLastRequest(server).url);
+	assertEquals(3, server.getRequests().length);
+	
+	assertEquals(2, getResult(ds.indexOfKey(5)));
+	assertEquals(-1, getResult(ds.indexOfKey(3)));
+	
+	com.qwirx.test.assertThrows(com.qwirx.data.NoSuchRecord,
+		function() { getResult(ds.get(3)); });
+}
+
+function test_remote_datasource_writes()
+{
+	var server = getTestServer();
+	var ds = new com.qwirx.data.RemoteDatasource(URL, getColumns(), server);
+	var events = [];
+	var Events = com.qwirx.data.Datasource.Events;
+	
+	function record(event)
+	{
+		events.push(event);
+	}
+	
+	ds.addEventListener(Events.ROWS_INSERT, record);
+	ds.addEventListener(Events.ROWS_UPDATE, record);
+	ds.addEventListener(Events.ROWS_DELETE, record);
+	
+	var born = new Date(Date.UTC(1980, 5, 1));
+	assertEquals(3, getResult(ds.add({id: 7, name: 'Paul', born: born})));
+	var request = getLastRequest(server);
+	assertEquals('POST', request.method);
+	assertEquals(URL, request.url);
+	assertObjectEquals({values: {id: 7, name: 'Paul',
+		born: '1980-06-01T00:00:00.000Z'}}, request.body);
+	assertEquals(4, server.getCount());
+	assertEquals(Events.ROWS_INSERT, events[0].type);
+	assertObjectEquals([3], events[0].getAffectedRows());
+	
+	getResult(ds.insert(1, {id: 3, name: 'Mary', born: null}));
+	assertEquals(1, getLastRequest(server).body.position);
+	assertEquals('Mary', server.getRecord(1).name);
+	assertObjectEquals([1], events[1].getAffectedRows());
+	
+	getResult(ds.replace(0, {id: 1, name: 'Jo', born: null}));
+	request = getLastRequest(server);
+	assertEquals('PUT', request.method);
+	assertEquals(URL + '/0', request.url);
+	assertUndefined("an unconditional replace should not send a version",
+		request.headers['If-Match']);
+	assertEquals('Jo', server.getRecord(0).name);
+	assertEquals(2, ds.getKnownVersion(0));
+	assertEquals(Events.ROWS_UPDATE, events[2].type);
+	
+	getResult(ds.remove(1));
+	request = getLastRequest(server);
+	assertEquals('DELETE', request.method);
+	assertEquals(URL + '/1', request.url);
+	assertEquals(4, server.getCount());
+	assertEquals(Events.ROWS_DELETE, events[3].type);
+	assertObjectEquals([1], events[3].getAffectedRows());
+	
+	com.qwirx.test.assertThrows(com.qwirx.data.NoSuchRecord,
+		function() { getResult(ds.replace(4, {id: 9})); });
+	assertEquals(4, events.length);
+}
+
+function test_remote_datasource_detects_concurrent_modification()
+{
+	var server = getTestServer();
+	var ds = new com.qwirx.data.RemoteDatasource(URL, getColumns(), server);
+	var loaded = getResult(ds.get(1));
+	
+	// The version that the values were read with is sent.
+	var changed = {id: 2, name: 'Jim', born: null};
+	getResult(ds.atomicReplace(1, loaded, changed));
+	var request = getLastRequest(server);
+	assertEquals('"1"', request.headers['If-Match']);
+	assertEquals('Jim', server.getRecord(1).name);
+	
+	server.modify(1, {name: 'Jimmy'});
+	var e = com.qwirx.test.assertThrows(
+		com.qwirx.data.ConcurrentModification,
+		function() { getResult(ds.atomicReplace(1, changed,
+			{id: 2, name: 'Jimbo', born: null})); });
+	assertEquals('"2"', getLastRequest(server).headers['If-Match']);
+	assertObjectEquals("the server's current values should be returned",
+		{id: 2, name: 'Jimmy', born: null}, e.getCurrentValues());
+	assertEquals('Jimmy', server.getRecord(1).name);
+	
+	// Now we know the current version, we can overwrite it.
+	getResult(ds.atomicReplace(1, e.getCurrentValues(), changed));
+	assertEquals('Jim', server.getRecord(1).name);
+	
+	// If we haven't seen the expected values, the row is read first,
+	// and not written if they're different.
+	var count = server.getRequests().length;
+	com.qwirx.test.assertThrows(com.qwirx.data.ConcurrentModification,
+		function() { getResult(ds.atomicRemove(2,
+			{id: 5, name: 'Pete', born: null})); });
+	assertEquals(count + 1, server.getRequests().length);
+	assertEquals('GET', getLastRequest(server).method);
+	assertEquals(3, server.getCount());
+	
+	getResult(ds.atomicRemove(2, {id: 5, name: 'Peter', born: null}));
+	assertEquals('DELETE', getLastRequest(server).method);
+	assertEquals('"1"', getLastRequest(server).headers['If-Match']);
+	assertEquals(2, server.getCount());
+	
+	// A version can be passed instead of values, and is sent as it is
+	var version = ds.getVersion(1);
+	assertEquals(ds.getKnownVersion(1), version);
+	count = server.getRequests().length;
+	getResult(ds.atomicReplace(1, version, {id: 2, name: 'Jo', born: null}));
+	assertEquals(count + 1, server.getRequests().length);
+	assertEquals('"' + version + '"',
+		getLastRequest(server).headers['If-Match']);
+	com.qwirx.test.assertThrows(com.qwirx.data.ConcurrentModification,
+		function() { getResult(ds.atomicRemove(1, version)); });
+	assertEquals(2, server.getCount());
+}
+
+function test_remote_datasource_merges_concurrent_modification()
+{
+	var server = getTestServer();
+	var ds = new com.qwirx.data.RemoteDatasource(URL, getColumns(), server);
+	var loaded = getResult(ds.get(1));
+	
+	server.modify(1, {name: 'Jimmy'});
+	var merged = getResult(ds.atomicMerge(1, loaded,
+		{id: 3, name: 'James', born: null}));
+	assertObjectEquals({id: 3, name: 'Jimmy', born: null}, merged);
+	assertEquals(3, server.getRecord(1).id);
+	assertEquals('Jimmy', server.getRecord(1).name);
+	assertEquals('"2"', getLastRequest(server).headers['If-Match']);
+	
+	server.modify(1, {name: 'Jim'});
+	var e = com.qwirx.test.assertThrows(
+		com.qwirx.data.ConcurrentModification,
+		function() { getResult(ds.atomicMerge(1, merged,
+			{id: 3, name: 'Jimbo', born: null})); });
+	assertObjectEquals([{name: 'name', base: 'Jimmy', mine: 'Jimbo',
+		theirs: 'Jim'}], e.getConflicts());
+	assertEquals('Jim', server.getRecord(1).name);
+}
+
+function test_remote_datasource_reports_http_errors()
+{
+	var transport = {
+		send: function(method, url, body, headers)
+		{
+			return goog.async.Deferred.succeed({status: 500, body: null});
+		}
+	};
+	var ds = new com.qwirx.data.RemoteDatasource(URL, getColumns(),
+		transport);
+	var e = com.qwirx.test.assertThrows(com.qwirx.data.HttpError,
+		function() { getResult(ds.getCount()); });
+	assertEquals(500, e.getStatus());
+}
+
+function test_cursor_on_remote_datasource()
+{
+	var server = getTestServer();
+	var ds = new com.qwirx.data.RemoteDatasource(URL, getColumns(), server);
+	var c = new com.qwirx.data.Cursor(ds);
+	
+	getResult(c.moveFirst());
+	assertEquals(3, c.getRowCount());
+	assertEquals('John', c.getCurrentValues().name);
+	
+	c.setFieldValue('name', 'Jo');
+	server.modify(0, {name: 'Johnny'});
+	var blocked = false;
+	c.addEventListener(com.qwirx.data.Cursor.Events.BEFORE_OVERWRITE,
+		function(e)
+		{
+			blocked = true;
+			return false;
+		});
+	com.qwirx.test.assertThrows(com.qwirx.data.OverwriteBlocked,
+		function() { getResult(c.save()); });
+	assertTrue(blocked);
+	assertEquals('Johnny', server.getRecord(0).name);
+	
+	assertEquals(0, getResult(c.save(false, true /* force */)));
+	assertEquals('Jo', server.getRecord(0).name);
+	assertFalse(c.isDirty());
+	
+	assertEquals(0, getResult(c.deleteCurrent()));
+	assertEquals(2, server.getCount());
+	assertEquals('James', c.getCurrentValues().name);
+}
@@ -0,0 +1,335 @@
+/*
+	@fileoverview Defines the {com.qwirx.data.Schema} class, which
+	validates records against the column definitions of a
+	{com.qwirx.data.Datasource}.
+*/
+
+goog.provide('com.qwirx.data.Schema');
+goog.provide('com.qwirx.data.ValidationFailed');
+
+goog.require('com.qwirx.util.Enum');
+goog.require('com.qwirx.util.Exception');
+goog.require('goog.array');
+goog.require('goog.asserts');
+goog.require('goog.json');
+goog.require('goog.object');
+
+/**
+ * An exception thrown when a record or field value does not match the
+ * column definitions of a datasource. It lists every failing field, so
+ * that a form can highlight all of them at once.
+ *
+ * @param {Array.<Object>} failures The validation failures, each with
+ * a <code>field</code> (the column name), the <code>value</code> that
+ * failed, and a <code>reason</code> (a human-readable message).
+ * @constructor
+ */
+com.qwirx.data.ValidationFailed = function(failures)
+{
+	var messages = [];
+	for (var i = 0; i < failures.length; i++)
+	{
+		messages.push(failures[i].field + ": " + failures[i].reason);
+	}
+	
+	goog.base(this, "The record is not valid: " + messages.join("; "));
+	this.failures_ = failures;
+};
+goog.inherits(com.qwirx.data.ValidationFailed, com.qwirx.util.Exception);
+
+/**
+ * @return the list of validation failures, each with a
+ * <code>field</code>, a <code>value</code> and a <code>reason</code>.
+ */
+com.qwirx.data.ValidationFailed.prototype.getFailures = function()
+{
+	return goog.array.clone(this.failures_);
+};
+
+/**
+ * @return the names of the fields which failed validation.
+ */
+com.qwirx.data.ValidationFailed.prototype.getFieldNames = function()
+{
+	return goog.array.map(this.failures_, function(failure)
+		{
+			return failure.field;
+		});
+};
+
+/**
+ * A Schema wraps the column definitions of a datasource, as returned by
+ * {com.qwirx.data.SimpleDatasource#getColumns}, and checks records
+ * against them. As well as a <code>name</code> and a
+ * <code>caption</code>, each column may have the following properties:
+ *
+ * <ul>
+ * <li><code>type</code>: one of {com.qwirx.data.Schema.Types}. Values
+ * of any other type are rejected. If not set, any value is allowed.
+ * <li><code>required</code>: if true, the field must have a value
+ * (it may not be missing or undefined).
+ * <li><code>nullable</code>: if false, the value may not be null.
+ * Defaults to true.
+ * <li><code>maxLength</code>: the maximum length of a string value.
+ * <li><code>allowedValues</code>: an array of the only values allowed.
+ * <li><code>defaultValue</code>: the value given to this field of new
+ * records, if they don't have one.
+ * <li><code>key</code>: if true, this column is part of the primary
+ * key, which identifies each record uniquely. Key columns are always
+ * required.
+ * </ul>
+ *
+ * If any column has a <code>type</code>, then the schema is typed, and
+ * records may not contain fields which are not columns. Otherwise they
+ * can contain any extra fields, as they always could.
+ *
+ * @param {Array.<Object>} columns The column definitions.
+ * @constructor
+ */
+com.qwirx.data.Schema = function(columns)
+{
+	this.columns_ = columns;
+	this.typed_ = goog.array.some(columns, function(column)
+		{
+			return column.type != undefined;
+		});
+	
+	this.keyColumnNames_ = [];
+	for (var i = 0; i < columns.length; i++)
+	{
+		if (columns[i].key)
+		{
+			this.keyColumnNames_.push(columns[i].name);
+		}
+	}
+};
+
+com.qwirx.data.Schema.Types = new com.qwirx.util.Enum(
+	'STRING', 'NUMBER', 'BOOLEAN', 'DATE'
+);
+
+/**
+ * @return true if the value is of the specified type, one of
+ * {com.qwirx.data.Schema.Types}.
+ */
+com.qwirx.data.Schema.isOfType = function(value, type)
+{
+	var Types = com.qwirx.data.Schema.Types;
+	
+	if (type == Types.STRING)
+	{
+		return goog.isString(value);
+	}
+	else if (type == Types.NUMBER)
+	{
+		return goog.isNumber(value) && !isNaN(value);
+	}
+	else if (type == Types.BOOLEAN)
+	{
+		return goog.isBoolean(value);
+	}
+	else if (type == Types.DATE)
+	{
+		return value instanceof Date && !isNaN(value.getTime());
+	}
+	else
+	{
+		throw new com.qwirx.util.Exception("Unknown column type: " + type);
+	}
+};
+
+/**
+ * @return true if any column has a type, in which case records may not
+ * contain fields which are not columns.
+ */
+com.qwirx.data.Schema.prototype.isTyped = function()
+{
+	return this.typed_;
+};
+
+/**
+ * @return the definition of the named column, or null if there is no
+ * such column.
+ */
+com.qwirx.data.Schema.prototype.getColumn = function(fieldName)
+{
+	return goog.array.find(this.columns_, function(column)
+		{
+			return column.name == fieldName;
+		});
+};
+
+/**
+ * @return the names of the columns which make up the primary key, in
+ * order, which is empty if there is no primary key.
+ */
+com.qwirx.data.Schema.prototype.getKeyColumnNames = function()
+{
+	return goog.array.clone(this.keyColumnNames_);
+};
+
+/**
+ * @return the primary key of the record, which is the value of the key
+ * column if there is only one, or an array of the values of the key
+ * columns (in order) if there are several.
+ */
+com.qwirx.data.Schema.prototype.getRecordKey = function(record)
+{
+	var names = this.keyColumnNames_;
+	goog.asserts.assert(names.length > 0, "This schema has no key columns");
+	
+	if (names.length == 1)
+	{
+		return record[names[0]];
+	}
+	
+	return goog.array.map(names, function(name)
+		{
+			return record[name];
+		});
+};
+
+/**
+ * @return a string which uniquely represents the key, which is a value
+ * returned by {#getRecordKey}, for use as a property name in maps.
+ */
+com.qwirx.data.Schema.prototype.keyToString = function(key)
+{
+	if (this.keyColumnNames_.length == 1)
+	{
+		key = [key];
+	}
+	
+	return goog.json.serialize(key);
+};
+
+/**
+ * @return a copy of the record, with the default value of each column
+ * that has one assigned to the field, if the record doesn't have a
+ * value for it.
+ */
+com.qwirx.data.Schema.prototype.applyDefaults = function(record)
+{
+	var result = goog.object.clone(record);
+	
+	for (var i = 0; i < this.columns_.length; i++)
+	{
+		var column = this.columns_[i];
+		if (column.defaultValue !== undefined &&
+			result[column.name] === undefined)
+		{
+			result[column.name] = column.defaultValue;
+		}
+	}
+	
+	return result;
+};
+
+/**
+ * @return the reasons why the value is not valid for the named field,
+ * as an array of failures (see {com.qwirx.data.ValidationFailed}),
+ * which is empty if the value is valid.
+ */
+com.qwirx.data.Schema.prototype.getFieldFailures = function(fieldName,
+	value)
+{
+	var column = this.getColumn(fieldName);
+	var reasons = [];
+	
+	if (!column)
+	{
+		if (this.typed_ && value !== undefined)
+		{
+			reasons.push("there is no such column");
+		}
+	}
+	else if (value === undefined)
+	{
+		if (column.required || column.key)
+		{
+			reasons.push("a value is required");
+		}
+	}
+	else if (value === null)
+	{
+		if (column.nullable === false)
+		{
+			reasons.push("the value may not be null");
+		}
+	}
+	else
+	{
+		if (column.type != undefined &&
+			!com.qwirx.data.Schema.isOfType(value, column.type))
+		{
+			reasons.push("the value " + value + " is not of type " +
+				column.type);
+		}
+		
+		if (column.maxLength != undefined && goog.isString(value) &&
+			value.length > column.maxLength)
+		{
+			reasons.push("the value is longer than " + column.maxLength +
+				" characters");
+		}
+		
+		if (column.allowedValues &&
+			!goog.array.contains(column.allowedValues, value))
+		{
+			reasons.push("the value " + value + " is not one of the " +
+				"allowed values: " + column.allowedValues.join(", "));
+		}
+	}
+	
+	return goog.array.map(reasons, function(reason)
+		{
+			return {field: fieldName, value: value, reason: reason};
+		});
+};
+
+/**
+ * Check that the value is valid for the named field.
+ * @throws {com.qwirx.data.ValidationFailed} if it is not.
+ */
+com.qwirx.data.Schema.prototype.validateField = function(fieldName, value)
+{
+	var failures = this.getFieldFailures(fieldName, value);
+	
+	if (failures.length)
+	{
+		throw new com.qwirx.data.ValidationFailed(failures);
+	}
+};
+
+/**
+ * Check that every field of the record is valid, that every required
+ * field has a value, and, if the schema is typed, that the record
+ * has no fields which are not columns.
+ * @throws {com.qwirx.data.ValidationFailed} listing every failing field,
+ * if there are any.
+ */
+com.qwirx.data.Schema.prototype.validateRecord = function(record)
+{
+	var failures = [];
+	
+	for (var i = 0; i < this.columns_.length; i++)
+	{
+		var name = this.columns_[i].name;
+		goog.array.extend(failures,
+			this.getFieldFailures(name, record[name]));
+	}
+	
+	for (var name in record)
+	{
+		if (record.hasOwnProperty(name) && !this.getColumn(name))
+		{
+			goog.array.extend(failures,
+				this.getFieldFailures(name, record[name]));
+		}
+	}
+	
+	if (failures.length)
+	{
+		throw new com.qwirx.data.ValidationFailed(failures);
+	}
+};
@@ -0,0 +1,133 @@
+goog.provide('com.qwirx.data.Schema_test');
+
+goog.require('com.qwirx.data.Schema');
+goog.require('com.qwirx.test.assertThrows');
+goog.require('goog.testing.jsunit');
+
+function getTestSchema()
+{
+	var Types = com.qwirx.data.Schema.Types;
+	return new com.qwirx.data.Schema([
+		{name: 'id', caption: 'ID', type: Types.NUMBER, required: true,
+			nullable: false},
+		{name: 'name', caption: 'Name', type: Types.STRING, maxLength: 10},
+		{name: 'status', caption: 'Status', type: Types.STRING,
+			allowedValues: ['open', 'closed'], defaultValue: 'open'},
+		{name: 'active', caption: 'Active', type: Types.BOOLEAN},
+		{name: 'born', caption: 'Born', type: Types.DATE}
+	]);
+}
+
+function test_schema_is_typed()
+{
+	assertTrue(getTestSchema().isTyped());
+	assertFalse(new com.qwirx.data.Schema([{name: 'id', caption: 'ID'}]).
+		isTyped());
+}
+
+function test_schema_validates_field_types()
+{
+	var schema = getTestSchema();
+	schema.validateField('id', 1);
+	schema.validateField('name', 'John');
+	schema.validateField('active', false);
+	schema.validateField('born', new Date(2000, 0, 1));
+	
+	function assertInvalid(fieldName, value)
+	{
+		com.qwirx.test.assertThrows(com.qwirx.data.ValidationFailed,
+			function() { schema.validateField(fieldName, value); },
+			fieldName + " should not accept the value " + value);
+	}
+	
+	assertInvalid('id', '1');
+	assertInvalid('id', NaN);
+	assertInvalid('name', 1);
+	assertInvalid('active', 'true');
+	assertInvalid('born', '2000-01-01');
+	assertInvalid('born', new Date('not a date'));
+}
+
+function test_schema_validates_field_constraints()
+{
+	var schema = getTestSchema();
+	
+	assertObjectEquals([], schema.getFieldFailures('name', '0123456789'));
+	assertObjectEquals([{field: 'name', value: '0123456789A',
+		reason: "the value is longer than 10 characters"}],
+		schema.getFieldFailures('name', '0123456789A'));
+	
+	assertObjectEquals([], schema.getFieldFailures('status', 'closed'));
+	assertEquals(1, schema.getFieldFailures('status', 'pending').length);
+	
+	assertObjectEquals([], schema.getFieldFailures('name', null));
+	assertEquals("id is not nullable", 1,
+		schema.getFieldFailures('id', null).length);
+	
+	assertObjectEquals([], schema.getFieldFailures('name', undefined));
+	assertEquals("id is required", 1,
+		schema.getFieldFailures('id', undefined).length);
+	
+	assertEquals("a typed schema should not allow unknown fields", 1,
+		schema.getFieldFailures('extra', 'whee').length);
+	assertObjectEquals("an untyped schema should allow unknown fields", [],
+		new com.qwirx.data.Schema([{name: 'id', caption: 'ID'}]).
+			getFieldFailures('extra', 'whee'));
+}
+
+function test_schema_validates_records()
+{
+	var schema = getTestSchema();
+	schema.validateRecord({id: 1, name: 'John', status: 'open'});
+	
+	var exception = assertThrows(function()
+		{
+			schema.validateRecord({name: 'Bartholomew', status: 'lost',
+				extra: 'whee'});
+		});
+	assertTrue("Wrong kind of exception: " + exception,
+		exception instanceof com.qwirx.data.ValidationFailed);
+	assertObjectEquals("All failing fields should be listed",
+		['id', 'name', 'status', 'extra'], exception.getFieldNames());
+	assertEquals('Bartholomew', exception.getFailures()[1].value);
+}
+
+function test_schema_apply_defaults()
+{
+	var schema = getTestSchema();
+	var record = {id: 1};
+	assertObjectEquals({id: 1, status: 'open'},
+		schema.applyDefaults(record));
+	assertObjectEquals("The original record should not be modified",
+		{id: 1}, record);
+	assertObjectEquals({id: 1, status: 'closed'},
+		schema.applyDefaults({id: 1, status: 'closed'}));
+}
+
+function test_schema_keys()
+{
+	var schema = new com.qwirx.data.Schema([
+		{name: 'id', caption: 'ID', key: true},
+		{name: 'name', caption: 'Name'}
+	]);
+	assertObjectEquals(['id'], schema.getKeyColumnNames());
+	assertEquals(5, schema.getRecordKey({id: 5, name: 'Peter'}));
+	assertEquals("Key columns should be required", 1,
+		schema.getFieldFailures('id', undefined).length);
+	assertNotEquals(schema.keyToString(5), schema.keyToString('5'));
+	
+	var composite = new com.qwirx.data.Schema([
+		{name: 'country', caption: 'Country', key: true},
+		{name: 'code', caption: 'Code', key: true},
+		{name: 'name', caption: 'Name'}
+	]);
+	assertObjectEquals(['country', 'code'],
+		composite.getKeyColumnNames());
+	assertObjectEquals(['GB', 'LON'], composite.getRecordKey(
+		{country: 'GB', code: 'LON', name: 'London'}));
+	assertEquals(composite.keyToString(['GB', 'LON']),
+		composite.keyToString(composite.getRecordKey(
+			{name: 'London', code: 'LON', country: 'GB'})));
+	
+	assertObjectEquals([], getTestSchema().getKeyColumnNames());
+}
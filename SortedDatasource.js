@@ -0,0 +1,519 @@
+/*
+	@fileoverview Defines the {com.qwirx.data.SortedDatasource} class,
+	which presents a sorted view of another {com.qwirx.data.Datasource}.
+*/
+
+goog.provide('com.qwirx.data.SortedDatasource');
+
+goog.require('com.qwirx.data.Datasource');
+goog.require('goog.array');
+
+/**
+ * A live, sorted view of another {com.qwirx.data.Datasource}. The rows
+ * are the same as those of the source, but in a different order. The
+ * view listens for {com.qwirx.data.Datasource.RowEvent}s from the source
+ * and keeps itself sorted incrementally, using
+ * {com.qwirx.data.Datasource#binarySearch} to find the new position of
+ * each inserted or updated row, instead of sorting all the rows again.
+ * It sends its own RowEvents with the row indexes translated into view
+ * positions, so {com.qwirx.data.Cursor}s on the view stay on the same
+ * record. When an updated row's sort position changes, it sends a
+ * {com.qwirx.data.Datasource.RowMoveEvent} followed by a ROWS_UPDATE.
+ *
+ * When the source sends several changes at once (see
+ * {com.qwirx.data.Datasource#dispatchChanges}), the rows that were
+ * inserted are only put in their places when the updated rows have
+ * been too, because until then the updated rows are in the wrong
+ * places for a binary search. The view sends a CHANGES_COMPLETE event
+ * after the source does, and {#isSendingChanges} returns true until
+ * then.
+ *
+ * Writes to the view are passed through to the source. Since the
+ * position of a row in the view is decided by the sort order, new rows
+ * are always added to the end of the source.
+ *
+ * @param {com.qwirx.data.Datasource} source The datasource to sort.
+ *
+ * @param {Array.<Object>} sortOrder The columns to sort by, most
+ * significant first. Each element has a <code>name</code> property
+ * (the column name), an optional <code>descending</code> property
+ * which reverses the order if true, and an optional
+ * <code>compare</code> function which compares two values of the
+ * column, returning a negative number, zero or a positive number,
+ * like {goog.array.defaultCompare}, which is used if it's not set.
+ *
+ * @constructor
+ */
+com.qwirx.data.SortedDatasource = function(source, sortOrder)
+{
+	this.source_ = source;
+	this.sortOrder_ = goog.array.clone(sortOrder);
+	
+	// The source index of each row of this view, in sorted order.
+	this.sourceIndexes_ = [];
+	var rows = [];
+	
+	for (var i = 0; i < source.getCount(); i++)
+	{
+		this.sourceIndexes_.push(i);
+		rows.push(source.get(i));
+	}
+	
+	var self = this;
+	goog.array.stableSort(this.sourceIndexes_, function(a, b)
+		{
+			return self.compareRows(rows[a], rows[b]);
+		});
+	
+	// The source indexes of rows inserted while the source is sending
+	// several changes at once, which are only put in their places when
+	// the updates sent after them have arrived.
+	this.pendingInserts_ = [];
+	
+	var Events = com.qwirx.data.Datasource.Events;
+	source.addEventListener(Events.ROWS_INSERT,
+		this.handleSourceRowInsert, false /* capture */, this /* scope */);
+	source.addEventListener(Events.ROWS_UPDATE,
+		this.handleSourceRowUpdate, false /* capture */, this /* scope */);
+	source.addEventListener(Events.ROWS_DELETE,
+		this.handleSourceRowDelete, false /* capture */, this /* scope */);
+	source.addEventListener(Events.ROWS_MOVE,
+		this.handleSourceRowMove, false /* capture */, this /* scope */);
+	source.addEventListener(Events.CHANGES_COMPLETE,
+		this.handleSourceChangesComplete, false /* capture */,
+		this /* scope */);
+};
+
+goog.inherits(com.qwirx.data.SortedDatasource,
+	com.qwirx.data.Datasource);
+
+/**
+ * @return the datasource that this view sorts.
+ */
+com.qwirx.data.SortedDatasource.prototype.getSource = function()
+{
+	return this.source_;
+};
+
+/**
+ * @return a copy of the sort order passed to the constructor.
+ */
+com.qwirx.data.SortedDatasource.prototype.getSortOrder = function()
+{
+	return goog.array.clone(this.sortOrder_);
+};
+
+/**
+ * @return the index in the source datasource of the row at the
+ * specified position of this view.
+ */
+com.qwirx.data.SortedDatasource.prototype.getSourceIndex =
+	function(rowIndex)
+{
+	this.assertValidRow(rowIndex);
+	return this.sourceIndexes_[rowIndex];
+};
+
+/**
+ * @return true while the source is sending several changes at once.
+ * @override
+ */
+com.qwirx.data.SortedDatasource.prototype.isSendingChanges = function()
+{
+	return this.source_.isSendingChanges();
+};
+
+/**
+ * Compare two records according to the sort order of this view.
+ * @return a negative number if a sorts before b, a positive number
+ * if after, or zero if they are equal in all the sorted columns.
+ */
+com.qwirx.data.SortedDatasource.prototype.compareRows = function(a, b)
+{
+	for (var i = 0; i < this.sortOrder_.length; i++)
+	{
+		var column = this.sortOrder_[i];
+		var compare = column.compare || goog.array.defaultCompare;
+		var result = compare(a[column.name], b[column.name]);
+		
+		if (result != 0)
+		{
+			return column.descending ? -result : result;
+		}
+	}
+	
+	return 0;
+};
+
+/**
+ * Looks up the key in the source datasource, which may be able to do
+ * it faster than checking every record.
+ * @override
+ */
+com.qwirx.data.SortedDatasource.prototype.indexOfKey = function(key)
+{
+	var sourceIndex = this.source_.indexOfKey(key);
+	return (sourceIndex < 0) ? -1 :
+		goog.array.indexOf(this.sourceIndexes_, sourceIndex);
+};
+
+com.qwirx.data.SortedDatasource.prototype.getColumns = function()
+{
+	return this.source_.getColumns();
+};
+
+com.qwirx.data.SortedDatasource.prototype.getCount = function()
+{
+	return this.sourceIndexes_.length;
+};
+
+com.qwirx.data.SortedDatasource.prototype.get = function(rowIndex)
+{
+	this.assertValidRow(rowIndex);
+	return this.source_.get(this.sourceIndexes_[rowIndex]);
+};
+
+/**
+ * @return the version of the row in the source datasource.
+ * @override
+ */
+com.qwirx.data.SortedDatasource.prototype.getVersion = function(rowIndex)
+{
+	this.assertValidRow(rowIndex);
+	return this.source_.getVersion(this.sourceIndexes_[rowIndex]);
+};
+
+/**
+ * Add a new record to the source datasource. It will appear in this
+ * view at the position determined by the sort order, so the rowIndex
+ * is only checked for validity, and otherwise ignored.
+ */
+com.qwirx.data.SortedDatasource.prototype.insert =
+	function(rowIndex, newRecord)
+{
+	this.assertValidRow(rowIndex, this.getCount());
+	this.add(newRecord);
+};
+
+/**
+ * Add a new record to the source datasource.
+ * @return the position of the new record in this view.
+ */
+com.qwirx.data.SortedDatasource.prototype.add = function(newRecord)
+{
+	var sourceIndex = this.source_.getCount();
+	this.source_.insert(sourceIndex, newRecord);
+	return goog.array.indexOf(this.sourceIndexes_, sourceIndex);
+};
+
+/**
+ * Replace the record at the specified position of this view, in the
+ * source datasource. This may move it to a different position in the
+ * view.
+ */
+com.qwirx.data.SortedDatasource.prototype.replace =
+	function(rowIndex, newRecord)
+{
+	this.assertValidRow(rowIndex);
+	this.source_.replace(this.sourceIndexes_[rowIndex], newRecord);
+};
+
+/**
+ * Remove the record at the specified position of this view from the
+ * source datasource.
+ */
+com.qwirx.data.SortedDatasource.prototype.remove = function(rowIndex)
+{
+	this.assertValidRow(rowIndex);
+	this.source_.remove(this.sourceIndexes_[rowIndex]);
+};
+
+/**
+ * @return the position in this view at which the row with the
+ * specified source index should be inserted to maintain the sort order.
+ * @private
+ */
+com.qwirx.data.SortedDatasource.prototype.findPosition_ =
+	function(sourceIndex)
+{
+	var self = this;
+	var position = this.binarySearch(
+		function(a, b) { return self.compareRows(a, b); },
+		this.source_.get(sourceIndex));
+	
+	if (position < 0)
+	{
+		// not found, so this encodes the insertion point
+		position = -(position + 1);
+	}
+	
+	return position;
+};
+
+/**
+ * @return the number of values in a sorted array which are less than
+ * the target, or less than or equal to it if orEqual is true, found by
+ * binary search.
+ * @private
+ */
+com.qwirx.data.SortedDatasource.countBefore_ = function(sortedArray,
+	target, orEqual)
+{
+	// The comparison never returns zero, so the search never finds the
+	// target, and returns the insertion point instead.
+	return -(goog.array.binarySearch(sortedArray, target, function(t, value)
+		{
+			return (t < value || (t == value && !orEqual)) ? -1 : 1;
+		}) + 1);
+};
+
+/**
+ * Handle new rows in the source by inserting them at the right places
+ * in the view, and sending a ROWS_INSERT event with their positions.
+ * If the source is sending several changes at once, that waits until
+ * the updated rows have been put in their places too.
+ */
+com.qwirx.data.SortedDatasource.prototype.handleSourceRowInsert =
+	function(event)
+{
+	var inserted = goog.array.clone(event.getAffectedRows());
+	goog.array.sort(inserted);
+	
+	// Update the source indexes of existing rows which were shifted
+	// down by the insertions. The inserted indexes are the new
+	// positions, so inserted[i] - i is the number of existing rows
+	// before the i'th inserted row, which is in ascending order, and
+	// an existing row moves down once for each of these that is not
+	// greater than its old index.
+	var offsets = goog.array.map(inserted, function(rowIndex, i)
+		{
+			return rowIndex - i;
+		});
+	
+	for (var j = 0; j < this.sourceIndexes_.length; j++)
+	{
+		var sourceIndex = this.sourceIndexes_[j];
+		this.sourceIndexes_[j] += com.qwirx.data.SortedDatasource.countBefore_(
+			offsets, sourceIndex, true /* orEqual */);
+	}
+	
+	if (this.source_.isSendingChanges())
+	{
+		this.pendingInserts_ = this.pendingInserts_.concat(inserted);
+		return;
+	}
+	
+	this.placeRows_(inserted, []);
+};
+
+/**
+ * Handle updated rows in the source by moving them to their new sorted
+ * positions, if they changed, and sending a ROWS_MOVE event for each
+ * one that moved, and then a ROWS_UPDATE event with the current
+ * positions of all of them. Any rows that were inserted while the
+ * source is sending several changes are put in their places first.
+ */
+com.qwirx.data.SortedDatasource.prototype.handleSourceRowUpdate =
+	function(event)
+{
+	var inserted = this.pendingInserts_;
+	this.pendingInserts_ = [];
+	this.placeRows_(inserted, event.getAffectedRows());
+};
+
+/**
+ * Handle the source having finished sending several changes at once,
+ * by putting any rows inserted by them in their places, if no updates
+ * did, and sending a CHANGES_COMPLETE event of our own.
+ */
+com.qwirx.data.SortedDatasource.prototype.handleSourceChangesComplete =
+	function(event)
+{
+	if (this.pendingInserts_.length)
+	{
+		var inserted = this.pendingInserts_;
+		this.pendingInserts_ = [];
+		this.placeRows_(inserted, []);
+	}
+	
+	this.dispatchEvent(com.qwirx.data.Datasource.Events.CHANGES_COMPLETE);
+};
+
+/**
+ * Put new rows of the source, which are not in the view yet, and
+ * updated ones, which may be in the wrong places, in their sorted
+ * positions, and send the events which describe that: a ROWS_INSERT
+ * for the new rows, a ROWS_MOVE for each updated row that moved, and
+ * a ROWS_UPDATE for the updated rows.
+ *
+ * All the updated rows are taken out before any of them are put back,
+ * because the binary search would be misled by the new values of the
+ * ones that are still in their old places.
+ *
+ * @param {Array.<number>} inserted The source indexes of the new rows.
+ * @param {Array.<number>} updated The source indexes of the updated
+ * rows.
+ * @private
+ */
+com.qwirx.data.SortedDatasource.prototype.placeRows_ = function(inserted,
+	updated)
+{
+	var Events = com.qwirx.data.Datasource.Events;
+	var isInserted = {}, isUpdated = {};
+	goog.array.forEach(inserted, function(sourceIndex)
+		{
+			isInserted[sourceIndex] = true;
+		});
+	goog.array.forEach(updated, function(sourceIndex)
+		{
+			isUpdated[sourceIndex] = true;
+		});
+	
+	var before = this.sourceIndexes_;
+	this.sourceIndexes_ = goog.array.filter(before, function(sourceIndex)
+		{
+			return !isUpdated[sourceIndex];
+		});
+	
+	var placed = goog.array.concat(inserted, updated);
+	for (var i = 0; i < placed.length; i++)
+	{
+		goog.array.insertAt(this.sourceIndexes_, placed[i],
+			this.findPosition_(placed[i]));
+	}
+	
+	// Now work out the events, going from the old order to the sorted
+	// one. Rows which are in the right order relative to each other
+	// are "settled": at first, all the rows which were not updated.
+	// Each new row goes straight after the nearest settled row before
+	// it in the sorted order, and then each updated row, in sorted
+	// order, moves straight after the row before it, which has always
+	// settled already.
+	var sorted = this.sourceIndexes_;
+	this.sourceIndexes_ = before;
+	
+	for (var j = 0; j < sorted.length; j++)
+	{
+		if (isInserted[sorted[j]])
+		{
+			var k = j - 1;
+			while (k >= 0 && isUpdated[sorted[k]])
+			{
+				k--;
+			}
+			
+			goog.array.insertAt(this.sourceIndexes_, sorted[j],
+				(k < 0) ? 0 : goog.array.indexOf(this.sourceIndexes_,
+					sorted[k]) + 1);
+		}
+	}
+	
+	var positions = [];
+	for (var j = 0; j < this.sourceIndexes_.length; j++)
+	{
+		if (isInserted[this.sourceIndexes_[j]])
+		{
+			positions.push(j);
+		}
+	}
+	
+	if (positions.length)
+	{
+		this.dispatchRowEvent(Events.ROWS_INSERT, positions);
+	}
+	
+	positions = [];
+	for (var j = 0; j < sorted.length; j++)
+	{
+		if (!isUpdated[sorted[j]])
+		{
+			continue;
+		}
+		
+		var oldPosition = goog.array.indexOf(this.sourceIndexes_,
+			sorted[j]);
+		goog.array.removeAt(this.sourceIndexes_, oldPosition);
+		var newPosition = (j == 0) ? 0 : goog.array.indexOf(
+			this.sourceIndexes_, sorted[j - 1]) + 1;
+		goog.array.insertAt(this.sourceIndexes_, sorted[j], newPosition);
+		positions.push(j);
+		
+		if (newPosition != oldPosition)
+		{
+			this.dispatchRowMoveEvent(oldPosition, newPosition);
+		}
+	}
+	
+	if (positions.length)
+	{
+		this.dispatchRowEvent(Events.ROWS_UPDATE, positions);
+	}
+};
+
+/**
+ * Handle deleted rows in the source by removing them from the view,
+ * and sending a ROWS_DELETE event with the positions that they had,
+ * if any of them were in the view.
+ */
+com.qwirx.data.SortedDatasource.prototype.handleSourceRowDelete =
+	function(event)
+{
+	var deleted = goog.array.clone(event.getAffectedRows());
+	goog.array.sort(deleted);
+	var positions = [];
+	var remaining = [];
+	
+	for (var j = 0; j < this.sourceIndexes_.length; j++)
+	{
+		var sourceIndex = this.sourceIndexes_[j];
+		
+		if (goog.array.binarySearch(deleted, sourceIndex) >= 0)
+		{
+			positions.push(j);
+		}
+		else
+		{
+			remaining.push(sourceIndex -
+				com.qwirx.data.SortedDatasource.countBefore_(deleted,
+					sourceIndex, false /* orEqual */));
+		}
+	}
+	
+	this.sourceIndexes_ = remaining;
+	
+	if (positions.length)
+	{
+		this.dispatchRowEvent(com.qwirx.data.Datasource.Events.ROWS_DELETE,
+			positions);
+	}
+};
+
+/**
+ * Handle a row moving in the source by updating the source indexes.
+ * The row's values are the same, so its position in this view doesn't
+ * change, and no event is sent.
+ */
+com.qwirx.data.SortedDatasource.prototype.handleSourceRowMove =
+	function(event)
+{
+	var oldRowIndex = event.getOldRowIndex();
+	var newRowIndex = event.getNewRowIndex();
+	
+	for (var j = 0; j < this.sourceIndexes_.length; j++)
+	{
+		var sourceIndex = this.sourceIndexes_[j];
+		
+		if (sourceIndex == oldRowIndex)
+		{
+			this.sourceIndexes_[j] = newRowIndex;
+		}
+		else if (oldRowIndex < sourceIndex && sourceIndex <= newRowIndex)
+		{
+			this.sourceIndexes_[j]--;
+		}
+		else if (newRowIndex <= sourceIndex && sourceIndex < oldRowIndex)
+		{
+			this.sourceIndexes_[j]++;
+		}
+	}
+};
@@ -0,0 +1,264 @@
+goog.provide('com.qwirx.data.SortedDatasource_test');
+
+goog.require('com.qwirx.data.Cursor');
+goog.require('com.qwirx.data.SimpleDatasource');
+goog.require('com.qwirx.data.SortedDatasource');
+goog.require('com.qwirx.test.assertThrows');
+goog.require('goog.array');
+goog.require('goog.testing.jsunit');
+
+function getTestDataSource()
+{
+	var columns = [{name: 'id', caption: 'ID'},
+		{name: 'name', caption: 'Name'}];
+	var data = [
+		{id: 1, name: 'John'},
+		{id: 2, name: 'James'},
+		{id: 5, name: 'Peter'},
+		{id: 7, name: 'James'},
+	];
+	return new com.qwirx.data.SimpleDatasource(columns, data);
+}
+
+function getNames(ds)
+{
+	var names = [];
+	for (var i = 0; i < ds.getCount(); i++)
+	{
+		names.push(ds.get(i).name + ds.get(i).id);
+	}
+	return names;
+}
+
+function test_construct_sorted_datasource()
+{
+	var source = getTestDataSource();
+	var sorted = new com.qwirx.data.SortedDatasource(source,
+		[{name: 'name'}, {name: 'id', descending: true}]);
+	
+	assertObjectEquals(source.getColumns(), sorted.getColumns());
+	assertEquals(4, sorted.getCount());
+	assertObjectEquals(['James7', 'James2', 'John1', 'Peter5'],
+		getNames(sorted));
+	assertEquals(3, sorted.getSourceIndex(0));
+	com.qwirx.test.assertThrows(com.qwirx.data.NoSuchRecord,
+		function(){sorted.get(4);},
+		"Wrong kind of exception for access out of bounds");
+}
+
+function test_sorted_datasource_custom_comparator()
+{
+	var source = getTestDataSource();
+	var sorted = new com.qwirx.data.SortedDatasource(source,
+		[{name: 'name', compare: function(a, b)
+			{
+				// sort by length of name, then alphabetically
+				return (a.length - b.length) ||
+					goog.array.defaultCompare(a, b);
+			}},
+		{name: 'id'}]);
+	assertObjectEquals(['John1', 'James2', 'James7', 'Peter5'],
+		getNames(sorted));
+}
+
+function test_sorted_datasource_follows_source_changes()
+{
+	var source = getTestDataSource();
+	var sorted = new com.qwirx.data.SortedDatasource(source,
+		[{name: 'name'}, {name: 'id'}]);
+	var Events = com.qwirx.data.Datasource.Events;
+	
+	var events = com.qwirx.test.assertEvents(sorted, [Events.ROWS_INSERT],
+		function()
+		{
+			source.insertRange(1, [{id: 3, name: 'Andrew'},
+				{id: 4, name: 'Kevin'}]);
+		},
+		"Inserting into the source should send a ROWS_INSERT event");
+	assertObjectEquals(['Andrew3', 'James2', 'James7', 'John1', 'Kevin4',
+		'Peter5'], getNames(sorted));
+	assertObjectEquals([0, 4], events[0].getAffectedRows());
+	
+	events = com.qwirx.test.assertEvents(sorted,
+		[Events.ROWS_MOVE, Events.ROWS_UPDATE],
+		function() { source.replace(0, {id: 1, name: 'Zachary'}); },
+		"Updating a row's sort key should move it");
+	assertEquals(2, events.length);
+	assertEquals(3, events[0].getOldRowIndex());
+	assertEquals(5, events[0].getNewRowIndex());
+	assertObjectEquals([5], events[1].getAffectedRows());
+	assertObjectEquals(['Andrew3', 'James2', 'James7', 'Kevin4', 'Peter5',
+		'Zachary1'], getNames(sorted));
+	
+	events = com.qwirx.test.assertEvents(sorted,
+		[Events.ROWS_MOVE, Events.ROWS_UPDATE],
+		function() { source.replace(1, {id: 3, name: 'Andy'}); },
+		"Updating a row without changing its position should not move it",
+		true /* opt_continue_if_events_not_sent */);
+	assertEquals(1, events.length);
+	assertEquals(Events.ROWS_UPDATE, events[0].type);
+	assertObjectEquals([0], events[0].getAffectedRows());
+	
+	events = com.qwirx.test.assertEvents(sorted, [Events.ROWS_DELETE],
+		function() { source.removeRange(2, 2); }, // Kevin and James2
+		"Deleting from the source should send a ROWS_DELETE event");
+	assertObjectEquals([1, 3], events[0].getAffectedRows());
+	assertObjectEquals(['Andy3', 'James7', 'Peter5', 'Zachary1'],
+		getNames(sorted));
+	
+	// Check that the source indexes are still right
+	for (var i = 0; i < sorted.getCount(); i++)
+	{
+		assertObjectEquals(source.get(sorted.getSourceIndex(i)),
+			sorted.get(i));
+	}
+}
+
+function test_sorted_datasource_writes_through()
+{
+	var source = getTestDataSource();
+	var sorted = new com.qwirx.data.SortedDatasource(source,
+		[{name: 'name'}, {name: 'id'}]);
+	
+	assertEquals(2, sorted.add({id: 9, name: 'Jane'}));
+	assertObjectEquals({id: 9, name: 'Jane'}, source.get(4));
+	
+	sorted.replace(2, {id: 9, name: 'Anne'});
+	assertObjectEquals({id: 9, name: 'Anne'}, source.get(4));
+	assertObjectEquals({id: 9, name: 'Anne'}, sorted.get(0));
+	
+	sorted.remove(0);
+	assertEquals(4, source.getCount());
+	assertObjectEquals(['James2', 'James7', 'John1', 'Peter5'],
+		getNames(sorted));
+}
+
+function test_cursor_on_sorted_datasource_stays_on_record()
+{
+	var source = getTestDataSource();
+	var sorted = new com.qwirx.data.SortedDatasource(source,
+		[{name: 'name'}, {name: 'id'}]);
+	var c = new com.qwirx.data.Cursor(sorted);
+	
+	c.setPosition(2);
+	assertObjectEquals({id: 1, name: 'John'}, c.getCurrentValues());
+	
+	source.add({id: 3, name: 'Andrew'});
+	assertEquals(3, c.getPosition());
+	assertObjectEquals({id: 1, name: 'John'}, c.getCurrentValues());
+	
+	// Saving a change to the sort key moves the record, and the cursor
+	c.setFieldValue('name', 'Zachary');
+	c.save();
+	assertEquals(4, c.getPosition());
+	assertObjectEquals({id: 1, name: 'Zachary'}, c.getCurrentValues());
+	assertFalse(c.isDirty());
+	
+	// Another record moving past the current one should not lose our
+	// unsaved changes.
+	c.setFieldValue('name', 'Zack');
+	source.replace(1, {id: 2, name: 'Zoe'});
+	assertEquals(3, c.getPosition());
+	assertObjectEquals({id: 1, name: 'Zack'}, c.getCurrentValues());
+	assertTrue(c.isDirty());
+}
+
+function test_sorted_datasource_follows_rows_moving_in_source()
+{
+	var source = getTestDataSource();
+	var byId = new com.qwirx.data.SortedDatasource(source, [{name: 'id'}]);
+	var byName = new com.qwirx.data.SortedDatasource(byId,
+		[{name: 'name'}, {name: 'id'}]);
+	var Events = com.qwirx.data.Datasource.Events;
+	
+	// Changing the id moves the row in byId, but not in byName
+	var events = com.qwirx.test.assertEvents(byName, [Events.ROWS_UPDATE],
+		function() { source.replace(0, {id: 9, name: 'John'}); },
+		"A row moving in the source should not move in the view");
+	assertObjectEquals([2], events[0].getAffectedRows());
+	assertObjectEquals(['James2', 'James7', 'John9', 'Peter5'],
+		getNames(byName));
+	
+	for (var i = 0; i < byName.getCount(); i++)
+	{
+		assertObjectEquals(byId.get(byName.getSourceIndex(i)),
+			byName.get(i));
+	}
+	
+	source.remove(0);
+	assertObjectEquals(['James2', 'James7', 'Peter5'], getNames(byName));
+	
+	// A ROWS_DELETE event with no rows should not be sent on
+	com.qwirx.test.assertEvents(byName, [],
+		function()
+		{
+			byId.dispatchEvent(new com.qwirx.data.Datasource.RowEvent(
+				Events.ROWS_DELETE, []));
+		},
+		"An empty ROWS_DELETE event should not be sent on");
+}
+
+function getNameColumn(ds)
+{
+	var names = [];
+	for (var i = 0; i < ds.getCount(); i++)
+	{
+		names.push(ds.get(i).name);
+	}
+	return names;
+}
+
+function test_sorted_datasource_updates_several_rows_at_once()
+{
+	var source = new com.qwirx.data.SimpleDatasource([{name: 'id'},
+		{name: 'name'}], goog.array.map(['a', 'b', 'c', 'cc', 'ccc', 'd',
+			'e'], function(name, i) { return {id: i + 1, name: name}; }));
+	var sorted = new com.qwirx.data.SortedDatasource(source,
+		[{name: 'name'}]);
+	var c = new com.qwirx.data.Cursor(sorted);
+	c.setPosition(5); // d
+	
+	source.replaceRange(3, [{id: 4, name: 'b5'}, {id: 5, name: '00'}]);
+	assertObjectEquals("The updated rows should not mislead each other's " +
+		"binary searches", ['00', 'a', 'b', 'b5', 'c', 'd', 'e'],
+		getNameColumn(sorted));
+	assertEquals(5, c.getPosition());
+	assertEquals('d', c.getCurrentValues().name);
+	
+	// Rows inserted by a transaction are placed after the updated ones
+	source.beginTransaction();
+	source.replace(0, {id: 1, name: 'f'});
+	source.insert(0, {id: 8, name: 'aa'});
+	source.replace(5, {id: 5, name: 'a'});
+	source.commit();
+	assertObjectEquals(['a', 'aa', 'b', 'b5', 'c', 'd', 'e', 'f'],
+		getNameColumn(sorted));
+	assertEquals(5, c.getPosition());
+	assertEquals('d', c.getCurrentValues().name);
+}
+
+/**
+ * A cursor on the view should wait until the source has sent all the
+ * changes of a transaction, like one on the source itself, before
+ * loading the record that took the place of its deleted one.
+ */
+function test_cursor_on_sorted_datasource_current_row_deleted_by_commit()
+{
+	var source = new com.qwirx.data.SimpleDatasource([{name: 'name'}],
+		[{name: 'a'}, {name: 'b'}, {name: 'c'}, {name: 'd'}]);
+	var sorted = new com.qwirx.data.SortedDatasource(source,
+		[{name: 'name'}]);
+	var c = new com.qwirx.data.Cursor(sorted);
+	c.setPosition(1); // b
+	
+	source.beginTransaction();
+	source.remove(1);
+	source.insert(0, {name: 'aa'});
+	assertFalse(sorted.isSendingChanges());
+	source.commit();
+	
+	assertObjectEquals(['a', 'aa', 'c', 'd'], getNameColumn(sorted));
+	assertEquals(2, c.getPosition());
+	assertObjectEquals({name: 'c'}, c.getCurrentValues());
+	assertFalse(c.isDirty());
+}
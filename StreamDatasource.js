@@ -0,0 +1,243 @@
+/*
+	@fileoverview Defines the {com.qwirx.data.StreamDatasource} class,
+	whose records are read lazily from a generator function, so the
+	number of rows is not known until they have all been read.
+*/
+
+goog.provide('com.qwirx.data.StreamDatasource');
+
+goog.require('com.qwirx.data.Datasource');
+goog.require('com.qwirx.data.Schema');
+goog.require('goog.array');
+goog.require('goog.object');
+
+/**
+ * A datasource whose records come from a stream, such as the results
+ * of a query which are still arriving, or a generated sequence. The
+ * records are read only when they're needed, by calling the generator
+ * function passed to the constructor, and kept so that they can be
+ * read again.
+ *
+ * Until the generator has run out of records, {#getCount} returns null,
+ * because the number of rows is unknown. Asking for a row past the end
+ * throws a {com.qwirx.data.NoSuchRecord}, as it would for any other
+ * datasource, but it also reads all the remaining records, so that
+ * the number of rows becomes known. A {com.qwirx.data.Cursor} which
+ * moves past the end moves to {com.qwirx.data.Cursor.EOF} instead.
+ *
+ * Records can be inserted, replaced and removed, like those of a
+ * {com.qwirx.data.SimpleDatasource}, except that {#add} has to read
+ * all the remaining records first, to find the end. So does
+ * {#beginTransaction}, so that the rows can be tracked properly
+ * during the transaction.
+ *
+ * @param {Array.<Object>} columns The column definitions, as for a
+ * {com.qwirx.data.SimpleDatasource}.
+ * @param {function():Object} next A function which returns the next
+ * record each time it's called, or null or undefined when there are
+ * no more.
+ * @constructor
+ */
+com.qwirx.data.StreamDatasource = function(columns, next)
+{
+	this.columns_ = goog.array.clone(columns);
+	this.schema_ = new com.qwirx.data.Schema(this.columns_);
+	this.next_ = next;
+	this.data_ = [];
+	this.exhausted_ = false;
+};
+
+goog.inherits(com.qwirx.data.StreamDatasource,
+	com.qwirx.data.Datasource);
+
+com.qwirx.data.StreamDatasource.prototype.getColumns = function()
+{
+	return goog.array.clone(this.columns_);
+};
+
+com.qwirx.data.StreamDatasource.prototype.getSchema = function()
+{
+	return this.schema_;
+};
+
+/**
+ * @return the number of rows, or null if the generator has not run
+ * out of records yet, so the number is unknown.
+ */
+com.qwirx.data.StreamDatasource.prototype.getCount = function()
+{
+	return this.exhausted_ ? this.data_.length : null;
+};
+
+/**
+ * @return the number of rows which have been read from the generator
+ * so far, adjusted for any inserted or removed since.
+ */
+com.qwirx.data.StreamDatasource.prototype.getLoadedCount = function()
+{
+	return this.data_.length;
+};
+
+/**
+ * @return true if all the records have been read from the generator,
+ * so {#getCount} knows how many there are.
+ */
+com.qwirx.data.StreamDatasource.prototype.isExhausted = function()
+{
+	return this.exhausted_;
+};
+
+/**
+ * Read records from the generator until the specified row has been
+ * read, or there are no more.
+ * @private
+ */
+com.qwirx.data.StreamDatasource.prototype.readTo_ = function(rowIndex)
+{
+	while (!this.exhausted_ && this.data_.length <= rowIndex)
+	{
+		var record = this.next_();
+		
+		if (record == null)
+		{
+			this.exhausted_ = true;
+		}
+		else
+		{
+			this.data_.push(goog.object.clone(record));
+		}
+	}
+};
+
+/**
+ * Read all the remaining records from the generator.
+ * @return the number of rows, which is now known.
+ */
+com.qwirx.data.StreamDatasource.prototype.readAll = function()
+{
+	this.readTo_(Infinity);
+	return this.data_.length;
+};
+
+com.qwirx.data.StreamDatasource.prototype.get = function(rowIndex)
+{
+	this.readTo_(rowIndex);
+	this.assertValidRow(rowIndex, this.data_.length - 1);
+	return goog.object.clone(this.data_[rowIndex]);
+};
+
+/**
+ * Reads only as many records from the generator as are needed.
+ * @override
+ */
+com.qwirx.data.StreamDatasource.prototype.getRange = function(start, count)
+{
+	this.readTo_(start + count - 1);
+	this.assertValidRow(start, this.data_.length);
+	
+	return goog.array.map(this.data_.slice(start, start + count),
+		function(record)
+		{
+			return goog.object.clone(record);
+		});
+};
+
+/**
+ * Looks through the records that have already been read, and then
+ * reads more until it finds the key or runs out.
+ * @override
+ */
+com.qwirx.data.StreamDatasource.prototype.indexOfKey = function(key)
+{
+	var schema = this.schema_;
+	var keyString = schema.keyToString(key);
+	
+	for (var i = 0; i < this.data_.length || !this.exhausted_; i++)
+	{
+		this.readTo_(i);
+		
+		if (i < this.data_.length && keyString ==
+			schema.keyToString(schema.getRecordKey(this.data_[i])))
+		{
+			return i;
+		}
+	}
+	
+	return -1;
+};
+
+/**
+ * Insert a new record before the specified row. If all the rows that
+ * have been read so far are before it, it's inserted before any that
+ * have not been read yet.
+ */
+com.qwirx.data.StreamDatasource.prototype.insert =
+	function(rowIndex, newRecord)
+{
+	this.readTo_(rowIndex - 1);
+	this.assertValidRow(rowIndex, this.data_.length);
+	goog.array.insertAt(this.data_, goog.object.clone(newRecord), rowIndex);
+	this.recordChange(com.qwirx.data.Datasource.Events.ROWS_INSERT,
+		rowIndex, null, [newRecord]);
+	this.dispatchRowEvent(com.qwirx.data.Datasource.Events.ROWS_INSERT,
+		[rowIndex]);
+};
+
+/**
+ * Append a new record after the last row, which means reading all
+ * the remaining records first.
+ * @return the row index of the new record.
+ */
+com.qwirx.data.StreamDatasource.prototype.add = function(newRecord)
+{
+	var rowIndex = this.readAll();
+	this.insert(rowIndex, newRecord);
+	return rowIndex;
+};
+
+com.qwirx.data.StreamDatasource.prototype.replace =
+	function(rowIndex, newRecord)
+{
+	this.readTo_(rowIndex);
+	this.assertValidRow(rowIndex, this.data_.length - 1);
+	var oldRecord = this.data_[rowIndex];
+	this.data_[rowIndex] = goog.object.clone(newRecord);
+	this.recordChange(com.qwirx.data.Datasource.Events.ROWS_UPDATE,
+		rowIndex, [oldRecord], [newRecord]);
+	this.dispatchRowEvent(com.qwirx.data.Datasource.Events.ROWS_UPDATE,
+		[rowIndex]);
+};
+
+com.qwirx.data.StreamDatasource.prototype.remove = function(rowIndex)
+{
+	this.readTo_(rowIndex);
+	this.assertValidRow(rowIndex, this.data_.length - 1);
+	var oldRecord = this.data_[rowIndex];
+	goog.array.removeAt(this.data_, rowIndex);
+	this.recordChange(com.qwirx.data.Datasource.Events.ROWS_DELETE,
+		rowIndex, [oldRecord], null);
+	this.dispatchRowEvent(com.qwirx.data.Datasource.Events.ROWS_DELETE,
+		[rowIndex]);
+};
+
+/**
+ * Reads all the remaining records first, because the transaction needs
+ * to know how many rows there are.
+ * @override
+ */
+com.qwirx.data.StreamDatasource.prototype.beginTransaction = function()
+{
+	this.readAll();
+	goog.base(this, 'beginTransaction');
+};
+
+com.qwirx.data.StreamDatasource.prototype.createSnapshot = function()
+{
+	return goog.array.clone(this.data_);
+};
+
+com.qwirx.data.StreamDatasource.prototype.restoreSnapshot =
+	function(snapshot)
+{
+	this.data_ = goog.array.clone(snapshot);
+};
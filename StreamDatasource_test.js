@@ -0,0 +1,116 @@
+goog.provide('com.qwirx.data.StreamDatasource_test');
+
+goog.require('com.qwirx.data.Datasource');
+goog.require('com.qwirx.data.StreamDatasource');
+goog.require('com.qwirx.test.assertThrows');
+goog.require('goog.testing.jsunit');
+
+/**
+ * @return a datasource which generates records with ids from 0 to
+ * count - 1, and counts how many it has generated in
+ * <code>ds.generated</code>.
+ */
+function getTestDataSource(count)
+{
+	var ds = new com.qwirx.data.StreamDatasource(
+		[{name: 'id', caption: 'ID', key: true}],
+		function()
+		{
+			if (ds.generated < count)
+			{
+				return {id: ds.generated++};
+			}
+		});
+	ds.generated = 0;
+	return ds;
+}
+
+function test_stream_datasource_reads_lazily()
+{
+	var ds = getTestDataSource(5);
+	assertNull(ds.getCount());
+	assertFalse(ds.isExhausted());
+	assertEquals(0, ds.generated);
+	
+	assertObjectEquals({id: 2}, ds.get(2));
+	assertEquals(3, ds.generated);
+	assertEquals(3, ds.getLoadedCount());
+	assertNull(ds.getCount());
+	
+	assertObjectEquals([{id: 1}, {id: 2}, {id: 3}], ds.getRange(1, 3));
+	assertEquals(4, ds.generated);
+	assertNull(ds.getCount());
+	
+	// Reading past the end finds the end.
+	com.qwirx.test.assertThrows(com.qwirx.data.NoSuchRecord,
+		function() { ds.get(7); });
+	assertTrue(ds.isExhausted());
+	assertEquals(5, ds.getCount());
+	assertObjectEquals([{id: 3}, {id: 4}], ds.getRange(3, 5));
+	assertObjectEquals([], ds.getRange(5, 5));
+	com.qwirx.test.assertThrows(com.qwirx.data.NoSuchRecord,
+		function() { ds.getRange(6, 1); });
+	
+	ds = getTestDataSource(5);
+	assertEquals(3, ds.indexOfKey(3));
+	assertEquals(4, ds.generated);
+	assertEquals(-1, ds.indexOfKey(9));
+	assertEquals(5, ds.getCount());
+	
+	ds = getTestDataSource(5);
+	assertEquals(5, ds.readAll());
+	assertEquals(5, ds.getCount());
+}
+
+function test_stream_datasource_writes()
+{
+	var ds = getTestDataSource(5);
+	var events = [];
+	var Events = com.qwirx.data.Datasource.Events;
+	
+	function record(event)
+	{
+		events.push(event);
+	}
+	
+	ds.addEventListener(Events.ROWS_INSERT, record);
+	ds.addEventListener(Events.ROWS_UPDATE, record);
+	ds.addEventListener(Events.ROWS_DELETE, record);
+	
+	ds.replace(1, {id: 10});
+	assertEquals(2, ds.generated);
+	assertObjectEquals({id: 10}, ds.get(1));
+	
+	// Inserted after the rows read so far, but before the rest.
+	ds.insert(2, {id: 11});
+	assertEquals(2, ds.generated);
+	assertObjectEquals({id: 11}, ds.get(2));
+	assertObjectEquals({id: 2}, ds.get(3));
+	
+	ds.remove(0);
+	assertObjectEquals({id: 10}, ds.get(0));
+	assertNull(ds.getCount());
+	
+	assertEquals(5, ds.add({id: 12}));
+	assertEquals(6, ds.getCount());
+	assertObjectEquals({id: 4}, ds.get(4));
+	assertObjectEquals({id: 12}, ds.get(5));
+	
+	assertObjectEquals([Events.ROWS_UPDATE, Events.ROWS_INSERT,
+		Events.ROWS_DELETE, Events.ROWS_INSERT],
+		goog.array.map(events, function(e) { return e.type; }));
+	assertObjectEquals([5], events[3].getAffectedRows());
+}
+
+function test_stream_datasource_transactions()
+{
+	var ds = getTestDataSource(5);
+	ds.get(0);
+	ds.beginTransaction();
+	assertEquals("the whole stream is read when a transaction begins", 5,
+		ds.getCount());
+	ds.remove(0);
+	ds.rollback();
+	assertEquals(5, ds.getCount());
+	assertObjectEquals({id: 0}, ds.get(0));
+}